@@ -0,0 +1,373 @@
+/**
+ * AI provider adapters for Cloudflare Worker
+ * Every provider exposes chat(env, messages, options) -> { text, usage } so routes can
+ * walk a fallback order without knowing each vendor's request and response shape.
+ * stream(env, messages, options, onDelta) does the same while reporting text as it arrives.
+ * Order and models are configured per route from environment variables.
+ */
+
+import { extractUsage } from './usage-meter.js';
+import { readServerSentEvents } from './sse.js';
+
+export const DEFAULT_PROVIDER_ORDER = ['gemini', 'openai', 'anthropic', 'local'];
+
+/**
+ * POST JSON and parse the reply, with errors labelled by the vendor operation
+ */
+async function postJson(url, headers, body, operation, label) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const rawText = await res.text();
+
+  if (!res.ok) {
+    throw new Error(`${operation} ${res.status}: ${rawText}`);
+  }
+
+  try {
+    return JSON.parse(rawText);
+  } catch (err) {
+    throw new Error(`${label} returned non-JSON response: ${String(err)} :: ${rawText}`);
+  }
+}
+
+/**
+ * POST JSON and return the streaming response, with errors labelled by the vendor operation
+ */
+async function postStream(url, headers, body, operation) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!res.ok || !res.body) {
+    throw new Error(`${operation} ${res.status}: ${await res.text()}`);
+  }
+  return res;
+}
+
+/**
+ * Read a provider's SSE stream, skipping keep-alives and anything that isn't JSON
+ */
+async function readJsonEvents(res, onJson) {
+  await readServerSentEvents(res.body, ({ event, data }) => {
+    if (data === '[DONE]') return;
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return;
+    }
+    onJson(parsed, event);
+  });
+}
+
+function requireText(content, label) {
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    throw new Error(`No content from ${label} model`);
+  }
+  return content.trim();
+}
+
+function splitSystem(messages) {
+  return {
+    system: messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n'),
+    turns: messages.filter((m) => m.role !== 'system')
+  };
+}
+
+/**
+ * Chat against an OpenAI-style /chat/completions endpoint
+ */
+async function openAiCompatibleChat(url, apiKey, model, messages, options, label) {
+  const parsed = await postJson(
+    url,
+    apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    { model, temperature: options.temperature, messages },
+    `${label} chat.completions`,
+    label
+  );
+  return {
+    text: requireText(parsed?.choices?.[0]?.message?.content, label),
+    usage: extractUsage('openai', parsed)
+  };
+}
+
+async function openAiCompatibleStream(url, apiKey, model, messages, options, label, onDelta) {
+  const res = await postStream(
+    url,
+    apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    { model, temperature: options.temperature, messages, stream: true, stream_options: { include_usage: true } },
+    `${label} chat.completions`
+  );
+
+  let text = '';
+  let usage = { inputTokens: 0, outputTokens: 0 };
+  await readJsonEvents(res, (chunk) => {
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onDelta(text);
+    }
+    if (chunk?.usage) usage = extractUsage('openai', chunk);
+  });
+  return { text: requireText(text, label), usage };
+}
+
+function buildGeminiContents(messages) {
+  // Gemini gets the system prompt folded into the first user turn
+  const { system, turns } = splitSystem(messages);
+  return turns.map((m, index) => ({
+    role: m.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: index === 0 && system ? `${system}\n\n${m.content}` : m.content }]
+  }));
+}
+
+export const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-4.1',
+    modelEnv: 'OPENAI_MODEL',
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY),
+    chat: (env, messages, options) => openAiCompatibleChat(
+      'https://api.openai.com/v1/chat/completions',
+      env.OPENAI_API_KEY,
+      options.model,
+      messages,
+      options,
+      'OpenAI'
+    ),
+    stream: (env, messages, options, onDelta) => openAiCompatibleStream(
+      'https://api.openai.com/v1/chat/completions',
+      env.OPENAI_API_KEY,
+      options.model,
+      messages,
+      options,
+      'OpenAI',
+      onDelta
+    )
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-sonnet-4-5-20250929',
+    modelEnv: 'ANTHROPIC_MODEL',
+    isConfigured: (env) => Boolean(env.ANTHROPIC_API_KEY),
+    async chat(env, messages, options) {
+      const { system, turns } = splitSystem(messages);
+      const parsed = await postJson(
+        'https://api.anthropic.com/v1/messages',
+        { 'x-api-key': env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' },
+        {
+          model: options.model,
+          max_tokens: options.maxTokens,
+          temperature: options.temperature,
+          system,
+          messages: turns
+        },
+        'anthropic.messages',
+        'Anthropic'
+      );
+      return {
+        text: requireText(parsed?.content?.[0]?.text, 'Anthropic'),
+        usage: extractUsage('anthropic', parsed)
+      };
+    },
+    async stream(env, messages, options, onDelta) {
+      const { system, turns } = splitSystem(messages);
+      const res = await postStream(
+        'https://api.anthropic.com/v1/messages',
+        { 'x-api-key': env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' },
+        {
+          model: options.model,
+          max_tokens: options.maxTokens,
+          temperature: options.temperature,
+          system,
+          messages: turns,
+          stream: true
+        },
+        'anthropic.messages'
+      );
+
+      let text = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      await readJsonEvents(res, (chunk) => {
+        if (chunk.type === 'error') {
+          throw new Error(`anthropic.messages stream: ${chunk.error?.message || 'error'}`);
+        }
+        if (chunk.type === 'message_start') {
+          usage.inputTokens = extractUsage('anthropic', chunk.message).inputTokens;
+        }
+        if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+          text += chunk.delta.text;
+          onDelta(text);
+        }
+        if (chunk.type === 'message_delta') {
+          usage.outputTokens = extractUsage('anthropic', chunk).outputTokens;
+        }
+      });
+      return { text: requireText(text, 'Anthropic'), usage };
+    }
+  },
+
+  gemini: {
+    label: 'Gemini',
+    defaultModel: 'gemini-1.5-pro',
+    modelEnv: 'GEMINI_MODEL',
+    isConfigured: (env) => Boolean(env.GEMINI_API_KEY),
+    async chat(env, messages, options) {
+      // Gemini takes the API key as a query parameter; this only ever runs server-side
+      const parsed = await postJson(
+        `https://generativelanguage.googleapis.com/v1beta/models/${options.model}:generateContent?key=${env.GEMINI_API_KEY}`,
+        {},
+        {
+          contents: buildGeminiContents(messages),
+          generationConfig: {
+            temperature: options.temperature,
+            maxOutputTokens: options.maxTokens
+          }
+        },
+        'gemini.generateContent',
+        'Gemini'
+      );
+      return {
+        text: requireText(parsed?.candidates?.[0]?.content?.parts?.[0]?.text, 'Gemini'),
+        usage: extractUsage('gemini', parsed)
+      };
+    },
+    async stream(env, messages, options, onDelta) {
+      const res = await postStream(
+        `https://generativelanguage.googleapis.com/v1beta/models/${options.model}:streamGenerateContent?alt=sse&key=${env.GEMINI_API_KEY}`,
+        {},
+        {
+          contents: buildGeminiContents(messages),
+          generationConfig: {
+            temperature: options.temperature,
+            maxOutputTokens: options.maxTokens
+          }
+        },
+        'gemini.streamGenerateContent'
+      );
+
+      let text = '';
+      let usage = { inputTokens: 0, outputTokens: 0 };
+      await readJsonEvents(res, (chunk) => {
+        const delta = chunk?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (delta) {
+          text += delta;
+          onDelta(text);
+        }
+        // usageMetadata is cumulative, so the last chunk has the totals
+        if (chunk?.usageMetadata) usage = extractUsage('gemini', chunk);
+      });
+      return { text: requireText(text, 'Gemini'), usage };
+    }
+  },
+
+  // Any OpenAI-compatible server, e.g. Ollama or vLLM at LOCAL_AI_BASE_URL=http://host:11434/v1
+  local: {
+    label: 'Local',
+    defaultModel: 'llama3.1',
+    modelEnv: 'LOCAL_AI_MODEL',
+    isConfigured: (env) => Boolean(env.LOCAL_AI_BASE_URL),
+    chat: (env, messages, options) => openAiCompatibleChat(
+      `${String(env.LOCAL_AI_BASE_URL).replace(/\/$/, '')}/chat/completions`,
+      env.LOCAL_AI_API_KEY,
+      options.model,
+      messages,
+      options,
+      'Local'
+    ),
+    stream: (env, messages, options, onDelta) => openAiCompatibleStream(
+      `${String(env.LOCAL_AI_BASE_URL).replace(/\/$/, '')}/chat/completions`,
+      env.LOCAL_AI_API_KEY,
+      options.model,
+      messages,
+      options,
+      'Local',
+      onDelta
+    )
+  }
+};
+
+function parseOrder(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names.map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Provider order and models for a route.
+ * AI_PROVIDER_ORDER sets the default order (comma separated); OPENAI_MODEL, ANTHROPIC_MODEL,
+ * GEMINI_MODEL and LOCAL_AI_MODEL set default models. AI_ROUTE_PROVIDERS overrides per route, e.g.
+ * {"/agent-chat": {"order": ["anthropic", "openai"], "models": {"anthropic": "claude-haiku-4-5"}}}
+ * @returns {Array<{name: string, model: string}>}
+ */
+export function getProviderPlan(env, route) {
+  let override = {};
+  try {
+    const parsed = typeof env.AI_ROUTE_PROVIDERS === 'string'
+      ? JSON.parse(env.AI_ROUTE_PROVIDERS)
+      : env.AI_ROUTE_PROVIDERS;
+    override = parsed?.[route] || {};
+  } catch (err) {
+    console.warn('AI_ROUTE_PROVIDERS is not valid JSON:', err);
+  }
+
+  const order = parseOrder(override.order).length
+    ? parseOrder(override.order)
+    : parseOrder(env.AI_PROVIDER_ORDER).length ? parseOrder(env.AI_PROVIDER_ORDER) : DEFAULT_PROVIDER_ORDER;
+
+  return [...new Set(order)]
+    .filter((name) => {
+      if (PROVIDERS[name]) return true;
+      console.warn(`Unknown AI provider "${name}" in provider order`);
+      return false;
+    })
+    .map((name) => ({
+      name,
+      model: override.models?.[name] || env[PROVIDERS[name].modelEnv] || PROVIDERS[name].defaultModel
+    }));
+}
+
+/**
+ * Send a chat to each configured provider in the route's order until one answers
+ * @param {Array<{role: string, content: string}>} messages - system/user/assistant turns
+ * @param {Object} options - { temperature, maxTokens, meter, onDelta }
+ *   onDelta(textSoFar) streams the reply; if a provider fails part way, the next one starts
+ *   again from empty text.
+ * @returns {Promise<Object>} - { text, usage, provider, label, model }
+ */
+export async function chatWithFallback(env, route, messages, {
+  temperature = 0.2,
+  maxTokens = 4096,
+  meter = null,
+  onDelta = null
+} = {}) {
+  const plan = getProviderPlan(env, route).filter(({ name }) => PROVIDERS[name].isConfigured(env));
+  if (!plan.length) {
+    throw new Error('At least one of OPENAI_API_KEY, GEMINI_API_KEY, ANTHROPIC_API_KEY or LOCAL_AI_BASE_URL must be configured');
+  }
+
+  let lastError;
+  for (const { name, model } of plan) {
+    const provider = PROVIDERS[name];
+    try {
+      console.log(`Calling ${provider.label} (${model}) for ${route}...`);
+      const result = onDelta && provider.stream
+        ? await provider.stream(env, messages, { model, temperature, maxTokens }, onDelta)
+        : await provider.chat(env, messages, { model, temperature, maxTokens });
+      meter?.record(name, model, result.usage);
+      console.log(`${provider.label} call successful`);
+      return { ...result, provider: name, label: provider.label, model };
+    } catch (err) {
+      console.error(`${provider.label} call failed:`, String(err));
+      lastError = err;
+    }
+  }
+
+  throw new Error(`All AI providers failed. Last error: ${String(lastError)}`);
+}
@@ -242,10 +242,12 @@ export async function handleSaveSettings(request, env) {
     }, 500);
   }
 
-  // Save each setting
+  // Save each setting (null removes the personal override so organisation defaults apply)
   const results = [];
   for (const [key, value] of Object.entries(settings)) {
-    const result = await saveUserSetting(env.DB, auth.userId, key, value);
+    const result = value === null
+      ? await deleteUserSetting(env.DB, auth.userId, key)
+      : await saveUserSetting(env.DB, auth.userId, key, value);
     results.push({ key, success: result.success });
   }
 
@@ -614,3 +614,404 @@ export async function cleanupExpiredTokens(db) {
     return { success: false, error: err.message };
   }
 }
+
+/**
+ * Organisation roles
+ * - admin: manages members and publishes team defaults
+ * - surveyor: runs surveys using the team defaults
+ * - office: reviews submitted surveys
+ */
+export const ORG_ROLES = ['admin', 'surveyor', 'office'];
+
+/**
+ * Settings an organisation can provide defaults for
+ */
+export const ORG_SETTING_KEYS = [
+  'depot.sectionSchema',
+  'depot.checklistConfig',
+  'depot.aiInstructions'
+];
+
+/**
+ * Initialize organisation tables
+ * Each user belongs to at most one organisation
+ */
+export async function initializeOrganisationTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS organisations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS memberships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        org_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL UNIQUE,
+        role TEXT NOT NULL DEFAULT 'surveyor',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (org_id) REFERENCES organisations(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `).run();
+
+    // Organisation-wide defaults, applied beneath each member's own user_settings
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS org_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        org_id INTEGER NOT NULL,
+        setting_key TEXT NOT NULL,
+        setting_value TEXT NOT NULL,
+        updated_by INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (org_id) REFERENCES organisations(id) ON DELETE CASCADE,
+        UNIQUE(org_id, setting_key)
+      )
+    `).run();
+
+    // Pending invites: an admin names a user, and the user joins only by accepting
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS org_invites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        org_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'surveyor',
+        invited_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (org_id) REFERENCES organisations(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE(org_id, user_id)
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_memberships_org_id
+      ON memberships(org_id)
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_org_invites_user_id
+      ON org_invites(user_id)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize organisation tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Create an organisation with its creator as the first admin
+ */
+export async function createOrganisation(db, name, userId) {
+  try {
+    const result = await db.prepare(`
+      INSERT INTO organisations (name, created_by)
+      VALUES (?, ?)
+    `).bind(name, userId).run();
+
+    const orgId = result.meta.last_row_id;
+    await db.prepare(`
+      INSERT INTO memberships (org_id, user_id, role)
+      VALUES (?, ?, 'admin')
+    `).bind(orgId, userId).run();
+
+    return { success: true, orgId };
+  } catch (err) {
+    console.error('Failed to create organisation:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a user's organisation membership
+ * @returns {Promise<{orgId: number, orgName: string, role: string}|null>}
+ */
+export async function getMembership(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT m.org_id, m.role, o.name
+      FROM memberships m
+      JOIN organisations o ON o.id = m.org_id
+      WHERE m.user_id = ?
+    `).bind(userId).first();
+
+    if (!result) {
+      return null;
+    }
+
+    return { orgId: result.org_id, orgName: result.name, role: result.role };
+  } catch (err) {
+    console.error('Failed to get membership:', err);
+    return null;
+  }
+}
+
+/**
+ * List members of an organisation
+ */
+export async function listMembers(db, orgId) {
+  try {
+    const results = await db.prepare(`
+      SELECT m.user_id, m.role, m.created_at, u.username, u.email
+      FROM memberships m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.org_id = ?
+      ORDER BY u.username
+    `).bind(orgId).all();
+
+    return results.results.map((row) => ({
+      userId: row.user_id,
+      username: row.username,
+      email: row.email,
+      role: row.role,
+      joinedAt: row.created_at
+    }));
+  } catch (err) {
+    console.error('Failed to list members:', err);
+    return [];
+  }
+}
+
+/**
+ * Add a user to an organisation
+ */
+export async function addMember(db, orgId, userId, role) {
+  try {
+    await db.prepare(`
+      INSERT INTO memberships (org_id, user_id, role)
+      VALUES (?, ?, ?)
+    `).bind(orgId, userId, role).run();
+
+    return { success: true };
+  } catch (err) {
+    if (err.message.includes('UNIQUE constraint failed')) {
+      return { success: false, error: 'User already belongs to an organisation' };
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Invite a user to an organisation, or change the role of their pending invite
+ */
+export async function inviteMember(db, orgId, userId, role, invitedBy) {
+  try {
+    await db.prepare(`
+      INSERT INTO org_invites (org_id, user_id, role, invited_by)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(org_id, user_id)
+      DO UPDATE SET role = excluded.role, invited_by = excluded.invited_by
+    `).bind(orgId, userId, role, invitedBy).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to invite member:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List an organisation's pending invites
+ */
+export async function listOrgInvites(db, orgId) {
+  try {
+    const results = await db.prepare(`
+      SELECT i.user_id, i.role, i.created_at, u.username
+      FROM org_invites i
+      JOIN users u ON u.id = i.user_id
+      WHERE i.org_id = ?
+      ORDER BY u.username
+    `).bind(orgId).all();
+
+    return results.results.map((row) => ({
+      userId: row.user_id,
+      username: row.username,
+      role: row.role,
+      invitedAt: row.created_at
+    }));
+  } catch (err) {
+    console.error('Failed to list organisation invites:', err);
+    return [];
+  }
+}
+
+/**
+ * List the invites waiting for a user
+ */
+export async function listUserInvites(db, userId) {
+  try {
+    const results = await db.prepare(`
+      SELECT i.org_id, i.role, i.created_at, o.name
+      FROM org_invites i
+      JOIN organisations o ON o.id = i.org_id
+      WHERE i.user_id = ?
+      ORDER BY i.created_at
+    `).bind(userId).all();
+
+    return results.results.map((row) => ({
+      orgId: row.org_id,
+      orgName: row.name,
+      role: row.role,
+      invitedAt: row.created_at
+    }));
+  } catch (err) {
+    console.error('Failed to list user invites:', err);
+    return [];
+  }
+}
+
+/**
+ * Accept an invite: join the organisation with the invited role and drop the user's other invites
+ */
+export async function acceptInvite(db, orgId, userId) {
+  try {
+    const invite = await db.prepare(`
+      SELECT role FROM org_invites
+      WHERE org_id = ? AND user_id = ?
+    `).bind(orgId, userId).first();
+
+    if (!invite) {
+      return { success: false, error: 'No invite from that organisation' };
+    }
+
+    const added = await addMember(db, orgId, userId, invite.role);
+    if (!added.success) {
+      return added;
+    }
+
+    await db.prepare(`
+      DELETE FROM org_invites
+      WHERE user_id = ?
+    `).bind(userId).run();
+
+    return { success: true, role: invite.role };
+  } catch (err) {
+    console.error('Failed to accept invite:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a pending invite (declined by the user or withdrawn by an admin)
+ */
+export async function deleteInvite(db, orgId, userId) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM org_invites
+      WHERE org_id = ? AND user_id = ?
+    `).bind(orgId, userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (err) {
+    console.error('Failed to delete invite:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Change a member's role
+ */
+export async function updateMemberRole(db, orgId, userId, role) {
+  try {
+    const result = await db.prepare(`
+      UPDATE memberships
+      SET role = ?
+      WHERE org_id = ? AND user_id = ?
+    `).bind(role, orgId, userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (err) {
+    console.error('Failed to update member role:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Remove a member from an organisation
+ */
+export async function removeMember(db, orgId, userId) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM memberships
+      WHERE org_id = ? AND user_id = ?
+    `).bind(orgId, userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (err) {
+    console.error('Failed to remove member:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Save an organisation default setting
+ */
+export async function saveOrgSetting(db, orgId, key, value, userId) {
+  try {
+    await db.prepare(`
+      INSERT INTO org_settings (org_id, setting_key, setting_value, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(org_id, setting_key)
+      DO UPDATE SET setting_value = excluded.setting_value, updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `).bind(orgId, key, JSON.stringify(value), userId).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to save organisation setting:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get all organisation default settings
+ */
+export async function getAllOrgSettings(db, orgId) {
+  try {
+    const results = await db.prepare(`
+      SELECT setting_key, setting_value
+      FROM org_settings
+      WHERE org_id = ?
+    `).bind(orgId).all();
+
+    const settings = {};
+    for (const row of results.results) {
+      try {
+        settings[row.setting_key] = JSON.parse(row.setting_value);
+      } catch (err) {
+        console.error(`Failed to parse organisation setting ${row.setting_key}:`, err);
+      }
+    }
+
+    return settings;
+  } catch (err) {
+    console.error('Failed to get organisation settings:', err);
+    return {};
+  }
+}
+
+/**
+ * Remove a personal setting from every member of an organisation
+ * so the organisation default applies to all of them.
+ * Only accepted members are touched, never users with a pending invite.
+ */
+export async function clearMemberSetting(db, orgId, key) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM user_settings
+      WHERE setting_key = ?
+      AND user_id IN (SELECT user_id FROM memberships WHERE org_id = ?)
+    `).bind(key, orgId).run();
+
+    return { success: true, cleared: result.meta.changes };
+  } catch (err) {
+    console.error('Failed to clear member setting:', err);
+    return { success: false, error: err.message };
+  }
+}
@@ -5,8 +5,85 @@ import {
   handleLoadSettings,
   handleGetProfile,
   handleRequestReset,
-  handleResetPassword
+  handleResetPassword,
+  requireAuth
 } from './auth-handlers.js';
+import {
+  handleCreateOrganisation,
+  handleGetOrganisation,
+  handleAddMember,
+  handleUpdateMember,
+  handleRemoveMember,
+  handleAcceptInvite,
+  handleDeclineInvite,
+  handleLoadOrgSettings,
+  handleSaveOrgSettings
+} from './org-handlers.js';
+import {
+  handleCreateSubmission,
+  handleListSubmissions,
+  handleGetSubmission,
+  handleResubmit,
+  handleSetSubmissionStatus,
+  handleAddSubmissionComment
+} from './review-handlers.js';
+import { chatWithFallback } from './ai-providers.js';
+import { createEventStream, extractCompleteArrayItems } from './sse.js';
+import { transcribeAudio, normaliseAudioType, STT_MAX_BYTES } from './speech-to-text.js';
+import { labelAudioTurns } from './js/speakerDiarisation.js';
+import { tagBulletProvenance } from './js/noteProvenance.js';
+import { FACT_KINDS, normaliseFacts, weighFactEvidence, mergeFacts } from './js/factReview.js';
+import { normaliseRules, evaluateRules } from './js/checklistRules.js';
+import { resolveRuleMaterial } from './js/jobState.js';
+import { applyChecklistTemplate, templateInstructions } from './js/checklistTemplates.js';
+import {
+  requireProAccess,
+  handleVerifyLicense,
+  handleRevokeLicense,
+  handleListRevocations,
+  LICENSE_HEADER,
+  DEVICE_HEADER
+} from './license.js';
+import {
+  checkUsageLimits,
+  createUsageMeter,
+  recordUsage,
+  handleUsage
+} from './usage-meter.js';
+import { prepareNamedQuery } from './named-queries.js';
+import {
+  initializeLiveNotesTables,
+  normaliseLiveSessionId,
+  getLiveNotes,
+  saveLiveNotes,
+  pruneLiveNotes,
+  describeDeltaConflict
+} from './live-notes.js';
+import {
+  DEFAULT_REFERENCE_TOKEN_BUDGET,
+  fitReferenceSnippets,
+  referenceCitation,
+  searchReferenceMaterials
+} from './reference-search.js';
+import {
+  handleUploadReferenceDocument,
+  handleListReferenceDocuments
+} from './reference-documents.js';
+import {
+  handleListSessions,
+  handleCreateSession,
+  handleGetSession,
+  handleUpdateSession,
+  handleDeleteSession,
+  handleUploadSessionAudio,
+  handleGetSessionAudio
+} from './session-handlers.js';
+import {
+  handleUploadPricebook,
+  handleListPricebookVersions,
+  handlePricebookDiff,
+  handleEffectivePricebook
+} from './pricebook-handlers.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -119,9 +196,80 @@ export default {
         return handleLoadSettings(request, env);
       }
 
+      // Organisation endpoints
+      if (request.method === "POST" && url.pathname === "/orgs") {
+        return handleCreateOrganisation(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/orgs/current") {
+        return handleGetOrganisation(request, env);
+      }
+
+      if (request.method === "POST" && url.pathname === "/orgs/members") {
+        return handleAddMember(request, env);
+      }
+
+      const memberMatch = url.pathname.match(/^\/orgs\/members\/(\d+)$/);
+      if (memberMatch) {
+        const memberId = Number(memberMatch[1]);
+        if (request.method === "PUT") return handleUpdateMember(request, env, memberId);
+        if (request.method === "DELETE") return handleRemoveMember(request, env, memberId);
+      }
+
+      const inviteMatch = url.pathname.match(/^\/orgs\/invites\/(\d+)(\/accept)?$/);
+      if (inviteMatch) {
+        const orgId = Number(inviteMatch[1]);
+        if (request.method === "POST" && inviteMatch[2]) return handleAcceptInvite(request, env, orgId);
+        if (request.method === "DELETE" && !inviteMatch[2]) return handleDeclineInvite(request, env, orgId);
+      }
+
+      if (request.method === "GET" && url.pathname === "/orgs/settings") {
+        return handleLoadOrgSettings(request, env);
+      }
+
+      if (request.method === "POST" && url.pathname === "/orgs/settings") {
+        return handleSaveOrgSettings(request, env);
+      }
+
+      // Office review endpoints
+      if (url.pathname === "/submissions") {
+        if (request.method === "GET") return handleListSubmissions(request, env);
+        if (request.method === "POST") return handleCreateSubmission(request, env);
+      }
+
+      const submissionMatch = url.pathname.match(/^\/submissions\/([A-Za-z0-9-]+)(\/status|\/comments)?$/);
+      if (submissionMatch) {
+        const [, submissionId, action] = submissionMatch;
+        if (!action && request.method === "GET") return handleGetSubmission(request, env, submissionId);
+        if (!action && request.method === "PUT") return handleResubmit(request, env, submissionId);
+        if (action === "/status" && request.method === "POST") {
+          return handleSetSubmissionStatus(request, env, submissionId);
+        }
+        if (action === "/comments" && request.method === "POST") {
+          return handleAddSubmissionComment(request, env, submissionId);
+        }
+      }
+
+      // Pro licences
+      if (request.method === "POST" && url.pathname === "/licenses/verify") {
+        return handleVerifyLicense(request, env);
+      }
+
+      if (request.method === "POST" && url.pathname === "/licenses/revoke") {
+        return handleRevokeLicense(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/licenses/revocations") {
+        return handleListRevocations(request, env);
+      }
+
       // Existing endpoints
       if (request.method === "POST" && url.pathname === "/text") {
-        return handleText(request, env);
+        return meteredRoute(request, env, "/text", handleText);
+      }
+
+      if (request.method === "POST" && url.pathname === "/transcribe") {
+        return meteredRoute(request, env, "/transcribe", handleTranscribe);
       }
 
       if (request.method === "POST" && url.pathname === "/bug-report") {
@@ -129,19 +277,68 @@ export default {
       }
 
       if (request.method === "POST" && url.pathname === "/tweak-section") {
-        return handleTweakSection(request, env);
+        return meteredRoute(request, env, "/tweak-section", handleTweakSection);
       }
 
       if (request.method === "POST" && url.pathname === "/agent-chat") {
-        return handleAgentChat(request, env);
+        return meteredRoute(request, env, "/agent-chat", handleAgentChat);
+      }
+
+      if (request.method === "GET" && url.pathname === "/usage") {
+        return handleUsage(request, env);
       }
 
       if (request.method === "POST" && url.pathname === "/query") {
         return handleQuery(request, env);
       }
 
+      // Session sync endpoints
+      if (url.pathname === "/sessions") {
+        if (request.method === "GET") return handleListSessions(request, env);
+        if (request.method === "POST") return handleCreateSession(request, env);
+      }
+
+      const sessionMatch = url.pathname.match(/^\/sessions\/([A-Za-z0-9-]+)(\/audio)?$/);
+      if (sessionMatch) {
+        const [, sessionId, audio] = sessionMatch;
+        if (audio) {
+          if (request.method === "GET") return handleGetSessionAudio(request, env, sessionId);
+          if (request.method === "PUT") return handleUploadSessionAudio(request, env, sessionId);
+        } else {
+          if (request.method === "GET") return handleGetSession(request, env, sessionId);
+          if (request.method === "PUT") return handleUpdateSession(request, env, sessionId);
+          if (request.method === "DELETE") return handleDeleteSession(request, env, sessionId);
+        }
+      }
+
+      // Reference document ingestion endpoints
+      if (request.method === "POST" && url.pathname === "/reference/documents") {
+        return handleUploadReferenceDocument(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/reference/documents") {
+        return handleListReferenceDocuments(request, env);
+      }
+
+      // Pricebook versioning endpoints
+      if (request.method === "POST" && url.pathname === "/pricebook/versions") {
+        return handleUploadPricebook(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/pricebook/versions") {
+        return handleListPricebookVersions(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/pricebook/diff") {
+        return handlePricebookDiff(request, env);
+      }
+
+      if (request.method === "GET" && url.pathname === "/pricebook/effective") {
+        return handleEffectivePricebook(request, env);
+      }
+
       if (request.method === "POST" && url.pathname === "/generate-presentation") {
-        return handleGeneratePresentation(request, env);
+        return meteredRoute(request, env, "/generate-presentation", handleGeneratePresentation);
       }
 
       return jsonResponse({ error: "not_found" }, 404);
@@ -155,8 +352,8 @@ export default {
 function corsHeaders(extra = {}) {
   return {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": `Content-Type, Authorization, ${LICENSE_HEADER}, ${DEVICE_HEADER}`,
     "Content-Type": "application/json",
     ...extra
   };
@@ -176,9 +373,48 @@ function jsonResponse(body, status = 200) {
   });
 }
 
+// /transcribe always needs Pro; PRO_ONLY_ROUTES (comma separated) gates AI routes too, e.g. "/generate-presentation"
+function isProRoute(env, route) {
+  const extra = String(env.PRO_ONLY_ROUTES || "").split(",").map((value) => value.trim());
+  return route === "/transcribe" || extra.includes(route);
+}
+
+// Apply Pro gating, per-caller rate limits and daily quotas to an AI route, then record the tokens it used
+async function meteredRoute(request, env, route, handler) {
+  if (isProRoute(env, route)) {
+    // Licence feature flags are named after the route, e.g. "transcribe"
+    const access = await requireProAccess(request, env, { feature: route.slice(1) });
+    if (!access.allowed) {
+      return jsonResponse({ error: access.error, message: access.message }, access.status);
+    }
+  }
+
+  const limit = await checkUsageLimits(request, env, route);
+  if (!limit.allowed) {
+    return new Response(JSON.stringify({
+      error: "rate_limited",
+      message: limit.message,
+      retryAfter: limit.retryAfter
+    }), {
+      status: 429,
+      headers: corsHeaders({
+        "Retry-After": String(limit.retryAfter),
+        "Access-Control-Expose-Headers": "Retry-After"
+      })
+    });
+  }
+
+  const meter = createUsageMeter();
+  meter.flush = () => recordUsage(env, limit.caller, route, meter, { reservation: limit.reservation });
+  const response = await handler(request, env, meter);
+  // Streaming handlers set meter.deferred and flush once the stream has finished
+  if (!meter.deferred) await meter.flush();
+  return response;
+}
+
 /* ---------- /text ---------- */
 
-async function handleText(request, env) {
+async function handleText(request, env, meter) {
   let payload;
   try {
     payload = await request.json();
@@ -193,7 +429,7 @@ async function handleText(request, env) {
     ? payload.transcript.trim()
     : "";
 
-  const { sanitisedTranscript, sanityNotes } = applyTranscriptionSanityChecks(transcript);
+  const { sanitisedTranscript, sanityNotes, corrections } = applyTranscriptionSanityChecks(transcript);
 
   if (!transcript) {
     return jsonResponse(
@@ -202,7 +438,9 @@ async function handleText(request, env) {
     );
   }
 
+  // An items array, or the app's checklist config ({ sectionsOrder, items, rules })
   const checklistItems = Array.isArray(payload.checklistItems)
+    || (payload.checklistItems && Array.isArray(payload.checklistItems.items))
     ? payload.checklistItems
     : [];
 
@@ -210,25 +448,74 @@ async function handleText(request, env) {
     ? payload.depotNotesInstructions
     : "";
 
+  // Job type chosen for the session; picks the checklist template
+  const checklistTemplate = typeof payload.checklistTemplate === "string"
+    ? payload.checklistTemplate.trim()
+    : "";
+
   const alreadyCaptured = normaliseCapturedSections(payload.alreadyCaptured);
   const expectedSections = normaliseExpectedSections(payload.expectedSections);
   const sectionHints = normaliseSectionHints(payload.sectionHints);
   const forceStructured = Boolean(payload.forceStructured);
   const deterministicScope = normaliseDeterministicScope(payload.deterministicScope);
+  const confirmedFacts = normaliseFacts(payload.confirmedFacts).filter((fact) => fact.confirmed);
+
+  const notesPayload = {
+    transcript: sanitisedTranscript,
+    checklistItems,
+    deterministicScope,
+    depotSections: payload.depotSections,
+    alreadyCaptured,
+    expectedSections,
+    sectionHints,
+    forceStructured,
+    sanityNotes,
+    corrections,
+    confirmedFacts,
+    customInstructions: depotNotesInstructions,
+    checklistTemplate
+  };
+
+  // Live sessions: the worker keeps the merged notes so the client can send only new speech
+  let live = null;
+  const liveSessionId = normaliseLiveSessionId(payload.liveSessionId);
+  if (liveSessionId && env.DB) {
+    live = await prepareLiveNotes(env, liveSessionId, payload, notesPayload);
+    if (live.conflict) {
+      return jsonResponse({
+        error: "conflict",
+        message: live.conflict,
+        reconcile: true,
+        live: live.state
+          ? { sessionId: liveSessionId, revision: live.state.revision, offset: live.state.offset }
+          : null
+      }, 409);
+    }
+  } else if (payload.mode === "delta") {
+    return jsonResponse({
+      error: "conflict",
+      message: "Delta updates need a live session; send the full transcript",
+      reconcile: true,
+      live: null
+    }, 409);
+  }
+
+  const produceNotes = async (onSection = null) => {
+    const mergeStreamed = onSection && live?.mode === "delta"
+      ? (section) => onSection(mergeLiveSection(live.state.sections, section))
+      : onSection;
+    const result = await callNotesModel(env, notesPayload, meter, { onSection: mergeStreamed });
+    return live ? finishLiveNotes(env, live, result) : result;
+  };
+
+  const wantsStream = payload.stream === true
+    || (request.headers.get("Accept") || "").includes("text/event-stream");
+  if (wantsStream) {
+    return streamNotes(produceNotes, meter);
+  }
 
   try {
-    const result = await callNotesModel(env, {
-      transcript: sanitisedTranscript,
-      checklistItems,
-      deterministicScope,
-      depotSections: payload.depotSections,
-      alreadyCaptured,
-      expectedSections,
-      sectionHints,
-      forceStructured,
-      sanityNotes,
-      customInstructions: depotNotesInstructions
-    });
+    const result = await produceNotes();
     return jsonResponse(result, 200);
   } catch (err) {
     console.error("handleText model error:", err);
@@ -239,6 +526,255 @@ async function handleText(request, env) {
   }
 }
 
+// SSE version of /text: "section" events as sections finish, then "done" with the full result
+function streamNotes(produceNotes, meter) {
+  const stream = createEventStream();
+  meter.deferred = true;
+
+  (async () => {
+    try {
+      const result = await produceNotes((section) => stream.send("section", section));
+      stream.send("done", result);
+    } catch (err) {
+      console.error("handleText stream error:", err);
+      stream.send("error", { error: "model_error", message: String(err) });
+    } finally {
+      await meter.flush();
+      await stream.close();
+    }
+  })();
+
+  return new Response(stream.readable, {
+    status: 200,
+    headers: corsHeaders({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache"
+    })
+  });
+}
+
+/* ---------- live notes (delta protocol) ---------- */
+
+// Subheading order used when merging a delta's bullets into the stored notes
+const LIVE_NOTE_HEADINGS = ["# Coming out #", "# Going in #", "# Involved #", "# Agreed #"];
+
+/**
+ * Work out how a live /text request applies to the stored session.
+ * "full" requests replace the stored notes; "delta" requests carry only the speech after
+ * transcriptOffset and must name the revision they were built on.
+ */
+async function prepareLiveNotes(env, sessionId, payload, notesPayload) {
+  await initializeLiveNotesTables(env.DB);
+  const rawTranscript = typeof payload.transcript === "string" ? payload.transcript : "";
+
+  if (payload.mode !== "delta") {
+    // Full requests start and reconcile sessions, so they also clear out abandoned ones
+    await pruneLiveNotes(env.DB);
+    const previous = await getLiveNotes(env.DB, sessionId);
+    return {
+      mode: "full",
+      sessionId,
+      state: previous,
+      nextOffset: rawTranscript.length,
+      recentTranscript: notesPayload.transcript
+    };
+  }
+
+  const state = await getLiveNotes(env.DB, sessionId);
+  const conflict = describeDeltaConflict(state, {
+    baseRevision: Number(payload.baseRevision),
+    offset: Number(payload.transcriptOffset)
+  });
+  if (conflict) return { conflict, state };
+
+  // The model sees the stored notes, not whatever the client last rendered
+  notesPayload.alreadyCaptured = state.sections
+    .map(({ section, plainText, naturalLanguage }) => ({ section, plainText, naturalLanguage }));
+  notesPayload.recentTranscript = state.recentTranscript;
+
+  return {
+    mode: "delta",
+    sessionId,
+    state,
+    nextOffset: state.offset + rawTranscript.length,
+    recentTranscript: `${state.recentTranscript} ${notesPayload.transcript}`.trim()
+  };
+}
+
+// Merge new bullets into a section under the canonical subheadings, dropping repeats
+function mergeNoteBullets(existing, incoming) {
+  const groups = new Map(LIVE_NOTE_HEADINGS.map((heading) => [heading, []]));
+  const seen = new Set();
+  [existing, incoming].forEach((value) => {
+    let heading = "# Involved #";
+    uniqueShortBullets(value).forEach((line) => {
+      if (isNoteSubheading(line)) {
+        heading = normaliseNoteSubheading(line);
+        return;
+      }
+      const key = line.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      groups.get(heading).push(line);
+    });
+  });
+  return LIVE_NOTE_HEADINGS.flatMap((heading) => {
+    const bullets = groups.get(heading);
+    return bullets.length ? [heading, ...bullets] : [];
+  });
+}
+
+function mergeLiveSection(storedSections, section) {
+  const stored = storedSections.find((entry) => entry.section === section.section);
+  if (!stored) return section;
+  const bullets = mergeNoteBullets(stored.plainText, section.plainText);
+  // A bullet keeps the provenance of whichever chunk first produced it
+  const provenance = new Map();
+  [stored.provenance, section.provenance].forEach((list) => {
+    (Array.isArray(list) ? list : []).forEach((entry) => {
+      const key = String(entry?.bullet || "").toLowerCase();
+      if (key && !provenance.has(key)) provenance.set(key, entry);
+    });
+  });
+  return {
+    ...section,
+    plainText: formatPlainBullets(bullets),
+    naturalLanguage: formatDisplayBullets(bullets),
+    provenance: bullets
+      .filter((line) => !isNoteSubheading(line))
+      .map((line) => provenance.get(line.toLowerCase()))
+      .filter(Boolean)
+  };
+}
+
+function mergeLiveMaterials(storedMaterials, materials) {
+  const key = (entry) => String(entry?.item || "").trim().toLowerCase();
+  const seen = new Set(storedMaterials.map(key));
+  return [
+    ...storedMaterials,
+    ...materials.filter((entry) => {
+      const itemKey = key(entry);
+      if (!itemKey || seen.has(itemKey)) return false;
+      seen.add(itemKey);
+      return true;
+    })
+  ];
+}
+
+const LIVE_SAVE_RETRIES = 2;
+
+// Fold the model result into the stored session, save it and tell the client what was acknowledged
+async function finishLiveNotes(env, live, result) {
+  if (live.mode === "delta") {
+    result.sections = result.sections.map((section) => mergeLiveSection(live.state.sections, section));
+    result.materials = mergeLiveMaterials(live.state.materials, result.materials);
+  }
+
+  const state = {
+    id: live.sessionId,
+    revision: (live.state?.revision || 0) + 1,
+    offset: live.nextOffset,
+    recentTranscript: live.recentTranscript,
+    sections: result.sections
+      .filter((section) => section.plainText)
+      .map(({ section, plainText, naturalLanguage, provenance }) => ({ section, plainText, naturalLanguage, provenance })),
+    materials: result.materials
+  };
+  let saved = await saveLiveNotes(env.DB, state, live.state ? live.state.revision : null);
+  // A full transcript replaces the stored notes, so it can go on top of whatever another request
+  // saved meanwhile. A delta was built on the old notes, so the client has to reconcile instead.
+  for (let attempt = 0; saved.conflict && live.mode === "full" && attempt < LIVE_SAVE_RETRIES; attempt++) {
+    const current = await getLiveNotes(env.DB, live.sessionId);
+    state.revision = (current?.revision || 0) + 1;
+    saved = await saveLiveNotes(env.DB, state, current ? current.revision : null);
+  }
+  const { revision } = state;
+
+  // If the state couldn't be stored the next delta will be refused and the client reconciles
+  result.live = saved.success
+    ? { sessionId: live.sessionId, revision, offset: live.nextOffset, mode: live.mode }
+    : null;
+  return result;
+}
+
+/* ---------- /transcribe ---------- */
+
+async function handleTranscribe(request, env, meter) {
+  let audio;
+  let language;
+  try {
+    const contentType = request.headers.get("Content-Type") || "";
+    if (contentType.includes("multipart/form-data")) {
+      const form = await request.formData();
+      audio = form.get("audio") || form.get("file");
+      language = form.get("language") || undefined;
+    } else {
+      const payload = await request.json();
+      audio = decodeBase64Audio(payload.audio, payload.mimeType);
+      language = payload.language;
+    }
+  } catch {
+    return jsonResponse({
+      error: "bad_request",
+      message: "Send multipart form data with an audio file, or JSON { audio: <base64>, mimeType }"
+    }, 400);
+  }
+
+  if (!audio || typeof audio.arrayBuffer !== "function" || !audio.size) {
+    return jsonResponse({ error: "bad_request", message: "audio required" }, 400);
+  }
+
+  const mimeType = normaliseAudioType(audio.type);
+  if (!mimeType) {
+    return jsonResponse({
+      error: "bad_request",
+      message: "Unsupported audio type; send webm, ogg, wav or m4a"
+    }, 415);
+  }
+
+  if (audio.size > STT_MAX_BYTES) {
+    return jsonResponse({
+      error: "bad_request",
+      message: `Audio is larger than ${Math.round(STT_MAX_BYTES / 1024 / 1024)} MB`
+    }, 413);
+  }
+
+  try {
+    const result = await transcribeAudio(env, audio, {
+      mimeType,
+      language: typeof language === "string" ? language.trim() : undefined
+    });
+    // Speech-to-text is billed by duration, so the call counts towards rate limits without tokens
+    meter?.record(result.provider, result.model, null);
+
+    const { sanitisedTranscript, sanityNotes } = applyTranscriptionSanityChecks(result.text);
+    return jsonResponse({
+      transcript: sanitisedTranscript,
+      rawTranscript: result.text,
+      words: result.words,
+      // Empty unless the provider diarised the recording
+      turns: labelAudioTurns(result.words),
+      duration: result.duration,
+      language: result.language,
+      sanityNotes,
+      provider: result.provider
+    }, 200);
+  } catch (err) {
+    console.error("handleTranscribe provider error:", err);
+    return jsonResponse({ error: "model_error", message: String(err) }, 500);
+  }
+}
+
+// Accept raw base64 or a data: URL from FileReader.readAsDataURL()
+function decodeBase64Audio(value, mimeType) {
+  if (typeof value !== "string" || !value) return null;
+  const match = value.match(/^data:([^;,]+(?:;[^;,]+)*?);base64,(.*)$/s);
+  const base64 = (match ? match[2] : value).replace(/\s+/g, "");
+  const binary = atob(base64);
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new Blob([bytes], { type: (match ? match[1] : mimeType) || "" });
+}
+
 /* ---------- /bug-report ---------- */
 
 async function handleBugReport(request, env) {
@@ -457,7 +993,7 @@ function escapeHtml(unsafe) {
 
 /* ---------- /tweak-section ---------- */
 
-async function handleTweakSection(request, env) {
+async function handleTweakSection(request, env, meter) {
   let payload;
   try {
     payload = await request.json();
@@ -501,7 +1037,7 @@ async function handleTweakSection(request, env) {
       plainText,
       naturalLanguage,
       instructions: instructions.trim()
-    });
+    }, meter);
     return jsonResponse(improved, 200);
   } catch (err) {
     console.error("handleTweakSection error:", err);
@@ -514,7 +1050,7 @@ async function handleTweakSection(request, env) {
 
 /* ---------- /agent-chat ---------- */
 
-async function handleAgentChat(request, env) {
+async function handleAgentChat(request, env, meter) {
   let payload;
   try {
     payload = await request.json();
@@ -536,15 +1072,15 @@ async function handleAgentChat(request, env) {
 
   try {
     const { sanitisedTranscript, sanityNotes } = applyTranscriptionSanityChecks(context?.transcript || "");
-    const response = await agentChatWithAI(env, {
+    const { response, references } = await agentChatWithAI(env, {
       message: message.trim(),
       context: {
         ...context,
         transcript: sanitisedTranscript,
         sanityNotes: Array.isArray(sanityNotes) ? sanityNotes : []
       }
-    });
-    return jsonResponse({ response }, 200);
+    }, meter);
+    return jsonResponse({ response, references }, 200);
   } catch (err) {
     console.error("handleAgentChat error:", err);
     return jsonResponse(
@@ -554,19 +1090,14 @@ async function handleAgentChat(request, env) {
   }
 }
 
-async function agentChatWithAI(env, payload) {
-  const openaiKey = env.OPENAI_API_KEY;
-  const geminiKey = env.GEMINI_API_KEY;
-  const anthropicKey = env.ANTHROPIC_API_KEY;
-
-  if (!openaiKey && !geminiKey && !anthropicKey) {
-    throw new Error("At least one of OPENAI_API_KEY, GEMINI_API_KEY, or ANTHROPIC_API_KEY must be configured");
-  }
-
+async function agentChatWithAI(env, payload, meter) {
   const { message, context, customInstructions } = payload;
 
-  // Fetch reference materials from database
-  const referenceMaterials = await fetchReferenceMaterials(env, context.transcript || '');
+  // Fetch reference materials relevant to the question and the survey so far
+  const referenceContext = await fetchReferenceContext(env, `${context.transcript || ''}\n${message}`);
+  const referenceMaterials = referenceContext.text
+    ? `${referenceContext.text}\n\nWhen an answer relies on a reference material, cite it inline using its heading, e.g. (Greenstar 30i manual (greenstar-30i.pdf, p. 12)).`
+    : "";
 
   // Use custom instructions if provided, otherwise use default
   const defaultSystemPrompt = `You are an AI assistant helping with heating survey work for a British Gas style boiler installation surveyor.
@@ -615,110 +1146,15 @@ IMPORTANT:
     sanityNotes: context.sanityNotes || []
   });
 
-  // Try Gemini first, fall back to OpenAI, then Anthropic if it fails
-  let response;
-  let lastError;
-
-  if (geminiKey) {
-    try {
-      console.log("Attempting to call Gemini for agent chat...");
-      response = await callGeminiChat(
-        geminiKey,
-        systemPrompt,
-        userContent,
-        0.5
-      );
-      console.log("Gemini call successful");
-    } catch (err) {
-      console.error("Gemini call failed:", String(err));
-      lastError = err;
-      response = null;
-    }
-  }
-
-  // Fall back to OpenAI if Gemini failed or wasn't available
-  if (!response && openaiKey) {
-    try {
-      console.log("Falling back to OpenAI for agent chat...");
-      const body = {
-        model: "gpt-4.1",
-        temperature: 0.5,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userContent }
-        ]
-      };
-
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiKey}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(body)
-      });
-
-      const rawText = await res.text();
-
-      if (!res.ok) {
-        throw new Error(`OpenAI chat.completions ${res.status}: ${rawText}`);
-      }
-
-      let parsed;
-      try {
-        parsed = JSON.parse(rawText);
-      } catch (err) {
-        throw new Error(`OpenAI returned non-JSON response: ${String(err)} :: ${rawText}`);
-      }
-
-      const content = parsed?.choices?.[0]?.message?.content;
-      if (!content || typeof content !== "string") {
-        throw new Error("No content from OpenAI model");
-      }
-
-      response = content.trim();
-      console.log("OpenAI call successful");
-    } catch (err) {
-      console.error("OpenAI call failed:", String(err));
-      lastError = err;
-      response = null;
-    }
-  }
-
-  // Fall back to Anthropic if Gemini and OpenAI failed or weren't available
-  if (!response && anthropicKey) {
-    try {
-      console.log("Falling back to Anthropic for agent chat...");
-      response = await callAnthropicChat(
-        anthropicKey,
-        systemPrompt,
-        userContent,
-        0.5
-      );
-      console.log("Anthropic call successful");
-    } catch (err) {
-      console.error("Anthropic call failed:", String(err));
-      lastError = err;
-      response = null;
-    }
-  }
-
-  if (!response) {
-    throw new Error(`All AI providers failed. Last error: ${String(lastError)}`);
-  }
+  const { text: response } = await chatWithFallback(env, "/agent-chat", [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userContent }
+  ], { temperature: 0.5, meter });
 
-  return response;
+  return { response, references: referenceContext.references };
 }
 
-async function tweakSectionWithAI(env, payload) {
-  const openaiKey = env.OPENAI_API_KEY;
-  const geminiKey = env.GEMINI_API_KEY;
-  const anthropicKey = env.ANTHROPIC_API_KEY;
-
-  if (!openaiKey && !geminiKey && !anthropicKey) {
-    throw new Error("At least one of OPENAI_API_KEY, GEMINI_API_KEY, or ANTHROPIC_API_KEY must be configured");
-  }
-
+async function tweakSectionWithAI(env, payload, meter) {
   const { sectionName, plainText, naturalLanguage, instructions, customInstructions } = payload;
 
   // Use custom instructions if provided, otherwise use default
@@ -765,101 +1201,10 @@ Do not include any explanation outside the JSON.`;
     instructions
   };
 
-  // Try Gemini first, fall back to OpenAI, then Anthropic if it fails
-  let trimmedContent;
-  let lastError;
-
-  if (geminiKey) {
-    try {
-      console.log("Attempting to call Gemini for section tweak...");
-      trimmedContent = await callGeminiChat(
-        geminiKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.3
-      );
-      console.log("Gemini call successful");
-    } catch (err) {
-      console.error("Gemini call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  // Fall back to OpenAI if Gemini failed or wasn't available
-  if (!trimmedContent && openaiKey) {
-    try {
-      console.log("Falling back to OpenAI for section tweak...");
-      const body = {
-        model: "gpt-4.1",
-        temperature: 0.3,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: JSON.stringify(userPayload) }
-        ]
-      };
-
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiKey}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(body)
-      });
-
-      const rawText = await res.text();
-
-      if (!res.ok) {
-        throw new Error(`OpenAI chat.completions ${res.status}: ${rawText}`);
-      }
-
-      let parsed;
-      try {
-        parsed = JSON.parse(rawText);
-      } catch (err) {
-        throw new Error(`OpenAI returned non-JSON response: ${String(err)} :: ${rawText}`);
-      }
-
-      const content = parsed?.choices?.[0]?.message?.content;
-      if (!content || typeof content !== "string") {
-        throw new Error("No content from OpenAI model");
-      }
-
-      trimmedContent = content.trim();
-      if (!trimmedContent) {
-        throw new Error("OpenAI model content was empty");
-      }
-
-      console.log("OpenAI call successful");
-    } catch (err) {
-      console.error("OpenAI call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  // Fall back to Anthropic if Gemini and OpenAI failed or weren't available
-  if (!trimmedContent && anthropicKey) {
-    try {
-      console.log("Falling back to Anthropic for section tweak...");
-      trimmedContent = await callAnthropicChat(
-        anthropicKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.3
-      );
-      console.log("Anthropic call successful");
-    } catch (err) {
-      console.error("Anthropic call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  if (!trimmedContent) {
-    throw new Error(`All AI providers failed. Last error: ${String(lastError)}`);
-  }
+  const { text: trimmedContent } = await chatWithFallback(env, "/tweak-section", [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: JSON.stringify(userPayload) }
+  ], { temperature: 0.3, meter });
 
   let jsonOut;
   try {
@@ -904,27 +1249,39 @@ async function handleQuery(request, env) {
     );
   }
 
-  const { query, params = [] } = payload || {};
+  const { name, params = {}, limit } = payload || {};
 
-  if (typeof query !== "string" || !query.trim()) {
+  if (payload?.query !== undefined) {
     return jsonResponse(
-      { error: "bad_request", message: "query string required" },
-      400
+      { error: "forbidden", message: "free-form SQL is not accepted; call a named query instead" },
+      403
     );
   }
 
-  const trimmedQuery = query.trim();
-  if (!trimmedQuery.toLowerCase().startsWith("select")) {
+  if (typeof name !== "string" || !name.trim()) {
     return jsonResponse(
-      { error: "forbidden", message: "only SELECT queries are allowed" },
-      403
+      { error: "bad_request", message: "query name required" },
+      400
     );
   }
 
+  const prepared = prepareNamedQuery(name.trim(), params, limit);
+  if (!prepared.success) {
+    return jsonResponse({ error: prepared.error, message: prepared.message }, prepared.status);
+  }
+
+  if (prepared.definition.requiresAuth) {
+    const auth = await requireAuth(request, env);
+    if (!auth.authenticated) {
+      return jsonResponse({ error: "unauthorized", message: auth.error }, 401);
+    }
+  }
+
   try {
-    const stmt = env.DB.prepare(trimmedQuery);
-    const result = await stmt.bind(...(Array.isArray(params) ? params : [])).all();
-    return jsonResponse({ results: result.results || [], success: result.success !== false }, 200);
+    const stmt = env.DB.prepare(prepared.definition.sql);
+    const result = await stmt.bind(...prepared.values).all();
+    const rows = (result.results || []).slice(0, prepared.limit);
+    return jsonResponse({ name: name.trim(), results: rows, success: result.success !== false }, 200);
   } catch (err) {
     console.error("handleQuery DB error:", err);
     return jsonResponse(
@@ -936,7 +1293,7 @@ async function handleQuery(request, env) {
 
 /* ---------- /generate-presentation ---------- */
 
-async function handleGeneratePresentation(request, env) {
+async function handleGeneratePresentation(request, env, meter) {
   let payload;
   try {
     payload = await request.json();
@@ -976,7 +1333,7 @@ async function handleGeneratePresentation(request, env) {
       materials: materials || [],
       customerSummary: customerSummary || '',
       recommendations
-    });
+    }, meter);
     return jsonResponse(result, 200);
   } catch (err) {
     console.error("handleGeneratePresentation error:", err);
@@ -987,15 +1344,7 @@ async function handleGeneratePresentation(request, env) {
   }
 }
 
-async function generatePresentationWithAI(env, payload) {
-  const openaiKey = env.OPENAI_API_KEY;
-  const geminiKey = env.GEMINI_API_KEY;
-  const anthropicKey = env.ANTHROPIC_API_KEY;
-
-  if (!openaiKey && !geminiKey && !anthropicKey) {
-    throw new Error("At least one of OPENAI_API_KEY, GEMINI_API_KEY, or ANTHROPIC_API_KEY must be configured");
-  }
-
+async function generatePresentationWithAI(env, payload, meter) {
   const {
     transcript,
     sections,
@@ -1092,97 +1441,10 @@ Make it personal, specific, and conversational.`.trim();
     }))
   };
 
-  // Try Gemini first, fall back to OpenAI, then Anthropic if it fails
-  let trimmedContent;
-  let lastError;
-
-  if (geminiKey) {
-    try {
-      console.log("Attempting to call Gemini for presentation generation...");
-      trimmedContent = await callGeminiChat(
-        geminiKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.7
-      );
-      console.log("Gemini call successful");
-    } catch (err) {
-      console.error("Gemini call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  // Fall back to OpenAI if Gemini failed or wasn't available
-  if (!trimmedContent && openaiKey) {
-    try {
-      console.log("Falling back to OpenAI for presentation generation...");
-      const body = {
-        model: "gpt-4.1",
-        temperature: 0.7,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: JSON.stringify(userPayload) }
-        ]
-      };
-
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiKey}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(body)
-      });
-
-      const rawText = await res.text();
-
-      if (!res.ok) {
-        throw new Error(`OpenAI chat.completions ${res.status}: ${rawText}`);
-      }
-
-      let parsed;
-      try {
-        parsed = JSON.parse(rawText);
-      } catch (err) {
-        throw new Error(`OpenAI returned non-JSON response: ${String(err)} :: ${rawText}`);
-      }
-
-      const content = parsed?.choices?.[0]?.message?.content;
-      if (!content || typeof content !== "string") {
-        throw new Error("No content from OpenAI model");
-      }
-
-      trimmedContent = content.trim();
-      console.log("OpenAI call successful");
-    } catch (err) {
-      console.error("OpenAI call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  // Fall back to Anthropic if Gemini and OpenAI failed or weren't available
-  if (!trimmedContent && anthropicKey) {
-    try {
-      console.log("Falling back to Anthropic for presentation generation...");
-      trimmedContent = await callAnthropicChat(
-        anthropicKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.7
-      );
-      console.log("Anthropic call successful");
-    } catch (err) {
-      console.error("Anthropic call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  if (!trimmedContent) {
-    throw new Error(`All AI providers failed. Last error: ${String(lastError)}`);
-  }
+  const { text: trimmedContent } = await chatWithFallback(env, "/generate-presentation", [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: JSON.stringify(userPayload) }
+  ], { temperature: 0.7, meter });
 
   let jsonOut;
   try {
@@ -1233,125 +1495,59 @@ function buildConversationContext(transcript, sections, materials, customerSumma
   return context;
 }
 
-async function callAnthropicChat(apiKey, systemPrompt, userContent, temperature = 0.2) {
-  if (!apiKey) throw new Error("ANTHROPIC_API_KEY not configured");
-
-  const body = {
-    model: "claude-sonnet-4-5-20250929",
-    max_tokens: 4096,
-    temperature,
-    system: systemPrompt,
-    messages: [
-      { role: "user", content: userContent }
-    ]
-  };
-
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
-
-  const rawText = await res.text();
-
-  if (!res.ok) {
-    throw new Error(`anthropic.messages ${res.status}: ${rawText}`);
-  }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(rawText);
-  } catch (err) {
-    throw new Error(`Anthropic returned non-JSON response: ${String(err)} :: ${rawText}`);
-  }
-
-  const content = parsed?.content?.[0]?.text;
-  if (!content || typeof content !== "string") {
-    throw new Error("No content from Anthropic model");
-  }
+/* ---------- Reference Materials Fetcher ---------- */
 
-  return content.trim();
+async function fetchReferenceMaterials(env, transcript) {
+  const { text } = await fetchReferenceContext(env, transcript);
+  return text;
 }
 
-async function callGeminiChat(apiKey, systemPrompt, userContent, temperature = 0.2) {
-  if (!apiKey) throw new Error("GEMINI_API_KEY not configured");
+// Reference text for the prompt plus the documents/pages it was drawn from, for citations
+async function fetchReferenceContext(env, transcript) {
+  const empty = { text: "", references: [] };
+  if (!env.DB) return empty;
 
-  // Gemini API combines system and user content differently
-  const body = {
-    contents: [
-      {
-        role: "user",
-        parts: [
-          { text: `${systemPrompt}\n\n${userContent}` }
-        ]
-      }
-    ],
-    generationConfig: {
-      temperature,
-      maxOutputTokens: 4096
-    }
+  const tokenBudget = Number(env.REFERENCE_TOKEN_BUDGET) || DEFAULT_REFERENCE_TOKEN_BUDGET;
+  const toContext = (heading, rows) => {
+    const fitted = fitReferenceSnippets(rows, tokenBudget);
+    if (!fitted.length) return null;
+    return {
+      text: `${heading}\n${fitted.map(entry => entry.block).join("\n\n")}`,
+      references: fitted.map(({ row }) => ({
+        document: row.title || row.source || "Untitled",
+        source: row.source || null,
+        page: row.page ?? null,
+        citation: referenceCitation(row)
+      }))
+    };
   };
 
-  // Note: Gemini API requires the API key as a query parameter (standard Google API practice)
-  // This is server-side only, so the key is not exposed to clients
-  const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${apiKey}`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
-
-  const rawText = await res.text();
-
-  if (!res.ok) {
-    throw new Error(`gemini.generateContent ${res.status}: ${rawText}`);
+  // Ranked snippets for the products and terms mentioned in this transcript
+  const search = await searchReferenceMaterials(env.DB, transcript);
+  if (search.success && search.results.length) {
+    const context = toContext(
+      `=== Reference Materials from Database (most relevant to: ${search.terms.join(", ")}) ===`,
+      search.results
+    );
+    if (context) return context;
   }
 
-  let parsed;
+  // Nothing matched (or the index is unavailable) - fall back to the latest rows, still within budget
   try {
-    parsed = JSON.parse(rawText);
-  } catch (err) {
-    throw new Error(`Gemini returned non-JSON response: ${String(err)} :: ${rawText}`);
-  }
-
-  const content = parsed?.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!content || typeof content !== "string") {
-    throw new Error("No content from Gemini model");
-  }
-
-  return content.trim();
-}
+    const columns = await getReferenceMaterialColumns(env);
+    const query = buildReferenceMaterialQuery(columns);
+    const result = await env.DB.prepare(query).all();
 
-/* ---------- Reference Materials Fetcher ---------- */
-
-async function fetchReferenceMaterials(env, transcript) {
-  const materials = [];
-
-  try {
-    if (env.DB) {
-      const columns = await getReferenceMaterialColumns(env);
-      const query = buildReferenceMaterialQuery(columns);
-      const result = await env.DB.prepare(query).all();
-
-      if (result.success && result.results && result.results.length > 0) {
-        materials.push("=== Reference Materials from Database (latest versions preferred) ===");
-        result.results.forEach(row => {
-          materials.push(`\n${row.title || 'Untitled'}:`);
-          materials.push(row.content || '');
-        });
-      }
+    if (result.success && result.results && result.results.length > 0) {
+      const context = toContext("=== Reference Materials from Database (latest versions preferred) ===", result.results);
+      if (context) return context;
     }
   } catch (err) {
     console.error("Failed to fetch reference materials from DB:", err);
     // Don't fail the whole request if reference fetch fails
   }
 
-  return materials.length > 0 ? materials.join("\n") : "";
+  return empty;
 }
 
 async function getReferenceMaterialColumns(env) {
@@ -1392,11 +1588,18 @@ function buildReferenceMaterialQuery(columns) {
 
 function applyTranscriptionSanityChecks(transcript) {
   if (typeof transcript !== "string") {
-    return { sanitisedTranscript: "", sanityNotes: [] };
+    return { sanitisedTranscript: "", sanityNotes: [], corrections: [] };
   }
 
   const allowedPipeSizes = [8, 10, 15, 22, 28, 35];
   const sanityNotes = [];
+  // What was heard and what it became, so note bullets built on a correction can say so
+  const corrections = [];
+  const recordCorrection = (original, corrected, description) => {
+    if (original.toLowerCase() === corrected.toLowerCase()) return;
+    if (corrections.some((entry) => entry.original === original && entry.corrected === corrected)) return;
+    corrections.push({ original, corrected, description });
+  };
   let sanitisedTranscript = transcript;
 
   // Heating industry glossary - correct common mishearings
@@ -1441,13 +1644,14 @@ function applyTranscriptionSanityChecks(transcript) {
     const originalTranscript = sanitisedTranscript;
     sanitisedTranscript = sanitisedTranscript.replace(pattern, (match) => {
       // Preserve the original case if it was all caps or title case
+      let corrected = replacement;
       if (match === match.toUpperCase() && match.length > 1) {
-        return replacement.toUpperCase();
-      }
-      if (match[0] === match[0].toUpperCase()) {
-        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+        corrected = replacement.toUpperCase();
+      } else if (match[0] === match[0].toUpperCase()) {
+        corrected = replacement.charAt(0).toUpperCase() + replacement.slice(1);
       }
-      return replacement;
+      recordCorrection(match, corrected, description);
+      return corrected;
     });
     
     if (originalTranscript !== sanitisedTranscript) {
@@ -1492,12 +1696,14 @@ function applyTranscriptionSanityChecks(transcript) {
       // If last two digits are in valid boiler range (12-45)
       if (lastTwoDigits >= 12 && lastTwoDigits <= 45) {
         sanityNotes.push(`Corrected probable kW mishearing: ${match} → ${lastTwoDigits}kW`);
+        recordCorrection(match, `${lastTwoDigits}kW`, "probable kW mishearing");
         return `${lastTwoDigits}kW`;
       }
 
       // If leading digits are in valid boiler range
       if (leadingDigits >= 12 && leadingDigits <= 45) {
         sanityNotes.push(`Corrected probable kW mishearing: ${match} → ${leadingDigits}kW`);
+        recordCorrection(match, `${leadingDigits}kW`, "probable kW mishearing");
         return `${leadingDigits}kW`;
       }
     }
@@ -1532,13 +1738,14 @@ function applyTranscriptionSanityChecks(transcript) {
     const correctedSize = closestValue(size, allowedPipeSizes);
     if (correctedSize) {
       sanityNotes.push(`Normalised pipe size ${size}mm to ${correctedSize}mm based on standard dimensions.`);
+      recordCorrection(match, `${correctedSize}mm`, "non-standard pipe size");
       return `${correctedSize}mm`;
     }
 
     return match;
   });
 
-  return { sanitisedTranscript: sanitisedTranscript.trim(), sanityNotes };
+  return { sanitisedTranscript: sanitisedTranscript.trim(), sanityNotes, corrections };
 }
 
 function closestValue(value, candidates) {
@@ -1974,11 +2181,16 @@ No waffle. No hedging. No duplication.
 Only clear instructions and justified changes.
 `;
 
-function buildDepotNotesInstructions(customInstructions, referenceMaterials) {
-  const base = (customInstructions && typeof customInstructions === "string" && customInstructions.trim())
+function buildDepotNotesInstructions(customInstructions, referenceMaterials, template = null) {
+  let base = (customInstructions && typeof customInstructions === "string" && customInstructions.trim())
     ? customInstructions.trim()
     : DEFAULT_DEPOT_NOTES_INSTRUCTIONS.trim();
 
+  const overlay = templateInstructions(template);
+  if (overlay) {
+    base = `${base}\n\n${overlay}`;
+  }
+
   if (referenceMaterials && typeof referenceMaterials === "string" && referenceMaterials.trim()) {
     return `${base}\n\nReference materials to use:\n${referenceMaterials.trim()}`;
   }
@@ -1986,44 +2198,73 @@ function buildDepotNotesInstructions(customInstructions, referenceMaterials) {
   return base;
 }
 
-async function callNotesModel(env, payload) {
-  const openaiKey = env.OPENAI_API_KEY;
-  const geminiKey = env.GEMINI_API_KEY;
-  const anthropicKey = env.ANTHROPIC_API_KEY;
-
-  if (!openaiKey && !geminiKey && !anthropicKey) {
-    throw new Error("At least one of OPENAI_API_KEY, GEMINI_API_KEY, or ANTHROPIC_API_KEY must be configured");
-  }
-
+async function callNotesModel(env, payload, meter, { onSection = null } = {}) {
   const {
     transcript,
     checklistItems: rawChecklistItems = [],
     deterministicScope = { selectedItems: [], sections: [], materials: [], tags: [] },
     depotSections: depotSectionsRaw = [],
     alreadyCaptured = [],
+    recentTranscript = "",
     sectionHints = {},
     forceStructured = false,
     sanityNotes = [],
-    customInstructions = ""
+    corrections = [],
+    confirmedFacts = [],
+    customInstructions = "",
+    checklistTemplate = ""
   } = payload || {};
 
-  const checklistFromPayload = sanitiseChecklistConfig(rawChecklistItems);
+  const checklistFromPayload = sanitiseChecklistConfig(rawChecklistItems, checklistTemplate);
+  const defaultChecklist = checklistTemplate
+    ? sanitiseChecklistConfig(checklistConfig, checklistTemplate)
+    : DEFAULT_CHECKLIST_CONFIG;
   const checklistItems = checklistFromPayload.items.length
     ? checklistFromPayload.items
-    : cloneChecklistItems(DEFAULT_CHECKLIST_CONFIG.items);
-
-  const activeSchemaInfo = getSchemaInfoFromPayload(depotSectionsRaw);
+    : cloneChecklistItems(defaultChecklist.items);
+  // The job type's template: from the app's config, else from checklist.config.json
+  const template = checklistFromPayload.template || defaultChecklist.template;
+
+  // Checklist rules run before the model sees the scope: their materials join the locked
+  // scope and their questions are asked whatever the model returns
+  const ruleResults = evaluateRules(checklistFromPayload.rules || defaultChecklist.rules || [], deterministicScope);
+  const ruleMaterials = ruleResults.materials
+    .map((material) => resolveRuleMaterial(material, deterministicScope))
+    .filter((material) => material && !deterministicScope.materials
+      .some((existing) => String(existing?.item || "").trim().toLowerCase() === material.item.toLowerCase()));
+  const scopeForModel = ruleMaterials.length
+    ? { ...deterministicScope, materials: [...deterministicScope.materials, ...ruleMaterials] }
+    : deterministicScope;
+  const ruleQuestions = ruleResults.questions.map(({ target, question }) => ({ target, question }));
+
+  const activeSchemaInfo = getSchemaInfoFromPayload(depotSectionsRaw, template);
+  const provenanceContext = {
+    transcript,
+    corrections,
+    checklistBullets: deterministicScope.sections
+      .flatMap((section) => splitNoteBullets(section.plainText))
+      .filter((line) => !isNoteSubheading(line))
+  };
   const sectionListText = activeSchemaInfo.names
     .map((name, idx) => `${idx + 1}. ${name}`)
     .join("\n");
 
-  // Fetch reference materials from database
-  const referenceMaterials = await fetchReferenceMaterials(env, transcript);
+  // Fetch reference materials ranked for this transcript
+  const referenceContext = await fetchReferenceContext(env, transcript);
+  const referenceMaterials = referenceContext.text;
+  const citationInstructions = referenceContext.references.length
+    ? `
+REFERENCE CITATIONS:
+- Reference headings are written as "Document (file, p. N)".
+- When a bullet or material relies on a reference material rather than the transcript, add an entry to "citations" with the section, the bullet text, the document title and page from that heading.
+- Never cite a document that is not listed in the reference materials.
+`
+    : "";
 
   // IMPORTANT: we do NOT use response_format here.
   // Instead we *ask* for JSON and parse it ourselves.
   const systemPrompt = `
-${buildDepotNotesInstructions(customInstructions, referenceMaterials)}
+${buildDepotNotesInstructions(customInstructions, referenceMaterials, template)}
 
 Depot section names (in order):
 ${sectionListText}
@@ -2057,6 +2298,7 @@ CRITICAL DEDUPLICATION RULES:
 - Within each section, avoid listing the same information multiple times even if worded differently.
 - For materials, do NOT duplicate items already in the list (check item names, not just exact strings).
 - If the transcript only repeats what's already captured, return empty or minimal content for that section.
+- recentTranscript, when present, is speech from earlier in the visit that has already been captured. Use it only to understand the new transcript; do not add notes from it.
 
 REAL-TIME QUESTION GENERATION:
 - As you process the live transcript, identify what information is MISSING or UNCLEAR.
@@ -2067,6 +2309,7 @@ REAL-TIME QUESTION GENERATION:
 - Do not ask merely because optional details are absent.
 - Do not ask for make, model, serial number, dimensions, or product preference unless it is necessary to resolve a contradiction.
 - Do not repeat questions already answered by deterministicScope.
+- ruleQuestions, when present, are already being asked by the checklist rules. Do not repeat them in missingInfo.
 - Keep missingInfo short. Ask only the questions that would materially tighten the job notes.
 
 BULLET FORMAT:
@@ -2084,6 +2327,18 @@ BULLET FORMAT:
 - Put customer agreements/actions only in the Customer actions section under # Agreed #. Do not repeat customer agreements in technical sections or Office notes.
 - If a section has bullets but no specific subheading is obvious, put them under # Involved #.
 
+FACTS AND CONFIDENCE:
+- Return "facts" for these key facts when the transcript states them:
+${FACT_KINDS.map((kind) => `  - ${kind.id}: ${kind.hint}`).join("\n")}
+- Give each fact a short value, a confidence from 0 to 1 and the exact transcript words it came from as "quote".
+- Use high confidence only when the fact is stated clearly. Use low confidence when it is implied, garbled, hedged or contradicted later.
+- confirmedFacts, when present, were confirmed by the surveyor. Treat them as locked like deterministicScope: never contradict them in the notes and do not return facts with the same id.
+
+EVIDENCE:
+- For every bullet taken from the transcript, add an entry to that section's "evidence" with the bullet text and the exact words from the transcript it came from.
+- Quote the transcript word for word. Do not paraphrase the quote.
+- Leave bullets that come from deterministicScope or your own inference out of "evidence".
+
 You MUST respond with ONLY valid JSON matching this shape:
 
 {
@@ -2092,7 +2347,10 @@ You MUST respond with ONLY valid JSON matching this shape:
     {
       "section": "<one of the depot section names>",
       "plainText": "# Coming out #; Short bullet; # Going in #; Another short bullet;",
-      "naturalLanguage": "# Coming out #\n- Short bullet\n# Going in #\n- Another short bullet"
+      "naturalLanguage": "# Coming out #\n- Short bullet\n# Going in #\n- Another short bullet",
+      "evidence": [
+        { "bullet": "Short bullet", "quote": "exact words from the transcript" }
+      ]
     }
   ],
   "materials": [
@@ -2105,9 +2363,15 @@ You MUST respond with ONLY valid JSON matching this shape:
   ],
   "missingInfo": [
     { "target": "expert | customer", "question": "Short question if anything important is unclear." }
-  ]
+  ],
+  "facts": [
+    { "id": "${FACT_KINDS.map((kind) => kind.id).join(" | ")}", "value": "Short fact", "confidence": 0.9, "quote": "exact words from the transcript" }
+  ]${citationInstructions ? `,
+  "citations": [
+    { "section": "<depot section name>", "statement": "Bullet text", "document": "Document title", "page": 12 }
+  ]` : ""}
 }
-
+${citationInstructions}
 Do not wrap the JSON in backticks or markdown.
 Do not include any explanation outside the JSON.
 If something isn't mentioned, leave it out rather than guessing.
@@ -2117,114 +2381,37 @@ Always preserve boiler/cylinder make & model exactly as spoken.
   const userPayload = {
     transcript,
     checklistItems,
-    deterministicScope,
+    deterministicScope: scopeForModel,
     depotSections: activeSchemaInfo.schema,
     alreadyCaptured,
+    ...(recentTranscript ? { recentTranscript } : {}),
+    ...(confirmedFacts.length ? { confirmedFacts } : {}),
+    ...(ruleQuestions.length ? { ruleQuestions } : {}),
     expectedSections: activeSchemaInfo.names,
     sectionHints,
     forceStructured,
     sanityNotes
   };
 
-  // Try Gemini first, fall back to OpenAI, then Anthropic if it fails
-  let trimmedContent;
-  let lastError;
-  let apiProvider = null;
-
-  if (geminiKey) {
-    try {
-      console.log("Attempting to call Gemini for notes model...");
-      trimmedContent = await callGeminiChat(
-        geminiKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.2
-      );
-      apiProvider = "Gemini";
-      console.log("Gemini call successful");
-    } catch (err) {
-      console.error("Gemini call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  // Fall back to OpenAI if Gemini failed or wasn't available
-  if (!trimmedContent && openaiKey) {
-    try {
-      console.log("Falling back to OpenAI for notes model...");
-      const body = {
-        model: "gpt-4.1",
-        temperature: 0.2,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: JSON.stringify(userPayload) }
-        ]
-      };
-
-      const res = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Authorization": `Bearer ${openaiKey}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(body)
-      });
-
-      const rawText = await res.text();
-
-      if (!res.ok) {
-        throw new Error(`OpenAI chat.completions ${res.status}: ${rawText}`);
-      }
-
-      let parsed;
-      try {
-        parsed = JSON.parse(rawText);
-      } catch (err) {
-        throw new Error(`OpenAI returned non-JSON response: ${String(err)} :: ${rawText}`);
+  // When streaming, report each section as soon as the model has finished writing it
+  let streamedCount = 0;
+  let streamedLength = 0;
+  const onDelta = onSection
+    ? (textSoFar) => {
+      if (textSoFar.length < streamedLength) streamedCount = 0; // a fallback provider started again
+      streamedLength = textSoFar.length;
+      const finished = extractCompleteArrayItems(textSoFar, "sections");
+      for (; streamedCount < finished.length; streamedCount++) {
+        const section = normaliseModelSection(finished[streamedCount], activeSchemaInfo, provenanceContext);
+        if (section) onSection(section);
       }
-
-      const content = parsed?.choices?.[0]?.message?.content;
-      if (!content || typeof content !== "string") {
-        throw new Error("No content from OpenAI model");
-      }
-
-      trimmedContent = content.trim();
-      if (!trimmedContent) {
-        throw new Error("OpenAI model content was empty");
-      }
-
-      apiProvider = "OpenAI";
-      console.log("OpenAI call successful");
-    } catch (err) {
-      console.error("OpenAI call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
     }
-  }
+    : null;
 
-  // Fall back to Anthropic if Gemini and OpenAI failed or weren't available
-  if (!trimmedContent && anthropicKey) {
-    try {
-      console.log("Falling back to Anthropic for notes model...");
-      trimmedContent = await callAnthropicChat(
-        anthropicKey,
-        systemPrompt,
-        JSON.stringify(userPayload),
-        0.2
-      );
-      apiProvider = "Anthropic";
-      console.log("Anthropic call successful");
-    } catch (err) {
-      console.error("Anthropic call failed:", String(err));
-      lastError = err;
-      trimmedContent = null;
-    }
-  }
-
-  if (!trimmedContent) {
-    throw new Error(`All AI providers failed. Last error: ${String(lastError)}`);
-  }
+  const { text: trimmedContent, label: apiProvider } = await chatWithFallback(env, "/text", [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: JSON.stringify(userPayload) }
+  ], { temperature: 0.2, meter, onDelta });
 
   let jsonOut;
   try {
@@ -2240,7 +2427,21 @@ Always preserve boiler/cylinder make & model exactly as spoken.
   if (!Array.isArray(jsonOut.missingInfo)) jsonOut.missingInfo = [];
   delete jsonOut.customerSummary;
 
-  jsonOut.sections = normaliseSectionsFromModel(jsonOut.sections, activeSchemaInfo);
+  const askedByRules = new Set(ruleQuestions.map((entry) => entry.question.toLowerCase()));
+  jsonOut.missingInfo = [
+    ...ruleQuestions,
+    ...jsonOut.missingInfo.filter((entry) => !askedByRules.has(String(entry?.question || "").trim().toLowerCase()))
+  ];
+
+  jsonOut.sections = normaliseSectionsFromModel(jsonOut.sections, activeSchemaInfo, provenanceContext);
+  jsonOut.citations = normaliseCitations(jsonOut.citations, referenceContext.references);
+  // Confirmed facts are pinned; the model's own facts are scored against the transcript
+  jsonOut.facts = mergeFacts(
+    confirmedFacts,
+    normaliseFacts((Array.isArray(jsonOut.facts) ? jsonOut.facts : []).map((fact) => ({ ...fact, confirmed: false })))
+      .map((fact) => weighFactEvidence(fact, { transcript, corrections }))
+  );
+  jsonOut.references = referenceContext.references;
 
   // Add API provider metadata
   jsonOut.processedBy = apiProvider;
@@ -2249,6 +2450,31 @@ Always preserve boiler/cylinder make & model exactly as spoken.
   return jsonOut;
 }
 
+// Keep only citations that point at a document (and page) actually given to the model
+function normaliseCitations(value, references) {
+  if (!Array.isArray(value) || !Array.isArray(references) || !references.length) return [];
+  const key = (name) => String(name || "").trim().toLowerCase();
+
+  return value
+    .map(entry => {
+      if (!entry || typeof entry !== "object") return null;
+      const document = key(entry.document);
+      const matches = references.filter(ref => key(ref.document) === document || key(ref.source) === document);
+      if (!matches.length) return null;
+      const page = entry.page === undefined || entry.page === null || entry.page === "" ? null : Number(entry.page);
+      const reference = matches.find(ref => page !== null && Number(ref.page) === page) || matches[0];
+      return {
+        section: entry.section != null ? String(entry.section).trim() : "",
+        statement: entry.statement != null ? String(entry.statement).trim() : "",
+        document: reference.document,
+        source: reference.source,
+        page: reference.page,
+        citation: reference.citation
+      };
+    })
+    .filter(Boolean);
+}
+
 function normaliseCapturedSections(value) {
   if (!Array.isArray(value)) return [];
   return value
@@ -2391,35 +2617,64 @@ function resolveCanonicalSectionName(name, schemaInfo) {
   return schemaInfo.keyLookup.get(key) || null;
 }
 
-function normaliseSectionsFromModel(rawSections, schemaInfo) {
+// Phrase the model quoted for each bullet, keyed by lower-cased bullet text
+function normaliseModelEvidence(value) {
+  const quotes = new Map();
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    if (!entry || typeof entry !== "object") return;
+    const bullet = String(entry.bullet || "").replace(/\.$/, "").trim().toLowerCase();
+    const quote = String(entry.quote || "").trim();
+    if (bullet && quote && !quotes.has(bullet)) quotes.set(bullet, quote);
+  });
+  return quotes;
+}
+
+// Canonical name and tidied bullets for one model section, or null if it isn't a known section.
+// With a provenance context each bullet is also tagged with where it came from.
+function normaliseModelSection(entry, schemaInfo, provenanceContext = null) {
+  if (!entry || typeof entry !== "object") return null;
+  const rawName = typeof entry.section === "string"
+    ? entry.section.trim()
+    : typeof entry.name === "string"
+      ? entry.name.trim()
+      : "";
+  if (!rawName) return null;
+  const resolved = resolveCanonicalSectionName(rawName, schemaInfo);
+  if (!resolved) return null;
+  const rawPlainText = typeof entry.plainText === "string" ? entry.plainText : String(entry.plainText || "");
+  const rawNaturalLanguage = typeof entry.naturalLanguage === "string"
+    ? entry.naturalLanguage
+    : String(entry.naturalLanguage || entry.summary || "");
+  const primaryBullets = uniqueShortBullets(rawPlainText);
+  const bullets = filterSectionBullets(
+    resolved,
+    primaryBullets.length ? primaryBullets : uniqueShortBullets(rawNaturalLanguage)
+  );
+  const section = {
+    section: resolved,
+    plainText: formatPlainBullets(bullets),
+    naturalLanguage: formatDisplayBullets(bullets)
+  };
+  if (provenanceContext) {
+    const quotes = normaliseModelEvidence(entry.evidence);
+    section.provenance = bullets
+      .filter((line) => !isNoteSubheading(line))
+      .map((bullet) => tagBulletProvenance(bullet, {
+        ...provenanceContext,
+        quote: quotes.get(bullet.toLowerCase()) || null
+      }));
+  }
+  return section;
+}
+
+function normaliseSectionsFromModel(rawSections, schemaInfo, provenanceContext = null) {
   const orderedNames = schemaInfo.names;
   const map = new Map();
 
   (Array.isArray(rawSections) ? rawSections : []).forEach((entry) => {
-    if (!entry || typeof entry !== "object") return;
-    const rawName = typeof entry.section === "string"
-      ? entry.section.trim()
-      : typeof entry.name === "string"
-        ? entry.name.trim()
-        : "";
-    if (!rawName) return;
-    const resolved = resolveCanonicalSectionName(rawName, schemaInfo);
-    if (!resolved) return;
-    if (map.has(resolved)) return;
-    const rawPlainText = typeof entry.plainText === "string" ? entry.plainText : String(entry.plainText || "");
-    const rawNaturalLanguage = typeof entry.naturalLanguage === "string"
-      ? entry.naturalLanguage
-      : String(entry.naturalLanguage || entry.summary || "");
-    const primaryBullets = uniqueShortBullets(rawPlainText);
-    const bullets = filterSectionBullets(
-      resolved,
-      primaryBullets.length ? primaryBullets : uniqueShortBullets(rawNaturalLanguage)
-    );
-    map.set(resolved, {
-      section: resolved,
-      plainText: formatPlainBullets(bullets),
-      naturalLanguage: formatDisplayBullets(bullets)
-    });
+    const section = normaliseModelSection(entry, schemaInfo, provenanceContext);
+    if (!section || map.has(section.section)) return;
+    map.set(section.section, section);
   });
 
   const missing = [];
@@ -2430,7 +2685,8 @@ function normaliseSectionsFromModel(rawSections, schemaInfo) {
     return {
       section: name,
       plainText: "",
-      naturalLanguage: ""
+      naturalLanguage: "",
+      ...(provenanceContext ? { provenance: [] } : {})
     };
   });
 
@@ -2550,7 +2806,13 @@ function buildSchemaInfo(raw) {
   return { schema, names, keyLookup };
 }
 
-function sanitiseChecklistConfig(raw) {
+/**
+ * Clean a checklist config from the app or checklist.config.json. With templates, only the
+ * items of the job type's template are kept (the default template when templateId is unknown),
+ * and `template` carries its sections and AI instructions.
+ */
+function sanitiseChecklistConfig(raw, templateId = "") {
+  const templated = applyChecklistTemplate(raw, templateId);
   const asArray = (value) => {
     if (!value) return [];
     if (Array.isArray(value)) return value;
@@ -2563,7 +2825,7 @@ function sanitiseChecklistConfig(raw) {
   const items = [];
   const seen = new Set();
 
-  asArray(raw).forEach((item) => {
+  asArray(templated.items).forEach((item) => {
     if (!item || typeof item !== "object") return;
     const id = item.id != null ? String(item.id).trim() : "";
     const label = item.label != null ? String(item.label).trim() : "";
@@ -2609,15 +2871,22 @@ function sanitiseChecklistConfig(raw) {
   });
 
   let sectionsOrder = [];
-  if (raw && typeof raw === "object" && !Array.isArray(raw) && Array.isArray(raw.sectionsOrder)) {
-    sectionsOrder = raw.sectionsOrder
+  if (raw && typeof raw === "object" && !Array.isArray(raw) && Array.isArray(templated.sectionsOrder)) {
+    sectionsOrder = templated.sectionsOrder
       .map((name) => String(name || "").trim())
       .filter(Boolean);
   }
 
+  // null when the config has no "rules" key, so callers can fall back to the default rules
+  const rules = raw && typeof raw === "object" && !Array.isArray(raw) && Array.isArray(raw.rules)
+    ? normaliseRules(raw.rules)
+    : null;
+
   return {
     items,
-    sectionsOrder
+    sectionsOrder,
+    rules,
+    template: templated.template
   };
 }
 
@@ -2633,7 +2902,7 @@ function cloneChecklistItems(items) {
 const DEFAULT_SCHEMA_INFO = buildSchemaInfo(schemaConfig);
 const DEFAULT_CHECKLIST_CONFIG = sanitiseChecklistConfig(checklistConfig);
 
-function getSchemaInfoFromPayload(raw) {
+function getSchemaInfoFromPayload(raw, template = null) {
   const rawArrayLength = Array.isArray(raw)
     ? raw.length
     : raw && Array.isArray(raw.sections)
@@ -2642,5 +2911,9 @@ function getSchemaInfoFromPayload(raw) {
   if (rawArrayLength > 0) {
     return buildSchemaInfo(raw);
   }
+  // The job type's own sections, when its template has them
+  if (template && Array.isArray(template.sections)) {
+    return buildSchemaInfo(template.sections);
+  }
   return DEFAULT_SCHEMA_INFO;
 }
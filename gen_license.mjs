@@ -1,22 +1,79 @@
 /*
 Usage:
   node gen_license.mjs keygen
-  node gen_license.mjs issue --email user@example.com --days 30
+  node gen_license.mjs issue --email user@example.com --days 30 [--seats 3] [--features transcribe,generate-presentation]
+  node gen_license.mjs verify <code> [--worker https://worker.example]
+  node gen_license.mjs revoke <id|code> --worker https://worker.example [--reason "refunded"]
+  node gen_license.mjs list [--worker https://worker.example]
 
 Outputs:
   - keygen: private_key.jwk (KEEP SECRET), public_key.jwk (share x in app)
-  - issue : prints CODE: <payloadB64u>.<sigB64u>
-Paste the public_key.jwk.x into index.html (PUBLIC_KEY_JWK.x).
+  - issue : prints CODE: <payloadB64u>.<sigB64u> and records it in issued_licenses.jsonl
+  - verify: checks signature and expiry locally, plus the Worker's revocation list with --worker
+  - revoke: sends a revocation signed with private_key.jwk to the Worker's D1 revocation list
+  - list  : issued codes from issued_licenses.jsonl with their status
+Paste the public_key.jwk.x into index.html (PUBLIC_KEY_JWK.x) and wrangler.toml (PUBLIC_KEY_JWK_X).
+Omitting --features unlocks every Pro feature; omitting --seats allows any number of devices.
 */
-import { readFileSync, writeFileSync, existsSync } from "fs";
+import { readFileSync, writeFileSync, appendFileSync, existsSync } from "fs";
 import { webcrypto as crypto } from "crypto";
 const { subtle } = crypto;
 
+const LEDGER = "issued_licenses.jsonl";
+
 function b64u(buf) {
   const s = Buffer.from(buf).toString("base64");
   return s.replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"");
 }
 
+function fromB64u(s) {
+  return Buffer.from(s.replace(/-/g,"+").replace(/_/g,"/"), "base64");
+}
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return i > -1 ? process.argv[i+1] : fallback;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function loadKey(file, usage) {
+  if (!existsSync(file)) fail("Run keygen first.");
+  const jwk = JSON.parse(readFileSync(file,"utf8"));
+  return subtle.importKey("jwk", jwk, { name: "Ed25519" }, false, [usage]);
+}
+
+async function sign(payload) {
+  const key = await loadKey("private_key.jwk", "sign");
+  const payloadBytes = Buffer.from(JSON.stringify(payload));
+  const sig = new Uint8Array(await subtle.sign("Ed25519", key, payloadBytes));
+  return `${b64u(payloadBytes)}.${b64u(sig)}`;
+}
+
+// Matches the Worker: codes issued before licence ids existed use the start of their signature
+function licenseId(payload, sigPart) {
+  return payload.id || sigPart.slice(0, 16);
+}
+
+function readLedger() {
+  if (!existsSync(LEDGER)) return [];
+  return readFileSync(LEDGER,"utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function fetchRevocations(worker) {
+  // The Worker only lists revocations for a recent command signed with private_key.jwk
+  const command = await sign({ action: "list", iat: new Date().toISOString() });
+  const res = await fetch(`${worker.replace(/\/$/,"")}/licenses/revocations`, {
+    headers: { "X-License-Admin": command }
+  });
+  if (!res.ok) fail(`Worker returned ${res.status} for /licenses/revocations`);
+  const data = await res.json();
+  return new Map(data.revocations.map((r) => [r.id, r]));
+}
+
 const cmd = process.argv[2];
 
 if (cmd === "keygen") {
@@ -30,22 +87,92 @@ if (cmd === "keygen") {
 }
 
 if (cmd === "issue") {
-  const iEmail = process.argv.indexOf("--email");
-  const iDays  = process.argv.indexOf("--days");
-  const email  = iEmail > -1 ? process.argv[iEmail+1] : null;
-  const days   = iDays  > -1 ? parseInt(process.argv[iDays+1]||"30",10) : 30;
-  if (!email) { console.error("Missing --email"); process.exit(1); }
-  if (!existsSync("private_key.jwk")) { console.error("Run keygen first."); process.exit(1); }
-  const jwk = JSON.parse(readFileSync("private_key.jwk","utf8"));
-  const key = await subtle.importKey("jwk", jwk, { name: "Ed25519" }, false, ["sign"]);
+  const email    = arg("--email");
+  const days     = parseInt(arg("--days","30"),10);
+  const seats    = arg("--seats") ? parseInt(arg("--seats"),10) : null;
+  const features = arg("--features") ? arg("--features").split(",").map((f) => f.trim()).filter(Boolean) : null;
+  if (!email) fail("Missing --email");
+  if (seats !== null && !(seats > 0)) fail("--seats must be a positive number");
   const exp = new Date(Date.now() + days*24*60*60*1000).toISOString();
-  const payload = { email, exp, plan: "pro-v1" };
-  const payloadBytes = Buffer.from(JSON.stringify(payload));
-  const sig = new Uint8Array(await subtle.sign("Ed25519", key, payloadBytes));
-  const code = `${b64u(payloadBytes)}.${b64u(sig)}`;
+  const payload = { id: crypto.randomUUID(), email, exp, plan: "pro-v1" };
+  if (seats) payload.seats = seats;
+  if (features) payload.features = features;
+  const code = await sign(payload);
+  appendFileSync(LEDGER, JSON.stringify({ ...payload, issuedAt: new Date().toISOString(), code }) + "\n");
+  console.log("ID:", payload.id);
   console.log("CODE:", code);
   console.log("Reminder: paste public_key.jwk.x into PUBLIC_KEY_JWK.x in index.html");
   process.exit(0);
 }
 
-console.log("Usage:\n  node gen_license.mjs keygen\n  node gen_license.mjs issue --email user@example.com --days 30");
+if (cmd === "verify") {
+  const code = process.argv[3];
+  if (!code || code.startsWith("--")) fail("Missing code");
+  const [payloadPart, sigPart] = code.trim().split(".");
+  if (!payloadPart || !sigPart) fail("Malformed code");
+  const key = await loadKey("public_key.jwk", "verify");
+  const payloadBytes = fromB64u(payloadPart);
+  const ok = await subtle.verify("Ed25519", key, fromB64u(sigPart), payloadBytes);
+  if (!ok) fail("INVALID: signature does not match public_key.jwk");
+  const payload = JSON.parse(payloadBytes.toString("utf8"));
+  const id = licenseId(payload, sigPart);
+  console.log(JSON.stringify({ ...payload, id }, null, 2));
+  if (Date.parse(payload.exp) <= Date.now()) fail(`EXPIRED on ${payload.exp}`);
+  const worker = arg("--worker");
+  if (worker) {
+    const revoked = (await fetchRevocations(worker)).get(id);
+    if (revoked) fail(`REVOKED${revoked.reason ? `: ${revoked.reason}` : ""}`);
+  }
+  console.log(worker ? "VALID" : "VALID (signature and expiry; pass --worker to check revocations)");
+  process.exit(0);
+}
+
+if (cmd === "revoke") {
+  const target = process.argv[3];
+  const worker = arg("--worker");
+  if (!target || target.startsWith("--")) fail("Missing licence id or code");
+  if (!worker) fail("Missing --worker");
+  let id = target;
+  if (target.includes(".")) {
+    const [payloadPart, sigPart] = target.split(".");
+    id = licenseId(JSON.parse(fromB64u(payloadPart).toString("utf8")), sigPart);
+  }
+  const command = await sign({ action: "revoke", id, reason: arg("--reason"), iat: new Date().toISOString() });
+  const res = await fetch(`${worker.replace(/\/$/,"")}/licenses/revoke`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ command })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) fail(`Worker refused revocation (${res.status}): ${data.message || data.error || "unknown error"}`);
+  console.log(`Revoked ${id}`);
+  process.exit(0);
+}
+
+if (cmd === "list") {
+  const worker = arg("--worker");
+  const revocations = worker ? await fetchRevocations(worker) : new Map();
+  const rows = readLedger();
+  if (!rows.length) {
+    console.log(`No codes recorded in ${LEDGER}`);
+    process.exit(0);
+  }
+  for (const row of rows) {
+    const id = licenseId(row, row.code.split(".")[1]);
+    const status = revocations.has(id) ? "revoked" : Date.parse(row.exp) <= Date.now() ? "expired" : "active";
+    const extras = [
+      row.seats ? `${row.seats} seat(s)` : null,
+      row.features ? `features: ${row.features.join(",")}` : null
+    ].filter(Boolean).join("; ");
+    console.log(`${id}  ${status.padEnd(7)}  ${row.email}  expires ${row.exp.slice(0,10)}${extras ? `  ${extras}` : ""}`);
+  }
+  if (!worker) console.log("(pass --worker to include revocations)");
+  process.exit(0);
+}
+
+console.log(`Usage:
+  node gen_license.mjs keygen
+  node gen_license.mjs issue --email user@example.com --days 30 [--seats 3] [--features transcribe]
+  node gen_license.mjs verify <code> [--worker https://worker.example]
+  node gen_license.mjs revoke <id|code> --worker https://worker.example [--reason "refunded"]
+  node gen_license.mjs list [--worker https://worker.example]`);
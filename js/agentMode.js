@@ -428,7 +428,7 @@ async function sendChatMessage() {
 
     // Add AI response
     if (data.response) {
-      addChatMessage('agent', data.response);
+      addChatMessage('agent', data.response, data.references);
     }
   } catch (err) {
     console.error('Chat error:', err);
@@ -441,7 +441,7 @@ async function sendChatMessage() {
 /**
  * Add a message to the chat
  */
-function addChatMessage(type, content) {
+function addChatMessage(type, content, references = []) {
   const chatMessages = document.getElementById('agentChatMessages');
   if (!chatMessages) return;
 
@@ -454,6 +454,15 @@ function addChatMessage(type, content) {
 
   messageDiv.appendChild(bubble);
 
+  // List the reference documents/pages the answer was drawn from
+  if (Array.isArray(references) && references.length) {
+    const sources = document.createElement('div');
+    sources.className = 'agent-chat-sources';
+    sources.style.cssText = 'font-size: 0.7rem; color: var(--muted); margin-top: 4px;';
+    sources.textContent = `Sources: ${references.map(ref => ref.citation || ref.document).join('; ')}`;
+    messageDiv.appendChild(sources);
+  }
+
   // Add action buttons for agent messages
   if (type === 'agent') {
     const actions = document.createElement('div');
@@ -30,6 +30,11 @@ export async function retryWithBackoff(fn, options = {}) {
     } catch (error) {
       lastError = error;
 
+      // Errors such as rate limits carry their own wait time; retrying early only burns the quota
+      if (error && error.retryable === false) {
+        throw error;
+      }
+
       if (attempt < maxRetries) {
         const delay = Math.min(initialDelay * Math.pow(factor, attempt), maxDelay);
 
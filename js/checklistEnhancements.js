@@ -228,3 +228,30 @@ export function getFilterStats() {
     hidden: allItems.length - visibleItems.length
   };
 }
+
+/**
+ * Show answered/total next to each checklist group header
+ * @param {Array} groups - { group, answered, total, required, unresolved } from assessCompleteness()
+ */
+export function showGroupProgress(groups) {
+  (groups || []).forEach(entry => {
+    const header = Array.from(document.querySelectorAll('.check-group-title'))
+      .find(el => el.dataset.group === entry.group);
+    if (!header) return;
+
+    let badge = header.querySelector('.group-progress');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'group-progress';
+      header.appendChild(badge);
+    }
+    badge.textContent = `${entry.answered}/${entry.total}`;
+    badge.classList.toggle('complete', entry.answered === entry.total && !entry.unresolved);
+    badge.classList.toggle('needs-attention', entry.required > 0 || entry.unresolved > 0);
+
+    const notes = [];
+    if (entry.required) notes.push(`${entry.required} required not answered`);
+    if (entry.unresolved) notes.push(`${entry.unresolved} unresolved`);
+    badge.title = notes.join(', ');
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * Checklist Rules Module
+ * Declarative rules kept in checklist.config.json under "rules", evaluated against the scope
+ * built from the surveyor's checklist selections. Shared by the app, which asks the questions
+ * and adds the materials, and the worker, which applies them before prompting the model.
+ *
+ * Rule types:
+ *   requires          when `when` holds, `then` must hold too, otherwise ask `question`
+ *   excludes          `when` and `then` must not both hold, otherwise ask `question`
+ *   implies_material  when `when` holds, add `material` to the scope's materials; like outcome
+ *                     materials it can name a pricebook `componentId` and take a `qty` formula,
+ *                     whose `item` says which checklist item's detail to read
+ *   ask_if            when `when` holds, ask `question` (of `target`, "expert" or "customer")
+ *
+ * Conditions:
+ *   { "tag": "system:unvented" }                           a selected outcome has the tag
+ *   { "item": "flue_scope" }                               the item has an outcome selected
+ *   { "item": "flue_scope", "outcome": "new_position" }    that outcome (or one of a list) is selected
+ *   { "item": "flue_scope", "detailIncludes": "loft" }     the item's detail mentions the text (or any of a list)
+ *   { "item": "flue_scope", "detailMissing": true }        the item is selected with no detail
+ *   { "all": [...] }, { "any": [...] }, { "not": {...} }
+ */
+
+export const RULE_TYPES = ['requires', 'excludes', 'implies_material', 'ask_if'];
+
+const QUESTION_TARGETS = ['expert', 'customer'];
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+}
+
+function cleanList(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(cleanText).filter(Boolean);
+}
+
+/**
+ * Tidy a condition; null if it can't be evaluated
+ * @returns {Object|null}
+ */
+export function normaliseCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return null;
+
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const key = Array.isArray(condition.all) ? 'all' : 'any';
+    const parts = condition[key].map(normaliseCondition);
+    return parts.length && parts.every(Boolean) ? { [key]: parts } : null;
+  }
+  if (condition.not !== undefined) {
+    const inner = normaliseCondition(condition.not);
+    return inner ? { not: inner } : null;
+  }
+
+  const tag = cleanText(condition.tag);
+  if (tag) return { tag };
+
+  const item = cleanText(condition.item);
+  if (!item) return null;
+  const cleaned = { item };
+  const outcomes = cleanList(condition.outcome ?? []);
+  if (outcomes.length) cleaned.outcome = outcomes.length === 1 ? outcomes[0] : outcomes;
+  const detailIncludes = cleanList(condition.detailIncludes ?? []);
+  if (detailIncludes.length) cleaned.detailIncludes = detailIncludes.length === 1 ? detailIncludes[0] : detailIncludes;
+  if (condition.detailMissing === true) cleaned.detailMissing = true;
+  return cleaned;
+}
+
+function normaliseMaterial(material) {
+  if (!material || typeof material !== 'object') return null;
+  const item = cleanText(material.item);
+  if (!item) return null;
+  const qty = Number(material.qty);
+  const cleaned = {
+    category: cleanText(material.category) || 'Misc',
+    item,
+    qty: material.qty && typeof material.qty === 'object' && !Array.isArray(material.qty)
+      ? { ...material.qty }
+      : Number.isFinite(qty) && qty > 0 ? qty : 1,
+    notes: cleanText(material.notes)
+  };
+  const componentId = cleanText(material.componentId ?? material.component_id);
+  if (componentId) cleaned.componentId = componentId;
+  return cleaned;
+}
+
+/**
+ * Tidy the rules from a checklist config; rules that can't be evaluated are dropped
+ * @param {Array<Object>|Object} value - Rules array, or a checklist config with "rules"
+ * @returns {Array<Object>}
+ */
+export function normaliseRules(value) {
+  const list = Array.isArray(value) ? value : Array.isArray(value?.rules) ? value.rules : [];
+  const seen = new Set();
+  return list.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') return null;
+    const type = cleanText(rule.type);
+    const when = normaliseCondition(rule.when);
+    if (!RULE_TYPES.includes(type) || !when) return null;
+
+    let id = cleanText(rule.id) || `rule_${index + 1}`;
+    while (seen.has(id)) id = `${id}_${index + 1}`;
+    seen.add(id);
+
+    const cleaned = { id, type, when };
+    if (type === 'requires' || type === 'excludes') {
+      cleaned.then = normaliseCondition(rule.then);
+      if (!cleaned.then) return null;
+    }
+    if (type === 'implies_material') {
+      cleaned.material = normaliseMaterial(rule.material);
+      if (!cleaned.material) return null;
+    } else {
+      cleaned.target = QUESTION_TARGETS.includes(rule.target) ? rule.target : 'expert';
+      cleaned.question = cleanText(rule.question);
+      if (type === 'ask_if' && !cleaned.question) return null;
+    }
+    return cleaned;
+  }).filter(Boolean);
+}
+
+function selectedItem(scope, id) {
+  return (Array.isArray(scope?.selectedItems) ? scope.selectedItems : []).find((item) => item.id === id) || null;
+}
+
+/**
+ * Whether a normalised condition holds for a scope from buildDeterministicScope()
+ */
+export function matchesCondition(condition, scope) {
+  if (!condition) return false;
+  if (condition.all) return condition.all.every((part) => matchesCondition(part, scope));
+  if (condition.any) return condition.any.some((part) => matchesCondition(part, scope));
+  if (condition.not) return !matchesCondition(condition.not, scope);
+  if (condition.tag) return Array.isArray(scope?.tags) && scope.tags.includes(condition.tag);
+
+  const item = selectedItem(scope, condition.item);
+  if (!item) return false;
+  if (condition.outcome && !cleanList(condition.outcome).includes(item.outcomeId)) return false;
+  const detail = cleanText(item.detail).toLowerCase();
+  if (condition.detailMissing && detail) return false;
+  if (condition.detailIncludes && !cleanList(condition.detailIncludes).some((text) => detail.includes(text.toLowerCase()))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Plain-English version of a condition, for default questions and the rule editor
+ */
+export function describeCondition(condition) {
+  if (!condition) return '';
+  if (condition.all) return condition.all.map(describeCondition).join(' and ');
+  if (condition.any) return `(${condition.any.map(describeCondition).join(' or ')})`;
+  if (condition.not) return `not ${describeCondition(condition.not)}`;
+  if (condition.tag) return `"${condition.tag}"`;
+  const outcome = condition.outcome ? ` is ${cleanList(condition.outcome).join(' or ')}` : ' is selected';
+  if (condition.detailMissing) return `${condition.item}${outcome} with no detail`;
+  if (condition.detailIncludes) return `${condition.item} detail mentions ${cleanList(condition.detailIncludes).join(' or ')}`;
+  return `${condition.item}${outcome}`;
+}
+
+function defaultQuestion(rule) {
+  if (rule.type === 'requires') {
+    return `${describeCondition(rule.when)} needs ${describeCondition(rule.then)}. Please confirm.`;
+  }
+  return `${describeCondition(rule.when)} conflicts with ${describeCondition(rule.then)}. Which applies?`;
+}
+
+/**
+ * Run the rules over a scope
+ * @param {Array<Object>} rules - Raw or normalised rules
+ * @param {Object} scope - From buildDeterministicScope()
+ * @returns {{ questions: Array<Object>, materials: Array<Object> }} - questions are
+ *   { target, question, ruleId, ruleType }; materials carry the ruleId that added them
+ */
+export function evaluateRules(rules, scope) {
+  const questions = [];
+  const materials = [];
+  normaliseRules(rules).forEach((rule) => {
+    if (!matchesCondition(rule.when, scope)) return;
+    if (rule.type === 'implies_material') {
+      materials.push({ ...rule.material, ruleId: rule.id });
+      return;
+    }
+    const thenHolds = rule.then ? matchesCondition(rule.then, scope) : false;
+    if ((rule.type === 'requires' && thenHolds) || (rule.type === 'excludes' && !thenHolds)) return;
+    questions.push({
+      target: rule.target,
+      question: rule.question || defaultQuestion(rule),
+      ruleId: rule.id,
+      ruleType: rule.type
+    });
+  });
+  return { questions, materials };
+}
+
+/**
+ * Questions that must be settled before the notes are final. "ask_if" questions are prompts,
+ * not blockers: the answer may not be something the checklist can record.
+ */
+export function isBlockingQuestion(entry) {
+  return Boolean(entry) && entry.ruleType !== 'ask_if';
+}
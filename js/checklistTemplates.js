@@ -0,0 +1,143 @@
+/**
+ * Checklist Templates Module
+ * Named job types kept in checklist.config.json under "templates". Each template picks the
+ * checklist items for that kind of job and can bring its own depot sections and extra AI
+ * instructions. Shared by the app, which applies the template chosen for the session, and the
+ * worker, which applies the same template before prompting the model.
+ *
+ * Template fields:
+ *   id, label, description
+ *   items            ids of the config's items to use, kept in the config's order
+ *   sections         optional depot sections, in the depot.output.schema.json form
+ *   sectionAliases   optional { "config section": "template section" } for shared items
+ *   aiInstructions   optional text added to the depot notes instructions
+ */
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+}
+
+function cleanSections(value) {
+  if (!Array.isArray(value)) return null;
+  const sections = value
+    .map((entry) => {
+      if (typeof entry === 'string') return cleanText(entry) ? { name: cleanText(entry) } : null;
+      if (!entry || typeof entry !== 'object') return null;
+      const name = cleanText(entry.name ?? entry.section);
+      if (!name) return null;
+      const section = { name, description: cleanText(entry.description) };
+      if (entry.required === true) section.required = true;
+      return section;
+    })
+    .filter(Boolean);
+  return sections.length ? sections : null;
+}
+
+/**
+ * Tidy the templates from a checklist config; templates without an id or items are dropped
+ * @param {Object|Array<Object>} value - Checklist config with "templates", or the templates array
+ * @returns {Array<Object>}
+ */
+export function normaliseTemplates(value) {
+  const list = Array.isArray(value) ? value : Array.isArray(value?.templates) ? value.templates : [];
+  const seen = new Set();
+  return list.map((template) => {
+    if (!template || typeof template !== 'object') return null;
+    const id = cleanText(template.id);
+    const items = Array.isArray(template.items) ? template.items.map(cleanText).filter(Boolean) : [];
+    if (!id || seen.has(id) || !items.length) return null;
+    seen.add(id);
+
+    const sectionAliases = {};
+    if (template.sectionAliases && typeof template.sectionAliases === 'object') {
+      Object.entries(template.sectionAliases).forEach(([from, to]) => {
+        if (cleanText(from) && cleanText(to)) sectionAliases[cleanText(from)] = cleanText(to);
+      });
+    }
+
+    return {
+      id,
+      label: cleanText(template.label) || id,
+      description: cleanText(template.description),
+      items,
+      sections: cleanSections(template.sections),
+      sectionAliases,
+      aiInstructions: cleanText(template.aiInstructions)
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * The template for a job type: the one with this id, else the config's defaultTemplate, else
+ * the first. Null when the config has no templates.
+ */
+export function resolveTemplate(config, templateId) {
+  const templates = normaliseTemplates(config);
+  const wanted = cleanText(templateId);
+  const fallback = cleanText(config?.defaultTemplate);
+  return templates.find((template) => template.id === wanted)
+    || templates.find((template) => template.id === fallback)
+    || templates[0]
+    || null;
+}
+
+function aliasSection(name, aliases) {
+  const section = cleanText(name);
+  return aliases[section] || section;
+}
+
+// Point an item (and its outcomes) at the template's section names
+function aliasItem(item, aliases) {
+  if (!Object.keys(aliases).length) return item;
+  const copy = { ...item };
+  ['section', 'depotSection'].forEach((key) => {
+    if (copy[key]) copy[key] = aliasSection(copy[key], aliases);
+  });
+  if (Array.isArray(copy.outcomes)) {
+    copy.outcomes = copy.outcomes.map((outcome) => {
+      if (!outcome || typeof outcome !== 'object') return outcome;
+      const next = { ...outcome };
+      ['section', 'depotSection'].forEach((key) => {
+        if (next[key]) next[key] = aliasSection(next[key], aliases);
+      });
+      return next;
+    });
+  }
+  return copy;
+}
+
+/**
+ * The checklist config for one job type
+ * @param {Object} config - { sectionsOrder, items, rules, templates, defaultTemplate }
+ * @param {string} templateId - Template chosen for the session; falls back as resolveTemplate()
+ * @returns {Object} - the config with only the template's items, its section order and
+ *   `template` (null, with every item kept, when the config has no templates)
+ */
+export function applyChecklistTemplate(config, templateId) {
+  const source = config && typeof config === 'object' && !Array.isArray(config)
+    ? config
+    : { items: Array.isArray(config) ? config : [] };
+  const items = Array.isArray(source.items) ? source.items : [];
+  const template = resolveTemplate(source, templateId);
+  if (!template) return { ...source, items, template: null };
+
+  const wanted = new Set(template.items);
+  return {
+    ...source,
+    items: items
+      .filter((item) => item && wanted.has(cleanText(item.id)))
+      .map((item) => aliasItem(item, template.sectionAliases)),
+    sectionsOrder: template.sections
+      ? template.sections.map((section) => section.name)
+      : (Array.isArray(source.sectionsOrder) ? source.sectionsOrder : []),
+    template
+  };
+}
+
+/**
+ * The template's addition to the depot notes instructions, or "" when it has none
+ */
+export function templateInstructions(template) {
+  if (!template || !template.aiInstructions) return '';
+  return `JOB TYPE: ${template.label}\n${template.aiInstructions}`;
+}
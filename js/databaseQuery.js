@@ -4,6 +4,7 @@
  */
 
 import { loadWorkerEndpoint } from '../src/app/worker-config.js';
+import { getAuthToken } from '../src/auth/auth-client.js';
 
 /**
  * Timeout wrapper for promises
@@ -21,72 +22,53 @@ function withTimeout(promise, timeoutMs = 10000) {
 }
 
 /**
- * Query the D1 database via the Worker
- * @param {string} query - SQL query to execute
- * @param {Array} params - Query parameters
+ * Run a named query on the Worker
+ * @param {string} name - Query name registered on the Worker (e.g. 'productSpecs')
+ * @param {Object} params - Named query parameters
+ * @param {number} limit - Optional row limit (capped by the Worker)
  * @returns {Promise<Array>} - Query results
  */
-async function queryDatabase(query, params = []) {
+async function queryDatabase(name, params = {}, limit) {
   const workerUrl = loadWorkerEndpoint();
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  const token = getAuthToken();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
 
   try {
     const response = await fetch(`${workerUrl}/query`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers,
       body: JSON.stringify({
-        query,
-        params
+        name,
+        params,
+        limit
       })
     });
 
     if (!response.ok) {
-      console.warn('Database query failed:', response.statusText);
+      console.warn(`Database query ${name} failed:`, response.statusText);
       return [];
     }
 
     const data = await response.json();
     return data.results || [];
   } catch (error) {
-    console.error('Database query error:', error);
+    console.error(`Database query ${name} error:`, error);
     return [];
   }
 }
 
 /**
- * Search for documents by keyword
+ * Search reference materials by keyword (requires sign-in)
  * @param {string} keyword - Search term
  * @returns {Promise<Array>} - Matching documents
  */
 export async function searchDocuments(keyword) {
-  // Try querying document_chunks table with full-text search
-  try {
-    const results = await queryDatabase(
-      `SELECT * FROM document_chunks
-       WHERE content MATCH ?
-       LIMIT 10`,
-      [keyword]
-    );
-
-    return results;
-  } catch (error) {
-    console.error('Document search error:', error);
-
-    // Fallback: try simple LIKE query
-    try {
-      const results = await queryDatabase(
-        `SELECT * FROM documents
-         WHERE name LIKE ? OR description LIKE ?
-         LIMIT 10`,
-        [`%${keyword}%`, `%${keyword}%`]
-      );
-      return results;
-    } catch (fallbackError) {
-      console.error('Fallback search error:', fallbackError);
-      return [];
-    }
-  }
+  return queryDatabase('searchReference', { keyword });
 }
 
 /**
@@ -103,13 +85,7 @@ export async function getTechnicalSpecs(productNames) {
 
   for (const productName of productNames) {
     try {
-      // Search for product in reference_materials or documents table
-      const results = await queryDatabase(
-        `SELECT * FROM reference_materials
-         WHERE title LIKE ? OR content LIKE ?
-         LIMIT 5`,
-        [`%${productName}%`, `%${productName}%`]
-      );
+      const results = await queryDatabase('productSpecs', { product: productName });
 
       if (results && results.length > 0) {
         // Extract specs from results
@@ -163,12 +139,7 @@ function getDefaultTechnicalSpecs() {
 export async function getTermsAndConditions() {
   try {
     // Try to fetch from database
-    const results = await queryDatabase(
-      `SELECT content FROM reference_materials
-       WHERE title LIKE '%terms%' OR title LIKE '%conditions%'
-       LIMIT 1`,
-      []
-    );
+    const results = await queryDatabase('currentTerms');
 
     if (results && results.length > 0 && results[0].content) {
       return results[0].content;
@@ -215,12 +186,7 @@ export async function getProductInformation(productNames) {
   for (const productName of productNames) {
     try {
       // Search for product information
-      const results = await queryDatabase(
-        `SELECT * FROM reference_materials
-         WHERE title LIKE ?
-         LIMIT 1`,
-        [`%${productName}%`]
-      );
+      const results = await queryDatabase('productInfo', { product: productName });
 
       if (results && results.length > 0) {
         const result = results[0];
@@ -396,7 +362,7 @@ export async function fetchPDFData(sessionData) {
  */
 export async function testDatabaseConnection() {
   try {
-    const results = await queryDatabase('SELECT 1 as test', []);
+    const results = await queryDatabase('ping');
     return results && results.length > 0;
   } catch (error) {
     console.error('Database connection test failed:', error);
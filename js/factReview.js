@@ -0,0 +1,123 @@
+/**
+ * Fact Review Module
+ * Key facts pulled out of the survey conversation (pipe sizes, flue route, boiler position,
+ * occupants, pressure), each with a confidence. Low-confidence facts queue up for the
+ * surveyor to confirm or correct; once confirmed a fact is pinned and later notes can't
+ * overwrite it. Shared by the worker, which scores the facts, and the app, which keeps them.
+ */
+
+import { findTranscriptQuote, findQuoteCorrection } from './noteProvenance.js';
+
+export const FACT_KINDS = [
+  { id: 'pipe_sizes', label: 'Pipe sizes', hint: 'gas, primary and condensate pipe sizes' },
+  { id: 'flue_route', label: 'Flue route', hint: 'where the flue runs and terminates' },
+  { id: 'boiler_position', label: 'Boiler position', hint: 'room and wall for the new boiler' },
+  { id: 'occupants', label: 'Occupants', hint: 'how many people live in the property' },
+  { id: 'pressure', label: 'Pressure', hint: 'mains water pressure or flow, or system pressure' }
+];
+
+// Facts below this confidence need the surveyor to confirm them
+export const CONFIDENCE_THRESHOLD = 0.75;
+
+// Ceilings applied when the evidence behind a fact is weak
+const UNQUOTED_CONFIDENCE = 0.4;
+const CORRECTED_CONFIDENCE = 0.5;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+}
+
+function clampConfidence(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0.5;
+  return Math.min(1, Math.max(0, number));
+}
+
+/**
+ * Tidy a list of facts: known kinds only, one per kind, in FACT_KINDS order
+ * @param {Array<Object>} value - [{ id, value, confidence, quote, confirmed }]
+ * @returns {Array<Object>} - [{ id, label, value, confidence, confirmed, quote?, correction? }]
+ */
+export function normaliseFacts(value) {
+  const byId = new Map();
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    if (!entry || typeof entry !== 'object') return;
+    const kind = FACT_KINDS.find((candidate) => candidate.id === cleanText(entry.id));
+    const factValue = cleanText(entry.value);
+    if (!kind || !factValue || byId.has(kind.id)) return;
+
+    const confirmed = entry.confirmed === true;
+    const fact = {
+      id: kind.id,
+      label: kind.label,
+      value: factValue,
+      confidence: confirmed ? 1 : clampConfidence(entry.confidence),
+      confirmed
+    };
+    const quote = cleanText(entry.quote);
+    if (quote) fact.quote = quote;
+    const correction = cleanText(entry.correction);
+    if (correction) fact.correction = correction;
+    byId.set(kind.id, fact);
+  });
+  return FACT_KINDS.map((kind) => byId.get(kind.id)).filter(Boolean);
+}
+
+/**
+ * Lower a model-extracted fact's confidence when its quote isn't in the transcript or
+ * relies on a word the transcription sanity checks changed. Extracted facts are never confirmed.
+ * @param {Object} fact - Normalised fact
+ * @param {Object} context - { transcript, corrections: [{ original, corrected, description }] }
+ */
+export function weighFactEvidence(fact, { transcript = '', corrections = [] } = {}) {
+  const weighed = { ...fact, confirmed: false };
+  delete weighed.correction;
+
+  const quote = findTranscriptQuote(transcript, fact.quote);
+  if (!quote) {
+    delete weighed.quote;
+    weighed.confidence = Math.min(weighed.confidence, UNQUOTED_CONFIDENCE);
+    return weighed;
+  }
+
+  const correction = findQuoteCorrection(quote, corrections);
+  if (correction) {
+    weighed.confidence = Math.min(weighed.confidence, CORRECTED_CONFIDENCE);
+    weighed.correction = `Heard "${correction.original}", corrected to "${correction.corrected}"`;
+  }
+  return weighed;
+}
+
+/**
+ * Fold newly extracted facts into the ones already held. Confirmed facts are pinned.
+ */
+export function mergeFacts(existing, incoming) {
+  const merged = new Map(normaliseFacts(existing).map((fact) => [fact.id, fact]));
+  normaliseFacts(incoming).forEach((fact) => {
+    if (merged.get(fact.id)?.confirmed) return;
+    merged.set(fact.id, fact);
+  });
+  return normaliseFacts([...merged.values()]);
+}
+
+/**
+ * Pin a fact with the value the surveyor confirmed (or corrected it to)
+ */
+export function confirmFact(facts, id, value) {
+  const current = normaliseFacts(facts);
+  const existing = current.find((fact) => fact.id === id);
+  const confirmed = { id, value: cleanText(value ?? existing?.value), confirmed: true };
+  if (existing?.quote) confirmed.quote = existing.quote;
+  return normaliseFacts([confirmed, ...current.filter((fact) => fact.id !== id)]);
+}
+
+export function needsConfirmation(fact) {
+  return Boolean(fact) && !fact.confirmed && fact.confidence < CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Facts waiting for the surveyor, in FACT_KINDS order
+ */
+export function buildReviewQueue(facts) {
+  return normaliseFacts(facts).filter(needsConfirmation);
+}
@@ -1,3 +1,6 @@
+import { buildReviewQueue } from "./factReview.js";
+import { evaluateRules, matchesCondition, normaliseCondition } from "./checklistRules.js";
+
 export const OUTCOME_STATES = [
   "included",
   "not_required",
@@ -14,25 +17,6 @@ const STATE_LABELS = {
   unresolved: "Unresolved"
 };
 
-const CONTRADICTIONS = [
-  {
-    tags: ["gas:retain", "gas:upgrade"],
-    question: "Gas supply is marked as both retained and upgraded. Which scope is correct?"
-  },
-  {
-    tags: ["cylinder:retain", "cylinder:remove"],
-    question: "Cylinder is marked as both retained and removed. Which scope is correct?"
-  },
-  {
-    tags: ["system:vented", "system:unvented"],
-    question: "Final scope includes both vented and unvented system types. Which applies?"
-  },
-  {
-    tags: ["specialist:none", "specialist:builder"],
-    question: "Specialist work is marked as both not required and builder required. Which applies?"
-  }
-];
-
 function asArray(value) {
   if (!value) return [];
   if (Array.isArray(value)) return value;
@@ -92,12 +76,15 @@ export function normaliseChecklistItems(config) {
       section: cleanText(item.section || item.depotSection),
       label: cleanText(item.label || item.name || id),
       hint: cleanText(item.hint || item.description),
+      required: item.required === true,
       outcomes: []
     };
     const outcomes = Array.isArray(item.outcomes)
       ? item.outcomes.map((outcome) => normaliseOutcome(base, outcome)).filter(Boolean)
       : fallbackOutcome(item);
     base.outcomes = outcomes;
+    const showWhen = normaliseCondition(item.showWhen);
+    if (showWhen) base.showWhen = showWhen;
     return base;
   }).filter(Boolean);
 }
@@ -115,6 +102,65 @@ export function selectedDetailForItem(item, selections = {}) {
   return cleanText(raw.detail);
 }
 
+// Whether an answer so far bears on a condition: the item it names is answered, or an answered
+// item has an outcome that could carry its tag
+function conditionDecided(condition, answers, itemsById) {
+  if (!condition) return false;
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).some((part) => conditionDecided(part, answers, itemsById));
+  }
+  if (condition.not) return conditionDecided(condition.not, answers, itemsById);
+  if (condition.tag) {
+    return answers.selectedItems.some((answer) => (itemsById.get(answer.id)?.outcomes || [])
+      .some((outcome) => outcome.tags.includes(condition.tag)));
+  }
+  return answers.selectedItems.some((answer) => answer.id === condition.item);
+}
+
+/**
+ * Checklist items that apply to this job. An item with "showWhen" (a checklist rule condition)
+ * only appears once the answers to the visible items before it satisfy the condition, so a
+ * hidden item's own answer is ignored until it shows again. An item that is already answered
+ * stays visible while nothing before it has been answered that bears on the condition, so
+ * sessions from before the condition existed keep their scope.
+ * @param {Array<Object>|Object} checklistItems - Checklist items or config
+ * @param {Object} selections - { [itemId]: outcomeId | { outcome, detail } }
+ * @returns {Array<Object>} - Normalised visible items, in checklist order
+ */
+export function visibleChecklistItems(checklistItems, selections = {}) {
+  const answers = { selectedItems: [], tags: [] };
+  const items = normaliseChecklistItems(checklistItems);
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  return items.filter((item) => {
+    if (item.showWhen && !matchesCondition(item.showWhen, answers)
+      && (!selectedOutcomeForItem(item, selections) || conditionDecided(item.showWhen, answers, itemsById))) {
+      return false;
+    }
+    const outcome = selectedOutcomeForItem(item, selections);
+    if (outcome) {
+      answers.selectedItems.push({ id: item.id, outcomeId: outcome.id, detail: selectedDetailForItem(item, selections) });
+      outcome.tags.forEach((tag) => {
+        if (!answers.tags.includes(tag)) answers.tags.push(tag);
+      });
+    }
+    return true;
+  });
+}
+
+/**
+ * How much of the visible checklist has an outcome selected
+ * @returns {{ answered: number, total: number, hidden: number }}
+ */
+export function checklistCompleteness(checklistItems, selections = {}) {
+  const allItems = normaliseChecklistItems(checklistItems);
+  const visible = visibleChecklistItems(allItems, selections);
+  return {
+    answered: visible.filter((item) => selectedOutcomeForItem(item, selections)).length,
+    total: visible.length,
+    hidden: allItems.length - visible.length
+  };
+}
+
 function addSectionLine(map, sectionName, line) {
   const section = cleanText(sectionName);
   const text = cleanText(line);
@@ -137,8 +183,107 @@ function lineForOutcome(outcome, detail = "") {
   return scopedText;
 }
 
-export function buildDeterministicScope(checklistItems, selections = {}) {
-  const items = normaliseChecklistItems(checklistItems);
+const ROUNDING = {
+  up: Math.ceil,
+  down: Math.floor,
+  nearest: Math.round
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Quantity for an outcome material. `qty` is a number, or a formula over a number in the
+ * outcome's detail text:
+ *   { "detail": ["m", "metres"], "minus": 0.57, "per": 1, "round": "up", "min": 0, "max": 6, "default": 0 }
+ * reads "2.5 m" from the detail, takes off `minus`, divides by `per`, rounds (up by default) and
+ * clamps to min/max; `default` is used when the detail has no such number.
+ * @param {number|Object} qty - Number or formula
+ * @param {string} detail - The surveyor's detail for the selected outcome
+ * @returns {number} - 0 means the material isn't needed
+ */
+export function materialQuantity(qty, detail = "") {
+  if (!qty || typeof qty !== "object") {
+    const value = Number(qty);
+    return Number.isFinite(value) && value > 0 ? value : 1;
+  }
+
+  const units = (Array.isArray(qty.detail) ? qty.detail : [qty.detail]).map(cleanText).filter(Boolean);
+  let found = null;
+  units.some((unit) => {
+    const match = cleanText(detail).match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${escapeRegExp(unit)}\\b`, "i"));
+    if (match) found = Number(match[1]);
+    return Boolean(match);
+  });
+  if (found === null) {
+    const fallback = Number(qty.default);
+    return Number.isFinite(fallback) && fallback > 0 ? fallback : 0;
+  }
+
+  const per = Number(qty.per) > 0 ? Number(qty.per) : 1;
+  const round = ROUNDING[qty.round] || ROUNDING.up;
+  // toFixed keeps 2.57 - 0.57 from rounding up to 3
+  let value = round(Number((Math.max(0, found - (Number(qty.minus) || 0)) / per).toFixed(6)));
+  if (Number.isFinite(Number(qty.min))) value = Math.max(Number(qty.min), value);
+  if (Number.isFinite(Number(qty.max))) value = Math.min(Number(qty.max), value);
+  return Math.max(0, value);
+}
+
+// An outcome material as it goes into the scope: quantity worked out and, for pricebook
+// components, the code and price
+function scopeMaterial(material, detail, pricebook) {
+  if (!material || typeof material !== "object") return null;
+  const componentId = cleanText(material.componentId ?? material.component_id);
+  if (!componentId && (!material.qty || typeof material.qty !== "object")) return material;
+
+  const qty = materialQuantity(material.qty, detail);
+  if (!qty) return null;
+  const resolved = {
+    category: cleanText(material.category) || "Misc",
+    item: cleanText(material.item),
+    qty,
+    notes: cleanText(material.notes)
+  };
+  if (material.ruleId) resolved.ruleId = material.ruleId;
+  if (!componentId) return resolved;
+
+  resolved.componentId = componentId;
+  const component = pricebook && pricebook.byId ? pricebook.byId.get(componentId) : null;
+  if (component) {
+    if (!resolved.item) resolved.item = component.description;
+    resolved.unitPrice = Math.round(component.price * 100) / 100;
+    resolved.total = Math.round(component.price * qty * 100) / 100;
+    resolved.leadTimeDays = component.leadTimeDays || 0;
+  }
+  return resolved.item ? resolved : null;
+}
+
+/**
+ * A material added by an "implies_material" rule, as it goes into the scope. A qty formula reads
+ * the detail of the checklist item named by its "item" key.
+ * @param {Object} material - From evaluateRules()
+ * @param {Object} scope - From buildDeterministicScope()
+ * @param {Object} pricebook - Optional index from js/pricebook.js
+ * @returns {Object|null} - null when the formula gives 0
+ */
+export function resolveRuleMaterial(material, scope, pricebook = null) {
+  const source = material && material.qty && typeof material.qty === "object"
+    ? (Array.isArray(scope?.selectedItems) ? scope.selectedItems : []).find((item) => item.id === cleanText(material.qty.item))
+    : null;
+  return scopeMaterial(material, source ? source.detail : "", pricebook);
+}
+
+/**
+ * Scope facts from the surveyor's checklist selections. Items hidden by "showWhen" are left out.
+ * @param {Array<Object>|Object} checklistItems - Checklist items or config
+ * @param {Object} selections - { [itemId]: outcomeId | { outcome, detail } }
+ * @param {Object} options - { rules } from the checklist config; "implies_material" rules add
+ *   their materials to the scope. { pricebook } index from js/pricebook.js prices materials that
+ *   reference a componentId.
+ */
+export function buildDeterministicScope(checklistItems, selections = {}, { rules = [], pricebook = null } = {}) {
+  const items = visibleChecklistItems(checklistItems, selections);
   const sectionsMap = new Map();
   const materials = [];
   const selectedItems = [];
@@ -161,7 +306,10 @@ export function buildDeterministicScope(checklistItems, selections = {}) {
     });
     outcome.tags.forEach((tag) => tags.add(tag));
     addSectionLine(sectionsMap, outcome.section, lineForOutcome(outcome, detail));
-    outcome.materials.forEach((material) => materials.push(material));
+    outcome.materials.forEach((material) => {
+      const resolved = scopeMaterial(material, detail, pricebook);
+      if (resolved) materials.push(resolved);
+    });
   });
 
   const sections = Array.from(sectionsMap.entries()).map(([section, lines]) => ({
@@ -170,19 +318,38 @@ export function buildDeterministicScope(checklistItems, selections = {}) {
     naturalLanguage: ""
   }));
 
-  return {
+  const scope = {
     selectedItems,
     sections,
     materials,
     tags: Array.from(tags)
   };
+  evaluateRules(rules, scope).materials.forEach((material) => {
+    const resolved = resolveRuleMaterial(material, scope, pricebook);
+    if (!resolved) return;
+    const key = resolved.item.toLowerCase();
+    if (!materials.some((existing) => cleanText(existing && existing.item).toLowerCase() === key)) {
+      materials.push(resolved);
+    }
+  });
+  return scope;
 }
 
-export function detectConfirmationQuestions(scope) {
-  const tagSet = new Set(scope && Array.isArray(scope.tags) ? scope.tags : []);
-  return CONTRADICTIONS
-    .filter((rule) => rule.tags.every((tag) => tagSet.has(tag)))
-    .map((rule) => ({ target: "expert", question: rule.question }));
+/**
+ * Questions the surveyor must settle: what the checklist rules raise about the selected
+ * outcomes and, when facts are given, extracted facts whose confidence is too low to rely on.
+ * @param {Object} scope - From buildDeterministicScope()
+ * @param {Object} options - { facts } from the notes pipeline, { rules } from the checklist config
+ * @returns {Array<Object>} - [{ target, question, ruleId?, ruleType?, factId? }]
+ */
+export function detectConfirmationQuestions(scope, { facts = [], rules = [] } = {}) {
+  const ruleQuestions = evaluateRules(rules, scope || {}).questions;
+  const unconfirmedFacts = buildReviewQueue(facts).map((fact) => ({
+    target: "expert",
+    question: `Confirm ${fact.label.toLowerCase()}: ${fact.value}`,
+    factId: fact.id
+  }));
+  return [...ruleQuestions, ...unconfirmedFacts];
 }
 
 export function buildRecap(scope, dictatedText = "") {
@@ -0,0 +1,171 @@
+/**
+ * Lead Time Module
+ * Works out the earliest feasible install date from pricebook lead times,
+ * skipping weekends and bank holidays.
+ */
+
+export const BANK_HOLIDAYS_STORAGE_KEY = 'depot.bankHolidays';
+
+// England & Wales bank holidays (gov.uk), substitute days included
+export const DEFAULT_BANK_HOLIDAYS = [
+  '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+  '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+  '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date as YYYY-MM-DD (UTC calendar day)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function startOfDay(value) {
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Clean a list of bank holiday strings down to valid, unique ISO dates
+ * @param {Array<string>|string} value - Array or newline/comma separated text
+ * @returns {Array<string>} - Sorted ISO dates
+ */
+export function normaliseBankHolidays(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const dates = new Set();
+  entries.forEach((entry) => {
+    const text = String(entry || '').trim();
+    if (ISO_DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text))) {
+      dates.add(text);
+    }
+  });
+  return Array.from(dates).sort();
+}
+
+/**
+ * Load the configured bank holiday list, falling back to the defaults
+ * @returns {Array<string>} - ISO dates
+ */
+export function loadBankHolidays() {
+  try {
+    const raw = localStorage.getItem(BANK_HOLIDAYS_STORAGE_KEY);
+    if (raw) {
+      const parsed = normaliseBankHolidays(JSON.parse(raw));
+      if (parsed.length) return parsed;
+    }
+  } catch (_) {
+    // ignore storage issues and use defaults
+  }
+  return DEFAULT_BANK_HOLIDAYS.slice();
+}
+
+/**
+ * Persist a bank holiday list
+ * @param {Array<string>|string} value - Dates to store
+ * @returns {Array<string>} - What was saved
+ */
+export function saveBankHolidays(value) {
+  const dates = normaliseBankHolidays(value);
+  localStorage.setItem(BANK_HOLIDAYS_STORAGE_KEY, JSON.stringify(dates));
+  return dates;
+}
+
+/**
+ * Whether a date is a working day
+ * @param {Date} date - UTC midnight date
+ * @param {Set<string>} holidays - ISO bank holidays
+ * @returns {boolean}
+ */
+export function isWorkingDay(date, holidays = new Set()) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !holidays.has(toIsoDate(date));
+}
+
+/**
+ * Add working days to a date
+ * @param {Date|string} start - Starting date
+ * @param {number} days - Working days to add
+ * @param {Array<string>} bankHolidays - ISO bank holidays
+ * @returns {Date} - UTC midnight date
+ */
+export function addWorkingDays(start, days, bankHolidays = DEFAULT_BANK_HOLIDAYS) {
+  const holidays = new Set(bankHolidays);
+  const date = startOfDay(start);
+  let remaining = Math.max(0, Math.ceil(Number(days) || 0));
+  while (remaining > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isWorkingDay(date, holidays)) remaining--;
+  }
+  return date;
+}
+
+/**
+ * Estimate the earliest install date for a set of quote lines.
+ * Lead times are treated as working days from the order date; the install
+ * is booked for the first working day after the slowest component arrives.
+ * @param {Array<Object>} lines - Quote lines with componentId, description and leadTimeDays
+ * @param {Object} options - { orderDate, bankHolidays }
+ * @returns {Object} - { orderDate, leadTimeDays, deliveryDate, installDate, drivers }
+ */
+export function estimateInstallDate(lines, { orderDate = new Date(), bankHolidays = DEFAULT_BANK_HOLIDAYS } = {}) {
+  const priced = (Array.isArray(lines) ? lines : []).filter((line) => line && line.componentId);
+  const leadTimeDays = priced.reduce((max, line) => Math.max(max, Number(line.leadTimeDays) || 0), 0);
+  const drivers = leadTimeDays > 0
+    ? priced
+      .filter((line) => (Number(line.leadTimeDays) || 0) === leadTimeDays)
+      .map((line) => ({
+        componentId: line.componentId,
+        description: line.description || '',
+        leadTimeDays
+      }))
+    : [];
+
+  const start = startOfDay(orderDate);
+  const deliveryDate = addWorkingDays(start, leadTimeDays, bankHolidays);
+
+  return {
+    orderDate: toIsoDate(start),
+    leadTimeDays,
+    deliveryDate: toIsoDate(deliveryDate),
+    installDate: toIsoDate(addWorkingDays(deliveryDate, 1, bankHolidays)),
+    drivers
+  };
+}
+
+/**
+ * Human readable date, e.g. "Tue 10 Nov 2026"
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatInstallDate(isoDate) {
+  const date = startOfDay(isoDate);
+  return `${WEEKDAYS[date.getUTCDay()]} ${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * One-line note for the Delivery notes section and the cover page
+ * @param {Object} estimate - Result of estimateInstallDate
+ * @returns {string}
+ */
+export function formatLeadTimeNote(estimate) {
+  if (!estimate || !estimate.installDate) return '';
+  const base = `Earliest install ${formatInstallDate(estimate.installDate)}`;
+  if (!estimate.leadTimeDays) return `${base} - all parts in stock`;
+  const driverText = estimate.drivers
+    .map((driver) => `${driver.componentId} ${driver.description}`.trim())
+    .join(', ');
+  const days = estimate.leadTimeDays === 1 ? 'day' : 'days';
+  return `${base} - ${estimate.leadTimeDays} working ${days} lead time (${driverText})`;
+}
@@ -33,15 +33,40 @@ import {
 import {
   initChecklistSearch,
   populateGroupFilter,
-  resetChecklistFilters
+  resetChecklistFilters,
+  showGroupProgress
 } from "./checklistEnhancements.js";
 import { getAiNotes } from "./uiEnhancements.js";
 import {
   normaliseChecklistItems,
   buildDeterministicScope,
   detectConfirmationQuestions,
-  buildRecap
+  buildRecap,
+  visibleChecklistItems,
+  checklistCompleteness
 } from "./jobState.js";
+import { isBlockingQuestion } from "./checklistRules.js";
+import { applyChecklistTemplate, normaliseTemplates } from "./checklistTemplates.js";
+import { assessCompleteness, normaliseCompletenessOverrides } from "./surveyCompleteness.js";
+import { setSaveGuard } from "./saveMenu.js";
+import { loadPricebook, loadPricebookMapping, buildQuote } from "./pricebook.js";
+import { showSummaryModal as showQuoteModal } from "./summaryModal.js";
+import { estimateInstallDate, formatLeadTimeNote, loadBankHolidays } from "./leadTime.js";
+import { initSessionSync, queueCloudSync, unlinkCloudSession } from "./sessionSync.js";
+import { openOfficeReviewPanel, forgetOfficeSubmission } from "./officeReview.js";
+import { getAuthToken } from "../src/auth/auth-client.js";
+import { canStreamNotes, streamNotes } from "./streamingNotes.js";
+import { diariseTranscript, SPEAKER_LABELS } from "./speakerDiarisation.js";
+import {
+  formatSegmentRange,
+  parseSegmentRange,
+  latestSegmentEnd,
+  splitSectionBullets,
+  linkBulletsToSegments
+} from "./transcriptAlignment.js";
+import { PROVENANCE_LABELS, findBulletProvenance, describeProvenance } from "./noteProvenance.js";
+import { mergeFacts, confirmFact } from "./factReview.js";
+import { OfflineRecognition, offlineSpeechReady, offlineSpeechSupported, prepareOfflineSpeech } from "./offlineSpeech.js";
 
 // --- CONFIG / STORAGE KEYS ---
 const SECTION_STORAGE_KEY = "depot.sectionSchema";
@@ -131,6 +156,7 @@ const sendTextBtn = document.getElementById("sendTextBtn");
 const transcriptInput = document.getElementById("transcriptInput");
 const clarificationsEl = document.getElementById("clarifications");
 const scopeRecapEl = document.getElementById("scopeRecap");
+const factReviewEl = document.getElementById("factReviewQueue");
 const confirmRecapBtn = document.getElementById("confirmRecapBtn");
 const refineRecapBtn = document.getElementById("refineRecapBtn");
 const reprocessRecapBtn = document.getElementById("reprocessRecapBtn");
@@ -172,10 +198,19 @@ const APP_STATE = {
   notes: []
 };
 let lastMaterials = [];
+// Pricebook used to price checklist materials that reference a componentId; null until loaded
+let scopePricebook = null;
 let lastRawSections = [];
 let lastSections = [];
+// Sections updated by the /text stream that is still in flight, and the notes from before it started
+const streamingSectionNames = new Set();
+let sectionsBeforeStream = null;
 let lastCheckedItems = [];
 let lastMissingInfo = [];
+// Key facts from the notes pipeline with their confidence; confirmed ones are pinned
+let sessionFacts = [];
+// Reasons given for finishing or exporting a survey that wasn't complete: { action, reason, score, missing, at }
+let completenessOverrides = [];
 let lastCustomerSummary = "";
 let wasBackgroundedDuringSession = false;
 let pauseReason = null;
@@ -186,7 +221,13 @@ let SECTION_ORDER_MAP = new Map();
 let SECTION_KEY_LOOKUP = new Map();
 let schemaLoaded = false;
 let CHECKLIST_SOURCE = [];
+// CHECKLIST_SOURCE narrowed to the session's job type by its template
+let CHECKLIST_ACTIVE = { items: [], template: null };
 let CHECKLIST_ITEMS = [];
+// Template id picked when the session started; null uses the config's default template
+let sessionJobType = null;
+// Sections from the depot schema, used by job types whose template has no sections of its own
+let DEFAULT_SECTION_SCHEMA = [];
 let CHECKLIST_SELECTIONS = safeParseJSON(localStorage.getItem(CHECKLIST_SELECTIONS_STORAGE_KEY), {}) || {};
 let recapConfirmed = false;
 
@@ -207,6 +248,9 @@ function updateAppStateSnapshot() {
   APP_STATE.checkedItems = Array.isArray(lastCheckedItems) ? [...lastCheckedItems] : [];
   APP_STATE.checklistSelections = { ...CHECKLIST_SELECTIONS };
   APP_STATE.missingInfo = Array.isArray(lastMissingInfo) ? [...lastMissingInfo] : [];
+  APP_STATE.facts = sessionFacts.map((fact) => ({ ...fact }));
+  APP_STATE.completenessOverrides = completenessOverrides.map((entry) => ({ ...entry }));
+  APP_STATE.jobType = sessionJobType;
   APP_STATE.fullTranscript = (transcriptInput?.value || "").trim();
   APP_STATE.transcriptText = APP_STATE.fullTranscript;
 }
@@ -255,6 +299,7 @@ function autoSaveSessionToLocal() {
 
     localStorage.setItem(LS_AUTOSAVE_KEY, JSON.stringify(snapshot));
     exposeStateToWindow();
+    queueCloudSync();
   } catch (err) {
     console.warn("Auto-save failed", err);
   }
@@ -348,6 +393,9 @@ function normaliseChecklistConfigSource(raw) {
   if (raw && typeof raw === "object" && !Array.isArray(raw)) {
     base.sectionsOrder = Array.isArray(raw.sectionsOrder) ? raw.sectionsOrder.slice() : [];
     base.items = sanitiseChecklistArray(raw.items);
+    if (Array.isArray(raw.rules)) base.rules = raw.rules.slice();
+    if (Array.isArray(raw.templates)) base.templates = raw.templates.slice();
+    if (typeof raw.defaultTemplate === "string") base.defaultTemplate = raw.defaultTemplate;
     return base;
   }
 
@@ -365,8 +413,11 @@ async function loadChecklistConfig() {
   const localConfig = normaliseChecklistConfigSource(localRaw);
   const defaultsConfig = normaliseChecklistConfigSource(defaultsRaw);
 
-  // 3) Prefer local override if it has content
+  // 3) Prefer local override if it has content; rules are overridden separately by the rule editor
   const candidate = localConfig.items.length ? localConfig : defaultsConfig;
+  candidate.rules = localConfig.rules || defaultsConfig.rules || [];
+  candidate.templates = localConfig.templates || defaultsConfig.templates || [];
+  candidate.defaultTemplate = localConfig.defaultTemplate || defaultsConfig.defaultTemplate || "";
 
   if (!candidate.items.length) {
     console.warn("Checklist config: no items from localStorage or checklist.config.json");
@@ -392,10 +443,19 @@ let mediaRecorder = null;
 let mediaStream = null;
 let sessionAudioChunks = [];
 let lastAudioMime = null;
+// Recording clock, so transcript segments can be stamped with their place in the recording
+let recordedMsBeforeCurrent = 0; // audio captured by earlier MediaRecorder runs this session
+let recordingStartedAt = null;
+let utteranceStartSeconds = null;
+// One entry per MediaRecorder run: { chunks, offset, mime, url, urlChunks }. Each run is its own
+// file, so a segment is played from the run it falls in, seeking from that run's start offset.
+let sessionAudioRuns = [];
 
 // Live session speech state
 const SpeechRec = window.SpeechRecognition || window.webkitSpeechRecognition || null;
 let recognition = null;
+let usingOfflineSpeech = false; // on-device model instead of the browser's speech service
+let offlineSpeechCached = false; // the on-device model files are in the cache, so it works with no signal
 let liveState = "idle"; // idle | running | paused
 let recognitionActive = false;
 let shouldRestartRecognition = false;
@@ -411,6 +471,13 @@ let recognitionStopMode = null; // null | "pause" | "finish"
 let committedTranscript = "";
 let interimTranscript = "";
 let lastSentTranscript = "";
+// Live chunks use the worker's delta protocol: once a transcript is acknowledged, later chunks
+// carry only the speech after it. The full transcript is resent every LIVE_RECONCILE_EVERY
+// chunks, and whenever the transcript or notes were edited, so the worker's copy can't drift.
+const LIVE_RECONCILE_EVERY = 8;
+let liveNotesSessionId = null;
+let liveNotesAck = null; // { revision, offset, transcript, sectionsKey }
+let liveDeltasSinceReconcile = 0;
 let chunkTimerId = null;
 const LIVE_CHUNK_INTERVAL_MS = 20000; // Default 20 seconds
 let currentChunkInterval = LIVE_CHUNK_INTERVAL_MS; // Adaptive interval
@@ -445,7 +512,7 @@ function sanitiseSectionSchema(input) {
       ? rawDescription.trim()
       : String(rawDescription || "").trim();
     const order = typeof entry.order === "number" ? entry.order : idx + 1;
-    prepared.push({ name, description, order, idx });
+    prepared.push({ name, description, order, idx, required: entry.required === true });
   });
 
   prepared.sort((a, b) => {
@@ -467,14 +534,16 @@ function sanitiseSectionSchema(input) {
     unique.push({
       name: entry.name,
       description: entry.description || "",
-      order: entry.order
+      order: entry.order,
+      required: entry.required
     });
   });
 
   const final = unique.map((entry, idx) => ({
     name: entry.name,
     description: entry.description || "",
-    order: idx + 1
+    order: idx + 1,
+    required: entry.required
   }));
 
   return final;
@@ -484,7 +553,8 @@ function rebuildSectionState(schema) {
   SECTION_SCHEMA = Array.isArray(schema) ? schema.map((entry, idx) => ({
     name: entry.name,
     description: entry.description || "",
-    order: typeof entry.order === "number" ? entry.order : idx + 1
+    order: typeof entry.order === "number" ? entry.order : idx + 1,
+    required: entry.required === true
   })) : [];
   SECTION_ORDER = SECTION_SCHEMA.map((entry) => entry.name);
   SECTION_ORDER_MAP = new Map();
@@ -523,6 +593,14 @@ function getCanonicalDepotSectionOrder() {
   return DEFAULT_DEPOT_SECTION_ORDER.slice();
 }
 
+// Keep the worker's per-bullet provenance when a section is rebuilt
+function withProvenance(section, source) {
+  if (source && Array.isArray(source.provenance)) {
+    section.provenance = source.provenance;
+  }
+  return section;
+}
+
 function normaliseDepotSections(rawSections) {
   const entries = Array.isArray(rawSections) ? rawSections : [];
   const sectionMap = new Map();
@@ -563,11 +641,11 @@ function normaliseDepotSections(rawSections) {
           : typeof entry.notes === "string"
             ? entry.notes
             : "";
-    sectionMap.set(canonical, {
+    sectionMap.set(canonical, withProvenance({
       section: canonical,
       plainText: plainText || "",
       naturalLanguage: naturalLanguage || ""
-    });
+    }, entry));
   });
 
   const canonicalOrder = getCanonicalDepotSectionOrder();
@@ -577,11 +655,11 @@ function normaliseDepotSections(rawSections) {
   const ordered = canonicalOrder.map((name) => {
     const existing = sectionMap.get(name);
     if (existing) {
-      return {
+      return withProvenance({
         section: existing.section,
         plainText: existing.plainText || "",
         naturalLanguage: existing.naturalLanguage || ""
-      };
+      }, existing);
     }
     missing.push(name);
     return {
@@ -593,11 +671,11 @@ function normaliseDepotSections(rawSections) {
 
   sectionMap.forEach((value, key) => {
     if (seenOrder.has(key)) return;
-    ordered.push({
+    ordered.push(withProvenance({
       section: value.section,
       plainText: value.plainText || "",
       naturalLanguage: value.naturalLanguage || ""
-    });
+    }, value));
   });
 
   if (!ordered.length) {
@@ -776,6 +854,7 @@ function clearCachedSchema() {
   SECTION_ORDER_MAP = new Map();
   SECTION_KEY_LOOKUP = new Map();
   CHECKLIST_SOURCE = [];
+  CHECKLIST_ACTIVE = { items: [], template: null };
   CHECKLIST_ITEMS = [];
 }
 
@@ -941,10 +1020,15 @@ function combineSectionEntries(prev, next, sectionName) {
   if (!plainText.trim() && !naturalLanguage.trim()) {
     return null;
   }
+  const provenance = [
+    ...(next && Array.isArray(next.provenance) ? next.provenance : []),
+    ...(prev && Array.isArray(prev.provenance) ? prev.provenance : [])
+  ];
   return {
     section: sectionName,
     plainText,
-    naturalLanguage
+    naturalLanguage,
+    ...(provenance.length ? { provenance } : {})
   };
 }
 
@@ -1125,6 +1209,45 @@ function requireWorkerBaseUrl() {
   return trimmed.replace(/\/$/, "");
 }
 
+// Signed-in users are metered against their own quota rather than their IP
+function workerAuthHeaders() {
+  const token = getAuthToken();
+  return token ? { "Authorization": `Bearer ${token}` } : {};
+}
+
+function rateLimitError(res) {
+  const retryAfter = Number(res.headers.get("Retry-After")) || 60;
+  const err = new Error(`HTTP 429: rate limited, retry after ${retryAfter}s`);
+  err.retryable = false;
+  err.voiceMessage = retryAfter > 120
+    ? `AI usage limit reached. It resets in about ${Math.ceil(retryAfter / 3600)} hour(s).`
+    : `Too many AI requests. Please wait ${retryAfter} seconds and try again.`;
+  return err;
+}
+
+// Stream /text so sections update as the model finishes them; fall back to the blocking call
+// when the browser can't read streams or the connection drops mid-stream
+async function requestNotes(payload, onSection) {
+  if (canStreamNotes()) {
+    try {
+      const reply = await streamNotes(requireWorkerBaseUrl() + "/text", payload, {
+        headers: workerAuthHeaders(),
+        onSection
+      });
+      if (reply.status === 429) {
+        throw rateLimitError(reply);
+      }
+      return reply;
+    } catch (err) {
+      if (err.retryable === false) throw err;
+      console.warn("Streaming /text failed, retrying without streaming:", err);
+    }
+  }
+
+  const res = await postJSON("/text", payload);
+  return { ok: res.ok, status: res.status, statusText: res.statusText, raw: await res.text() };
+}
+
 async function postJSON(path, body) {
   const base = requireWorkerBaseUrl();
   const url = base + path;
@@ -1142,10 +1265,18 @@ async function postJSON(path, body) {
       async () => {
         const res = await fetch(url, {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", ...workerAuthHeaders() },
           body: JSON.stringify(body)
         });
 
+        if (res.status === 429) {
+          throw rateLimitError(res);
+        }
+        // Live notes conflict: not transient, the caller resends the full transcript
+        if (res.status === 409) {
+          return res;
+        }
+
         if (!res.ok) {
           throw new Error(`HTTP ${res.status}: ${res.statusText}`);
         }
@@ -1258,6 +1389,8 @@ async function startAudioCapture(resetChunks = false) {
   try {
     if (resetChunks) {
       sessionAudioChunks = [];
+      resetAudioRuns();
+      recordedMsBeforeCurrent = 0;
     } else if (!Array.isArray(sessionAudioChunks)) {
       sessionAudioChunks = [];
     }
@@ -1293,10 +1426,13 @@ async function startAudioCapture(resetChunks = false) {
     mediaRecorder = new MediaRecorder(mediaStream, options);
     lastAudioMime = mediaRecorder.mimeType || selectedCodec || "audio/webm";
     console.log("MediaRecorder initialized with MIME type:", lastAudioMime);
+    const run = { chunks: [], offset: recordedMsBeforeCurrent / 1000, mime: lastAudioMime, url: null, urlChunks: 0 };
+    sessionAudioRuns.push(run);
 
     mediaRecorder.ondataavailable = (event) => {
       if (event.data && event.data.size > 0) {
         sessionAudioChunks.push(event.data);
+        run.chunks.push(event.data);
         console.log("Audio chunk recorded:", event.data.size, "bytes");
       }
     };
@@ -1313,6 +1449,7 @@ async function startAudioCapture(resetChunks = false) {
       showSleepWarning("Audio recording error: " + (event.error?.message || "Unknown error"));
     };
     mediaRecorder.start();
+    recordingStartedAt = Date.now();
     console.log("Audio recording started successfully");
   } catch (err) {
     console.error("Audio capture error", err);
@@ -1320,7 +1457,18 @@ async function startAudioCapture(resetChunks = false) {
   }
 }
 
+// Seconds into the session recording, or null when nothing is being recorded
+function recordingElapsedSeconds() {
+  if (recordingStartedAt === null) return null;
+  return (recordedMsBeforeCurrent + (Date.now() - recordingStartedAt)) / 1000;
+}
+
 function stopAudioCapture() {
+  if (recordingStartedAt !== null) {
+    recordedMsBeforeCurrent += Date.now() - recordingStartedAt;
+    recordingStartedAt = null;
+  }
+  utteranceStartSeconds = null;
   try {
     if (mediaRecorder && mediaRecorder.state === "recording") {
       mediaRecorder.stop();
@@ -1382,6 +1530,65 @@ function deriveSectionHints() {
   return hints;
 }
 
+function liveSectionsKey() {
+  return JSON.stringify((lastRawSections || []).map(sec => [sec.section, sec.plainText]));
+}
+
+function resetLiveNotesAck() {
+  liveNotesSessionId = null;
+  liveNotesAck = null;
+  liveDeltasSinceReconcile = 0;
+}
+
+// Full payload for reconciliation passes, otherwise only the speech after the acknowledged offset
+function buildLiveNotesPayload(fullTranscript, schema, { forceFull = false } = {}) {
+  const payload = buildVoiceRequestPayload(fullTranscript, schema);
+  if (!liveNotesSessionId) {
+    liveNotesSessionId = typeof crypto !== "undefined" && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `live-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+  payload.liveSessionId = liveNotesSessionId;
+
+  const ack = liveNotesAck;
+  const canSendDelta = !forceFull
+    && ack
+    && liveDeltasSinceReconcile < LIVE_RECONCILE_EVERY
+    && fullTranscript.length > ack.offset
+    && fullTranscript.startsWith(ack.transcript)
+    && liveSectionsKey() === ack.sectionsKey;
+  if (!canSendDelta) {
+    payload.mode = "full";
+    return payload;
+  }
+
+  // The worker merges into its own copy of the notes, so they aren't resent
+  delete payload.alreadyCaptured;
+  return {
+    ...payload,
+    mode: "delta",
+    transcript: fullTranscript.slice(ack.offset),
+    transcriptOffset: ack.offset,
+    baseRevision: ack.revision
+  };
+}
+
+// Remember what the worker acknowledged; call after the result has been applied
+function acknowledgeLiveNotes(data, fullTranscript) {
+  const live = data && data.live;
+  if (!live || live.sessionId !== liveNotesSessionId) {
+    liveNotesAck = null;
+    return;
+  }
+  liveNotesAck = {
+    revision: live.revision,
+    offset: live.offset,
+    transcript: fullTranscript.slice(0, live.offset),
+    sectionsKey: liveSectionsKey()
+  };
+  liveDeltasSinceReconcile = live.mode === "delta" ? liveDeltasSinceReconcile + 1 : 0;
+}
+
 function buildVoiceRequestPayload(transcript, schema = SECTION_SCHEMA) {
   const existingSections = Array.isArray(lastRawSections)
     ? lastRawSections
@@ -1410,14 +1617,42 @@ function buildVoiceRequestPayload(transcript, schema = SECTION_SCHEMA) {
     sectionHints: deriveSectionHints(),
     forceStructured: true,
     checklistItems: CHECKLIST_SOURCE,
-    deterministicScope: buildDeterministicScope(CHECKLIST_ITEMS, CHECKLIST_SELECTIONS),
+    checklistTemplate: CHECKLIST_ACTIVE.template ? CHECKLIST_ACTIVE.template.id : "",
+    deterministicScope: getCurrentDeterministicScope(),
+    confirmedFacts: sessionFacts.filter((fact) => fact.confirmed),
     depotSections: canonicalSchema,
     depotNotesInstructions: loadDepotNotesInstructions()
   };
 }
 
+function getChecklistRules() {
+  return Array.isArray(CHECKLIST_ACTIVE.rules) ? CHECKLIST_ACTIVE.rules : [];
+}
+
+// Narrow the checklist and depot sections to the session's job type
+function applyJobType() {
+  CHECKLIST_ACTIVE = applyChecklistTemplate(CHECKLIST_SOURCE, sessionJobType);
+  CHECKLIST_ITEMS = normaliseChecklistConfig(CHECKLIST_ACTIVE.items);
+  const templateSections = CHECKLIST_ACTIVE.template && CHECKLIST_ACTIVE.template.sections;
+  if (templateSections) {
+    rebuildSectionState(sanitiseSectionSchema(templateSections));
+  } else if (DEFAULT_SECTION_SCHEMA.length) {
+    rebuildSectionState(DEFAULT_SECTION_SCHEMA);
+  }
+}
+
+function setJobType(templateId) {
+  sessionJobType = templateId || null;
+  applyJobType();
+  refreshUiFromState();
+  debouncedAutoSave();
+}
+
 function getCurrentDeterministicScope() {
-  return buildDeterministicScope(CHECKLIST_ITEMS, CHECKLIST_SELECTIONS);
+  return buildDeterministicScope(CHECKLIST_ITEMS, CHECKLIST_SELECTIONS, {
+    rules: getChecklistRules(),
+    pricebook: scopePricebook
+  });
 }
 
 function persistChecklistSelections() {
@@ -1574,8 +1809,9 @@ function renderPartsList(materials) {
       const li = document.createElement("li");
       li.style.fontSize = ".68rem";
       const detail = [];
-      if (p.item) detail.push(p.item);
+      if (p.item) detail.push(p.componentId ? `${p.item} (${p.componentId})` : p.item);
       if (p.qty && Number(p.qty) !== 1) detail.push(`× ${p.qty}`);
+      if (Number.isFinite(p.total)) detail.push(`£${p.total.toFixed(2)}`);
       if (p.notes) detail.push(p.notes);
       li.textContent = detail.length ? detail.join(" — ") : (p.item || "Item");
       ul.appendChild(li);
@@ -1584,6 +1820,64 @@ function renderPartsList(materials) {
   });
 }
 
+const LEAD_TIME_NOTE_PATTERN = /^\s*(?:-\s*)?Earliest install\b/i;
+
+// Keep a single "Earliest install" bullet in Delivery notes, recomputed from the priced materials
+async function updateDeliveryLeadTimeNote() {
+  let note = "";
+  try {
+    const [pricebook, mapping] = await Promise.all([
+      loadPricebook({ surveyDate: sessionStartTime || undefined }),
+      loadPricebookMapping()
+    ]);
+    scopePricebook = pricebook;
+    const quote = buildQuote({
+      pricebook,
+      mapping,
+      checklistItems: CHECKLIST_ACTIVE,
+      selections: CHECKLIST_SELECTIONS,
+      rules: getChecklistRules(),
+      materials: lastMaterials
+    });
+    if (quote.lines.length) {
+      note = formatLeadTimeNote(estimateInstallDate(quote.lines, { bankHolidays: loadBankHolidays() }));
+    }
+  } catch (err) {
+    console.warn("Lead time estimate unavailable", err);
+    return;
+  }
+
+  const sections = Array.isArray(lastRawSections) ? cloneDeep(lastRawSections) : [];
+  let delivery = sections.find((sec) => sec && resolveRequiredSectionName(sec.section) === "Delivery notes");
+  if (!delivery) {
+    if (!note) return;
+    delivery = { section: "Delivery notes", plainText: "", naturalLanguage: "" };
+    sections.push(delivery);
+  }
+
+  const plainLines = String(delivery.plainText || "")
+    .split(";")
+    .map((line) => line.trim())
+    .filter((line) => line && !LEAD_TIME_NOTE_PATTERN.test(line));
+  const naturalLines = String(delivery.naturalLanguage || "")
+    .split("\n")
+    .filter((line) => line.trim() && !LEAD_TIME_NOTE_PATTERN.test(line));
+  if (note) {
+    plainLines.push(note);
+    naturalLines.push(`- ${note}`);
+  }
+  const plainText = plainLines.length ? `${plainLines.join("; ")};` : "";
+  const naturalLanguage = naturalLines.join("\n");
+  if (plainText === (delivery.plainText || "") && naturalLanguage === (delivery.naturalLanguage || "")) return;
+
+  delivery.plainText = plainText;
+  delivery.naturalLanguage = naturalLanguage;
+  lastRawSections = sections;
+  syncSectionsState(lastRawSections);
+  refreshUiFromState();
+  debouncedAutoSave();
+}
+
 function postProcessSections(sections) {
   const orderFor = (name) => {
     if (!name) return Number.MAX_SAFE_INTEGER;
@@ -1620,11 +1914,109 @@ function postProcessSections(sections) {
   return out;
 }
 
+// Rule questions and low-confidence facts the surveyor must settle before the notes are final
+function getPendingConfirmations() {
+  return detectConfirmationQuestions(getCurrentDeterministicScope(), { facts: sessionFacts, rules: getChecklistRules() })
+    .filter(isBlockingQuestion);
+}
+
+// How complete the survey is: checklist answers, required depot sections and open questions
+function getCompleteness() {
+  return assessCompleteness({
+    checklistItems: CHECKLIST_ITEMS,
+    selections: CHECKLIST_SELECTIONS,
+    requiredSections: SECTION_SCHEMA.filter((entry) => entry.required).map((entry) => entry.name),
+    sections: lastSections,
+    missingInfo: [...getPendingConfirmations(), ...(Array.isArray(lastMissingInfo) ? lastMissingInfo : [])]
+  });
+}
+
+/**
+ * Check the survey is complete before it's finished or exported; if it isn't, list what's
+ * missing and ask for a reason, which is kept with the session
+ * @param {string} action - What the surveyor is doing, e.g. "finish" or "export"
+ * @returns {boolean} - whether to go ahead
+ */
+function confirmReadyToSubmit(action) {
+  const completeness = getCompleteness();
+  if (completeness.ready) return true;
+
+  const shown = completeness.missing.slice(0, 12).map((entry) => `• ${entry.label}`);
+  if (completeness.missing.length > shown.length) {
+    shown.push(`• …and ${completeness.missing.length - shown.length} more`);
+  }
+  const reason = window.prompt(
+    `This survey is ${completeness.score}% complete. Still missing:\n\n${shown.join("\n")}\n\n`
+      + `To ${action} anyway, give a reason:`,
+    ""
+  );
+  if (!reason || !reason.trim()) {
+    setStatus(`Survey incomplete – give a reason to ${action} anyway.`);
+    return false;
+  }
+
+  completenessOverrides.push({
+    action,
+    reason: reason.trim(),
+    score: completeness.score,
+    missing: completeness.missing.map((entry) => entry.label),
+    at: new Date().toISOString()
+  });
+  debouncedAutoSave();
+  return true;
+}
+
+function renderFactReview() {
+  if (!factReviewEl) return;
+  factReviewEl.innerHTML = "";
+  const pending = getPendingConfirmations();
+  const pinned = sessionFacts.filter((fact) => fact.confirmed);
+  if (!pending.length && !pinned.length) {
+    factReviewEl.innerHTML = `<span class="small">Nothing to confirm yet.</span>`;
+    return;
+  }
+
+  pending.forEach((entry) => {
+    const row = document.createElement("div");
+    row.className = "fact-review-item";
+    const fact = entry.factId ? sessionFacts.find((candidate) => candidate.id === entry.factId) : null;
+    if (!fact) {
+      row.innerHTML = `<div>${escapeHtml(entry.question)}</div><div class="small">Resolve this in the checklist.</div>`;
+      factReviewEl.appendChild(row);
+      return;
+    }
+    const evidence = fact.quote ? `"${fact.quote}"` : "No supporting quote in the transcript";
+    const correction = fact.correction ? ` · ${fact.correction}` : "";
+    row.innerHTML = `
+      <div><strong>${escapeHtml(fact.label)}</strong> <span class="small">${Math.round(fact.confidence * 100)}% confident</span></div>
+      <div class="small">${escapeHtml(evidence + correction)}</div>
+      <div class="fact-review-actions">
+        <input type="text" class="fact-review-value" value="${escapeAttribute(fact.value)}" aria-label="${escapeAttribute(fact.label)}">
+        <button type="button" class="pill-secondary">Confirm</button>
+      </div>`;
+    row.querySelector("button").addEventListener("click", () => {
+      const value = row.querySelector("input").value.trim() || fact.value;
+      sessionFacts = confirmFact(sessionFacts, fact.id, value);
+      renderFactReview();
+      debouncedAutoSave();
+    });
+    factReviewEl.appendChild(row);
+  });
+
+  if (pinned.length) {
+    const pinnedEl = document.createElement("div");
+    pinnedEl.className = "small fact-review-pinned";
+    pinnedEl.textContent = `📌 ${pinned.map((fact) => `${fact.label}: ${fact.value}`).join(" · ")}`;
+    factReviewEl.appendChild(pinnedEl);
+  }
+}
+
 function renderChecklist(container, checkedIds, missingInfoFromServer) {
+  renderFactReview();
   const scope = getCurrentDeterministicScope();
-  const contradictionQuestions = detectConfirmationQuestions(scope);
-  const questions = contradictionQuestions.length
-    ? contradictionQuestions
+  const ruleQuestions = detectConfirmationQuestions(scope, { rules: getChecklistRules() });
+  const questions = ruleQuestions.length
+    ? ruleQuestions
     : (Array.isArray(missingInfoFromServer) ? missingInfoFromServer : []);
   container.innerHTML = "";
 
@@ -1634,8 +2026,19 @@ function renderChecklist(container, checkedIds, missingInfoFromServer) {
     return;
   }
 
+  // Items whose showWhen isn't met by the earlier answers are hidden for this job
+  const completeness = checklistCompleteness(CHECKLIST_ITEMS, CHECKLIST_SELECTIONS);
+  const survey = getCompleteness();
+  const progress = document.createElement("div");
+  progress.className = "small checklist-progress";
+  progress.textContent = (CHECKLIST_ACTIVE.template ? `${CHECKLIST_ACTIVE.template.label} · ` : "")
+    + `${survey.score}% complete · ${completeness.answered} of ${completeness.total} items answered`
+    + (completeness.hidden ? ` · ${completeness.hidden} not needed for this job` : "");
+  progress.title = survey.missing.map((entry) => entry.label).join("\n");
+  container.appendChild(progress);
+
   const byGroup = new Map();
-  CHECKLIST_ITEMS.forEach((item) => {
+  visibleChecklistItems(CHECKLIST_ITEMS, CHECKLIST_SELECTIONS).forEach((item) => {
     const group = item.group || "Checklist";
     const arr = byGroup.get(group) || [];
     arr.push(item);
@@ -1708,6 +2111,7 @@ function renderChecklist(container, checkedIds, missingInfoFromServer) {
             return `${id}:${outcomeId || ""}`;
           });
           renderChecklist(clarificationsEl, lastCheckedItems, lastMissingInfo);
+          updateDeliveryLeadTimeNote();
           debouncedAutoSave();
         });
         options.appendChild(button);
@@ -1757,6 +2161,7 @@ function renderChecklist(container, checkedIds, missingInfoFromServer) {
     initChecklistSearch(container);
     populateGroupFilter(CHECKLIST_ITEMS);
   }
+  showGroupProgress(survey.groups);
 
   renderScopeRecap();
 }
@@ -1768,7 +2173,7 @@ async function loadChecklistConfigIntoState() {
     CHECKLIST_SOURCE = [];
   }
 
-  CHECKLIST_ITEMS = normaliseChecklistConfig(CHECKLIST_SOURCE);
+  applyJobType();
 
   console.log("Checklist items in main app:", CHECKLIST_ITEMS.length);
 
@@ -1776,6 +2181,45 @@ async function loadChecklistConfigIntoState() {
   renderChecklist(clarificationsEl, lastCheckedItems, lastMissingInfo);
 }
 
+// Each bullet with links to the transcript segments it came from; recorded ones play on click
+function renderBulletSources(bullets, segments) {
+  const linked = linkBulletsToSegments(bullets, segments).filter((entry) => entry.segments.length);
+  if (!linked.length) return "";
+  const rows = linked.map(({ bullet, segments: indexes }) => {
+    const links = indexes.map((index) => {
+      const seg = segments[index];
+      const title = escapeAttribute(`${seg.speaker}: ${seg.text}`);
+      return seg.start !== null
+        ? `<button type="button" class="segment-link" data-seek-start="${seg.start}" data-seek-end="${seg.end}" title="${title}">🔊 ${escapeHtml(seg.timestamp.split("-")[0])}</button>`
+        : `<span class="segment-link" title="${title}">[${escapeHtml(seg.timestamp)}]</span>`;
+    }).join(" ");
+    return `<li><span>${escapeHtml(bullet)}</span> ${links}</li>`;
+  }).join("");
+  return `<details class="bullet-sources"><summary>Sources (${linked.length})</summary><ul>${rows}</ul></details>`;
+}
+
+// Bullets tagged with where they came from; inferred ones are highlighted for review
+function renderProvenanceBullets(bullets, provenance, segments) {
+  const links = new Map(
+    linkBulletsToSegments(bullets, segments).map((entry) => [entry.bullet, entry.segments])
+  );
+  const rows = bullets.map((bullet) => {
+    const entry = findBulletProvenance(provenance, bullet);
+    const badge = entry
+      ? ` <span class="provenance-badge provenance-${escapeHtml(entry.source)}" title="${escapeAttribute(describeProvenance(entry))}">${escapeHtml(PROVENANCE_LABELS[entry.source] || entry.source)}</span>`
+      : "";
+    const segmentLinks = (links.get(bullet) || []).map((index) => {
+      const seg = segments[index];
+      return seg.start !== null
+        ? ` <button type="button" class="segment-link" data-seek-start="${seg.start}" data-seek-end="${seg.end}" title="${escapeAttribute(`${seg.speaker}: ${seg.text}`)}">🔊</button>`
+        : "";
+    }).join("");
+    const reviewClass = entry && entry.source === "inference" ? " class=\"needs-review\"" : "";
+    return `<li${reviewClass}>${escapeHtml(bullet)}${badge}${segmentLinks}</li>`;
+  }).join("");
+  return `<ul class="provenance-bullets">${rows}</ul>`;
+}
+
 // NOTE: Assumes SECTION_SCHEMA has been populated via loadStaticConfig()/ensureSectionSchema().
 // This allows placeholder sections (schema headings) to appear before any worker output arrives.
 function refreshUiFromState() {
@@ -1788,10 +2232,11 @@ function refreshUiFromState() {
   }
 
   const sectionsToRender = resolved.length ? resolved : normaliseDepotSections([]);
+  const sourceSegments = parseTranscriptSegments(transcriptInput.value.trim());
   sectionsListEl.innerHTML = "";
   sectionsToRender.forEach((sec, index) => {
     const div = document.createElement("div");
-    div.className = "section-item";
+    div.className = streamingSectionNames.has(sec.section) ? "section-item section-streaming" : "section-item";
     div.dataset.sectionIndex = index;
     const plainTextRaw = typeof sec.plainText === "string" ? sec.plainText : "";
     const formattedPlain = plainTextRaw
@@ -1802,6 +2247,12 @@ function refreshUiFromState() {
     const naturalMarkup = naturalLanguage
       ? `<p class="small" style="margin-top:3px;">${naturalLanguage}</p>`
       : "";
+    const sectionBullets = splitSectionBullets(plainTextRaw);
+    const hasProvenance = Array.isArray(sec.provenance) && sec.provenance.length > 0 && sectionBullets.length > 0;
+    const bulletsMarkup = hasProvenance
+      ? renderProvenanceBullets(sectionBullets, sec.provenance, sourceSegments)
+      : `<pre${preClassAttr}>${formattedPlain || "No bullets yet."}</pre>`;
+    const sourcesMarkup = hasProvenance ? "" : renderBulletSources(sectionBullets, sourceSegments);
     div.innerHTML = `
       <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
         <h4 style="margin: 0;">${sec.section}</h4>
@@ -1823,8 +2274,9 @@ function refreshUiFromState() {
         </div>
       </div>
       <div class="section-content-view">
-        <pre${preClassAttr}>${formattedPlain || "No bullets yet."}</pre>
+        ${bulletsMarkup}
         ${naturalMarkup}
+        ${sourcesMarkup}
       </div>
       <div class="section-content-edit" style="display: none;">
         <label style="display: block; margin-bottom: 4px; font-size: 0.7rem; font-weight: 600; color: #475569;">Plain Text (bullets):</label>
@@ -1917,6 +2369,38 @@ function refreshUiFromState() {
   exposeStateToWindow();
 }
 
+// Show one streamed section straight away; the final result replaces all sections when it arrives
+function applyStreamedSection(section) {
+  if (!section || typeof section.section !== "string") return;
+  if (!streamingSectionNames.size) {
+    sectionsBeforeStream = cloneDeep(lastRawSections || []);
+  }
+  streamingSectionNames.add(section.section);
+
+  const sections = cloneDeep(lastRawSections || []);
+  const index = sections.findIndex((existing) => existing && existing.section === section.section);
+  if (index >= 0) {
+    sections[index] = { ...sections[index], ...section };
+  } else {
+    sections.push(section);
+  }
+  lastRawSections = sections;
+  syncSectionsState(lastRawSections);
+  refreshUiFromState();
+}
+
+// Put back the notes from before a stream that then failed
+function discardStreamedSections() {
+  if (!streamingSectionNames.size) return;
+  streamingSectionNames.clear();
+  if (sectionsBeforeStream) {
+    lastRawSections = sectionsBeforeStream;
+    sectionsBeforeStream = null;
+    syncSectionsState(lastRawSections);
+  }
+  refreshUiFromState();
+}
+
 function applyVoiceResult(result) {
   if (!result || typeof result !== "object") {
     showVoiceError("AI gave an empty result.");
@@ -1968,6 +2452,10 @@ function applyVoiceResult(result) {
     lastMissingInfo = prevMissing;
   }
 
+  if (Array.isArray(result.facts)) {
+    sessionFacts = mergeFacts(sessionFacts, result.facts);
+  }
+
   lastCustomerSummary = "";
 
   if (updated) {
@@ -1982,15 +2470,16 @@ function applyVoiceResult(result) {
   }
 
   refreshUiFromState();
+  updateDeliveryLeadTimeNote();
 }
 
 async function sendText(options = {}) {
   const confirmed = Boolean(options.confirmed);
   const transcript = transcriptInput.value.trim();
   const deterministicScope = getCurrentDeterministicScope();
-  const confirmationQuestions = detectConfirmationQuestions(deterministicScope);
+  const confirmationQuestions = detectConfirmationQuestions(deterministicScope, { rules: getChecklistRules() });
 
-  if (confirmationQuestions.length) {
+  if (confirmationQuestions.some(isBlockingQuestion)) {
     lastMissingInfo = confirmationQuestions;
     renderChecklist(clarificationsEl, lastCheckedItems, lastMissingInfo);
     showVoiceError("Resolve the confirmation questions before generating Depot notes.");
@@ -2195,7 +2684,10 @@ async function saveSessionToFile() {
     materials: lastMaterials,
     checkedItems: lastCheckedItems,
     checklistSelections: { ...CHECKLIST_SELECTIONS },
-    missingInfo: lastMissingInfo
+    missingInfo: lastMissingInfo,
+    facts: sessionFacts,
+    completenessOverrides,
+    jobType: sessionJobType
   };
 
   const format = getExportFormat();
@@ -2235,37 +2727,59 @@ if (importAudioBtn && importAudioInput) {
 }
 
 loadSessionBtn.onclick = () => loadSessionInput.click();
+/**
+ * Replace the current session with a saved one (file or cloud copy)
+ * @param {Object} session - { fullTranscript, sections, materials, checkedItems, checklistSelections, missingInfo, facts }
+ * @param {Object} options - { name, audioBlob }
+ */
+async function applyLoadedSession(session, { name, audioBlob } = {}) {
+  stopAudioCapture();
+  transcriptInput.value = session.fullTranscript || "";
+  committedTranscript = transcriptInput.value.trim();
+  lastSentTranscript = committedTranscript;
+  resetLiveNotesAck();
+  lastRawSections = Array.isArray(session.sections) ? session.sections : [];
+  lastMaterials = Array.isArray(session.materials) ? session.materials : [];
+  lastCheckedItems = Array.isArray(session.checkedItems) ? session.checkedItems : [];
+  CHECKLIST_SELECTIONS = session.checklistSelections && typeof session.checklistSelections === "object"
+    ? { ...session.checklistSelections }
+    : {};
+  persistChecklistSelections();
+  lastMissingInfo = Array.isArray(session.missingInfo) ? session.missingInfo : [];
+  sessionFacts = mergeFacts([], session.facts);
+  completenessOverrides = normaliseCompletenessOverrides(session.completenessOverrides);
+  sessionJobType = typeof session.jobType === "string" ? session.jobType : null;
+  lastCustomerSummary = "";
+  sessionAudioChunks = audioBlob ? [audioBlob] : [];
+  lastAudioMime = audioBlob ? audioBlob.type || "audio/webm" : null;
+  resetAudioRuns();
+  if (audioBlob) sessionAudioRuns.push({ chunks: [audioBlob], offset: 0, mime: lastAudioMime, url: null, urlChunks: 0 });
+  // Carry on the recording clock from the last segment that was stamped against this audio
+  recordedMsBeforeCurrent = audioBlob ? latestSegmentEnd(transcriptInput.value) * 1000 : 0;
+  mediaStream = null;
+  mediaRecorder = null;
+  if (name) setSessionName(name);
+  await ensureSectionSchema();
+  applyJobType();
+  const normalisedFromSession = normaliseSectionsFromResponse({ sections: lastRawSections }, SECTION_SCHEMA);
+  lastRawSections = Array.isArray(normalisedFromSession) ? normalisedFromSession : [];
+  syncSectionsState(lastRawSections);
+  refreshUiFromState();
+  setWorkerDebugPayload(null);
+  setStatus("Session loaded.");
+  clearSleepWarning();
+}
+
 loadSessionInput.onchange = async (e) => {
   const file = e.target.files && e.target.files[0];
   if (!file) return;
   try {
-    stopAudioCapture();
     const text = await file.text();
     const session = JSON.parse(text);
-    transcriptInput.value = session.fullTranscript || "";
-    committedTranscript = transcriptInput.value.trim();
-    lastSentTranscript = committedTranscript;
-    lastRawSections = Array.isArray(session.sections) ? session.sections : [];
-    lastMaterials = Array.isArray(session.materials) ? session.materials : [];
-    lastCheckedItems = Array.isArray(session.checkedItems) ? session.checkedItems : [];
-    CHECKLIST_SELECTIONS = session.checklistSelections && typeof session.checklistSelections === "object"
-      ? { ...session.checklistSelections }
-      : {};
-    persistChecklistSelections();
-    lastMissingInfo = Array.isArray(session.missingInfo) ? session.missingInfo : [];
-    lastCustomerSummary = "";
-    sessionAudioChunks = [];
-    lastAudioMime = null;
-    mediaStream = null;
-    mediaRecorder = null;
-    await ensureSectionSchema();
-    const normalisedFromSession = normaliseSectionsFromResponse({ sections: lastRawSections }, SECTION_SCHEMA);
-    lastRawSections = Array.isArray(normalisedFromSession) ? normalisedFromSession : [];
-    syncSectionsState(lastRawSections);
-    refreshUiFromState();
-    setWorkerDebugPayload(null);
-    setStatus("Session loaded.");
-    clearSleepWarning();
+    // A file is a separate copy, so stop syncing it over the cloud session it may have come from
+    unlinkCloudSession();
+    forgetOfficeSubmission();
+    await applyLoadedSession(session);
   } catch (err) {
     console.error(err);
     showVoiceError("Could not load session file: " + (err.message || "Unknown error"));
@@ -2274,6 +2788,58 @@ loadSessionInput.onchange = async (e) => {
   }
 };
 
+// --- CLOUD SESSIONS ---
+initSessionSync({
+  getSession: () => ({
+    version: 1,
+    fullTranscript: transcriptInput.value.trim() || committedTranscript || "",
+    sections: lastRawSections,
+    materials: lastMaterials,
+    checkedItems: lastCheckedItems,
+    checklistSelections: { ...CHECKLIST_SELECTIONS },
+    missingInfo: lastMissingInfo,
+    facts: sessionFacts,
+    completenessOverrides,
+    jobType: sessionJobType
+  }),
+  getSessionName,
+  getAudioBlob: () => (sessionAudioChunks.length
+    ? new Blob(sessionAudioChunks, { type: lastAudioMime || "audio/webm" })
+    : null),
+  applySession: applyLoadedSession
+});
+
+// Depot and AI notes exports are the finished survey; full-session backups are never blocked
+setSaveGuard(() => confirmReadyToSubmit("export"));
+
+// Priced quote and summary PDF, pre-filled from the checklist and materials via the pricebook
+const quoteBtn = document.getElementById("quoteBtn");
+if (quoteBtn) {
+  quoteBtn.onclick = () => {
+    showQuoteModal({
+      sessionName: getSessionName(),
+      surveyDate: sessionStartTime || undefined,
+      checklistItems: CHECKLIST_ACTIVE,
+      checklistRules: getChecklistRules(),
+      checklistSelections: { ...CHECKLIST_SELECTIONS },
+      materials: lastMaterials,
+      sections: lastRawSections,
+      aiNotes: getAiNotes().map((note) => `${note.title}\n${note.content}`).join("\n\n")
+    }).catch((err) => {
+      console.error("Quote unavailable", err);
+      showVoiceError("Could not open the quote: " + (err.message || "Unknown error"));
+    });
+  };
+}
+
+const officeReviewBtn = document.getElementById("officeReviewBtn");
+if (officeReviewBtn) {
+  officeReviewBtn.onclick = () => {
+    document.getElementById("sessionMenuModal")?.classList.remove("active");
+    openOfficeReviewPanel();
+  };
+}
+
 // --- DUPLICATE SESSION ---
 const duplicateSessionBtn = document.getElementById("duplicateSessionBtn");
 if (duplicateSessionBtn) {
@@ -2356,7 +2922,7 @@ function updateTextareaFromBuffers() {
 
 function updateLiveControls() {
   if (!startLiveBtn || !pauseLiveBtn || !finishLiveBtn) return;
-  if (!SpeechRec || !recognition) {
+  if (!recognition) {
     startLiveBtn.disabled = true;
     pauseLiveBtn.disabled = true;
     finishLiveBtn.disabled = true;
@@ -2381,18 +2947,17 @@ async function completeLiveSessionIfNeeded(message = "Live session finished.") {
   }
 }
 
-if (SpeechRec) {
-  recognition = new SpeechRec();
-  recognition.continuous = true;
-  recognition.interimResults = true;
-  recognition.lang = "en-GB";
+function attachRecognitionHandlers(rec) {
+  rec.continuous = true;
+  rec.interimResults = true;
+  rec.lang = "en-GB";
 
-  recognition.onstart = () => {
+  rec.onstart = () => {
     recognitionActive = true;
     console.log("Speech recognition started and active");
   };
 
-  recognition.onresult = (event) => {
+  rec.onresult = (event) => {
     let sawFinal = false;
     for (let i = event.resultIndex; i < event.results.length; i++) {
       const r = event.results[i];
@@ -2400,15 +2965,21 @@ if (SpeechRec) {
       const text = r[0].transcript ? r[0].transcript.trim() : "";
       if (!text) continue;
       if (r.isFinal) {
-        // Format as chat message with timestamp and current speaker
-        const timestamp = new Date().toLocaleTimeString('en-US', {
-          hour12: false,
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit'
-        });
-        const speakerLabel = (typeof currentSpeaker !== 'undefined') ? currentSpeaker : 'Expert';
-        const formattedLine = `[${timestamp}] ${speakerLabel}: ${text}`;
+        // Stamp the line with where it sits in the recording, or the clock time when not recording
+        const recordedEnd = recordingElapsedSeconds();
+        const timestamp = recordedEnd === null
+          ? new Date().toLocaleTimeString('en-US', {
+            hour12: false,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+          })
+          : formatSegmentRange(
+            utteranceStartSeconds ?? Math.max(0, recordedEnd - text.split(/\s+/).length * 0.4),
+            recordedEnd
+          );
+        utteranceStartSeconds = null;
+        const formattedLine = formatTranscriptLine(timestamp, typeof currentSpeaker !== 'undefined' ? currentSpeaker : 'Auto', text);
 
         committedTranscript = committedTranscript
           ? `${committedTranscript}\n${formattedLine}`
@@ -2418,6 +2989,7 @@ if (SpeechRec) {
         console.log("Final transcript:", text);
       } else {
         interimTranscript = text;
+        if (utteranceStartSeconds === null) utteranceStartSeconds = recordingElapsedSeconds();
         console.log("Interim transcript:", text);
       }
     }
@@ -2431,14 +3003,23 @@ if (SpeechRec) {
     }
   };
 
-  recognition.onerror = (event) => {
+  rec.onerror = (event) => {
     console.error("Speech recognition error", event);
+    if (event && event.error === "network" && switchToOfflineSpeech()) return;
     recognitionActive = false;
     shouldRestartRecognition = false;
     clearChunkTimer();
     if (liveState !== "idle") {
       const reason = event && event.error ? `: ${event.error}` : "";
-      showVoiceError(`Speech recognition error${reason}`);
+      if (event && event.error === "not-installed") {
+        showVoiceError("The on-device speech model isn't downloaded yet. Start one session with signal to fetch it.");
+      } else if (event && event.error === "not-deployed") {
+        showVoiceError("On-device speech isn't available: this site doesn't include the speech model files.");
+      } else if (event && event.error === "network") {
+        showVoiceError("Lost signal, and the on-device speech model isn't downloaded on this device, so transcription stopped. You can keep typing notes.");
+      } else {
+        showVoiceError(`Speech recognition error${reason}`);
+      }
       setLiveState("idle");
       updateLiveControls();
       setStatus("Speech error.");
@@ -2446,7 +3027,7 @@ if (SpeechRec) {
     }
   };
 
-  recognition.onend = async () => {
+  rec.onend = async () => {
     recognitionActive = false;
     const stopMode = recognitionStopMode;
     recognitionStopMode = null;
@@ -2482,7 +3063,42 @@ if (SpeechRec) {
       await completeLiveSessionIfNeeded();
     }
   };
-} else {
+}
+
+function useOfflineSpeech() {
+  recognition = new OfflineRecognition();
+  usingOfflineSpeech = true;
+  attachRecognitionHandlers(recognition);
+}
+
+// The browser's speech service lost its connection mid-session: carry on with the on-device model
+function switchToOfflineSpeech() {
+  if (usingOfflineSpeech || !offlineSpeechCached || liveState !== "running") return false;
+  const previous = recognition;
+  previous.onstart = previous.onresult = previous.onerror = previous.onend = null;
+  try { previous.abort(); } catch (_) {}
+  useOfflineSpeech();
+  try {
+    recognition.start();
+  } catch (err) {
+    console.error("Offline speech recognition start failed", err);
+    return false;
+  }
+  setStatus("No signal – using on-device speech recognition.");
+  return true;
+}
+
+if (SpeechRec) {
+  recognition = new SpeechRec();
+  attachRecognitionHandlers(recognition);
+} else if (offlineSpeechSupported()) {
+  useOfflineSpeech();
+}
+if (offlineSpeechSupported()) {
+  offlineSpeechReady().then((cached) => {
+    offlineSpeechCached = offlineSpeechCached || cached;
+  });
+} else if (!SpeechRec) {
   if (startLiveBtn && pauseLiveBtn && finishLiveBtn) {
     const msg = "This browser does not support on-device speech recognition.";
     startLiveBtn.disabled = true;
@@ -2495,7 +3111,7 @@ if (SpeechRec) {
 }
 
 async function startLiveSession() {
-  if (!SpeechRec || !recognition) {
+  if (!recognition) {
     console.error("Speech recognition not available. SpeechRec:", SpeechRec, "recognition:", recognition);
     showVoiceError("On-device speech recognition not supported in this browser. Try Chrome, Edge, or Safari.");
     return;
@@ -2505,6 +3121,23 @@ async function startLiveSession() {
     return;
   }
   console.log("Starting live transcription session...");
+  if (!navigator.onLine && offlineSpeechSupported()) {
+    offlineSpeechCached = await offlineSpeechReady();
+  }
+  if (!navigator.onLine && !offlineSpeechCached && (usingOfflineSpeech || !SpeechRec)) {
+    // Nothing to transcribe with: the model can't be fetched without signal
+    showVoiceError("No signal, and the on-device speech model isn't downloaded on this device yet. Start one session with signal to fetch it, or type notes instead.");
+    return;
+  }
+  if (!navigator.onLine && !usingOfflineSpeech && offlineSpeechCached) {
+    // The browser's speech service needs a connection; go straight to the on-device model
+    useOfflineSpeech();
+  } else if (navigator.onLine && !usingOfflineSpeech) {
+    // Keep the on-device model cached for the next session without signal
+    prepareOfflineSpeech().then((cached) => {
+      if (cached) offlineSpeechCached = true;
+    });
+  }
   clearSleepWarning();
   wasBackgroundedDuringSession = false;
   pauseReason = null;
@@ -2539,7 +3172,7 @@ async function startLiveSession() {
 }
 
 function togglePauseResumeLive(reason = null) {
-  if (!SpeechRec || !recognition) return;
+  if (!recognition) return;
   if (liveState === "running") {
     setLiveState("paused");
     shouldRestartRecognition = false;
@@ -2582,6 +3215,7 @@ function togglePauseResumeLive(reason = null) {
 }
 
 async function finishLiveSession() {
+  if (!confirmReadyToSubmit("finish")) return false;
   clearChunkTimer();
   shouldRestartRecognition = false;
   pauseReason = null;
@@ -2595,7 +3229,7 @@ async function finishLiveSession() {
   stopAudioCapture();
   updateLiveControls();
   setStatus("Finishing live session…");
-  if (SpeechRec && recognition && recognitionActive) {
+  if (recognition && recognitionActive) {
     recognitionStopMode = "finish";
     try {
       recognition.stop();
@@ -2623,8 +3257,15 @@ async function sendTranscriptChunkToWorker(force = false) {
     // Measure actual transfer speed
     const startTime = performance.now();
     const schemaSnapshot = await ensureSectionSchema();
-    const res = await postJSON("/text", buildVoiceRequestPayload(fullTranscript, schemaSnapshot));
-    const raw = await res.text();
+    const onSection = (section) => applyStreamedSection(section);
+    const payload = buildLiveNotesPayload(fullTranscript, schemaSnapshot);
+    let res = await requestNotes(payload, onSection);
+    if (res.status === 409 && payload.mode === "delta") {
+      // The worker's copy is behind or gone: reconcile with the full transcript
+      liveNotesAck = null;
+      res = await requestNotes(buildLiveNotesPayload(fullTranscript, schemaSnapshot, { forceFull: true }), onSection);
+    }
+    const raw = res.raw;
     const endTime = performance.now();
     const transferTime = endTime - startTime;
 
@@ -2660,6 +3301,7 @@ async function sendTranscriptChunkToWorker(force = false) {
     }
 
     if (!res.ok) {
+      discardStreamedSections();
       const snippet = raw ? `: ${raw.slice(0, 200)}` : "";
 
       // Provide more specific error messages based on status code
@@ -2676,17 +3318,21 @@ async function sendTranscriptChunkToWorker(force = false) {
 
       throw new Error(errorMessage + snippet);
     }
-    let data;
+    let data = res.data;
     try {
-      data = JSON.parse(raw);
+      data = data || JSON.parse(raw);
     } catch (e) {
       console.error("Voice worker returned non-JSON:", raw);
+      discardStreamedSections();
       showVoiceError("⚠️ AI response wasn't in the expected format. Your transcript is saved. Please try again or check connection.");
       return false;
     }
     setWorkerDebugPayload(data);
     normaliseSectionsFromResponse(data, schemaSnapshot);
+    streamingSectionNames.clear();
+    sectionsBeforeStream = null;
     applyVoiceResult(data);
+    acknowledgeLiveNotes(data, fullTranscript);
     lastSentTranscript = fullTranscript;
     if (liveState === "running") {
       setStatus("Listening (live)…");
@@ -2698,6 +3344,7 @@ async function sendTranscriptChunkToWorker(force = false) {
     return true;
   } catch (err) {
     console.error("Worker communication error:", err);
+    discardStreamedSections();
 
     // Check if it's a network error
     const isNetworkError = err.message && (
@@ -2749,15 +3396,18 @@ async function ensureSchemaIntoState() {
     // Load unified schema from js/schema.js
     const unified = await loadSchema();
     const sections = Array.isArray(unified.sections) ? unified.sections : [];
+    const requiredSections = new Set(Array.isArray(unified.requiredSections) ? unified.requiredSections : []);
 
     // Build SECTION_SCHEMA using the section names, preserving their configured order
     const sectionEntries = sections.map((name, idx) => ({
       name,
       description: "",
-      order: idx + 1
+      order: idx + 1,
+      required: requiredSections.has(name)
     }));
 
     const sanitised = sanitiseSectionSchema(sectionEntries);
+    DEFAULT_SECTION_SCHEMA = sanitised;
     rebuildSectionState(sanitised);
 
     schemaLoaded = true;
@@ -2775,6 +3425,9 @@ async function loadStaticConfig() {
   WORKER_URL = loadWorkerEndpoint();
   await ensureSchemaIntoState();
   refreshUiFromState();
+  loadPricebook()
+    .then((pricebook) => { scopePricebook = pricebook; })
+    .catch((err) => console.warn("Pricebook unavailable; checklist materials left unpriced", err));
 }
 
 if (settingsBtn) {
@@ -2787,7 +3440,12 @@ if (sendSectionsBtn) {
   sendSectionsBtn.addEventListener("click", () => {
     const autoSections = Array.isArray(lastSections) ? lastSections : [];
     const aiSections = getAiNotes();
-    showSendSectionsSlideOver({ autoSections, aiSections });
+    showSendSectionsSlideOver({
+      autoSections,
+      aiSections,
+      getPendingConfirmations,
+      confirmReadyToSubmit: () => confirmReadyToSubmit("submit")
+    });
   });
 }
 
@@ -2851,6 +3509,10 @@ document.addEventListener("visibilitychange", () => {
             lastMaterials = Array.isArray(snap.materials) ? snap.materials : [];
             lastCheckedItems = Array.isArray(snap.checkedItems) ? snap.checkedItems : [];
             lastMissingInfo = Array.isArray(snap.missingInfo) ? snap.missingInfo : [];
+            sessionFacts = mergeFacts([], snap.facts);
+            completenessOverrides = normaliseCompletenessOverrides(snap.completenessOverrides);
+            sessionJobType = typeof snap.jobType === "string" ? snap.jobType : null;
+            applyJobType();
             lastCustomerSummary = "";
             syncSectionsState(lastRawSections);
             refreshUiFromState();
@@ -2880,7 +3542,7 @@ document.addEventListener("visibilitychange", () => {
 function resetSessionState() {
   clearChunkTimer();
   stopAudioCapture();
-  if (SpeechRec && recognition) {
+  if (recognition) {
     try { recognition.stop(); } catch (_) {}
   }
   liveState = "idle";
@@ -2893,10 +3555,13 @@ function resetSessionState() {
   committedTranscript = "";
   interimTranscript = "";
   lastSentTranscript = "";
+  resetLiveNotesAck();
   transcriptInput.value = "";
   recapConfirmed = false;
   sessionAudioChunks = [];
   lastAudioMime = null;
+  resetAudioRuns();
+  recordedMsBeforeCurrent = 0;
   lastRawSections = [];
   lastSections = [];
   lastMaterials = [];
@@ -2904,8 +3569,14 @@ function resetSessionState() {
   CHECKLIST_SELECTIONS = {};
   persistChecklistSelections();
   lastMissingInfo = [];
+  sessionFacts = [];
+  completenessOverrides = [];
+  sessionJobType = null;
+  applyJobType();
   lastCustomerSummary = "";
   localStorage.removeItem(LS_AUTOSAVE_KEY);
+  unlinkCloudSession();
+  forgetOfficeSubmission();
   clearVoiceError();
   clearSleepWarning();
   setWorkerDebugPayload(null);
@@ -2988,6 +3659,7 @@ let transcriptSegments = []; // Array of {timestamp, speaker, text}
 // Get UI elements for new features
 const sessionNameDisplay = document.getElementById("sessionNameDisplay");
 const transcriptDisplay = document.getElementById("transcriptDisplay");
+const transcriptAudioPlayer = document.getElementById("transcriptAudioPlayer");
 const transcriptSearch = document.getElementById("transcriptSearch");
 const searchPrevBtn = document.getElementById("searchPrevBtn");
 const searchNextBtn = document.getElementById("searchNextBtn");
@@ -2996,6 +3668,9 @@ const searchNextBtn = document.getElementById("searchNextBtn");
 const sessionNameModal = document.getElementById("sessionNameModal");
 const sessionNameInput = document.getElementById("sessionNameInput");
 const confirmSessionNameBtn = document.getElementById("confirmSessionNameBtn");
+const jobTypeField = document.getElementById("jobTypeField");
+const jobTypeSelect = document.getElementById("jobTypeSelect");
+const jobTypeDescription = document.getElementById("jobTypeDescription");
 const cancelSessionNameBtn = document.getElementById("cancelSessionNameBtn");
 const sessionResumeModal = document.getElementById("sessionResumeModal");
 const resumeSessionText = document.getElementById("resumeSessionText");
@@ -3042,8 +3717,36 @@ function clearSessionName() {
   }
 }
 
+// Offer the checklist templates as job types, starting on the current one
+function populateJobTypePicker() {
+  if (!jobTypeSelect) return;
+  const templates = normaliseTemplates(CHECKLIST_SOURCE);
+  if (jobTypeField) jobTypeField.style.display = templates.length ? "" : "none";
+  jobTypeSelect.innerHTML = "";
+  templates.forEach((template) => {
+    const option = document.createElement("option");
+    option.value = template.id;
+    option.textContent = template.label;
+    option.title = template.description;
+    jobTypeSelect.appendChild(option);
+  });
+  if (CHECKLIST_ACTIVE.template) jobTypeSelect.value = CHECKLIST_ACTIVE.template.id;
+  updateJobTypeDescription();
+}
+
+function updateJobTypeDescription() {
+  if (!jobTypeDescription || !jobTypeSelect) return;
+  const option = jobTypeSelect.selectedOptions[0];
+  jobTypeDescription.textContent = option ? option.title : "";
+}
+
+if (jobTypeSelect) {
+  jobTypeSelect.addEventListener("change", updateJobTypeDescription);
+}
+
 function showSessionNameModal() {
   if (sessionNameModal) {
+    populateJobTypePicker();
     sessionNameModal.classList.add("active");
     if (sessionNameInput) {
       sessionNameInput.value = "";
@@ -3075,56 +3778,41 @@ function isSessionActive() {
 function parseTranscriptSegments(fullText) {
   if (!fullText) return [];
 
-  const segments = [];
-  const lines = fullText.split('\n').filter(l => l.trim());
+  // Labelled lines keep their speaker; unlabelled lines are attributed automatically
+  const turns = diariseTranscript(fullText);
 
   let currentTime = 0;
 
-  lines.forEach((line, index) => {
-    // Try to extract timestamp and speaker from various formats
-    // Format: [00:12] Speaker: text
-    // Or: Speaker: text
-    // Or: plain text
-
-    const timestampMatch = line.match(/^\[(\d+):(\d+)\]\s*/);
-    const speakerMatch = line.match(/^(?:\[\d+:\d+\]\s*)?([^:]+):\s*(.+)/);
-
-    let timestamp = null;
-    let speaker = null;
-    let text = line;
-
-    if (timestampMatch) {
-      const minutes = parseInt(timestampMatch[1]);
-      const seconds = parseInt(timestampMatch[2]);
-      timestamp = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-      text = line.substring(timestampMatch[0].length);
-      currentTime = minutes * 60 + seconds;
-    }
-
-    if (speakerMatch) {
-      speaker = speakerMatch[1].trim();
-      text = speakerMatch[2].trim();
-    }
-
-    // Auto-generate timestamp if not present
-    if (!timestamp && index > 0) {
+  return turns.map((turn, index) => {
+    let timestamp = turn.timestamp;
+    // Only range timestamps ("01:02-01:07") are positions in the recording
+    const range = parseSegmentRange(timestamp);
+
+    if (range) {
+      currentTime = Math.round(range.start);
+    } else if (timestamp) {
+      const parts = timestamp.split(':').map(Number);
+      currentTime = parts.length === 3 ? parts[1] * 60 + parts[2] : parts[0] * 60 + parts[1];
+    } else if (index > 0) {
+      // Auto-generate timestamp if not present
       currentTime += 5; // Approximate 5 seconds per segment
       const minutes = Math.floor(currentTime / 60);
       const seconds = currentTime % 60;
       timestamp = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-    } else if (!timestamp) {
+    } else {
       timestamp = '00:00';
     }
 
-    // Auto-detect speaker if not present (alternating pattern)
-    if (!speaker) {
-      speaker = index % 2 === 0 ? 'Expert' : 'Customer';
-    }
-
-    segments.push({ timestamp, speaker, text: text.trim() });
+    return {
+      timestamp,
+      start: range ? range.start : null,
+      end: range ? range.end : null,
+      speaker: turn.speaker,
+      role: turn.role,
+      auto: turn.auto,
+      text: turn.text
+    };
   });
-
-  return segments.filter(s => s.text);
 }
 
 function renderTranscriptDisplay() {
@@ -3147,13 +3835,15 @@ function renderTranscriptDisplay() {
     // Render with diarisation
     let html = '';
     segments.forEach((seg, idx) => {
+      const speakerTitle = seg.auto ? "Detected automatically – flag the right speaker to confirm" : "Confirmed speaker";
       html += `
         <div class="transcript-line" data-segment-index="${idx}">
-          <span class="transcript-timestamp">[${seg.timestamp}]</span>
-          <span class="transcript-speaker" data-speaker="${escapeHtml(seg.speaker)}">${escapeHtml(seg.speaker)}:</span>
+          <span class="transcript-timestamp${seg.start !== null ? ' seekable' : ''}"${seg.start !== null ? ` data-seek-start="${seg.start}" data-seek-end="${seg.end}" title="Play this moment"` : ''}>[${seg.timestamp}]</span>
+          <span class="transcript-speaker${seg.auto ? ' speaker-auto' : ''}" data-speaker="${escapeHtml(seg.speaker)}" data-role="${seg.role}" data-auto="${seg.auto}" title="${speakerTitle}">${escapeHtml(seg.speaker)}:</span>
           <span class="transcript-text" contenteditable="true" data-segment-index="${idx}">${escapeHtml(seg.text)}</span>
-          <button class="flag-speaker-btn" contenteditable="false" data-flag="expert" data-segment-index="${idx}" title="Flag as Expert">👷 Expert</button>
+          <button class="flag-speaker-btn" contenteditable="false" data-flag="surveyor" data-segment-index="${idx}" title="Flag as Surveyor">👷 Surveyor</button>
           <button class="flag-speaker-btn" contenteditable="false" data-flag="customer" data-segment-index="${idx}" title="Flag as Customer">👤 Customer</button>
+          <button class="flag-speaker-btn" contenteditable="false" data-flag="other" data-segment-index="${idx}" title="Flag as someone else">👥 Other</button>
         </div>
       `;
     });
@@ -3195,12 +3885,80 @@ function renderTranscriptDisplay() {
   }
 }
 
+function resetAudioRuns() {
+  sessionAudioRuns.forEach((run) => {
+    if (run.url) URL.revokeObjectURL(run.url);
+  });
+  sessionAudioRuns = [];
+}
+
+// The recorder run holding this many seconds into the session recording
+function audioRunAt(seconds) {
+  const runs = sessionAudioRuns.filter((run) => run.chunks.length);
+  return runs.reduce((found, run) => (run.offset <= seconds ? run : found), runs[0] || null);
+}
+
+// Object URL for one recorder run, rebuilt only when it has captured more audio
+function getAudioRunUrl(run) {
+  if (!run.url || run.urlChunks !== run.chunks.length) {
+    if (run.url) URL.revokeObjectURL(run.url);
+    run.url = URL.createObjectURL(new Blob(run.chunks, { type: run.mime || "audio/webm" }));
+    run.urlChunks = run.chunks.length;
+  }
+  return run.url;
+}
+
+// Play start..end seconds of the session recording in the given player
+function playRecordingSegment(player, start, end) {
+  if (!player) return;
+  const run = audioRunAt(start);
+  if (!run) {
+    setStatus("No recording for this session to play.");
+    return;
+  }
+  const url = getAudioRunUrl(run);
+  if (player.src !== url) player.src = url;
+  player.style.display = "block";
+  player.dataset.stopAt = String(end - run.offset);
+  if (!player.dataset.segmentStopBound) {
+    player.addEventListener("timeupdate", () => {
+      const stopAt = Number(player.dataset.stopAt);
+      if (player.dataset.stopAt && player.currentTime >= stopAt) {
+        player.pause();
+        delete player.dataset.stopAt;
+      }
+    });
+    player.dataset.segmentStopBound = "true";
+  }
+  const seek = () => {
+    player.currentTime = Math.max(0, start - run.offset);
+    player.play().catch((err) => console.warn("Recording playback failed", err));
+  };
+  if (player.readyState >= 1) seek();
+  else player.addEventListener("loadedmetadata", seek, { once: true });
+}
+
+// Timestamps and 🔊 links anywhere (transcript, notes, finish modal) seek the recording
+document.addEventListener("click", (event) => {
+  const target = event.target.closest("[data-seek-start]");
+  if (!target) return;
+  const player = target.closest("#finishSessionModal")
+    ? document.getElementById("finishAudioPlayer")
+    : transcriptAudioPlayer;
+  playRecordingSegment(player, Number(target.dataset.seekStart), Number(target.dataset.seekEnd));
+});
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
   return div.innerHTML;
 }
 
+// innerHTML leaves quotes alone, which would end a quoted attribute early
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 // Save inline transcript edits
 function saveInlineTranscriptEdit() {
   if (!transcriptDisplay) return;
@@ -3210,11 +3968,15 @@ function saveInlineTranscriptEdit() {
   
   lines.forEach(line => {
     const timestamp = line.querySelector('.transcript-timestamp')?.textContent.replace(/[\[\]]/g, '') || '00:00';
-    const speaker = line.querySelector('.transcript-speaker')?.dataset.speaker || 'Speaker';
+    const speakerSpan = line.querySelector('.transcript-speaker');
+    const speaker = speakerSpan?.dataset.speaker || 'Speaker';
     const text = line.querySelector('.transcript-text')?.textContent.trim() || '';
     
     if (text) {
-      segments.push(`[${timestamp}] ${speaker}: ${text}`);
+      // Automatic labels aren't written back, so they can still change as the conversation grows
+      segments.push(speakerSpan?.dataset.auto === 'true'
+        ? `[${timestamp}] ${text}`
+        : `[${timestamp}] ${speaker}: ${text}`);
     }
   });
 
@@ -3233,8 +3995,8 @@ function saveInlineTranscriptEdit() {
   console.log('Transcript inline edit saved');
 }
 
-// Update speaker label
-function updateSpeakerLabel(segmentIndex, newSpeaker) {
+// Update speaker label (role is "surveyor", "customer" or "other")
+function updateSpeakerLabel(segmentIndex, role) {
   if (!transcriptDisplay) return;
   if (isNaN(segmentIndex) || segmentIndex < 0) return;
 
@@ -3243,15 +4005,19 @@ function updateSpeakerLabel(segmentIndex, newSpeaker) {
 
   const line = lines[segmentIndex];
   const speakerSpan = line.querySelector('.transcript-speaker');
+  const label = SPEAKER_LABELS[role];
   
-  if (speakerSpan && newSpeaker) {
-    const capitalizedSpeaker = newSpeaker.charAt(0).toUpperCase() + newSpeaker.slice(1);
-    speakerSpan.textContent = `${capitalizedSpeaker}:`;
-    speakerSpan.dataset.speaker = capitalizedSpeaker;
+  if (speakerSpan && label) {
+    speakerSpan.textContent = `${label}:`;
+    speakerSpan.dataset.speaker = label;
+    speakerSpan.dataset.role = role;
+    speakerSpan.dataset.auto = 'false';
+    speakerSpan.classList.remove('speaker-auto');
   }
 
   // Save the change
   saveInlineTranscriptEdit();
+  renderTranscriptDisplay();
 }
 
 // Update transcript display whenever the input changes
@@ -3401,11 +4167,9 @@ function showFinishSessionModal() {
   // Setup audio player if available
   const finishAudioSection = document.getElementById('finishAudioSection');
   const finishAudioPlayer = document.getElementById('finishAudioPlayer');
-  if (sessionAudioChunks && sessionAudioChunks.length > 0 && finishAudioPlayer) {
-    const mime = lastAudioMime || "audio/webm";
-    const audioBlob = new Blob(sessionAudioChunks, { type: mime });
-    const audioUrl = URL.createObjectURL(audioBlob);
-    finishAudioPlayer.src = audioUrl;
+  const firstRun = audioRunAt(0);
+  if (firstRun && finishAudioPlayer) {
+    finishAudioPlayer.src = getAudioRunUrl(firstRun);
     if (finishAudioSection) finishAudioSection.style.display = 'block';
   } else {
     if (finishAudioSection) finishAudioSection.style.display = 'none';
@@ -3534,6 +4298,9 @@ if (confirmSessionNameBtn) {
     }
 
     setSessionName(validated);
+    if (jobTypeSelect && jobTypeSelect.value) {
+      setJobType(jobTypeSelect.value);
+    }
     hideSessionNameModal();
     markSessionActive();
 
@@ -3571,7 +4338,8 @@ if (startLiveBtn) {
 const originalFinishLiveSession = finishLiveSession;
 async function enhancedFinishLiveSession() {
   if (originalFinishLiveSession) {
-    await originalFinishLiveSession();
+    // false when the surveyor backed out of finishing an incomplete survey
+    if (await originalFinishLiveSession() === false) return;
   }
 
   // Popup removed - recording will remain on main page
@@ -3642,9 +4410,13 @@ if (newJobBtn) {
       : {};
     persistChecklistSelections();
     lastMissingInfo = Array.isArray(snap.missingInfo) ? snap.missingInfo : [];
+    sessionFacts = mergeFacts([], snap.facts);
+    completenessOverrides = normaliseCompletenessOverrides(snap.completenessOverrides);
+    sessionJobType = typeof snap.jobType === "string" ? snap.jobType : null;
     lastCustomerSummary = "";
 
     await ensureSectionSchema();
+    applyJobType();
     const normalisedFromAutosave = normaliseSectionsFromResponse({ sections: lastRawSections }, SECTION_SCHEMA);
     lastRawSections = Array.isArray(normalisedFromAutosave) ? normalisedFromAutosave : [];
     syncSectionsState(lastRawSections);
@@ -3712,8 +4484,9 @@ window.addEventListener('appendAgentTranscript', (event) => {
 // SPEAKER SELECTION FUNCTIONALITY
 // ============================================================================
 
-// Track current speaker for chat-style input
-let currentSpeaker = 'Expert'; // Default to Expert
+// Track current speaker for chat-style input. "Auto" leaves lines unlabelled so the
+// transcript view attributes them to surveyor or customer automatically.
+let currentSpeaker = 'Auto';
 
 // Get speaker selection buttons
 const selectExpertBtn = document.getElementById('selectExpertBtn');
@@ -3725,13 +4498,8 @@ function setCurrentSpeaker(speaker) {
 
   // Update button states
   if (selectExpertBtn && selectCustomerBtn) {
-    if (speaker === 'Expert') {
-      selectExpertBtn.classList.add('active');
-      selectCustomerBtn.classList.remove('active');
-    } else {
-      selectCustomerBtn.classList.add('active');
-      selectExpertBtn.classList.remove('active');
-    }
+    selectExpertBtn.classList.toggle('active', speaker === 'Expert');
+    selectCustomerBtn.classList.toggle('active', speaker === 'Customer');
   }
 
   console.log('Current speaker set to:', currentSpeaker);
@@ -3760,13 +4528,18 @@ function getCurrentTimestamp() {
   });
 }
 
+// "[12:03:45] Customer: text", or unlabelled when the speaker is left to diarisation
+function formatTranscriptLine(timestamp, speaker, text) {
+  return speaker && speaker !== 'Auto'
+    ? `[${timestamp}] ${speaker}: ${text}`
+    : `[${timestamp}] ${text}`;
+}
+
 // Helper function to append a chat message to transcript
 function appendChatMessage(text, speaker = null) {
   if (!text || !transcriptInput) return;
 
-  const speakerLabel = speaker || currentSpeaker;
-  const timestamp = getCurrentTimestamp();
-  const formattedLine = `[${timestamp}] ${speakerLabel}: ${text.trim()}`;
+  const formattedLine = formatTranscriptLine(getCurrentTimestamp(), speaker || currentSpeaker, text.trim());
   const existing = transcriptInput.value.trim();
 
   transcriptInput.value = existing ? `${existing}\n${formattedLine}` : formattedLine;
@@ -0,0 +1,159 @@
+/**
+ * Note Provenance Module
+ * Records where each depot-note bullet came from: the transcript (with the phrase it was
+ * taken from), the surveyor's checklist, a transcription sanity-check correction, or the
+ * model's own inference. Shared by the worker, which tags /text bullets, and the app,
+ * which shows the evidence and highlights inferred bullets for review.
+ */
+
+import { keyTerms } from './transcriptAlignment.js';
+import { parseSpeakerLine } from './speakerDiarisation.js';
+
+export const PROVENANCE_SOURCES = ['transcript', 'checklist', 'sanity-check', 'inference'];
+
+export const PROVENANCE_LABELS = {
+  transcript: 'Transcript',
+  checklist: 'Checklist',
+  'sanity-check': 'Corrected',
+  inference: 'Inferred'
+};
+
+// Longest quote kept when the phrase is picked from the transcript rather than quoted by the model
+const MAX_QUOTE_CHARS = 200;
+
+function normaliseText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shareOfTerms(terms, candidate) {
+  if (!terms.size) return 0;
+  let shared = 0;
+  terms.forEach((term) => {
+    if (candidate.has(term)) shared += 1;
+  });
+  return shared / terms.size;
+}
+
+/**
+ * The phrase, if it really appears in the transcript (ignoring case and punctuation)
+ * @returns {string|null}
+ */
+export function findTranscriptQuote(transcript, phrase) {
+  const quote = String(phrase || '').trim();
+  const needle = normaliseText(quote);
+  if (needle.length < 3) return null;
+  return normaliseText(transcript).includes(needle) ? quote : null;
+}
+
+/**
+ * The transcript sentence sharing most of a bullet's key terms, or null if none shares enough
+ * @param {string} transcript
+ * @param {string} bullet
+ * @param {Object} options - { minOverlap } share of the bullet's key terms the sentence must contain
+ * @returns {string|null}
+ */
+export function bestTranscriptQuote(transcript, bullet, { minOverlap = 0.6 } = {}) {
+  const terms = keyTerms(bullet);
+  if (!terms.size) return null;
+
+  let best = null;
+  let bestScore = minOverlap;
+  String(transcript || '').split('\n').forEach((line) => {
+    parseSpeakerLine(line).text.split(/(?<=[.?!])\s+/).forEach((sentence) => {
+      const text = sentence.trim();
+      const score = shareOfTerms(terms, keyTerms(text));
+      if (text && score >= bestScore && (!best || score > bestScore)) {
+        best = text;
+        bestScore = score;
+      }
+    });
+  });
+  return best ? best.slice(0, MAX_QUOTE_CHARS) : null;
+}
+
+// The checklist bullet saying the same thing, if any
+function matchChecklistBullet(bullet, checklistBullets) {
+  const key = normaliseText(bullet);
+  const terms = keyTerms(bullet);
+  return checklistBullets.find((candidate) => {
+    if (normaliseText(candidate) === key) return true;
+    const candidateTerms = keyTerms(candidate);
+    return shareOfTerms(terms, candidateTerms) >= 0.8 && shareOfTerms(candidateTerms, terms) >= 0.8;
+  }) || null;
+}
+
+/**
+ * The sanity-check correction a quote relies on, if any
+ * @param {string} quote
+ * @param {Array<Object>} corrections - [{ original, corrected, description }]
+ * @returns {Object|null}
+ */
+export function findQuoteCorrection(quote, corrections) {
+  const lower = String(quote || '').toLowerCase();
+  return (Array.isArray(corrections) ? corrections : []).find((entry) => {
+    const corrected = String(entry?.corrected || '').toLowerCase();
+    if (!corrected) return false;
+    const escaped = corrected.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(lower);
+  }) || null;
+}
+
+/**
+ * Work out where one bullet came from.
+ * Checklist facts win, then transcript phrases (flagged when a sanity check changed a word in
+ * them); anything without supporting evidence is the model's inference.
+ * @param {string} bullet
+ * @param {Object} context - { transcript, corrections: [{ original, corrected, description }],
+ *   checklistBullets: [string], quote } where quote is the phrase the model says it used
+ * @returns {{ bullet: string, source: string, quote?: string, evidence?: string }}
+ */
+export function tagBulletProvenance(bullet, { transcript = '', corrections = [], checklistBullets = [], quote = null } = {}) {
+  const checklistBullet = matchChecklistBullet(bullet, checklistBullets);
+  if (checklistBullet) {
+    return { bullet, source: 'checklist', evidence: `Checklist: ${checklistBullet}` };
+  }
+
+  const transcriptQuote = findTranscriptQuote(transcript, quote) || bestTranscriptQuote(transcript, bullet);
+  if (!transcriptQuote) {
+    return { bullet, source: 'inference' };
+  }
+
+  const correction = findQuoteCorrection(transcriptQuote, corrections);
+  if (correction) {
+    return {
+      bullet,
+      source: 'sanity-check',
+      quote: transcriptQuote,
+      evidence: `Heard "${correction.original}", corrected to "${correction.corrected}" (${correction.description})`
+    };
+  }
+  return { bullet, source: 'transcript', quote: transcriptQuote };
+}
+
+/**
+ * Provenance entry for a bullet from a section's provenance list, or null
+ * @param {Array<Object>} provenance - [{ bullet, source, quote, evidence }]
+ * @param {string} bullet
+ */
+export function findBulletProvenance(provenance, bullet) {
+  const key = normaliseText(String(bullet || '').replace(/;$/, ''));
+  if (!key || !Array.isArray(provenance)) return null;
+  return provenance.find((entry) => normaliseText(entry?.bullet) === key) || null;
+}
+
+/**
+ * Hover text for a bullet's badge
+ */
+export function describeProvenance(entry) {
+  if (!entry) return '';
+  const label = PROVENANCE_LABELS[entry.source] || entry.source;
+  if (entry.source === 'inference') return `${label}: not found in the transcript or checklist - please review`;
+  const parts = [label];
+  if (entry.quote) parts.push(`"${entry.quote}"`);
+  if (entry.evidence) parts.push(entry.evidence);
+  return parts.join(' - ');
+}
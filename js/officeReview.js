@@ -0,0 +1,360 @@
+/**
+ * Office Review Module
+ * "Submit to office" for finished depot notes, and the review panel where
+ * office users comment per section, request changes or approve, and anyone
+ * can compare the submitted notes with the approved version.
+ */
+
+import { loadWorkerEndpoint } from '../src/app/worker-config.js';
+import { getAuthToken } from '../src/auth/auth-client.js';
+import { getLinkedCloudSession } from './sessionSync.js';
+
+const SUBMISSION_STORAGE_KEY = 'depot.officeSubmission';
+const SESSION_NAME_KEY = 'depot.currentSessionName';
+
+export const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  approved: 'Approved'
+};
+
+async function reviewRequest(path, { method = 'GET', body } = {}) {
+  const token = getAuthToken();
+  if (!token) throw new Error('Sign in to submit notes to the office');
+
+  const response = await fetch(`${loadWorkerEndpoint()}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Review request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * The submission made from this session, if any
+ * @returns {Object|null} - { id, status }
+ */
+export function getLinkedSubmission() {
+  try {
+    const raw = localStorage.getItem(SUBMISSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function linkSubmission(submission) {
+  localStorage.setItem(SUBMISSION_STORAGE_KEY, JSON.stringify({ id: submission.id, status: submission.status }));
+}
+
+/**
+ * Forget the submission link (e.g. when starting a new job)
+ */
+export function forgetOfficeSubmission() {
+  localStorage.removeItem(SUBMISSION_STORAGE_KEY);
+}
+
+/**
+ * Submit sections to the office, or resubmit them if the office sent them back
+ * @param {Array<Object>} sections - Sections model ({ section, plainText, naturalLanguage })
+ * @returns {Promise<Object>} - Submission summary
+ */
+export async function submitToOffice(sections) {
+  const linked = getLinkedSubmission();
+  let data;
+
+  if (linked && ['submitted', 'changes_requested'].includes(linked.status)) {
+    data = await reviewRequest(`/submissions/${encodeURIComponent(linked.id)}`, {
+      method: 'PUT',
+      body: { sections }
+    });
+  } else {
+    const cloud = getLinkedCloudSession();
+    data = await reviewRequest('/submissions', {
+      method: 'POST',
+      body: {
+        name: localStorage.getItem(SESSION_NAME_KEY) || cloud?.name || '',
+        sessionId: cloud?.id || null,
+        sections
+      }
+    });
+  }
+
+  linkSubmission(data.submission);
+  return data.submission;
+}
+
+export async function listSubmissions(status) {
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  return (await reviewRequest(`/submissions${query}`)).submissions || [];
+}
+
+export async function getSubmission(id) {
+  return (await reviewRequest(`/submissions/${encodeURIComponent(id)}`)).submission;
+}
+
+export async function setSubmissionStatus(id, status, sections) {
+  return (await reviewRequest(`/submissions/${encodeURIComponent(id)}/status`, {
+    method: 'POST',
+    body: sections ? { status, sections } : { status }
+  })).submission;
+}
+
+export async function addSubmissionComment(id, section, body) {
+  return (await reviewRequest(`/submissions/${encodeURIComponent(id)}/comments`, {
+    method: 'POST',
+    body: { section, body }
+  })).submission;
+}
+
+async function getOrganisationRole() {
+  try {
+    return (await reviewRequest('/orgs/current')).organisation?.role || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function el(tag, { className, text, style } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  if (style) node.style.cssText = style;
+  children.forEach((child) => child && node.appendChild(child));
+  return node;
+}
+
+function renderComment(comment) {
+  return el('div', {
+    className: 'office-comment',
+    style: 'font-size: 0.75rem; padding: 6px 8px; margin-top: 6px; border-left: 3px solid var(--accent); background: var(--accent-soft); border-radius: 4px;'
+  }, [
+    el('strong', { text: `${comment.author || 'Office'}: ` }),
+    el('span', { text: comment.body })
+  ]);
+}
+
+/**
+ * Show office status and section comments for this session's submission in the Send Sections cards
+ * @param {HTMLElement} container - Element holding .section-card elements
+ */
+export async function decorateWithOfficeFeedback(container) {
+  const linked = getLinkedSubmission();
+  if (!linked || !getAuthToken() || !container) return;
+
+  try {
+    const submission = await getSubmission(linked.id);
+    linkSubmission(submission);
+
+    container.querySelector('.office-status-banner')?.remove();
+    container.prepend(el('div', {
+      className: 'office-status-banner small',
+      text: `Office review: ${STATUS_LABELS[submission.status] || submission.status}`,
+      style: 'padding: 8px 12px; margin-bottom: 12px; border-radius: 8px; background: rgba(148,163,184,0.15);'
+    }));
+
+    container.querySelectorAll('.section-card').forEach((card) => {
+      const title = card.querySelector('.section-card-title')?.textContent;
+      card.querySelectorAll('.office-comment').forEach((node) => node.remove());
+      submission.comments
+        .filter((comment) => comment.section === title)
+        .forEach((comment) => card.appendChild(renderComment(comment)));
+    });
+  } catch (err) {
+    if (err.status === 404) forgetOfficeSubmission();
+    console.warn('Could not load office feedback:', err);
+  }
+}
+
+function renderDiff(diff) {
+  const wrapper = el('div', { style: 'display: flex; flex-direction: column; gap: 10px;' });
+  const changed = (diff || []).filter((entry) => entry.change !== 'unchanged');
+  if (!changed.length) {
+    wrapper.appendChild(el('div', { className: 'small', text: 'Approved without changes.' }));
+    return wrapper;
+  }
+
+  changed.forEach((entry) => {
+    const pre = el('pre', { style: 'white-space: pre-wrap; font-size: 0.75rem; margin: 4px 0 0;' });
+    entry.lines.forEach((line) => {
+      const prefix = line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  ';
+      pre.appendChild(el('div', {
+        text: prefix + line.text,
+        style: line.type === 'added'
+          ? 'background: rgba(34,197,94,0.15);'
+          : line.type === 'removed' ? 'background: rgba(239,68,68,0.15); text-decoration: line-through;' : ''
+      }));
+    });
+    wrapper.appendChild(el('div', {}, [el('strong', { text: `${entry.section} (${entry.change})` }), pre]));
+  });
+  return wrapper;
+}
+
+function renderSubmissionDetail(panel, submission, isReviewer, onBack) {
+  const content = panel.querySelector('.slide-over-content');
+  content.innerHTML = '';
+
+  const refresh = async (promise) => {
+    try {
+      renderSubmissionDetail(panel, await promise, isReviewer, onBack);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const back = el('button', { className: 'pill-secondary', text: '← All submissions' });
+  back.addEventListener('click', onBack);
+  content.appendChild(el('div', { style: 'display: flex; gap: 8px; align-items: center; margin-bottom: 12px;' }, [
+    back,
+    el('span', {
+      className: 'small',
+      text: `${submission.name || 'Untitled'} · ${submission.surveyor || ''} · ${STATUS_LABELS[submission.status]}`
+    })
+  ]));
+
+  if (isReviewer) {
+    const actions = el('div', { style: 'display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 12px;' });
+    const addAction = (label, status) => {
+      const btn = el('button', { className: 'pill-secondary', text: label });
+      btn.addEventListener('click', () => refresh(setSubmissionStatus(submission.id, status, status === 'approved'
+        ? collectEditedSections(content, submission)
+        : undefined)));
+      actions.appendChild(btn);
+    };
+    if (submission.status !== 'in_review') addAction('Start review', 'in_review');
+    if (['submitted', 'in_review'].includes(submission.status)) {
+      addAction('Request changes', 'changes_requested');
+      addAction('Approve', 'approved');
+    }
+    content.appendChild(actions);
+  }
+
+  const editable = isReviewer && ['submitted', 'in_review'].includes(submission.status);
+  submission.submittedSections.forEach((section) => {
+    const card = el('div', { className: 'section-card', style: 'margin-bottom: 12px;' });
+    card.appendChild(el('h3', { className: 'section-card-title', text: section.section }));
+
+    const body = el(editable ? 'textarea' : 'div', {
+      className: 'review-section-text',
+      style: 'width: 100%; min-height: 80px; white-space: pre-wrap; font-size: 0.8rem;'
+    });
+    body.dataset.section = section.section;
+    if (editable) body.value = section.plainText;
+    else body.textContent = section.plainText || 'No content';
+    card.appendChild(body);
+
+    submission.comments
+      .filter((comment) => comment.section === section.section)
+      .forEach((comment) => card.appendChild(renderComment(comment)));
+
+    const input = el('input', { style: 'flex: 1; font-size: 0.75rem;' });
+    input.placeholder = 'Comment on this section...';
+    const send = el('button', { className: 'pill-secondary', text: 'Comment' });
+    send.addEventListener('click', () => {
+      if (input.value.trim()) refresh(addSubmissionComment(submission.id, section.section, input.value));
+    });
+    card.appendChild(el('div', { style: 'display: flex; gap: 6px; margin-top: 6px;' }, [input, send]));
+    content.appendChild(card);
+  });
+
+  if (submission.approvedSections) {
+    content.appendChild(el('h3', { text: 'Submitted vs approved', style: 'margin-top: 16px;' }));
+    content.appendChild(renderDiff(submission.diff));
+  }
+}
+
+function collectEditedSections(content, submission) {
+  const edits = new Map(
+    [...content.querySelectorAll('textarea.review-section-text')].map((node) => [node.dataset.section, node.value])
+  );
+  return submission.submittedSections.map((section) => ({
+    ...section,
+    plainText: edits.has(section.section) ? edits.get(section.section) : section.plainText
+  }));
+}
+
+async function renderSubmissionList(panel, isReviewer) {
+  const content = panel.querySelector('.slide-over-content');
+  content.innerHTML = '';
+  content.appendChild(el('div', { className: 'small', text: 'Loading submissions...' }));
+
+  try {
+    const submissions = await listSubmissions();
+    content.innerHTML = '';
+    if (!submissions.length) {
+      content.appendChild(el('div', { className: 'small', text: 'No submissions yet.' }));
+      return;
+    }
+
+    submissions.forEach((submission) => {
+      const row = el('button', {
+        className: 'pill-secondary',
+        style: 'display: block; width: 100%; text-align: left; margin-bottom: 8px; padding: 10px;',
+        text: `${submission.name || 'Untitled'} · ${submission.surveyor || ''} · ${STATUS_LABELS[submission.status]}`
+      });
+      row.addEventListener('click', async () => {
+        try {
+          renderSubmissionDetail(panel, await getSubmission(submission.id), isReviewer, () =>
+            renderSubmissionList(panel, isReviewer)
+          );
+        } catch (err) {
+          alert(err.message);
+        }
+      });
+      content.appendChild(row);
+    });
+  } catch (err) {
+    content.innerHTML = '';
+    content.appendChild(el('div', { className: 'small', text: `Could not load submissions: ${err.message}` }));
+  }
+}
+
+/**
+ * Open the office review panel: reviewers see the organisation's queue, surveyors their own submissions
+ */
+export async function openOfficeReviewPanel() {
+  if (!getAuthToken()) {
+    alert('Sign in to use office review.');
+    return;
+  }
+
+  document.getElementById('officeReviewSlideOver')?.remove();
+  const role = await getOrganisationRole();
+  const isReviewer = role === 'office' || role === 'admin';
+
+  const panel = el('div', { className: 'slide-over-container' });
+  panel.id = 'officeReviewSlideOver';
+  panel.innerHTML = `
+    <div class="slide-over-backdrop"></div>
+    <div class="slide-over-panel">
+      <div class="slide-over-header">
+        <h2 style="margin: 0;"></h2>
+        <button class="close-slide-over-btn" aria-label="Close"><span style="font-size: 1.5rem;">×</span></button>
+      </div>
+      <div class="slide-over-content"></div>
+    </div>
+  `;
+  panel.querySelector('h2').textContent = isReviewer ? 'Office Review' : 'My Submissions';
+  document.body.appendChild(panel);
+
+  const close = () => {
+    panel.classList.remove('active');
+    setTimeout(() => panel.remove(), 300);
+  };
+  panel.querySelector('.close-slide-over-btn').addEventListener('click', close);
+  panel.querySelector('.slide-over-backdrop').addEventListener('click', close);
+  setTimeout(() => panel.classList.add('active'), 10);
+
+  await renderSubmissionList(panel, isReviewer);
+}
@@ -0,0 +1,205 @@
+/**
+ * Offline Speech Module
+ * On-device speech recognition for when the browser's Web Speech API is missing or has no
+ * signal. Microphone frames go to public/transcribe-worker.js, which runs a small speech model
+ * from cached files. OfflineRecognition behaves like a continuous SpeechRecognition with
+ * interim results, so the live session code can use either.
+ */
+
+const WORKER_URL = new URL('../public/transcribe-worker.js', import.meta.url);
+
+// Frames of this many samples are sent to the worker (about 85 ms at 48 kHz)
+const FRAME_SIZE = 4096;
+
+/**
+ * Whether this browser can run the on-device recogniser
+ */
+export function offlineSpeechSupported() {
+  return typeof Worker !== 'undefined'
+    && typeof caches !== 'undefined'
+    && Boolean(window.AudioContext || window.webkitAudioContext)
+    && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+function createWorker() {
+  return new Worker(WORKER_URL, { type: 'module' });
+}
+
+// Resolve on the first message of one of the given types; reject on an error message
+function waitFor(worker, types) {
+  return new Promise((resolve, reject) => {
+    const listener = (event) => {
+      const { type, payload } = event.data || {};
+      if (type === 'error') {
+        worker.removeEventListener('message', listener);
+        const err = new Error(payload?.message || 'Offline speech failed');
+        err.code = payload?.code || 'offline-speech-failed';
+        reject(err);
+      } else if (types.includes(type)) {
+        worker.removeEventListener('message', listener);
+        resolve(payload);
+      }
+    };
+    worker.addEventListener('message', listener);
+  });
+}
+
+/**
+ * Whether the speech model files are already cached, so the recogniser can start with no signal
+ * @returns {Promise<boolean>}
+ */
+export async function offlineSpeechReady() {
+  if (!offlineSpeechSupported()) return false;
+  const worker = createWorker();
+  try {
+    worker.postMessage({ type: 'check' });
+    const payload = await waitFor(worker, ['checked']);
+    return Boolean(payload?.cached);
+  } catch {
+    return false;
+  } finally {
+    worker.terminate();
+  }
+}
+
+/**
+ * Download the speech model files into the cache while there is signal, so a later session
+ * without one can still transcribe. Safe to call repeatedly.
+ * @returns {Promise<boolean>} - whether the files are cached
+ */
+export async function prepareOfflineSpeech() {
+  if (!offlineSpeechSupported()) return false;
+  const worker = createWorker();
+  try {
+    worker.postMessage({ type: 'cache' });
+    await waitFor(worker, ['cached']);
+    return true;
+  } catch (err) {
+    if (err.code === 'not-deployed') {
+      console.warn('Offline speech files are not deployed with this site (see README):', err.message);
+    } else {
+      console.warn('Offline speech files could not be cached:', err);
+    }
+    return false;
+  } finally {
+    worker.terminate();
+  }
+}
+
+function resultEvent(text, isFinal) {
+  const result = [{ transcript: text, confidence: 1 }];
+  result.isFinal = isFinal;
+  return { resultIndex: 0, results: [result] };
+}
+
+/**
+ * SpeechRecognition look-alike backed by the on-device worker.
+ * Supports start(), stop(), abort() and the onstart/onresult/onerror/onend handlers.
+ */
+export class OfflineRecognition {
+  constructor() {
+    this.continuous = true;
+    this.interimResults = true;
+    this.lang = 'en-GB';
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+    this.worker = null;
+    this.ready = null;
+    this.audio = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) throw new Error('Offline speech recognition has already started');
+    this.running = true;
+    this.run().catch((err) => this.fail(err));
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.stopAudio();
+    if (!this.worker) {
+      this.end();
+      return;
+    }
+    waitFor(this.worker, ['stopped']).catch(() => {}).then(() => this.end());
+    this.worker.postMessage({ type: 'stop' });
+  }
+
+  abort() {
+    this.stop();
+  }
+
+  async run() {
+    if (!this.worker) {
+      this.worker = createWorker();
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data || {}));
+    }
+    if (!this.ready) {
+      this.ready = waitFor(this.worker, ['loaded']);
+      this.worker.postMessage({ type: 'init' });
+    }
+    try {
+      await this.ready;
+    } catch (err) {
+      this.ready = null;
+      throw err;
+    }
+    if (!this.running) return;
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const source = context.createMediaStreamSource(stream);
+    // ScriptProcessor is deprecated but, unlike AudioWorklet, needs no extra module and runs on iOS
+    const processor = context.createScriptProcessor(FRAME_SIZE, 1, 1);
+    processor.onaudioprocess = (event) => {
+      const samples = new Float32Array(event.inputBuffer.getChannelData(0));
+      this.worker.postMessage({ type: 'audio', payload: { samples, sampleRate: context.sampleRate } }, [samples.buffer]);
+    };
+    source.connect(processor);
+    processor.connect(context.destination);
+    this.audio = { stream, context, source, processor };
+
+    this.worker.postMessage({ type: 'start' });
+    if (this.onstart) this.onstart();
+  }
+
+  handleMessage({ type, payload }) {
+    if (type === 'partial' && this.running && this.interimResults && this.onresult) {
+      this.onresult(resultEvent(payload.text, false));
+    } else if (type === 'final' && this.onresult) {
+      this.onresult(resultEvent(payload.text, true));
+    } else if (type === 'error' && payload?.code === 'transcribe-failed') {
+      this.fail(new Error(payload.message));
+    }
+  }
+
+  stopAudio() {
+    if (!this.audio) return;
+    const { stream, context, source, processor } = this.audio;
+    processor.onaudioprocess = null;
+    source.disconnect();
+    processor.disconnect();
+    stream.getTracks().forEach((track) => track.stop());
+    context.close().catch(() => {});
+    this.audio = null;
+  }
+
+  fail(err) {
+    const wasRunning = this.running;
+    this.running = false;
+    this.stopAudio();
+    if (this.onerror) {
+      this.onerror({ error: err.code || 'offline-speech-failed', message: err.message });
+    }
+    if (wasRunning) this.end();
+  }
+
+  end() {
+    if (this.onend) this.onend();
+  }
+}
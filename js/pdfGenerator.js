@@ -175,6 +175,25 @@ async function generateCoverPage(doc, summaryData) {
     doc.text('Property:', 40, infoY);
     doc.setFont(undefined, 'normal');
     doc.text(summaryData.propertyType, 75, infoY);
+    infoY += 8;
+  }
+
+  if (summaryData.installDate) {
+    doc.setFont(undefined, 'bold');
+    doc.text('Earliest install:', 40, infoY);
+    doc.setFont(undefined, 'normal');
+    doc.text(summaryData.installDate, 75, infoY);
+
+    const drivers = summaryData.installEstimate?.drivers || [];
+    if (drivers.length) {
+      doc.setFontSize(8);
+      doc.setTextColor(100, 116, 139);
+      const driverText = `${summaryData.installEstimate.leadTimeDays} working day lead time: ` +
+        drivers.map(driver => `${driver.componentId} ${driver.description}`).join(', ');
+      doc.text(doc.splitTextToSize(driverText, pageWidth - 115)[0], 75, infoY + 5);
+      doc.setFontSize(10);
+      doc.setTextColor(0, 0, 0);
+    }
   }
 
   // Disclaimer box
@@ -614,11 +633,18 @@ async function generatePricingPage(doc, summaryData, pageNum, totalPages) {
   doc.setFillColor(241, 245, 249);
   doc.rect(margin, yPos, contentWidth, 10, 'F');
 
+  const qtyX = pageWidth - margin - 75;
+  const unitX = pageWidth - margin - 40;
+  const totalX = pageWidth - margin - 3;
+
   doc.setFontSize(9);
   doc.setFont(undefined, 'bold');
   doc.setTextColor(71, 85, 105);
-  doc.text('Item Description', margin + 3, yPos + 7);
-  doc.text('Price', pageWidth - margin - 30, yPos + 7);
+  doc.text('Code', margin + 3, yPos + 7);
+  doc.text('Item Description', margin + 25, yPos + 7);
+  doc.text('Qty', qtyX, yPos + 7, { align: 'right' });
+  doc.text('Unit', unitX, yPos + 7, { align: 'right' });
+  doc.text('Total', totalX, yPos + 7, { align: 'right' });
 
   yPos += 12;
 
@@ -635,12 +661,21 @@ async function generatePricingPage(doc, summaryData, pageNum, totalPages) {
       doc.rect(margin, yPos - 5, contentWidth, 8, 'F');
     }
 
+    // Older sessions only carry a single price per line
+    const qty = item.qty || 1;
+    const unitPrice = item.unitPrice != null ? item.unitPrice : item.price / qty;
+
     doc.setFontSize(9);
-    const descLines = doc.splitTextToSize(item.description, contentWidth - 40);
-    doc.text(descLines[0], margin + 3, yPos);
+    if (item.componentId) {
+      doc.text(item.componentId, margin + 3, yPos);
+    }
+    const descLines = doc.splitTextToSize(item.description, qtyX - margin - 40);
+    doc.text(descLines[0], margin + 25, yPos);
+    doc.text(String(qty), qtyX, yPos, { align: 'right' });
+    doc.text(`£${unitPrice.toFixed(2)}`, unitX, yPos, { align: 'right' });
 
     doc.setFont(undefined, 'bold');
-    doc.text(`£${item.price.toFixed(2)}`, pageWidth - margin - 30, yPos, { align: 'right' });
+    doc.text(`£${item.price.toFixed(2)}`, totalX, yPos, { align: 'right' });
     doc.setFont(undefined, 'normal');
 
     subtotal += item.price;
@@ -662,8 +697,9 @@ async function generatePricingPage(doc, summaryData, pageNum, totalPages) {
 
   yPos += 7;
   doc.setFont(undefined, 'normal');
-  const vatAmount = subtotal * 0.2;
-  doc.text('VAT (20%):', totalsX, yPos);
+  const vatRate = summaryData.vatRate != null ? summaryData.vatRate : 0.2;
+  const vatAmount = subtotal * vatRate;
+  doc.text(`VAT (${Math.round(vatRate * 100)}%):`, totalsX, yPos);
   doc.setFont(undefined, 'bold');
   doc.text(`£${vatAmount.toFixed(2)}`, totalsX + 45, yPos, { align: 'right' });
 
@@ -0,0 +1,508 @@
+/**
+ * Pricebook Module
+ * Loads the pricebook CSVs and turns checklist selections and suggested
+ * materials into priced quote lines keyed by component_id.
+ */
+
+import { visibleChecklistItems, selectedOutcomeForItem, buildDeterministicScope } from './jobState.js';
+import { loadWorkerEndpoint } from '../src/app/worker-config.js';
+import { getAuthToken } from '../src/auth/auth-client.js';
+
+export const VAT_RATE = 0.2;
+
+export const PRICEBOOK_FILES = [
+  'core_packs.csv',
+  'electrics_and_waste.csv',
+  'controls_and_stats.csv',
+  'smart_hive.csv',
+  'boilers_combi_ng.csv',
+  'boilers_combi_lpg.csv',
+  'boilers_other.csv',
+  'heat_pumps_and_ashp_labour.csv',
+  'radiators_and_valves.csv',
+  'flues_worcester.csv',
+  'extras_and_charges.csv',
+  'price_alignment.csv'
+];
+
+const COMPONENT_ID_PATTERN = /\b([A-Z]{1,5}\d{2,6})\b/g;
+
+const pricebookCache = new Map();
+let bundledPricebookPromise = null;
+let mappingPromise = null;
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - Raw CSV line
+ * @returns {Array<string>} - Field values
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Parse a pricebook CSV into component rows
+ * @param {string} text - CSV text with the standard pricebook header
+ * @param {string} source - File name the rows came from
+ * @returns {Array<Object>} - Component rows
+ */
+export function parsePricebookCsv(text, source = '') {
+  const lines = String(text || '').split(/\r?\n/).filter((line) => line.trim());
+  if (!lines.length) return [];
+
+  const header = splitCsvLine(lines[0]).map((name) => name.trim());
+  const column = (name) => header.indexOf(name);
+  const idx = {
+    section: column('section'),
+    subsection: column('subsection'),
+    componentId: column('component_id'),
+    description: column('description'),
+    price: column('selling_price_gbp'),
+    leadTime: column('lead_time_days')
+  };
+
+  if (idx.componentId < 0 || idx.price < 0) return [];
+
+  return lines.slice(1).map((line) => {
+    const fields = splitCsvLine(line);
+    const componentId = cleanText(fields[idx.componentId]);
+    const price = Number(fields[idx.price]);
+    if (!componentId || !Number.isFinite(price)) return null;
+    const leadTime = Number(fields[idx.leadTime]);
+    return {
+      componentId,
+      section: cleanText(fields[idx.section]),
+      subsection: cleanText(fields[idx.subsection]),
+      description: cleanText(fields[idx.description]),
+      price,
+      leadTimeDays: Number.isFinite(leadTime) ? leadTime : 0,
+      source
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Build a lookup index over parsed pricebook rows.
+ * The first row seen for a component_id wins, as some codes are listed in more than one file.
+ * @param {Array<Object>} rows - Parsed component rows
+ * @returns {Object} - { items, byId }
+ */
+export function buildPricebookIndex(rows) {
+  const byId = new Map();
+  (Array.isArray(rows) ? rows : []).forEach((row) => {
+    if (row && row.componentId && !byId.has(row.componentId)) {
+      byId.set(row.componentId, row);
+    }
+  });
+  return { items: Array.from(byId.values()), byId };
+}
+
+/**
+ * Load and index the bundled pricebook CSVs (cached for the page lifetime)
+ * @param {string} basePath - Folder holding the CSV files
+ * @returns {Promise<Object>} - Pricebook index with version null
+ */
+function loadBundledPricebook(basePath) {
+  if (!bundledPricebookPromise) {
+    bundledPricebookPromise = Promise.all(PRICEBOOK_FILES.map(async (file) => {
+      try {
+        const response = await fetch(`${basePath}${file}`, { cache: 'no-store' });
+        if (!response.ok) {
+          console.warn(`Pricebook: failed to load ${file}:`, response.statusText);
+          return [];
+        }
+        return parsePricebookCsv(await response.text(), file);
+      } catch (error) {
+        console.warn(`Pricebook: failed to load ${file}:`, error);
+        return [];
+      }
+    })).then((results) => ({ ...buildPricebookIndex(results.flat()), version: null }));
+  }
+  return bundledPricebookPromise;
+}
+
+/**
+ * Format a survey date as the YYYY-MM-DD day used to pick a pricebook version
+ * @param {Date|string} value - Survey date (defaults to today)
+ * @returns {string}
+ */
+export function toSurveyDay(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const parsed = value ? new Date(value) : new Date();
+  const date = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function pricebookRequest(path, options = {}) {
+  const token = getAuthToken();
+  if (!token) throw new Error('Sign in to manage pricebook versions');
+
+  const response = await fetch(`${loadWorkerEndpoint()}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+      ...(options.headers || {})
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Pricebook request failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Fetch the worker pricebook version effective on a given day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<Object|null>} - Pricebook index with version metadata, or null if unavailable
+ */
+async function loadVersionedPricebook(day) {
+  if (!getAuthToken()) return null;
+  try {
+    const data = await pricebookRequest(`/pricebook/effective?date=${encodeURIComponent(day)}`);
+    if (!Array.isArray(data.items) || !data.items.length) return null;
+    return { ...buildPricebookIndex(data.items), version: data.version || null };
+  } catch (error) {
+    if (error.status !== 404) {
+      console.warn('Pricebook: versioned pricebook unavailable, using bundled CSVs:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load the pricebook effective on the survey date (cached per day).
+ * Uses the version uploaded to the worker when signed in, falling back to the bundled CSVs.
+ * @param {Object} options - { surveyDate, basePath }
+ * @returns {Promise<Object>} - Pricebook index { items, byId, version }
+ */
+export function loadPricebook({ surveyDate, basePath = 'pricebook_csvs/' } = {}) {
+  const day = toSurveyDay(surveyDate);
+  if (!pricebookCache.has(day)) {
+    pricebookCache.set(day, loadVersionedPricebook(day)
+      .then((pricebook) => pricebook || loadBundledPricebook(basePath)));
+  }
+  return pricebookCache.get(day);
+}
+
+/**
+ * Upload a pricebook CSV set as a new version
+ * @param {Object} options - { effectiveDate, label, files: { "name.csv": "csv text" } }
+ * @returns {Promise<Object>} - Stored version metadata
+ */
+export async function uploadPricebookVersion({ effectiveDate, label = '', files }) {
+  const data = await pricebookRequest('/pricebook/versions', {
+    method: 'POST',
+    body: JSON.stringify({ effectiveDate, label, files })
+  });
+  pricebookCache.clear();
+  return data.version;
+}
+
+/**
+ * List uploaded pricebook versions, newest effective date first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPricebookVersions() {
+  const data = await pricebookRequest('/pricebook/versions');
+  return data.versions || [];
+}
+
+/**
+ * Diff two uploaded pricebook versions
+ * @param {number} fromId - Older version id
+ * @param {number} toId - Newer version id
+ * @returns {Promise<Object>} - { from, to, added, removed, repriced }
+ */
+export function diffPricebookVersions(fromId, toId) {
+  return pricebookRequest(`/pricebook/diff?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`);
+}
+
+/**
+ * Load the checklist outcome / material to component_id mapping
+ * @param {string} path - Mapping JSON path
+ * @returns {Promise<Object>} - { outcomes, materials }
+ */
+export function loadPricebookMapping(path = 'pricebook.mapping.json') {
+  if (!mappingPromise) {
+    mappingPromise = fetch(path, { cache: 'no-store' })
+      .then((response) => (response.ok ? response.json() : null))
+      .catch((error) => {
+        console.warn('Pricebook: failed to load mapping:', error);
+        return null;
+      })
+      .then(normalisePricebookMapping);
+  }
+  return mappingPromise;
+}
+
+/**
+ * Normalise a raw mapping config, compiling material patterns
+ * @param {Object} raw - Raw mapping JSON
+ * @returns {Object} - { outcomes, materials }
+ */
+export function normalisePricebookMapping(raw) {
+  const outcomes = {};
+  const rawOutcomes = raw && typeof raw.outcomes === 'object' ? raw.outcomes : {};
+  Object.entries(rawOutcomes).forEach(([key, refs]) => {
+    const list = (Array.isArray(refs) ? refs : [refs])
+      .map((ref) => normaliseComponentRef(ref))
+      .filter(Boolean);
+    if (list.length) outcomes[key] = list;
+  });
+
+  const materials = (Array.isArray(raw?.materials) ? raw.materials : [])
+    .map((rule) => {
+      const componentId = cleanText(rule?.componentId);
+      if (!componentId || !rule.pattern) return null;
+      try {
+        return { pattern: new RegExp(rule.pattern, 'i'), componentId };
+      } catch (error) {
+        console.warn('Pricebook: invalid material pattern', rule.pattern, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return { outcomes, materials };
+}
+
+function normaliseComponentRef(ref) {
+  if (typeof ref === 'string') {
+    const componentId = cleanText(ref);
+    return componentId ? { componentId, qty: 1 } : null;
+  }
+  if (!ref || typeof ref !== 'object') return null;
+  const componentId = cleanText(ref.componentId ?? ref.component_id);
+  if (!componentId) return null;
+  const qty = Number(ref.qty);
+  return { componentId, qty: Number.isFinite(qty) && qty > 0 ? qty : 1 };
+}
+
+/**
+ * Find a component by id
+ * @param {Object} pricebook - Pricebook index
+ * @param {string} componentId - Component code
+ * @returns {Object|null}
+ */
+export function findComponent(pricebook, componentId) {
+  if (!pricebook || !componentId) return null;
+  return pricebook.byId.get(cleanText(componentId)) || null;
+}
+
+/**
+ * Search pricebook components by code or description words
+ * @param {Object} pricebook - Pricebook index
+ * @param {string} query - Free-text search
+ * @param {number} limit - Maximum results
+ * @returns {Array<Object>} - Best matching components
+ */
+export function searchPricebook(pricebook, query, limit = 10) {
+  const text = cleanText(query).toLowerCase();
+  if (!pricebook || !text) return [];
+
+  const terms = text.split(/[^a-z0-9]+/).filter((term) => term.length > 1);
+  if (!terms.length) return [];
+
+  return pricebook.items
+    .map((component) => {
+      const code = component.componentId.toLowerCase();
+      const haystack = `${component.description} ${component.subsection}`.toLowerCase();
+      let score = code === text ? 100 : 0;
+      terms.forEach((term) => {
+        if (code === term) score += 50;
+        else if (haystack.includes(term)) score += term.length;
+      });
+      return { component, score };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.component.description.localeCompare(b.component.description))
+    .slice(0, limit)
+    .map((entry) => entry.component);
+}
+
+/**
+ * Resolve a suggested material to a pricebook component
+ * @param {Object} pricebook - Pricebook index
+ * @param {Object} mapping - Normalised mapping
+ * @param {Object} material - { item, qty, notes, componentId? }
+ * @returns {Object|null} - Matching component
+ */
+export function matchMaterialToComponent(pricebook, mapping, material) {
+  if (!material || typeof material !== 'object') return null;
+
+  const explicit = findComponent(pricebook, material.componentId ?? material.component_id);
+  if (explicit) return explicit;
+
+  const text = `${cleanText(material.item || material.description)} ${cleanText(material.notes)}`.trim();
+  if (!text) return null;
+
+  for (const match of text.matchAll(COMPONENT_ID_PATTERN)) {
+    const component = findComponent(pricebook, match[1]);
+    if (component) return component;
+  }
+
+  const rule = (mapping?.materials || []).find((entry) => entry.pattern.test(text));
+  if (rule) {
+    const component = findComponent(pricebook, rule.componentId);
+    if (component) return component;
+  }
+
+  const itemText = cleanText(material.item || material.description).toLowerCase();
+  return pricebook?.items.find((component) => component.description.toLowerCase() === itemText) || null;
+}
+
+function quantityOf(value) {
+  const qty = Number(value);
+  return Number.isFinite(qty) && qty > 0 ? qty : 1;
+}
+
+/**
+ * Create a priced quote line for a component
+ * @param {Object} component - Pricebook component
+ * @param {number} qty - Quantity
+ * @param {string} source - Where the line came from (e.g. "checklist" or "materials")
+ * @returns {Object} - Quote line
+ */
+export function createQuoteLine(component, qty = 1, source = 'manual') {
+  const quantity = quantityOf(qty);
+  return {
+    componentId: component.componentId,
+    description: component.description,
+    qty: quantity,
+    unitPrice: roundMoney(component.price),
+    total: roundMoney(component.price * quantity),
+    leadTimeDays: component.leadTimeDays || 0,
+    source
+  };
+}
+
+/**
+ * Total up quote lines
+ * @param {Array<Object>} lines - Quote lines with a total
+ * @param {number} vatRate - VAT rate as a fraction
+ * @returns {Object} - { subtotal, vat, total, vatRate }
+ */
+export function summariseQuote(lines, vatRate = VAT_RATE) {
+  const subtotal = roundMoney((Array.isArray(lines) ? lines : [])
+    .reduce((sum, line) => sum + (Number(line.total) || 0), 0));
+  const vat = roundMoney(subtotal * vatRate);
+  return { subtotal, vat, total: roundMoney(subtotal + vat), vatRate };
+}
+
+/**
+ * Build a quote from checklist selections and suggested materials.
+ * Outcomes are priced from the materials in the checklist config that reference a componentId,
+ * with their detail-based quantities, from "implies_material" rules and from the mapping's outcome entries.
+ * Checklist quantities for the same component add up, as each outcome needs its own.
+ * A component reached from both the checklist and a material is quoted once, at the larger quantity,
+ * because the model usually repeats checklist materials in its own list.
+ * @param {Object} options - { pricebook, mapping, checklistItems, selections, rules, materials, vatRate }
+ * @returns {Object} - { lines, unmapped, subtotal, vat, total, vatRate }
+ */
+export function buildQuote({
+  pricebook,
+  mapping,
+  checklistItems = [],
+  selections = {},
+  rules = [],
+  materials = [],
+  vatRate = VAT_RATE
+} = {}) {
+  const linesById = new Map();
+  const unmapped = [];
+
+  const addLine = (component, qty, source) => {
+    const existing = linesById.get(component.componentId);
+    if (existing && existing.source === 'checklist' && source === 'checklist') {
+      linesById.set(component.componentId, createQuoteLine(component, existing.qty + quantityOf(qty), source));
+      return;
+    }
+    if (existing && existing.qty >= quantityOf(qty)) return;
+    linesById.set(component.componentId, createQuoteLine(component, qty, existing ? existing.source : source));
+  };
+
+  visibleChecklistItems(checklistItems, selections).forEach((item) => {
+    const outcome = selectedOutcomeForItem(item, selections);
+    if (!outcome) return;
+    // The config's own componentIds take over from mapping entries for the same component
+    const configured = new Set(outcome.materials.map((material) => cleanText(material?.componentId)).filter(Boolean));
+    (mapping?.outcomes?.[`${item.id}:${outcome.id}`] || []).forEach((ref) => {
+      if (configured.has(ref.componentId)) return;
+      const component = findComponent(pricebook, ref.componentId);
+      if (component) {
+        addLine(component, ref.qty, 'checklist');
+      } else {
+        console.warn(`Pricebook: ${item.id}:${outcome.id} references unknown component ${ref.componentId}`);
+      }
+    });
+  });
+
+  buildDeterministicScope(checklistItems, selections, { rules, pricebook }).materials.forEach((material) => {
+    if (!material.componentId) return;
+    const component = findComponent(pricebook, material.componentId);
+    if (component) {
+      addLine(component, material.qty, 'checklist');
+    } else {
+      console.warn(`Pricebook: checklist material "${material.item}" references unknown component ${material.componentId}`);
+    }
+  });
+
+  (Array.isArray(materials) ? materials : []).forEach((material) => {
+    const component = matchMaterialToComponent(pricebook, mapping, material);
+    if (component) {
+      addLine(component, material.qty, 'materials');
+      return;
+    }
+    const item = cleanText(material?.item || material?.description);
+    if (!item) return;
+    unmapped.push({
+      item,
+      qty: quantityOf(material.qty),
+      notes: cleanText(material.notes),
+      category: cleanText(material.category),
+      suggestions: searchPricebook(pricebook, item, 5)
+    });
+  });
+
+  const lines = Array.from(linesById.values());
+  return { lines, unmapped, ...summariseQuote(lines, vatRate) };
+}
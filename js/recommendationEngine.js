@@ -4,6 +4,8 @@
  * Based on martinbibb-cmd/System-recommendation logic
  */
 
+import { diariseTranscript } from './speakerDiarisation.js';
+
 /**
  * System configurations with their characteristics
  */
@@ -161,41 +163,12 @@ const SYSTEM_PROFILES = {
 };
 
 /**
- * Parse transcript text into segments with speaker labels
- * Similar to parseTranscriptSegments in main.js but for recommendation engine
+ * Parse transcript text into segments with speaker roles
+ * Uses the same diarisation as the transcript view in main.js, so labels the surveyor
+ * corrected there are respected and unlabelled turns are attributed automatically.
  */
 function parseTranscriptWithSpeakers(text) {
-  if (!text) return [];
-
-  const segments = [];
-  const lines = text.split('\n').filter(l => l.trim());
-
-  lines.forEach((line, index) => {
-    // Try to extract timestamp and speaker from various formats
-    // Format: [00:12] Speaker: text
-    // Or: Speaker: text
-    // Or: plain text
-
-    const timestampMatch = line.match(/^\[(\d+):(\d+)\]\s*/);
-    const speakerMatch = line.match(/^(?:\[\d+:\d+\]\s*)?([^:]+):\s*(.+)/);
-
-    let speaker = null;
-    let text = line;
-
-    if (speakerMatch) {
-      speaker = speakerMatch[1].trim();
-      text = speakerMatch[2].trim();
-    }
-
-    // Auto-detect speaker if not present (alternating pattern)
-    if (!speaker) {
-      speaker = index % 2 === 0 ? 'Expert' : 'Customer';
-    }
-
-    segments.push({ speaker, text: text.trim() });
-  });
-
-  return segments.filter(s => s.text);
+  return diariseTranscript(text).map(({ speaker, role, text: turnText }) => ({ speaker, role, text: turnText }));
 }
 
 /**
@@ -211,10 +184,9 @@ function detectExpertRecommendations(segments) {
   const expertStatements = segments
     .filter(seg => {
       const text = seg.text.toLowerCase();
-      const speaker = (seg.speaker || '').toLowerCase();
 
-      // Include if it's from expert
-      if (speaker.includes('expert')) return true;
+      // Include if it's from the surveyor
+      if (seg.role === 'surveyor') return true;
 
       // Also include if it contains strong recommendation language
       // (likely expert advice even if mislabeled)
@@ -309,13 +281,14 @@ export function extractHeatingRequirements(sections, notes) {
   };
 
   // Combine all text from sections and notes
-  const allText = [
-    ...sections.map(s => `${s.plainText || ''} ${s.naturalLanguage || ''}`),
-    ...notes
-  ].join(' ');
+  const sectionTexts = sections.map(s => `${s.plainText || ''} ${s.naturalLanguage || ''}`);
+  const allText = [...sectionTexts, ...notes].join(' ');
 
-  // Parse transcript with speaker information
-  const segments = parseTranscriptWithSpeakers(allText);
+  // Depot sections are the surveyor's own notes; transcript turns are attributed by speaker
+  const segments = [
+    ...sectionTexts.filter(text => text.trim()).map(text => ({ speaker: 'Surveyor', role: 'surveyor', text })),
+    ...parseTranscriptWithSpeakers(notes.join('\n'))
+  ];
 
   // Detect explicit expert recommendations
   requirements.expertRecommendations = detectExpertRecommendations(segments);
@@ -327,6 +300,12 @@ export function extractHeatingRequirements(sections, notes) {
   // Continue with existing extraction but use lowercase for pattern matching
   const allTextLower = allText.toLowerCase();
 
+  // Preferences come from what the customer said when we know who that was
+  const customerTurns = segments.filter(seg => seg.role === 'customer');
+  const preferenceText = customerTurns.length
+    ? customerTurns.map(seg => seg.text).join(' ').toLowerCase()
+    : allTextLower;
+
   // Extract occupants - try multiple patterns
   let occupantMatch = allTextLower.match(/(\d+)\s*(?:people|persons|occupants|family members)/i);
   if (!occupantMatch) {
@@ -453,19 +432,19 @@ export function extractHeatingRequirements(sections, notes) {
                                      allTextLower.includes('no room for cylinder');
 
   // Smart tech interest
-  requirements.wantsSmartTech = allTextLower.includes('smart') ||
-                               allTextLower.includes('app control') ||
-                               allTextLower.includes('wifi');
+  requirements.wantsSmartTech = preferenceText.includes('smart') ||
+                               preferenceText.includes('app control') ||
+                               preferenceText.includes('wifi');
 
   // Renewables
-  requirements.consideringRenewables = allTextLower.includes('solar') ||
-                                       allTextLower.includes('heat pump') ||
-                                       allTextLower.includes('renewable');
+  requirements.consideringRenewables = preferenceText.includes('solar') ||
+                                       preferenceText.includes('heat pump') ||
+                                       preferenceText.includes('renewable');
 
   // Budget
-  if (allTextLower.includes('budget') || allTextLower.includes('cheap') || allTextLower.includes('cost-effective')) {
+  if (preferenceText.includes('budget') || preferenceText.includes('cheap') || preferenceText.includes('cost-effective')) {
     requirements.budget = 'low';
-  } else if (allTextLower.includes('premium') || allTextLower.includes('high-end')) {
+  } else if (preferenceText.includes('premium') || preferenceText.includes('high-end')) {
     requirements.budget = 'high';
   } else {
     requirements.budget = 'medium';
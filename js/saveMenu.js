@@ -31,6 +31,17 @@ const saveFormatTXT = document.getElementById('saveFormatTXT');
 const saveFilenameInput = document.getElementById('saveFilename');
 const SESSION_NAME_KEY = 'depot.currentSessionName';
 
+// Asked before notes are exported; returns false to stop the save
+let saveGuard = () => true;
+
+/**
+ * Set the check run before depot or AI notes are exported
+ * @param {Function} guard - Returns false to cancel the save
+ */
+export function setSaveGuard(guard) {
+  saveGuard = typeof guard === 'function' ? guard : () => true;
+}
+
 function getSessionReference() {
   const stored = localStorage.getItem(SESSION_NAME_KEY);
   if (stored && stored.trim()) return stored.trim();
@@ -155,6 +166,10 @@ async function saveSelected() {
     return;
   }
 
+  if ((options.depotNotes || options.aiNotes) && !saveGuard()) {
+    return;
+  }
+
   const appData = getAppData();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
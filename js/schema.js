@@ -41,7 +41,7 @@ function sanitiseSectionSchema(input) {
       : String(rawDescription || "").trim();
 
     const order = typeof entry.order === "number" ? entry.order : idx + 1;
-    prepared.push({ name, description, order, idx });
+    prepared.push({ name, description, order, idx, required: entry.required === true });
   });
 
   prepared.sort((a, b) => {
@@ -63,14 +63,16 @@ function sanitiseSectionSchema(input) {
     unique.push({
       name: entry.name,
       description: entry.description || "",
-      order: entry.order
+      order: entry.order,
+      required: entry.required
     });
   });
 
   const final = unique.map((entry, idx) => ({
     name: entry.name,
     description: entry.description || "",
-    order: idx + 1
+    order: idx + 1,
+    ...(entry.required ? { required: true } : {})
   }));
 
   return final;
@@ -184,6 +186,7 @@ export async function getDefaultSchema() {
 
   return {
     sections: sectionNames,
+    requiredSections: cleanedSections.filter((s) => s.required).map((s) => s.name),
     checklist: {
       sectionsOrder,
       items: cleanedItems
@@ -235,8 +238,18 @@ export function normaliseSchema(raw, fallback) {
     }
   });
 
+  // Sections that must have notes before the survey is complete: flagged on the section objects,
+  // else listed by name; overrides that only list section names keep the defaults' requirements
+  let requiredSections = Array.isArray(raw.sections) && raw.sections.some((s) => s && typeof s === "object" && s.required === true)
+    ? raw.sections.filter((s) => s && s.required === true).map((s) => String(s.name ?? s.section ?? "").trim())
+    : Array.isArray(raw.requiredSections)
+      ? raw.requiredSections.map((name) => String(name || "").trim())
+      : (base.requiredSections || []);
+  requiredSections = requiredSections.filter((name) => sections.includes(name));
+
   return {
     sections,
+    requiredSections,
     checklist: {
       sectionsOrder,
       items
@@ -286,11 +299,12 @@ export function saveSchema(schema) {
 
   // Also persist legacy keys for compatibility with the main app
 
-  // Sections format: an array of { name, description, order }
+  // Sections format: an array of { name, description, order, required }
   const legacySections = normalised.sections.map((name, idx) => ({
     name,
     description: "",
-    order: idx + 1
+    order: idx + 1,
+    ...(normalised.requiredSections.includes(name) ? { required: true } : {})
   }));
   try {
     localStorage.setItem(SECTION_STORAGE_KEY, JSON.stringify(legacySections));
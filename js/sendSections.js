@@ -3,6 +3,8 @@
  * Provides slide-over UI for viewing and copying sections to clipboard
  */
 
+import { submitToOffice, decorateWithOfficeFeedback, STATUS_LABELS } from './officeReview.js';
+
 // State for the view mode
 let viewMode = 'auto'; // 'auto' (structured) or 'ai' (natural language)
 
@@ -10,6 +12,10 @@ let viewMode = 'auto'; // 'auto' (structured) or 'ai' (natural language)
 let activeSlideOver = null;
 let activeAutoSections = [];
 let activeAiSections = [];
+// Questions that must be settled before the notes go to the office
+let pendingConfirmations = () => [];
+// Asked before submitting; false stops the submission (e.g. an incomplete survey with no reason given)
+let readyToSubmit = () => true;
 let speechSynthesis = window.speechSynthesis;
 let currentUtterance = null;
 let isSpeaking = false;
@@ -47,8 +53,16 @@ function getActiveSections() {
 
 /**
  * Show the send sections slide-over
+ * @param {Object} options - { autoSections, aiSections, getPendingConfirmations, confirmReadyToSubmit }
+ *   where getPendingConfirmations() lists unresolved questions that block submitting to the office
+ *   and confirmReadyToSubmit() returns false to stop a submission
  */
-export function showSendSectionsSlideOver({ autoSections = [], aiSections = [] } = {}) {
+export function showSendSectionsSlideOver({
+  autoSections = [],
+  aiSections = [],
+  getPendingConfirmations = null,
+  confirmReadyToSubmit = null
+} = {}) {
   // Close existing slide-over if any
   if (activeSlideOver) {
     closeSlideOver(activeSlideOver);
@@ -59,6 +73,8 @@ export function showSendSectionsSlideOver({ autoSections = [], aiSections = [] }
     viewMode = 'auto';
   }
   setActiveSections({ autoSections, aiSections });
+  pendingConfirmations = typeof getPendingConfirmations === 'function' ? getPendingConfirmations : () => [];
+  readyToSubmit = typeof confirmReadyToSubmit === 'function' ? confirmReadyToSubmit : () => true;
 
   const slideOver = createSlideOverElement(getActiveSections());
   document.body.appendChild(slideOver);
@@ -100,6 +116,7 @@ export function updateSendSectionsSlideOver(nextSections) {
 
     // Re-attach event listeners
     attachSectionEventListeners(contentEl, sectionsToRender);
+    decorateWithOfficeFeedback(contentEl);
   }
 }
 
@@ -172,6 +189,9 @@ function createSlideOverElement(sections) {
             </svg>
             <span id="readAloudText">Read Aloud</span>
           </button>
+          <button id="submitToOfficeBtn" class="read-aloud-btn" title="Send these notes to the office for review">
+            📤 <span>Submit to office</span>
+          </button>
           <div class="view-mode-toggle" style="display: flex; align-items: center; gap: 8px; margin-left: auto; margin-right: 40px;">
             <span style="font-size: 0.75rem; font-weight: 600; color: white; opacity: ${viewMode === 'auto' ? '1' : '0.6'};">Auto notes</span>
             <div id="viewModeToggle" class="toggle-switch ${viewMode === 'ai' ? 'active' : ''}">
@@ -377,14 +397,22 @@ function setupSlideOverEvents(slideOver) {
         const sectionsToRender = getActiveSections();
         contentEl.innerHTML = renderSectionsList(sectionsToRender);
         attachSectionEventListeners(contentEl, sectionsToRender);
+        decorateWithOfficeFeedback(contentEl);
       }
     });
   }
 
+  // Submit to office
+  const submitBtn = slideOver.querySelector('#submitToOfficeBtn');
+  if (submitBtn) {
+    submitBtn.addEventListener('click', () => submitSectionsToOffice(submitBtn, slideOver));
+  }
+
   // Initial event listeners for sections
   const contentEl = slideOver.querySelector('#sectionsContent');
   if (contentEl) {
     attachSectionEventListeners(contentEl, getActiveSections());
+    decorateWithOfficeFeedback(contentEl);
   }
 
   // Escape key to close
@@ -397,6 +425,42 @@ function setupSlideOverEvents(slideOver) {
   document.addEventListener('keydown', escapeHandler);
 }
 
+/**
+ * Submit the structured sections (auto notes, falling back to AI notes) for office review
+ */
+async function submitSectionsToOffice(buttonElement, slideOver) {
+  const sections = activeAutoSections.length ? activeAutoSections : activeAiSections;
+  if (!sections.length) {
+    alert('There are no notes to submit yet.');
+    return;
+  }
+
+  const pending = pendingConfirmations();
+  if (pending.length) {
+    const list = pending.map((entry) => `• ${entry.question}`).join('\n');
+    alert(`Confirm these in the "Needs confirmation" list before submitting:\n\n${list}`);
+    return;
+  }
+  if (!readyToSubmit()) return;
+
+  const label = buttonElement.querySelector('span');
+  buttonElement.disabled = true;
+  label.textContent = 'Submitting...';
+
+  try {
+    const submission = await submitToOffice(sections);
+    label.textContent = STATUS_LABELS[submission.status] || 'Submitted';
+    const contentEl = slideOver.querySelector('#sectionsContent');
+    if (contentEl) decorateWithOfficeFeedback(contentEl);
+  } catch (err) {
+    console.error('Submit to office failed:', err);
+    alert(`Could not submit to office: ${err.message}`);
+    label.textContent = 'Submit to office';
+  } finally {
+    buttonElement.disabled = false;
+  }
+}
+
 /**
  * Toggle read aloud functionality
  */
@@ -0,0 +1,322 @@
+/**
+ * Session Sync Module
+ * Saves survey sessions to the worker so they can be reopened on another device.
+ * Tracks which cloud session and revision this device is editing; a save based
+ * on an older revision is reported as a conflict and the user picks which copy wins.
+ */
+
+import { loadWorkerEndpoint } from '../src/app/worker-config.js';
+import { getAuthToken } from '../src/auth/auth-client.js';
+
+export const CLOUD_SESSION_STORAGE_KEY = 'depot.cloudSession';
+
+const AUTO_SYNC_DELAY_MS = 5000;
+
+let hooks = null;
+let autoSyncTimer = null;
+let syncInFlight = null;
+
+/**
+ * Error raised when the server copy is newer than the one this device edited
+ */
+export class SessionConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = 'SessionConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * The cloud session this device is linked to
+ * @returns {Object|null} - { id, revision, name }
+ */
+export function getLinkedCloudSession() {
+  try {
+    const raw = localStorage.getItem(CLOUD_SESSION_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && parsed.id ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function linkCloudSession(summary) {
+  localStorage.setItem(CLOUD_SESSION_STORAGE_KEY, JSON.stringify({
+    id: summary.id,
+    revision: summary.revision,
+    name: summary.name || ''
+  }));
+}
+
+/**
+ * Forget the linked cloud session (e.g. when starting a new job)
+ */
+export function unlinkCloudSession() {
+  clearTimeout(autoSyncTimer);
+  localStorage.removeItem(CLOUD_SESSION_STORAGE_KEY);
+}
+
+async function sessionRequest(path, options = {}) {
+  const token = getAuthToken();
+  if (!token) throw new Error('Sign in to sync sessions');
+
+  const response = await fetch(`${loadWorkerEndpoint()}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+      ...(options.headers || {})
+    }
+  });
+
+  if (options.raw && response.ok) return response;
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    throw new SessionConflictError(data.message || 'Session conflict', data.current);
+  }
+  if (!response.ok) {
+    throw new Error(data.message || `Session request failed: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * List the signed-in user's cloud sessions, most recently updated first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listCloudSessions() {
+  const data = await sessionRequest('/sessions');
+  return data.sessions || [];
+}
+
+/**
+ * Save a session to the cloud, creating it on first save
+ * @param {Object} session - Session JSON (fullTranscript, sections, materials, checklistSelections, ...)
+ * @param {Object} options - { name, audioBlob, force }
+ * @returns {Promise<Object>} - Saved session summary
+ */
+export async function saveCloudSession(session, { name, audioBlob, force = false } = {}) {
+  const linked = getLinkedCloudSession();
+  const data = linked
+    ? await sessionRequest(`/sessions/${encodeURIComponent(linked.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name, session, baseRevision: linked.revision, force })
+    })
+    : await sessionRequest('/sessions', {
+      method: 'POST',
+      body: JSON.stringify({ name, session })
+    });
+
+  linkCloudSession(data.session);
+
+  if (audioBlob && audioBlob.size) {
+    await sessionRequest(`/sessions/${encodeURIComponent(data.session.id)}/audio`, {
+      method: 'PUT',
+      headers: { 'Content-Type': audioBlob.type || 'audio/webm' },
+      body: audioBlob
+    });
+  }
+
+  return data.session;
+}
+
+/**
+ * Open a cloud session and link this device to it
+ * @param {string} id - Session id
+ * @returns {Promise<Object>} - { id, name, revision, session, audioBlob }
+ */
+export async function openCloudSession(id) {
+  const data = await sessionRequest(`/sessions/${encodeURIComponent(id)}`);
+  let audioBlob = null;
+  if (data.hasAudio) {
+    try {
+      const response = await sessionRequest(`/sessions/${encodeURIComponent(id)}/audio`, { raw: true });
+      audioBlob = await response.blob();
+    } catch (err) {
+      console.warn('Session audio unavailable:', err);
+    }
+  }
+  linkCloudSession(data);
+  return { ...data, audioBlob };
+}
+
+/**
+ * Delete a cloud session
+ * @param {string} id - Session id
+ */
+export async function deleteCloudSession(id) {
+  await sessionRequest(`/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  if (getLinkedCloudSession()?.id === id) unlinkCloudSession();
+}
+
+function setStatus(message) {
+  const status = document.getElementById('cloudSessionsStatus');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Ask the user which copy wins after a conflict, then apply that choice
+ * @param {SessionConflictError} conflict
+ */
+async function resolveConflict(conflict) {
+  const current = conflict.current || {};
+  const overwrite = confirm(
+    `${conflict.message}.\n\nOK: keep this device's copy and overwrite the cloud.\nCancel: load the cloud copy (revision ${current.revision}) instead.`
+  );
+  if (overwrite) {
+    await syncNow({ force: true });
+    return;
+  }
+  linkCloudSession(current);
+  await hooks.applySession(current.session || {}, { name: current.name });
+  setStatus(`Loaded cloud copy (revision ${current.revision}).`);
+}
+
+async function pushSession({ force, includeAudio }) {
+  const summary = await saveCloudSession(hooks.getSession(), {
+    name: hooks.getSessionName(),
+    audioBlob: includeAudio ? hooks.getAudioBlob() : null,
+    force
+  });
+  setStatus(`Saved to cloud (revision ${summary.revision}).`);
+  return summary;
+}
+
+/**
+ * Push the current session now
+ * Saves run one after another, each from the revision the previous one stored,
+ * so overlapping calls never race each other into a conflict.
+ * @param {Object} options - { force, includeAudio }
+ */
+export function syncNow({ force = false, includeAudio = false } = {}) {
+  if (!hooks) return Promise.resolve(null);
+
+  const previous = syncInFlight || Promise.resolve();
+  const save = previous.catch(() => {}).then(() => pushSession({ force, includeAudio }));
+  syncInFlight = save;
+
+  const settle = () => {
+    if (syncInFlight === save) syncInFlight = null;
+  };
+  save.then(settle, settle);
+  return save;
+}
+
+/**
+ * Queue a background save for a linked session (called after local auto-save)
+ */
+export function queueCloudSync() {
+  if (!hooks || !getLinkedCloudSession() || !getAuthToken()) return;
+  clearTimeout(autoSyncTimer);
+  autoSyncTimer = setTimeout(() => {
+    syncNow().catch((err) => {
+      if (err instanceof SessionConflictError) {
+        setStatus('This session was changed on another device - open the Session Menu to resolve.');
+        window.dispatchEvent(new CustomEvent('depotSessionConflict', { detail: err.current }));
+      } else {
+        console.warn('Background session sync failed:', err);
+      }
+    });
+  }, AUTO_SYNC_DELAY_MS);
+}
+
+function formatUpdatedAt(value) {
+  if (!value) return '';
+  const date = new Date(String(value).replace(' ', 'T') + (String(value).includes('Z') ? '' : 'Z'));
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+async function renderCloudSessions() {
+  const list = document.getElementById('cloudSessionsList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  if (!getAuthToken()) {
+    setStatus('Sign in to save sessions to the cloud and open them on other devices.');
+    return;
+  }
+
+  setStatus('Loading cloud sessions...');
+  try {
+    const sessions = await listCloudSessions();
+    const linkedId = getLinkedCloudSession()?.id;
+    setStatus(sessions.length ? '' : 'No cloud sessions yet.');
+
+    sessions.forEach((entry) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; gap: 8px; align-items: center; justify-content: space-between;';
+
+      const label = document.createElement('span');
+      label.className = 'small';
+      label.textContent = `${entry.name || 'Untitled session'}${entry.id === linkedId ? ' (open)' : ''} · rev ${entry.revision} · ${formatUpdatedAt(entry.updatedAt)}${entry.hasAudio ? ' · 🎙️' : ''}`;
+
+      const openBtn = document.createElement('button');
+      openBtn.className = 'pill-secondary';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', async () => {
+        setStatus('Opening session...');
+        try {
+          const opened = await openCloudSession(entry.id);
+          await hooks.applySession(opened.session, { name: opened.name, audioBlob: opened.audioBlob });
+          setStatus(`Opened "${opened.name || 'Untitled session'}" (revision ${opened.revision}).`);
+          document.getElementById('sessionMenuModal')?.classList.remove('active');
+        } catch (err) {
+          setStatus(`Could not open session: ${err.message}`);
+        }
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'pill-secondary';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete "${entry.name || 'Untitled session'}" from the cloud?`)) return;
+        try {
+          await deleteCloudSession(entry.id);
+          await renderCloudSessions();
+        } catch (err) {
+          setStatus(`Could not delete session: ${err.message}`);
+        }
+      });
+
+      const actions = document.createElement('span');
+      actions.style.cssText = 'display: flex; gap: 4px;';
+      actions.append(openBtn, deleteBtn);
+      row.append(label, actions);
+      list.appendChild(row);
+    });
+  } catch (err) {
+    setStatus(`Could not load cloud sessions: ${err.message}`);
+  }
+}
+
+/**
+ * Wire the Session Menu cloud controls
+ * @param {Object} options - { getSession, getSessionName, getAudioBlob, applySession }
+ */
+export function initSessionSync(options) {
+  hooks = options;
+
+  const saveBtn = document.getElementById('cloudSaveSessionBtn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', async () => {
+      setStatus('Saving to cloud...');
+      try {
+        await syncNow({ includeAudio: true });
+        await renderCloudSessions();
+      } catch (err) {
+        if (err instanceof SessionConflictError) {
+          await resolveConflict(err);
+          await renderCloudSessions();
+        } else {
+          setStatus(`Could not save to cloud: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  document.getElementById('sessionMenuBtn')?.addEventListener('click', () => {
+    renderCloudSessions();
+  });
+}
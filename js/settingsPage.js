@@ -52,6 +52,7 @@ async function initialise() {
       const rawSections = parseJsonOrAlert(sectionsInput, "Sections");
       const next = {
         sections: rawSections,
+        requiredSections: current.requiredSections,
         checklist: current.checklist
       };
       current = saveSchema(next);
@@ -65,6 +66,7 @@ async function initialise() {
       const defaults = await getDefaultSchema();
       current = saveSchema({
         sections: defaults.sections,
+        requiredSections: defaults.requiredSections,
         checklist: current.checklist
       });
       render();
@@ -77,6 +79,7 @@ async function initialise() {
       const rawChecklist = parseJsonOrAlert(checklistInput, "Checklist");
       const next = {
         sections: current.sections,
+        requiredSections: current.requiredSections,
         checklist: rawChecklist
       };
       current = saveSchema(next);
@@ -90,6 +93,7 @@ async function initialise() {
       const defaults = await getDefaultSchema();
       current = saveSchema({
         sections: current.sections,
+        requiredSections: current.requiredSections,
         checklist: defaults.checklist
       });
       render();
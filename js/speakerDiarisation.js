@@ -0,0 +1,178 @@
+/**
+ * Speaker Diarisation Module
+ * Labels transcript turns as surveyor, customer or other. Turns the surveyor has labelled
+ * (or flagged in the transcript view) keep their label; unlabelled turns are labelled
+ * automatically from what was said and how the conversation flows, and stay editable.
+ * Also groups diarised speech-to-text words (speaker 0, 1, ...) into labelled turns.
+ */
+
+export const SPEAKER_ROLES = ['surveyor', 'customer', 'other'];
+
+export const SPEAKER_LABELS = {
+  surveyor: 'Surveyor',
+  customer: 'Customer',
+  other: 'Other'
+};
+
+// Labels written by earlier versions and by hand, mapped to roles
+const ROLE_ALIASES = {
+  surveyor: ['surveyor', 'expert', 'engineer', 'installer', 'adviser', 'advisor'],
+  customer: ['customer', 'homeowner', 'client', 'owner', 'tenant'],
+  other: ['other', 'speaker', 'third party', 'landlord', 'agent']
+};
+
+const SURVEYOR_CUES = [
+  /\b(i|we)('ll| will| would| can| could)\s+(fit|install|move|replace|run|route|upgrade|need|put|swap|relocate|drain|flush)\b/,
+  /\b(recommend|suggest|advise|my advice|best advice|i'd go with)\b/,
+  /\b\d+(\.\d+)?\s?(mm|kw|bar|l\/min|litres?)\b/,
+  /\b(flue|condensate|gas run|pipework|primaries|isolation valve|powerflush|magnetic filter|building regs|gas safe|pressure test|flow rate|plume kit)\b/,
+  /\byour (boiler|cylinder|radiators?|house|property|loft|gas meter|stopcock)\b/,
+  /\b(do you|have you|are you|would you|how many|is there|can i see|where's the)\b/
+];
+
+const CUSTOMER_CUES = [
+  /\b(my|our)\b/,
+  /\b(we've got|we have|we had|i've got|i have|we've had)\b/,
+  /\b(i'd like|we'd like|i want|we want|i'd prefer|we'd prefer|we were hoping|we'd rather)\b/,
+  /\b(can you|could you|will it|would it|how much|how long|is it possible|what about)\b/,
+  /\b(kids|children|wife|husband|partner|mum|dad|we're out|i work|work from home)\b/,
+  /\b(cost|price|quote|afford|finance)\b/
+];
+
+/**
+ * Role for a speaker label, or null if the label isn't a known speaker
+ * @param {string} label - e.g. "Expert", "Customer", "Surveyor"
+ */
+export function speakerRole(label) {
+  const key = String(label || '').trim().toLowerCase().replace(/\s+\d+$/, '');
+  if (!key) return null;
+  return SPEAKER_ROLES.find((role) => ROLE_ALIASES[role].includes(key)) || null;
+}
+
+/**
+ * Split a transcript line into timestamp, speaker label and text.
+ * Understands "[00:12] Customer: text", "[14:03:22] text", "[01:02-01:07] text" (a recording
+ * range), "Surveyor: text" and plain text.
+ * A prefix before a colon only counts as a speaker when it's a known label, so
+ * "Boiler pressure: 1.2 bar" stays as text.
+ */
+export function parseSpeakerLine(line) {
+  let text = String(line || '').trim();
+  let timestamp = null;
+
+  const timestampMatch = text.match(/^\[(\d{1,2}:\d{2}(?::\d{2})?(?:-\d{1,2}:\d{2}(?::\d{2})?)?)\]\s*/);
+  if (timestampMatch) {
+    timestamp = timestampMatch[1];
+    text = text.slice(timestampMatch[0].length);
+  }
+
+  let speaker = null;
+  const speakerMatch = text.match(/^([A-Za-z][A-Za-z ]{0,24}?)\s*:\s*(.*)$/s);
+  if (speakerMatch && speakerRole(speakerMatch[1])) {
+    speaker = speakerMatch[1].trim();
+    text = speakerMatch[2];
+  }
+
+  return { timestamp, speaker, text: text.trim() };
+}
+
+/**
+ * Count the surveyor and customer cues in one turn
+ * @returns {{ surveyor: number, customer: number }}
+ */
+export function scoreSpeakerCues(text) {
+  const lower = String(text || '').toLowerCase();
+  const count = (cues) => cues.reduce((sum, cue) => sum + (cue.test(lower) ? 1 : 0), 0);
+  return { surveyor: count(SURVEYOR_CUES), customer: count(CUSTOMER_CUES) };
+}
+
+// Best guess for an unlabelled turn: its own cues, nudged by the turn before it
+function guessRole(text, previous) {
+  const score = scoreSpeakerCues(text);
+  if (previous && (previous.role === 'surveyor' || previous.role === 'customer')) {
+    const other = previous.role === 'surveyor' ? 'customer' : 'surveyor';
+    // A question is usually answered by the other person; otherwise the same person carries on
+    if (/\?\s*$/.test(previous.text)) score[other] += 1;
+    else score[previous.role] += 0.5;
+  }
+  if (score.customer > score.surveyor) return 'customer';
+  if (score.surveyor > score.customer) return 'surveyor';
+  return previous?.role === 'customer' ? 'customer' : 'surveyor';
+}
+
+/**
+ * Give every turn a role. Labelled turns keep theirs; the rest are guessed and marked auto.
+ * @param {Array<Object>} turns - [{ speaker, text, ... }]
+ * @returns {Array<Object>} - same turns plus { role, speaker, auto }
+ */
+export function diariseTurns(turns) {
+  const out = [];
+  (Array.isArray(turns) ? turns : []).forEach((turn) => {
+    const labelledRole = speakerRole(turn.speaker);
+    const role = labelledRole || guessRole(turn.text, out[out.length - 1]);
+    out.push({
+      ...turn,
+      role,
+      speaker: SPEAKER_LABELS[role],
+      auto: !labelledRole
+    });
+  });
+  return out;
+}
+
+/**
+ * Parse and diarise a transcript with one turn per line
+ * @returns {Array<Object>} - [{ timestamp, speaker, role, auto, text }]
+ */
+export function diariseTranscript(text) {
+  const turns = String(text || '')
+    .split('\n')
+    .map(parseSpeakerLine)
+    .filter((turn) => turn.text);
+  return diariseTurns(turns);
+}
+
+/**
+ * Group speech-to-text words carrying a numeric speaker into turns and give each speaker a role.
+ * The speaker whose speech sounds most like a surveyor is the surveyor, the most customer-like
+ * of the rest is the customer and anyone else is "other".
+ * @param {Array<Object>} words - [{ word, start, end, speaker }]
+ * @returns {Array<Object>} - [{ speakerId, role, speaker, auto, start, end, text }]
+ */
+export function labelAudioTurns(words) {
+  const turns = [];
+  (Array.isArray(words) ? words : []).forEach((word) => {
+    if (!Number.isInteger(word?.speaker)) return;
+    const last = turns[turns.length - 1];
+    if (last && last.speakerId === word.speaker) {
+      last.text += ` ${word.word}`;
+      last.end = word.end;
+    } else {
+      turns.push({ speakerId: word.speaker, start: word.start, end: word.end, text: word.word });
+    }
+  });
+  if (!turns.length) return [];
+
+  const totals = new Map();
+  turns.forEach((turn) => {
+    const total = totals.get(turn.speakerId) || { surveyor: 0, customer: 0 };
+    const score = scoreSpeakerCues(turn.text);
+    total.surveyor += score.surveyor;
+    total.customer += score.customer;
+    totals.set(turn.speakerId, total);
+  });
+
+  // Ties go to whoever spoke first, who is usually the surveyor introducing the visit
+  const ids = [...totals.keys()];
+  const lean = (id) => totals.get(id).surveyor - totals.get(id).customer;
+  const surveyorId = ids.reduce((best, id) => (lean(id) > lean(best) ? id : best), ids[0]);
+  const rest = ids.filter((id) => id !== surveyorId);
+  const customerId = rest.length
+    ? rest.reduce((best, id) => (lean(id) < lean(best) ? id : best), rest[0])
+    : null;
+
+  return turns.map((turn) => {
+    const role = turn.speakerId === surveyorId ? 'surveyor' : turn.speakerId === customerId ? 'customer' : 'other';
+    return { ...turn, role, speaker: SPEAKER_LABELS[role], auto: true };
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Streaming Notes Module
+ * Asks /text for server-sent events so depot sections can be shown as the model
+ * finishes each one, instead of waiting for the whole reply.
+ */
+
+/**
+ * Whether this browser can read a fetch response body as a stream
+ */
+export function canStreamNotes() {
+  return typeof ReadableStream !== 'undefined'
+    && typeof TextDecoder !== 'undefined'
+    && typeof Response !== 'undefined'
+    && 'body' in Response.prototype;
+}
+
+async function readEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (data.length) onEvent(event, data.join('\n'));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+    if (done) break;
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * POST the notes payload to /text as a stream
+ * @param {string} url - Full /text URL
+ * @param {Object} payload - Same body as the blocking request
+ * @param {Object} options - { headers, onSection(section) }
+ * @returns {Promise<Object>} - { ok, status, statusText, headers, data } once the stream finishes, or
+ *   { ok, status, statusText, headers, raw } when the worker answered without streaming
+ * @throws when the connection drops mid-stream, so the caller can retry without streaming
+ */
+export async function streamNotes(url, payload, { headers = {}, onSection = null } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+    body: JSON.stringify({ ...payload, stream: true })
+  });
+
+  const reply = { ok: res.ok, status: res.status, statusText: res.statusText, headers: res.headers };
+  const contentType = res.headers.get('Content-Type') || '';
+  if (!res.ok || !res.body || !contentType.includes('text/event-stream')) {
+    return { ...reply, raw: await res.text() };
+  }
+
+  let result = null;
+  let failure = null;
+  await readEvents(res.body, (event, data) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (_) {
+      return;
+    }
+    if (event === 'section' && onSection) onSection(parsed);
+    else if (event === 'done') result = parsed;
+    else if (event === 'error') failure = parsed;
+  });
+
+  // The model failed server-side: report it like a blocking 500 rather than retrying
+  if (failure) {
+    return { ...reply, ok: false, status: 500, statusText: 'Model error', raw: JSON.stringify(failure) };
+  }
+  if (!result) {
+    throw new Error('Notes stream ended before the result arrived');
+  }
+  return { ...reply, data: result };
+}
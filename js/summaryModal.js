@@ -5,9 +5,20 @@
 
 import { generateComprehensiveSummaryPDF, previewComprehensiveSummaryPDF } from './pdfGenerator.js';
 import { fetchPDFData } from './databaseQuery.js';
+import {
+  VAT_RATE,
+  loadPricebook,
+  loadPricebookMapping,
+  buildQuote,
+  findComponent,
+  searchPricebook,
+  summariseQuote
+} from './pricebook.js';
+import { estimateInstallDate, formatInstallDate, loadBankHolidays } from './leadTime.js';
 
 let modalElement = null;
 let currentSessionData = null;
+let currentPricebook = null;
 
 /**
  * Create and show the summary modal
@@ -23,6 +34,7 @@ export async function showSummaryModal(sessionData) {
 
   // Populate with session data
   populateSessionInfo(sessionData);
+  await populateQuoteFromPricebook(sessionData);
 
   // Show modal
   modalElement.classList.add('active');
@@ -92,6 +104,8 @@ function createModal() {
               </div>
               <button id="addPricingItem" class="btn-secondary" style="width: 100%; padding: 10px; background: var(--accent); color: white; border: none; border-radius: 8px; cursor: pointer;">+ Add Item</button>
             </div>
+
+            <div id="pricingTotals" style="text-align: right; font-size: 14px; line-height: 1.6;"></div>
           </div>
 
           <!-- Finance Options -->
@@ -151,7 +165,7 @@ function createModal() {
 
   // Add event listeners
   document.getElementById('closeSummaryModal').addEventListener('click', closeModal);
-  document.getElementById('addPricingItem').addEventListener('click', addPricingItem);
+  document.getElementById('addPricingItem').addEventListener('click', () => addPricingItem());
   document.getElementById('previewSummaryBtn').addEventListener('click', handlePreview);
   document.getElementById('generateSummaryBtn').addEventListener('click', handleGenerate);
 
@@ -174,49 +188,199 @@ function populateSessionInfo(sessionData) {
   if (sessionNameInput) {
     sessionNameInput.value = sessionData.sessionName || 'Heating System Assessment';
   }
+}
 
-  // Auto-populate overall price if materials exist
-  if (sessionData.materials && Array.isArray(sessionData.materials)) {
-    let totalPrice = 0;
-    sessionData.materials.forEach(material => {
-      if (material.selling_price_gbp) {
-        totalPrice += parseFloat(material.selling_price_gbp);
-      }
+/**
+ * Pre-populate pricing rows from the pricebook using checklist selections and materials
+ */
+async function populateQuoteFromPricebook(sessionData) {
+  const itemsList = document.getElementById('pricingItemsList');
+  if (!itemsList) return;
+
+  try {
+    const [pricebook, mapping, checklistItems] = await Promise.all([
+      loadPricebook({ surveyDate: sessionData.surveyDate || sessionData.createdAt }),
+      loadPricebookMapping(),
+      loadChecklistItems(sessionData)
+    ]);
+    currentPricebook = pricebook;
+
+    const quote = buildQuote({
+      pricebook,
+      mapping,
+      checklistItems,
+      selections: sessionData.checklistSelections || {},
+      rules: Array.isArray(sessionData.checklistRules)
+        ? sessionData.checklistRules
+        : Array.isArray(checklistItems?.rules) ? checklistItems.rules : [],
+      materials: sessionData.materials || []
     });
 
-    if (totalPrice > 0) {
-      const priceInput = document.getElementById('summaryOverallPrice');
-      if (priceInput && !priceInput.value) {
-        priceInput.value = totalPrice.toFixed(2);
-      }
+    if (!quote.lines.length && !quote.unmapped.length) {
+      updatePricingTotals();
+      return;
+    }
+
+    itemsList.innerHTML = '';
+    quote.lines.forEach(line => addPricingItem(line));
+    quote.unmapped.forEach(entry => addPricingItem({
+      description: entry.item,
+      qty: entry.qty,
+      unmapped: true,
+      suggestions: entry.suggestions
+    }));
+
+    const priceInput = document.getElementById('summaryOverallPrice');
+    if (priceInput && !priceInput.value && quote.subtotal > 0) {
+      priceInput.value = quote.subtotal.toFixed(2);
     }
+
+    if (quote.unmapped.length) {
+      showStatus(`${quote.unmapped.length} material(s) need a pricebook item - search to pick one`, true);
+    }
+  } catch (error) {
+    console.warn('Pricebook quote unavailable:', error);
   }
+
+  updatePricingTotals();
+}
+
+/**
+ * Checklist items for quoting - prefer the session's own items or config, fall back to the default file
+ */
+async function loadChecklistItems(sessionData) {
+  const own = sessionData.checklistItems;
+  const ownItems = Array.isArray(own) ? own : own?.items;
+  if (Array.isArray(ownItems) && ownItems.length) {
+    return own;
+  }
+  try {
+    const response = await fetch('checklist.config.json', { cache: 'no-store' });
+    return response.ok ? await response.json() : [];
+  } catch (error) {
+    console.warn('Checklist config unavailable for quoting:', error);
+    return [];
+  }
+}
+
+/**
+ * Recalculate each row total and the quote totals
+ */
+function updatePricingTotals() {
+  const lines = [];
+  document.querySelectorAll('.pricing-item').forEach(row => {
+    const qty = parseFloat(row.querySelector('.pricing-item-qty').value) || 0;
+    const unitPrice = parseFloat(row.querySelector('.pricing-item-price').value) || 0;
+    const total = qty * unitPrice;
+    row.querySelector('.pricing-item-total').textContent = `£${total.toFixed(2)}`;
+    lines.push({ total });
+  });
+
+  const totalsEl = document.getElementById('pricingTotals');
+  if (!totalsEl) return;
+  const totals = summariseQuote(lines, VAT_RATE);
+  totalsEl.innerHTML = `
+    <div>Subtotal: <strong>£${totals.subtotal.toFixed(2)}</strong></div>
+    <div>VAT (${Math.round(totals.vatRate * 100)}%): <strong>£${totals.vat.toFixed(2)}</strong></div>
+    <div>Total: <strong>£${totals.total.toFixed(2)}</strong></div>
+  `;
+}
+
+/**
+ * Fill a row from a chosen pricebook component and clear its unmapped flag
+ */
+function applyComponentToRow(row, component) {
+  row.dataset.componentId = component.componentId;
+  row.querySelector('.pricing-item-code').textContent = component.componentId;
+  row.querySelector('.pricing-item-description').value = component.description;
+  row.querySelector('.pricing-item-price').value = component.price.toFixed(2);
+  row.style.borderLeft = '';
+  const search = row.querySelector('.pricing-item-search');
+  if (search) search.remove();
+  updatePricingTotals();
+}
+
+/**
+ * Render pricebook search results under a row
+ */
+function renderSearchResults(row, results) {
+  const resultsEl = row.querySelector('.pricing-search-results');
+  resultsEl.innerHTML = '';
+  results.forEach(component => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.style.cssText = 'display: block; width: 100%; text-align: left; padding: 6px 8px; background: white; border: 1px solid var(--border); border-radius: 6px; margin-top: 4px; cursor: pointer; font-size: 12px;';
+    button.textContent = `${component.componentId} - ${component.description} (£${component.price.toFixed(2)})`;
+    button.addEventListener('click', () => applyComponentToRow(row, component));
+    resultsEl.appendChild(button);
+  });
 }
 
 /**
  * Add a pricing item row
+ * @param {Object} line - Optional quote line ({ componentId, description, qty, unitPrice, unmapped, suggestions })
  */
-function addPricingItem() {
+function addPricingItem(line = {}) {
   const itemsList = document.getElementById('pricingItemsList');
-  const itemCount = itemsList.children.length;
+  const entry = line || {};
 
   const itemHTML = `
-    <div class="pricing-item" style="display: flex; gap: 10px; margin-bottom: 10px; align-items: center;">
-      <input type="text" class="pricing-item-description" placeholder="Item description" style="flex: 2; padding: 8px; border: 1px solid var(--border); border-radius: 8px;" />
-      <input type="number" class="pricing-item-price" placeholder="Price" min="0" step="0.01" style="flex: 1; padding: 8px; border: 1px solid var(--border); border-radius: 8px;" />
-      <button class="remove-item-btn" style="padding: 8px 12px; background: var(--danger); color: white; border: none; border-radius: 8px; cursor: pointer;">×</button>
+    <div class="pricing-item" style="margin-bottom: 10px; padding-left: 6px; ${entry.unmapped ? 'border-left: 4px solid #f59e0b;' : ''}">
+      <div style="display: flex; gap: 10px; align-items: center;">
+        <span class="pricing-item-code" style="width: 70px; font-size: 12px; color: var(--muted);"></span>
+        <input type="text" class="pricing-item-description" placeholder="Item description" style="flex: 2; padding: 8px; border: 1px solid var(--border); border-radius: 8px;" />
+        <input type="number" class="pricing-item-qty" placeholder="Qty" min="0" step="1" value="1" style="width: 60px; padding: 8px; border: 1px solid var(--border); border-radius: 8px;" />
+        <input type="number" class="pricing-item-price" placeholder="Unit price" min="0" step="0.01" style="flex: 1; padding: 8px; border: 1px solid var(--border); border-radius: 8px;" />
+        <span class="pricing-item-total" style="width: 80px; text-align: right; font-weight: bold;">£0.00</span>
+        <button class="remove-item-btn" style="padding: 8px 12px; background: var(--danger); color: white; border: none; border-radius: 8px; cursor: pointer;">×</button>
+      </div>
+      ${entry.unmapped ? `
+      <div class="pricing-item-search" style="margin-top: 6px;">
+        <small style="color: #b45309;">Not in pricebook - search for a component:</small>
+        <input type="search" class="pricing-search-input" placeholder="Search code or description..." style="width: 100%; padding: 6px 8px; border: 1px solid var(--border); border-radius: 6px; margin-top: 4px;" />
+        <div class="pricing-search-results"></div>
+      </div>` : ''}
     </div>
   `;
 
   itemsList.insertAdjacentHTML('beforeend', itemHTML);
 
-  // Add remove listener to the new button
   const items = itemsList.querySelectorAll('.pricing-item');
   const newItem = items[items.length - 1];
+  if (entry.componentId) {
+    newItem.dataset.componentId = entry.componentId;
+    newItem.querySelector('.pricing-item-code').textContent = entry.componentId;
+  }
+  if (entry.description) newItem.querySelector('.pricing-item-description').value = entry.description;
+  if (entry.qty) newItem.querySelector('.pricing-item-qty').value = entry.qty;
+  if (entry.unitPrice != null) newItem.querySelector('.pricing-item-price').value = Number(entry.unitPrice).toFixed(2);
+
+  newItem.querySelectorAll('.pricing-item-qty, .pricing-item-price').forEach(input => {
+    input.addEventListener('input', updatePricingTotals);
+  });
+
+  const searchInput = newItem.querySelector('.pricing-search-input');
+  if (searchInput) {
+    searchInput.addEventListener('input', () => {
+      renderSearchResults(newItem, searchPricebook(currentPricebook, searchInput.value, 8));
+    });
+    renderSearchResults(newItem, entry.suggestions || []);
+  }
+
+  // A typed component code fills the row straight from the pricebook
+  newItem.querySelector('.pricing-item-description').addEventListener('change', (e) => {
+    const component = findComponent(currentPricebook, e.target.value.trim().toUpperCase());
+    if (component) applyComponentToRow(newItem, component);
+  });
+
+  // Add remove listener to the new button
   const removeBtn = newItem.querySelector('.remove-item-btn');
   removeBtn.addEventListener('click', () => {
     newItem.remove();
+    updatePricingTotals();
   });
+
+  updatePricingTotals();
 }
 
 /**
@@ -235,13 +399,32 @@ function collectFormData() {
 
   document.querySelectorAll('.pricing-item').forEach(item => {
     const description = item.querySelector('.pricing-item-description').value.trim();
-    const price = parseFloat(item.querySelector('.pricing-item-price').value) || 0;
+    const qty = parseFloat(item.querySelector('.pricing-item-qty').value) || 0;
+    const unitPrice = parseFloat(item.querySelector('.pricing-item-price').value) || 0;
+    const price = Math.round(qty * unitPrice * 100) / 100;
 
     if (description && price > 0) {
-      pricingItems.push({ description, price });
+      pricingItems.push({
+        componentId: item.dataset.componentId || undefined,
+        description,
+        qty,
+        unitPrice,
+        price
+      });
     }
   });
 
+  // Install date from the slowest priced component
+  const leadTimeLines = pricingItems
+    .map(item => {
+      const component = findComponent(currentPricebook, item.componentId);
+      return component ? { ...item, leadTimeDays: component.leadTimeDays } : null;
+    })
+    .filter(Boolean);
+  const installEstimate = leadTimeLines.length
+    ? estimateInstallDate(leadTimeLines, { bankHolidays: loadBankHolidays() })
+    : undefined;
+
   // Finance
   const financeTerm = document.getElementById('summaryFinanceTerm').value;
 
@@ -256,6 +439,10 @@ function collectFormData() {
     what3words: what3words || undefined,
     totalPrice: overallPrice,
     pricingItems,
+    vatRate: VAT_RATE,
+    pricebookVersion: currentPricebook?.version || null,
+    installEstimate,
+    installDate: installEstimate ? formatInstallDate(installEstimate.installDate) : undefined,
     financeTerm: parseInt(financeTerm),
     currentHomeCareCost,
     proposedHomeCareCost,
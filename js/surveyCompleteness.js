@@ -0,0 +1,119 @@
+/**
+ * Survey Completeness Module
+ * Scores how ready a survey is to submit: required checklist items answered, no outcomes left
+ * "unresolved", required depot sections filled in and no outstanding questions. The app shows
+ * the score with per-group progress and asks for a reason before an incomplete survey is
+ * finished or exported.
+ */
+
+import { selectedOutcomeForItem, visibleChecklistItems } from './jobState.js';
+
+// How much each part counts towards the score
+export const COMPLETENESS_WEIGHTS = {
+  requiredItem: 3,
+  item: 1,
+  requiredSection: 2,
+  question: 1
+};
+
+// Whether a section has a bullet beyond its # Subheading # lines
+function sectionHasNotes(section) {
+  const text = String(section?.plainText || section?.naturalLanguage || '');
+  return text
+    .split(/[;\n]/)
+    .map((line) => line.replace(/^[-•*]\s*/, '').trim())
+    .some((line) => line && !/^#.*#$/.test(line));
+}
+
+/**
+ * Weigh up what's left to do on a survey
+ * @param {Object} options - { checklistItems, selections, requiredSections: [name], sections: depot
+ *   sections with plainText, missingInfo: [{ target, question }] still outstanding }
+ * @returns {{ score: number, ready: boolean, groups: Array<Object>, missing: Array<Object> }} -
+ *   score is 0-100; groups are { group, answered, total, required, unresolved } for the visible
+ *   items in checklist order; missing are { kind: "item" | "unresolved" | "section" | "question", label }
+ */
+export function assessCompleteness({
+  checklistItems = [],
+  selections = {},
+  requiredSections = [],
+  sections = [],
+  missingInfo = []
+} = {}) {
+  const missing = [];
+  const groups = new Map();
+  let possible = 0;
+  let earned = 0;
+
+  visibleChecklistItems(checklistItems, selections).forEach((item) => {
+    const outcome = selectedOutcomeForItem(item, selections);
+    const unresolved = Boolean(outcome) && outcome.state === 'unresolved';
+    const weight = item.required ? COMPLETENESS_WEIGHTS.requiredItem : COMPLETENESS_WEIGHTS.item;
+    possible += weight;
+    if (outcome && !unresolved) earned += weight;
+
+    if (!groups.has(item.group)) {
+      groups.set(item.group, { group: item.group, answered: 0, total: 0, required: 0, unresolved: 0 });
+    }
+    const group = groups.get(item.group);
+    group.total += 1;
+    if (outcome) group.answered += 1;
+    if (item.required && !outcome) group.required += 1;
+    if (unresolved) group.unresolved += 1;
+
+    if (unresolved) {
+      missing.push({ kind: 'unresolved', label: `${item.label}: ${outcome.label}` });
+    } else if (item.required && !outcome) {
+      missing.push({ kind: 'item', label: `${item.label} not answered` });
+    }
+  });
+
+  const sectionList = Array.isArray(sections) ? sections : [];
+  (Array.isArray(requiredSections) ? requiredSections : []).forEach((name) => {
+    possible += COMPLETENESS_WEIGHTS.requiredSection;
+    if (sectionList.some((section) => section?.section === name && sectionHasNotes(section))) {
+      earned += COMPLETENESS_WEIGHTS.requiredSection;
+    } else {
+      missing.push({ kind: 'section', label: `${name} section is empty` });
+    }
+  });
+
+  const asked = new Set();
+  (Array.isArray(missingInfo) ? missingInfo : []).forEach((entry) => {
+    const question = String(entry?.question || '').trim();
+    if (!question || asked.has(question.toLowerCase())) return;
+    asked.add(question.toLowerCase());
+    possible += COMPLETENESS_WEIGHTS.question;
+    missing.push({ kind: 'question', label: question });
+  });
+
+  return {
+    score: possible ? Math.round((earned / possible) * 100) : 100,
+    ready: missing.length === 0,
+    groups: [...groups.values()],
+    missing
+  };
+}
+
+/**
+ * Tidy the reasons given for going ahead with an incomplete survey; entries without a reason are dropped
+ * @param {Array<Object>} value - [{ action, reason, score, missing, at }]
+ * @returns {Array<Object>}
+ */
+export function normaliseCompletenessOverrides(value) {
+  return (Array.isArray(value) ? value : []).map((entry) => {
+    if (!entry || typeof entry !== 'object') return null;
+    const reason = typeof entry.reason === 'string' ? entry.reason.trim() : '';
+    if (!reason) return null;
+    const score = Number(entry.score);
+    return {
+      action: typeof entry.action === 'string' ? entry.action.trim() : '',
+      reason,
+      score: Number.isFinite(score) ? Math.min(100, Math.max(0, Math.round(score))) : 0,
+      missing: (Array.isArray(entry.missing) ? entry.missing : [])
+        .filter((label) => typeof label === 'string' && label.trim())
+        .map((label) => label.trim()),
+      at: typeof entry.at === 'string' ? entry.at : ''
+    };
+  }).filter(Boolean);
+}
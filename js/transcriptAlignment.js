@@ -0,0 +1,124 @@
+/**
+ * Transcript Alignment Module
+ * Ties transcript segments to the session recording and depot-note bullets to the segments
+ * they came from. Segments recorded alongside audio carry a range timestamp relative to the
+ * start of the recording, e.g. "[01:02-01:07] Customer: text"; a single time such as
+ * "[14:03:22]" is wall-clock time and can't be played back.
+ */
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'there', 'then', 'them', 'they', 'from', 'into',
+  'will', 'would', 'should', 'could', 'have', 'has', 'had', 'are', 'was', 'were', 'been', 'just',
+  'its', 'it\'s', 'our', 'your', 'you', 'yeah', 'okay', 'also', 'new', 'existing', 'need', 'needs'
+]);
+
+/**
+ * "m:ss" style offset for a number of seconds, with hours when needed
+ * @param {number} seconds
+ * @returns {string} - e.g. "01:02" or "1:02:03"
+ */
+export function formatOffset(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+function parseOffset(text) {
+  const parts = String(text || '').split(':').map(Number);
+  if (parts.length < 2 || parts.some((part) => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Range timestamp for a segment, e.g. "01:02-01:07"
+ */
+export function formatSegmentRange(start, end) {
+  return `${formatOffset(Math.floor(start))}-${formatOffset(Math.ceil(Math.max(start, end)))}`;
+}
+
+/**
+ * Recording-relative start/end seconds from a timestamp, or null if it isn't a range
+ * @param {string} timestamp - e.g. "01:02-01:07"
+ * @returns {{ start: number, end: number }|null}
+ */
+export function parseSegmentRange(timestamp) {
+  const [startText, endText, extra] = String(timestamp || '').split('-');
+  if (endText === undefined || extra !== undefined) return null;
+  const start = parseOffset(startText);
+  const end = parseOffset(endText);
+  if (start === null || end === null || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * End of the latest recorded segment in a transcript, in seconds (0 if none)
+ */
+export function latestSegmentEnd(transcript) {
+  let latest = 0;
+  String(transcript || '').split('\n').forEach((line) => {
+    const match = line.match(/^\s*\[([^\]]+)\]/);
+    const range = match ? parseSegmentRange(match[1]) : null;
+    if (range && range.end > latest) latest = range.end;
+  });
+  return latest;
+}
+
+/**
+ * Distinctive words of a bullet or segment, lower-cased, with sizes such as "22 mm" joined
+ * @returns {Set<string>}
+ */
+export function keyTerms(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/(\d)\s+(mm|kw|bar|l|litres?)\b/g, '$1$2')
+      .split(/[^a-z0-9'.]+/)
+      .map((word) => word.replace(/^[.']+|[.']+$/g, ''))
+      .filter((word) => (word.length > 2 || /\d/.test(word)) && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Bullets of a section's plainText, without subheadings
+ */
+export function splitSectionBullets(plainText) {
+  return String(plainText || '')
+    .split(/;|\n/)
+    .map((line) => line.replace(/^\s*[-•*]\s*/, '').trim())
+    .filter((line) => line && !/^#.*#$/.test(line));
+}
+
+/**
+ * Find the transcript segments each bullet was most likely derived from
+ * @param {Array<string>} bullets - Depot-note bullets
+ * @param {Array<Object>} segments - [{ text, ... }]
+ * @param {Object} options - { maxLinks, minOverlap } where minOverlap is the share of the
+ *   bullet's key terms that a segment must contain
+ * @returns {Array<{ bullet: string, segments: Array<number> }>} - segment indexes, best first
+ */
+export function linkBulletsToSegments(bullets, segments, { maxLinks = 2, minOverlap = 0.5 } = {}) {
+  const segmentTerms = (Array.isArray(segments) ? segments : []).map((segment) => keyTerms(segment.text));
+
+  return (Array.isArray(bullets) ? bullets : []).map((bullet) => {
+    const terms = keyTerms(bullet);
+    if (!terms.size) return { bullet, segments: [] };
+
+    const scored = segmentTerms
+      .map((candidate, index) => {
+        let shared = 0;
+        terms.forEach((term) => {
+          if (candidate.has(term)) shared += 1;
+        });
+        return { index, score: shared / terms.size };
+      })
+      .filter((entry) => entry.score >= minOverlap)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, maxLinks);
+
+    return { bullet, segments: scored.map((entry) => entry.index) };
+  });
+}
@@ -0,0 +1,334 @@
+/**
+ * Pro licence verification for Cloudflare Worker
+ * Unlock codes are issued by gen_license.mjs as <payloadB64u>.<signatureB64u>, signed
+ * with Ed25519. The Worker checks them against PUBLIC_KEY_JWK_X from wrangler.toml, then
+ * against the D1 revocation list and the licence's seat count.
+ * Pro routes need an unlock code: a signed-in account alone is not Pro. Clients send the code in
+ * X-License-Code and, for licences with a seat count, a stable per-install id in X-Device-Id.
+ */
+
+export const LICENSE_HEADER = 'X-License-Code';
+export const DEVICE_HEADER = 'X-Device-Id';
+export const ADMIN_HEADER = 'X-License-Admin';
+
+// Signed admin commands older than this are refused, so a captured one can't be replayed later
+const ADMIN_COMMAND_MAX_AGE_MS = 5 * 60 * 1000;
+
+// A seat not used for this long is released for another device
+const SEAT_IDLE_DAYS = 30;
+
+/**
+ * Initialize licence revocation and seat activation tables
+ */
+export async function initializeLicenseTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS license_revocations (
+        license_id TEXT PRIMARY KEY,
+        reason TEXT,
+        revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS license_activations (
+        license_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(license_id, device_id)
+      )
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize licence tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Check a <payload>.<signature> string was signed by the licence key
+ * Used for unlock codes and for signed commands from gen_license.mjs.
+ * @returns {Promise<Object>} - { valid: true, payload, signature } or { valid: false, error }
+ */
+export async function verifySignedPayload(code, env) {
+  if (!env.PUBLIC_KEY_JWK_X) {
+    return { valid: false, error: 'Licence verification is not configured' };
+  }
+
+  const [payloadPart, signaturePart, extra] = String(code || '').trim().split('.');
+  if (!payloadPart || !signaturePart || extra !== undefined) {
+    return { valid: false, error: 'Malformed licence code' };
+  }
+
+  let payloadBytes;
+  let payload;
+  try {
+    payloadBytes = base64UrlToBytes(payloadPart);
+    payload = JSON.parse(new TextDecoder().decode(payloadBytes));
+  } catch {
+    return { valid: false, error: 'Malformed licence code' };
+  }
+
+  try {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: 'OKP', crv: 'Ed25519', x: env.PUBLIC_KEY_JWK_X },
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+    const verified = await crypto.subtle.verify('Ed25519', key, base64UrlToBytes(signaturePart), payloadBytes);
+    if (!verified) {
+      return { valid: false, error: 'Licence signature is invalid' };
+    }
+  } catch (err) {
+    console.error('Licence verification failed:', err);
+    return { valid: false, error: 'Licence signature is invalid' };
+  }
+
+  return { valid: true, payload, signature: signaturePart };
+}
+
+/**
+ * Verify an unlock code's signature and expiry
+ * Codes issued before licence ids existed are identified by the start of their signature,
+ * which is what gen_license.mjs prints for them too.
+ * @returns {Promise<Object>} - { valid: true, id, email, plan, exp, seats, features } or { valid: false, error }
+ */
+export async function verifyLicenseCode(code, env, now = Date.now()) {
+  const signed = await verifySignedPayload(code, env);
+  if (!signed.valid) return signed;
+
+  const { payload } = signed;
+  const expiresAt = Date.parse(payload.exp);
+  if (!Number.isFinite(expiresAt) || expiresAt <= now) {
+    return { valid: false, error: 'Licence has expired' };
+  }
+
+  if (typeof payload.plan !== 'string' || !payload.plan.startsWith('pro')) {
+    return { valid: false, error: 'Licence is not a Pro plan' };
+  }
+
+  const seats = Number.isInteger(payload.seats) && payload.seats > 0 ? payload.seats : null;
+  return {
+    valid: true,
+    id: typeof payload.id === 'string' && payload.id ? payload.id : signed.signature.slice(0, 16),
+    email: payload.email,
+    plan: payload.plan,
+    exp: payload.exp,
+    seats,
+    features: Array.isArray(payload.features) ? payload.features.map(String) : null
+  };
+}
+
+/**
+ * Licences without a feature list predate feature flags and unlock every Pro feature
+ */
+export function hasFeature(license, feature) {
+  return !feature || !license.features || license.features.includes(feature);
+}
+
+/**
+ * Full licence check: signature, expiry, revocation list and seat count
+ * Licences with seats need a device id; a device unseen for SEAT_IDLE_DAYS no longer holds a seat.
+ * @param {Object} options - { deviceId } identifies the seat being used
+ */
+export async function checkLicense(code, env, { deviceId = null } = {}) {
+  const license = await verifyLicenseCode(code, env);
+  if (!license.valid || !env.DB) return license;
+
+  const init = await initializeLicenseTables(env.DB);
+  if (!init.success) return license;
+
+  const revoked = await env.DB.prepare(`
+    SELECT reason FROM license_revocations WHERE license_id = ?
+  `).bind(license.id).first();
+  if (revoked) {
+    return { valid: false, error: revoked.reason ? `Licence revoked: ${revoked.reason}` : 'Licence revoked' };
+  }
+
+  if (license.seats) {
+    if (!deviceId) {
+      return { valid: false, error: `This licence is limited to ${license.seats} device(s); send a device id in the ${DEVICE_HEADER} header` };
+    }
+
+    const activation = await env.DB.prepare(`
+      SELECT device_id FROM license_activations WHERE license_id = ? AND device_id = ?
+    `).bind(license.id, deviceId).first();
+
+    if (!activation) {
+      const used = await env.DB.prepare(`
+        SELECT COUNT(*) AS seats FROM license_activations
+        WHERE license_id = ? AND last_seen > datetime('now', ?)
+      `).bind(license.id, `-${SEAT_IDLE_DAYS} days`).first();
+      if ((used?.seats || 0) >= license.seats) {
+        return { valid: false, error: `All ${license.seats} seat(s) on this licence are in use` };
+      }
+    }
+
+    await env.DB.prepare(`
+      INSERT INTO license_activations (license_id, device_id)
+      VALUES (?, ?)
+      ON CONFLICT(license_id, device_id) DO UPDATE SET last_seen = CURRENT_TIMESTAMP
+    `).bind(license.id, deviceId).run();
+  }
+
+  return license;
+}
+
+function deviceIdFor(request) {
+  const deviceId = String(request.headers.get(DEVICE_HEADER) || '').trim();
+  return deviceId ? deviceId.slice(0, 128) : null;
+}
+
+/**
+ * Allow a request with a valid Pro unlock code
+ * @param {Object} options - { feature } licence feature flag the route needs
+ * @returns {Promise<Object>} - { allowed: true, via, license } or { allowed: false, status, error, message }
+ */
+export async function requireProAccess(request, env, { feature = null } = {}) {
+  const code = request.headers.get(LICENSE_HEADER);
+  if (code) {
+    const license = await checkLicense(code, env, { deviceId: deviceIdFor(request) });
+    if (!license.valid) {
+      return { allowed: false, status: 403, error: 'forbidden', message: license.error };
+    }
+    if (!hasFeature(license, feature)) {
+      return { allowed: false, status: 403, error: 'forbidden', message: `Licence does not include ${feature}` };
+    }
+    return { allowed: true, via: 'license', license };
+  }
+
+  return {
+    allowed: false,
+    status: 401,
+    error: 'unauthorized',
+    message: `Send a Pro unlock code in the ${LICENSE_HEADER} header`
+  };
+}
+
+/**
+ * Handle licence status check for the app's Pro badge
+ * POST /licenses/verify
+ * Body: { code } (or the X-License-Code header)
+ */
+export async function handleVerifyLicense(request, env) {
+  let payload = {};
+  try {
+    payload = await request.json();
+  } catch {
+    // Header-only checks send no body
+  }
+
+  const code = payload?.code || request.headers.get(LICENSE_HEADER);
+  if (!code) {
+    return jsonResponse({ error: 'bad_request', message: 'code required' }, 400);
+  }
+
+  const license = await checkLicense(code, env, { deviceId: deviceIdFor(request) });
+  return jsonResponse(license.valid ? { ...license } : { valid: false, message: license.error });
+}
+
+/**
+ * Handle licence revocation from gen_license.mjs
+ * POST /licenses/revoke
+ * Body: { command } where command is a signed { action: 'revoke', id, reason, iat } payload,
+ * so only the holder of the private licence key can revoke.
+ */
+export async function handleRevokeLicense(request, env) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse({ error: 'bad_request', message: 'JSON body required' }, 400);
+  }
+
+  const signed = await verifySignedPayload(payload?.command, env);
+  if (!signed.valid) {
+    return jsonResponse({ error: 'forbidden', message: signed.error }, 403);
+  }
+
+  const { action, id, reason = null } = signed.payload;
+  if (action !== 'revoke' || typeof id !== 'string' || !id) {
+    return jsonResponse({ error: 'validation_error', message: 'Signed command must be { action: "revoke", id }' }, 400);
+  }
+
+  if (!env.DB) {
+    return jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503);
+  }
+
+  await initializeLicenseTables(env.DB);
+  try {
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO license_revocations (license_id, reason)
+        VALUES (?, ?)
+        ON CONFLICT(license_id) DO UPDATE SET reason = excluded.reason
+      `).bind(id, reason),
+      env.DB.prepare('DELETE FROM license_activations WHERE license_id = ?').bind(id)
+    ]);
+  } catch (err) {
+    console.error('Failed to revoke licence:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+
+  return jsonResponse({ success: true, id, revoked: true });
+}
+
+/**
+ * Handle revocation list lookup
+ * GET /licenses/revocations
+ * Header: X-License-Admin with a signed { action: 'list', iat } payload from gen_license.mjs,
+ * issued in the last five minutes, so only the holder of the private licence key can read the list.
+ */
+export async function handleListRevocations(request, env, now = Date.now()) {
+  const signed = await verifySignedPayload(request.headers.get(ADMIN_HEADER), env);
+  if (!signed.valid) {
+    return jsonResponse({ error: 'forbidden', message: signed.error }, 403);
+  }
+  const issuedAt = Date.parse(signed.payload.iat);
+  if (signed.payload.action !== 'list' || !Number.isFinite(issuedAt) || Math.abs(now - issuedAt) > ADMIN_COMMAND_MAX_AGE_MS) {
+    return jsonResponse({ error: 'forbidden', message: 'Signed command must be a recent { action: "list", iat }' }, 403);
+  }
+
+  if (!env.DB) {
+    return jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503);
+  }
+
+  await initializeLicenseTables(env.DB);
+  const result = await env.DB.prepare(`
+    SELECT license_id, reason, revoked_at FROM license_revocations ORDER BY revoked_at DESC
+  `).all();
+
+  return jsonResponse({
+    success: true,
+    revocations: (result.results || []).map((row) => ({
+      id: row.license_id,
+      reason: row.reason,
+      revokedAt: row.revoked_at
+    }))
+  });
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': `Content-Type, Authorization, ${LICENSE_HEADER}, ${DEVICE_HEADER}`
+    }
+  });
+}
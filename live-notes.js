@@ -0,0 +1,149 @@
+/**
+ * Live note session state for Cloudflare Worker
+ * During a live session the client sends only the speech added since the last chunk the
+ * worker acknowledged. The worker keeps the merged sections, the acknowledged transcript
+ * offset and a short tail of recent speech per session so each chunk stays small.
+ * Saves are compare-and-swap on the revision, and sessions idle for LIVE_SESSION_TTL_HOURS are
+ * deleted.
+ */
+
+// Recent speech kept so the model sees the words just before a new chunk
+export const LIVE_CONTEXT_CHARS = 800;
+
+// A live session not updated for this long is dropped; the client reconciles with a full request
+export const LIVE_SESSION_TTL_HOURS = 48;
+
+/**
+ * Initialize the live notes table
+ */
+export async function initializeLiveNotesTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS live_note_sessions (
+        id TEXT PRIMARY KEY,
+        revision INTEGER NOT NULL DEFAULT 0,
+        transcript_offset INTEGER NOT NULL DEFAULT 0,
+        recent_transcript TEXT NOT NULL DEFAULT '',
+        sections TEXT NOT NULL DEFAULT '[]',
+        materials TEXT NOT NULL DEFAULT '[]',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_live_note_sessions_updated
+      ON live_note_sessions(updated_at)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize live notes tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Client-chosen live session ids are UUID-like strings
+ */
+export function normaliseLiveSessionId(value) {
+  const id = typeof value === 'string' ? value.trim() : '';
+  return /^[A-Za-z0-9-]{8,64}$/.test(id) ? id : null;
+}
+
+function parseList(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load a live session's state
+ * @returns {Promise<Object|null>} - { id, revision, offset, recentTranscript, sections, materials }
+ */
+export async function getLiveNotes(db, id) {
+  const row = await db.prepare(`
+    SELECT id, revision, transcript_offset, recent_transcript, sections, materials
+    FROM live_note_sessions
+    WHERE id = ?
+  `).bind(id).first();
+
+  if (!row) return null;
+  return {
+    id: row.id,
+    revision: row.revision,
+    offset: row.transcript_offset,
+    recentTranscript: row.recent_transcript || '',
+    sections: parseList(row.sections),
+    materials: parseList(row.materials)
+  };
+}
+
+/**
+ * Save a live session's state after a chunk, only if the stored copy is still at baseRevision
+ * @param {Object} state - { id, revision, offset, recentTranscript, sections, materials }
+ * @param {number|null} baseRevision - Revision the chunk was built on; null for a session not stored yet
+ * @returns {Promise<Object>} - { success: true } or { success: false, conflict?, error? }; conflict
+ *   means another request saved first
+ */
+export async function saveLiveNotes(db, state, baseRevision = null) {
+  const values = [
+    state.revision,
+    state.offset,
+    String(state.recentTranscript || '').slice(-LIVE_CONTEXT_CHARS),
+    JSON.stringify(state.sections || []),
+    JSON.stringify(state.materials || [])
+  ];
+  try {
+    const result = baseRevision === null
+      ? await db.prepare(`
+        INSERT INTO live_note_sessions (revision, transcript_offset, recent_transcript, sections, materials, id)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO NOTHING
+      `).bind(...values, state.id).run()
+      : await db.prepare(`
+        UPDATE live_note_sessions
+        SET revision = ?, transcript_offset = ?, recent_transcript = ?, sections = ?, materials = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revision = ?
+      `).bind(...values, state.id, baseRevision).run();
+    if (!result.meta?.changes) {
+      return { success: false, conflict: true, error: 'Live session changed while saving' };
+    }
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to save live notes:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete live sessions idle for longer than LIVE_SESSION_TTL_HOURS
+ */
+export async function pruneLiveNotes(db) {
+  try {
+    await db.prepare(`
+      DELETE FROM live_note_sessions WHERE updated_at < datetime('now', ?)
+    `).bind(`-${LIVE_SESSION_TTL_HOURS} hours`).run();
+  } catch (err) {
+    console.error('Failed to prune live notes:', err);
+  }
+}
+
+/**
+ * Why a delta can't be applied to the stored state, or null if it can
+ * @param {Object|null} state - Stored live session
+ * @param {Object} delta - { baseRevision, offset }
+ */
+export function describeDeltaConflict(state, { baseRevision, offset }) {
+  if (!state) return 'Live session is not known to the worker';
+  if (baseRevision !== state.revision) {
+    return `Live session is at revision ${state.revision}, not ${baseRevision}`;
+  }
+  if (offset !== state.offset) {
+    return `Worker has transcript up to offset ${state.offset}, not ${offset}`;
+  }
+  return null;
+}
@@ -0,0 +1,150 @@
+/**
+ * Named query registry for the /query endpoint
+ * Clients ask for a query by name with named parameters; only the SQL defined
+ * here ever reaches D1, so user tables cannot be read through /query.
+ */
+
+/**
+ * LIKE pattern matching the text anywhere, with the user's own % and _ taken literally.
+ * Statements using it must say ESCAPE '\'.
+ * @param {string} text - Search text from the client
+ * @returns {string}
+ */
+function containsPattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Each entry:
+ * - sql: parameterised statement, the row limit is always the last bound value
+ * - params: { name: { type: 'string', required, minLength, maxLength } }
+ * - bind(params): positional values for the statement (before the limit)
+ * - maxRows: hard cap on rows returned, clients may ask for fewer
+ * - requiresAuth: caller must send a valid bearer token
+ */
+export const NAMED_QUERIES = {
+  ping: {
+    sql: 'SELECT 1 AS test LIMIT ?',
+    params: {},
+    bind: () => [],
+    maxRows: 1,
+    requiresAuth: false
+  },
+
+  searchReference: {
+    sql: `SELECT * FROM reference_materials
+          WHERE title LIKE ? ESCAPE '\\' OR content LIKE ? ESCAPE '\\'
+          LIMIT ?`,
+    params: {
+      keyword: { type: 'string', required: true, minLength: 2, maxLength: 100 }
+    },
+    bind: ({ keyword }) => [containsPattern(keyword), containsPattern(keyword)],
+    maxRows: 10,
+    requiresAuth: true
+  },
+
+  productSpecs: {
+    sql: `SELECT title, content FROM reference_materials
+          WHERE title LIKE ? ESCAPE '\\' OR content LIKE ? ESCAPE '\\'
+          LIMIT ?`,
+    params: {
+      product: { type: 'string', required: true, minLength: 2, maxLength: 200 }
+    },
+    bind: ({ product }) => [containsPattern(product), containsPattern(product)],
+    maxRows: 5,
+    requiresAuth: false
+  },
+
+  productInfo: {
+    sql: `SELECT * FROM reference_materials
+          WHERE title LIKE ? ESCAPE '\\'
+          LIMIT ?`,
+    params: {
+      product: { type: 'string', required: true, minLength: 2, maxLength: 200 }
+    },
+    bind: ({ product }) => [containsPattern(product)],
+    maxRows: 1,
+    requiresAuth: false
+  },
+
+  currentTerms: {
+    sql: `SELECT title, content FROM reference_materials
+          WHERE title LIKE '%terms%' OR title LIKE '%conditions%'
+          LIMIT ?`,
+    params: {},
+    bind: () => [],
+    maxRows: 1,
+    requiresAuth: false
+  }
+};
+
+/**
+ * Validate a named query request and work out what to bind
+ * @param {string} name - Registry key
+ * @param {Object} params - Named parameters from the client
+ * @param {number} limit - Requested row limit (optional)
+ * @returns {Object} - { success: true, definition, values, limit } or { success: false, status, error, message }
+ */
+export function prepareNamedQuery(name, params = {}, limit) {
+  const definition = Object.prototype.hasOwnProperty.call(NAMED_QUERIES, name)
+    ? NAMED_QUERIES[name]
+    : null;
+
+  if (!definition) {
+    return { success: false, status: 404, error: 'not_found', message: `Unknown query: ${name}` };
+  }
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { success: false, status: 400, error: 'validation_error', message: 'params must be an object' };
+  }
+
+  const unknown = Object.keys(params).filter((key) => !definition.params[key]);
+  if (unknown.length) {
+    return {
+      success: false,
+      status: 400,
+      error: 'validation_error',
+      message: `Unexpected parameter(s) for ${name}: ${unknown.join(', ')}`
+    };
+  }
+
+  const cleaned = {};
+  for (const [key, rule] of Object.entries(definition.params)) {
+    const value = typeof params[key] === 'string' ? params[key].trim() : params[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        return { success: false, status: 400, error: 'validation_error', message: `${key} is required` };
+      }
+      continue;
+    }
+
+    if (typeof value !== rule.type) {
+      return { success: false, status: 400, error: 'validation_error', message: `${key} must be a ${rule.type}` };
+    }
+
+    if (rule.type === 'string' &&
+        ((rule.minLength && value.length < rule.minLength) || (rule.maxLength && value.length > rule.maxLength))) {
+      return {
+        success: false,
+        status: 400,
+        error: 'validation_error',
+        message: `${key} must be ${rule.minLength || 0}-${rule.maxLength} characters`
+      };
+    }
+
+    cleaned[key] = value;
+  }
+
+  const requested = Number(limit);
+  const rowLimit = Number.isInteger(requested) && requested > 0
+    ? Math.min(requested, definition.maxRows)
+    : definition.maxRows;
+
+  return {
+    success: true,
+    definition,
+    values: [...definition.bind(cleaned), rowLimit],
+    limit: rowLimit
+  };
+}
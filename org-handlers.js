@@ -0,0 +1,345 @@
+/**
+ * Organisation request handlers for Cloudflare Worker
+ * Teams share section schema, checklist and AI instruction defaults; members'
+ * personal settings are layered on top by the client.
+ */
+
+import {
+  ORG_ROLES,
+  ORG_SETTING_KEYS,
+  initializeOrganisationTables,
+  createOrganisation,
+  getMembership,
+  listMembers,
+  inviteMember,
+  listOrgInvites,
+  listUserInvites,
+  acceptInvite,
+  deleteInvite,
+  updateMemberRole,
+  removeMember,
+  saveOrgSetting,
+  getAllOrgSettings,
+  clearMemberSetting,
+  getUserByEmail,
+  getUserByUsername
+} from './auth.js';
+import { requireAuth } from './auth-handlers.js';
+
+/**
+ * Authenticate and load the caller's membership
+ * @param {Object} options - { requireOrg, requireAdmin }
+ */
+async function guardOrgRequest(request, env, { requireOrg = true, requireAdmin = false } = {}) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return { response: jsonResponse({ error: 'unauthorized', message: auth.error }, 401) };
+  }
+
+  if (!env.DB) {
+    return { response: jsonResponse({ error: 'server_error', message: 'Database not configured' }, 500) };
+  }
+
+  await initializeOrganisationTables(env.DB);
+  const membership = await getMembership(env.DB, auth.userId);
+
+  if (requireOrg && !membership) {
+    return { response: jsonResponse({ error: 'not_found', message: 'You are not in an organisation' }, 404) };
+  }
+
+  if (requireAdmin && membership?.role !== 'admin') {
+    return { response: jsonResponse({ error: 'forbidden', message: 'Organisation admin role required' }, 403) };
+  }
+
+  return { auth, membership };
+}
+
+async function readJson(request) {
+  try {
+    return { payload: await request.json() };
+  } catch {
+    return { response: jsonResponse({ error: 'bad_request', message: 'JSON body required' }, 400) };
+  }
+}
+
+function validateRole(role) {
+  return ORG_ROLES.includes(role)
+    ? null
+    : jsonResponse({ error: 'validation_error', message: `Role must be one of: ${ORG_ROLES.join(', ')}` }, 400);
+}
+
+/**
+ * Handle organisation create
+ * POST /orgs
+ * Body: { name }
+ */
+export async function handleCreateOrganisation(request, env) {
+  const guard = await guardOrgRequest(request, env, { requireOrg: false });
+  if (guard.response) return guard.response;
+
+  if (guard.membership) {
+    return jsonResponse({ error: 'conflict', message: 'You already belong to an organisation' }, 409);
+  }
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const name = typeof body.payload?.name === 'string' ? body.payload.name.trim() : '';
+  if (name.length < 2 || name.length > 100) {
+    return jsonResponse({ error: 'validation_error', message: 'Organisation name must be 2-100 characters' }, 400);
+  }
+
+  const result = await createOrganisation(env.DB, name, guard.auth.userId);
+  if (!result.success) {
+    return jsonResponse({ error: 'server_error', message: result.error }, 500);
+  }
+
+  return jsonResponse({
+    success: true,
+    organisation: { id: result.orgId, name, role: 'admin' }
+  }, 201);
+}
+
+/**
+ * Handle current organisation lookup
+ * GET /orgs/current
+ * Admins also get the member list and pending invites; users without an
+ * organisation get the invites waiting for them.
+ */
+export async function handleGetOrganisation(request, env) {
+  const guard = await guardOrgRequest(request, env, { requireOrg: false });
+  if (guard.response) return guard.response;
+
+  if (!guard.membership) {
+    return jsonResponse({
+      success: true,
+      organisation: null,
+      invites: await listUserInvites(env.DB, guard.auth.userId)
+    });
+  }
+
+  const { orgId, orgName, role } = guard.membership;
+  const isAdmin = role === 'admin';
+  return jsonResponse({
+    success: true,
+    organisation: {
+      id: orgId,
+      name: orgName,
+      role,
+      members: isAdmin ? await listMembers(env.DB, orgId) : undefined,
+      invites: isAdmin ? await listOrgInvites(env.DB, orgId) : undefined
+    }
+  });
+}
+
+/**
+ * Handle inviting a member by email or username
+ * POST /orgs/members
+ * Body: { email | username, role }
+ * The user only joins, and only receives settings pushes, once they accept.
+ */
+export async function handleAddMember(request, env) {
+  const guard = await guardOrgRequest(request, env, { requireAdmin: true });
+  if (guard.response) return guard.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const { email, username, role = 'surveyor' } = body.payload || {};
+  const invalidRole = validateRole(role);
+  if (invalidRole) return invalidRole;
+
+  const user = email
+    ? await getUserByEmail(env.DB, String(email).trim())
+    : username ? await getUserByUsername(env.DB, String(username).trim()) : null;
+  if (!user) {
+    return jsonResponse({ error: 'not_found', message: 'No user with that email or username' }, 404);
+  }
+
+  const current = await getMembership(env.DB, user.id);
+  if (current?.orgId === guard.membership.orgId) {
+    return jsonResponse({ error: 'conflict', message: 'User is already a member' }, 409);
+  }
+
+  const result = await inviteMember(env.DB, guard.membership.orgId, user.id, role, guard.auth.userId);
+  if (!result.success) {
+    return jsonResponse({ error: 'server_error', message: result.error }, 500);
+  }
+
+  return jsonResponse({
+    success: true,
+    invite: { userId: user.id, username: user.username, role }
+  }, 201);
+}
+
+/**
+ * Handle accepting an invite
+ * POST /orgs/invites/:orgId/accept
+ */
+export async function handleAcceptInvite(request, env, orgId) {
+  const guard = await guardOrgRequest(request, env, { requireOrg: false });
+  if (guard.response) return guard.response;
+
+  if (guard.membership) {
+    return jsonResponse({ error: 'conflict', message: 'Leave your current organisation before joining another' }, 409);
+  }
+
+  const result = await acceptInvite(env.DB, orgId, guard.auth.userId);
+  if (!result.success) {
+    return jsonResponse({ error: 'not_found', message: result.error }, 404);
+  }
+
+  const membership = await getMembership(env.DB, guard.auth.userId);
+  return jsonResponse({
+    success: true,
+    organisation: { id: orgId, name: membership?.orgName, role: result.role }
+  });
+}
+
+/**
+ * Handle declining an invite
+ * DELETE /orgs/invites/:orgId
+ */
+export async function handleDeclineInvite(request, env, orgId) {
+  const guard = await guardOrgRequest(request, env, { requireOrg: false });
+  if (guard.response) return guard.response;
+
+  const result = await deleteInvite(env.DB, orgId, guard.auth.userId);
+  if (!result.success) {
+    return jsonResponse({ error: 'not_found', message: result.error || 'Invite not found' }, 404);
+  }
+
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Handle member role change
+ * PUT /orgs/members/:userId
+ * Body: { role }
+ */
+export async function handleUpdateMember(request, env, memberId) {
+  const guard = await guardOrgRequest(request, env, { requireAdmin: true });
+  if (guard.response) return guard.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const role = body.payload?.role;
+  const invalidRole = validateRole(role);
+  if (invalidRole) return invalidRole;
+
+  if (memberId === guard.auth.userId && role !== 'admin') {
+    return jsonResponse({ error: 'validation_error', message: 'Admins cannot remove their own admin role' }, 400);
+  }
+
+  const result = await updateMemberRole(env.DB, guard.membership.orgId, memberId, role);
+  if (!result.success) {
+    return jsonResponse({ error: 'not_found', message: result.error || 'Member not found' }, 404);
+  }
+
+  return jsonResponse({ success: true, member: { userId: memberId, role } });
+}
+
+/**
+ * Handle member removal
+ * DELETE /orgs/members/:userId
+ * Also withdraws a pending invite for that user.
+ */
+export async function handleRemoveMember(request, env, memberId) {
+  const guard = await guardOrgRequest(request, env, { requireAdmin: true });
+  if (guard.response) return guard.response;
+
+  if (memberId === guard.auth.userId) {
+    return jsonResponse({ error: 'validation_error', message: 'Admins cannot remove themselves' }, 400);
+  }
+
+  const result = await removeMember(env.DB, guard.membership.orgId, memberId);
+  if (!result.success && (await deleteInvite(env.DB, guard.membership.orgId, memberId)).success) {
+    return jsonResponse({ success: true, withdrawn: true });
+  }
+  if (!result.success) {
+    return jsonResponse({ error: 'not_found', message: result.error || 'Member not found' }, 404);
+  }
+
+  return jsonResponse({ success: true });
+}
+
+/**
+ * Handle organisation defaults - load
+ * GET /orgs/settings
+ * Returns an empty object for users without an organisation.
+ */
+export async function handleLoadOrgSettings(request, env) {
+  const guard = await guardOrgRequest(request, env, { requireOrg: false });
+  if (guard.response) return guard.response;
+
+  if (!guard.membership) {
+    return jsonResponse({ success: true, organisation: null, settings: {} });
+  }
+
+  return jsonResponse({
+    success: true,
+    organisation: { id: guard.membership.orgId, name: guard.membership.orgName, role: guard.membership.role },
+    settings: await getAllOrgSettings(env.DB, guard.membership.orgId)
+  });
+}
+
+/**
+ * Handle organisation defaults - save
+ * POST /orgs/settings
+ * Body: { settings, push? }
+ * push lists keys whose personal overrides are cleared for every member,
+ * e.g. ['depot.checklistConfig'] to roll a new checklist out to all surveyors.
+ * Invited users who haven't accepted keep their own settings.
+ */
+export async function handleSaveOrgSettings(request, env) {
+  const guard = await guardOrgRequest(request, env, { requireAdmin: true });
+  if (guard.response) return guard.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const { settings, push = [] } = body.payload || {};
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return jsonResponse({ error: 'validation_error', message: 'Settings object is required' }, 400);
+  }
+
+  const keys = [...Object.keys(settings), ...(Array.isArray(push) ? push : [])];
+  const unsupported = keys.filter((key) => !ORG_SETTING_KEYS.includes(key));
+  if (unsupported.length) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: `Unsupported organisation setting(s): ${unsupported.join(', ')}`
+    }, 400);
+  }
+
+  const { orgId } = guard.membership;
+  let saved = 0;
+  for (const [key, value] of Object.entries(settings)) {
+    const result = await saveOrgSetting(env.DB, orgId, key, value, guard.auth.userId);
+    if (result.success) saved++;
+  }
+
+  const pushed = {};
+  for (const key of Array.isArray(push) ? push : []) {
+    const result = await clearMemberSetting(env.DB, orgId, key);
+    pushed[key] = result.success ? result.cleared : 0;
+  }
+
+  return jsonResponse({ success: true, saved, total: Object.keys(settings).length, pushed });
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,389 @@
+/**
+ * Pricebook versioning handlers for Cloudflare Worker
+ * Stores uploaded pricebook CSV sets in D1 as dated versions so quotes can be
+ * priced against whichever version was in effect on the survey date.
+ * Versions belong to an organisation: its admins upload them and only its
+ * members quote from them.
+ */
+
+import { initializeOrganisationTables, getMembership } from './auth.js';
+import { requireAuth } from './auth-handlers.js';
+import { buildPricebookIndex, parsePricebookCsv } from './js/pricebook.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Initialize pricebook version tables
+ * Creates pricebook_versions and pricebook_items if they don't exist
+ */
+export async function initializePricebookTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS pricebook_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT,
+        effective_date TEXT NOT NULL,
+        item_count INTEGER NOT NULL DEFAULT 0,
+        files TEXT,
+        org_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    // Tables from before versions were scoped to an organisation; their rows stay unowned
+    const info = await db.prepare('PRAGMA table_info(pricebook_versions)').all();
+    if (!(info.results || []).some((row) => row.name === 'org_id')) {
+      await db.prepare('ALTER TABLE pricebook_versions ADD COLUMN org_id INTEGER').run();
+    }
+
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS pricebook_items (
+        version_id INTEGER NOT NULL,
+        component_id TEXT NOT NULL,
+        section TEXT,
+        subsection TEXT,
+        description TEXT,
+        selling_price_gbp REAL NOT NULL,
+        lead_time_days INTEGER NOT NULL DEFAULT 0,
+        source_file TEXT,
+        PRIMARY KEY (version_id, component_id),
+        FOREIGN KEY (version_id) REFERENCES pricebook_versions(id) ON DELETE CASCADE
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_pricebook_versions_effective
+      ON pricebook_versions(org_id, effective_date)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize pricebook tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Parse an uploaded CSV set into unique component rows
+ * @param {Object|Array} files - { "core_packs.csv": "csv text" } or [{ name, csv }]
+ * @returns {Array<Object>} - Component rows, first occurrence of each component_id wins
+ */
+export function parsePricebookUpload(files) {
+  const entries = Array.isArray(files)
+    ? files.map((file) => [file?.name, file?.csv ?? file?.text])
+    : Object.entries(files && typeof files === 'object' ? files : {});
+
+  const rows = entries.flatMap(([name, text]) =>
+    typeof text === 'string' ? parsePricebookCsv(text, String(name || '')) : []
+  );
+  return buildPricebookIndex(rows).items;
+}
+
+/**
+ * Compare two versions' items
+ * @param {Array<Object>} fromItems - Older version rows
+ * @param {Array<Object>} toItems - Newer version rows
+ * @returns {Object} - { added, removed, repriced }
+ */
+export function diffPricebookItems(fromItems, toItems) {
+  const before = buildPricebookIndex(fromItems).byId;
+  const after = buildPricebookIndex(toItems).byId;
+
+  const added = [];
+  const repriced = [];
+  after.forEach((item, componentId) => {
+    const previous = before.get(componentId);
+    if (!previous) {
+      added.push(item);
+    } else if (Number(previous.price) !== Number(item.price)) {
+      repriced.push({
+        componentId,
+        description: item.description,
+        fromPrice: previous.price,
+        toPrice: item.price
+      });
+    }
+  });
+
+  const removed = [];
+  before.forEach((item, componentId) => {
+    if (!after.has(componentId)) removed.push(item);
+  });
+
+  return { added, removed, repriced };
+}
+
+function toVersion(row) {
+  let files = [];
+  try {
+    files = row.files ? JSON.parse(row.files) : [];
+  } catch {
+    files = [];
+  }
+  return {
+    id: row.id,
+    label: row.label || '',
+    effectiveDate: row.effective_date,
+    itemCount: row.item_count,
+    files,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function toItem(row) {
+  return {
+    componentId: row.component_id,
+    section: row.section || '',
+    subsection: row.subsection || '',
+    description: row.description || '',
+    price: row.selling_price_gbp,
+    leadTimeDays: row.lead_time_days || 0,
+    source: row.source_file || ''
+  };
+}
+
+async function getVersion(db, id, orgId) {
+  const row = await db.prepare(`
+    SELECT id, label, effective_date, item_count, files, created_by, created_at
+    FROM pricebook_versions
+    WHERE id = ? AND org_id = ?
+  `).bind(id, orgId).first();
+  return row ? toVersion(row) : null;
+}
+
+async function getVersionItems(db, versionId) {
+  const result = await db.prepare(`
+    SELECT component_id, section, subsection, description, selling_price_gbp, lead_time_days, source_file
+    FROM pricebook_items
+    WHERE version_id = ?
+    ORDER BY component_id
+  `).bind(versionId).all();
+  return (result.results || []).map(toItem);
+}
+
+/**
+ * Check auth and database before touching pricebook tables
+ * @param {Object} options - { requireAdmin } only organisation admins may publish versions
+ * @returns {Promise<Object>} - { response } to return early, or { auth, orgId } when the request can proceed
+ */
+async function guardPricebookRequest(request, env, { requireAdmin = false } = {}) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return { response: jsonResponse({ error: 'unauthorized', message: auth.error }, 401) };
+  }
+
+  if (!env.DB) {
+    return {
+      response: jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503)
+    };
+  }
+
+  await initializeOrganisationTables(env.DB);
+  const membership = await getMembership(env.DB, auth.userId);
+  if (requireAdmin && membership?.role !== 'admin') {
+    return {
+      response: jsonResponse({ error: 'forbidden', message: 'Organisation admin role required' }, 403)
+    };
+  }
+
+  await initializePricebookTables(env.DB);
+  return { auth, orgId: membership?.orgId ?? null };
+}
+
+/**
+ * Handle pricebook upload (organisation admins)
+ * POST /pricebook/versions
+ * Body: { effectiveDate: "YYYY-MM-DD", label?, files: { "name.csv": "csv text" } }
+ */
+export async function handleUploadPricebook(request, env) {
+  const guard = await guardPricebookRequest(request, env, { requireAdmin: true });
+  if (guard.response) return guard.response;
+
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse({ error: 'bad_request', message: 'JSON body required' }, 400);
+  }
+
+  const effectiveDate = String(payload?.effectiveDate || '').trim();
+  if (!ISO_DATE_PATTERN.test(effectiveDate) || Number.isNaN(Date.parse(effectiveDate))) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: 'effectiveDate must be a YYYY-MM-DD date'
+    }, 400);
+  }
+
+  const items = parsePricebookUpload(payload?.files);
+  if (!items.length) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: 'No pricebook rows found - expected CSVs with component_id and selling_price_gbp columns'
+    }, 400);
+  }
+
+  const label = String(payload?.label || '').trim().slice(0, 120);
+  const files = Array.from(new Set(items.map((item) => item.source).filter(Boolean)));
+
+  try {
+    // One batch is one transaction, so a failed item insert leaves no partial version behind.
+    // Nothing else runs inside it, so the newest version id is the one this batch inserted.
+    const insert = env.DB.prepare(`
+      INSERT INTO pricebook_items
+        (version_id, component_id, section, subsection, description, selling_price_gbp, lead_time_days, source_file)
+      VALUES ((SELECT MAX(id) FROM pricebook_versions), ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const [created] = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO pricebook_versions (label, effective_date, item_count, files, org_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(label, effectiveDate, items.length, JSON.stringify(files), guard.orgId, guard.auth.userId),
+      ...items.map((item) => insert.bind(
+        item.componentId,
+        item.section,
+        item.subsection,
+        item.description,
+        item.price,
+        item.leadTimeDays,
+        item.source
+      ))
+    ]);
+    const versionId = created.meta.last_row_id;
+
+    return jsonResponse({ success: true, version: await getVersion(env.DB, versionId, guard.orgId) }, 201);
+  } catch (err) {
+    console.error('Failed to store pricebook version:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle pricebook version list
+ * GET /pricebook/versions
+ */
+export async function handleListPricebookVersions(request, env) {
+  const guard = await guardPricebookRequest(request, env);
+  if (guard.response) return guard.response;
+
+  try {
+    const result = await env.DB.prepare(`
+      SELECT id, label, effective_date, item_count, files, created_by, created_at
+      FROM pricebook_versions
+      WHERE org_id = ?
+      ORDER BY effective_date DESC, id DESC
+    `).bind(guard.orgId).all();
+
+    return jsonResponse({ success: true, versions: (result.results || []).map(toVersion) });
+  } catch (err) {
+    console.error('Failed to list pricebook versions:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle pricebook version diff
+ * GET /pricebook/diff?from=<id>&to=<id>
+ */
+export async function handlePricebookDiff(request, env) {
+  const guard = await guardPricebookRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const url = new URL(request.url);
+  const fromId = Number(url.searchParams.get('from'));
+  const toId = Number(url.searchParams.get('to'));
+  if (!Number.isInteger(fromId) || !Number.isInteger(toId) || fromId <= 0 || toId <= 0) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: 'from and to version ids are required'
+    }, 400);
+  }
+
+  try {
+    const [fromVersion, toVersion] = await Promise.all([
+      getVersion(env.DB, fromId, guard.orgId),
+      getVersion(env.DB, toId, guard.orgId)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return jsonResponse({ error: 'not_found', message: 'Pricebook version not found' }, 404);
+    }
+
+    const [fromItems, toItems] = await Promise.all([
+      getVersionItems(env.DB, fromId),
+      getVersionItems(env.DB, toId)
+    ]);
+    const diff = diffPricebookItems(fromItems, toItems);
+
+    return jsonResponse({
+      success: true,
+      from: fromVersion,
+      to: toVersion,
+      added: diff.added.map((item) => item.componentId),
+      removed: diff.removed.map((item) => item.componentId),
+      repriced: diff.repriced
+    });
+  } catch (err) {
+    console.error('Failed to diff pricebook versions:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle effective pricebook lookup
+ * GET /pricebook/effective?date=YYYY-MM-DD
+ * Returns the organisation's latest version whose effective date is on or before the given date
+ * (default today). Users outside an organisation get a 404 and quote from the bundled CSVs.
+ */
+export async function handleEffectivePricebook(request, env) {
+  const guard = await guardPricebookRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const url = new URL(request.url);
+  const date = url.searchParams.get('date') || new Date().toISOString().slice(0, 10);
+  if (!ISO_DATE_PATTERN.test(date)) {
+    return jsonResponse({ error: 'validation_error', message: 'date must be YYYY-MM-DD' }, 400);
+  }
+
+  try {
+    const row = await env.DB.prepare(`
+      SELECT id, label, effective_date, item_count, files, created_by, created_at
+      FROM pricebook_versions
+      WHERE org_id = ? AND effective_date <= ?
+      ORDER BY effective_date DESC, id DESC
+      LIMIT 1
+    `).bind(guard.orgId, date).first();
+
+    if (!row) {
+      return jsonResponse({
+        error: 'not_found',
+        message: `No pricebook version effective on ${date}`
+      }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      date,
+      version: toVersion(row),
+      items: await getVersionItems(env.DB, row.id)
+    });
+  } catch (err) {
+    console.error('Failed to load effective pricebook:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
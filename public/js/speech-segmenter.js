@@ -0,0 +1,144 @@
+/**
+ * Speech segmenter for the on-device transcriber.
+ * Resamples microphone frames to the model's rate and splits them into utterances on
+ * silence, so the worker knows when to refresh a partial result and when a phrase is final.
+ */
+
+export const MODEL_SAMPLE_RATE = 16000;
+
+/**
+ * Linear resample of mono samples
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate = MODEL_SAMPLE_RATE) {
+  if (!samples.length || fromRate === toRate) return Float32Array.from(samples);
+  const ratio = fromRate / toRate;
+  const out = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    out[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return out;
+}
+
+/**
+ * Root-mean-square level of a frame
+ */
+export function frameEnergy(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+}
+
+function concat(chunks, length) {
+  const out = new Float32Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
+/**
+ * Split a stream of frames into utterances.
+ * push() returns the events a frame completes: { type: "partial" | "final", audio, start, end }
+ * with start/end in seconds since the segmenter was created.
+ * @param {Object} options - { sampleRate, speechThreshold, silenceSeconds, partialEverySeconds,
+ *   maxUtteranceSeconds, minSpeechSeconds }
+ */
+export function createSegmenter({
+  sampleRate = MODEL_SAMPLE_RATE,
+  speechThreshold = 0.015,
+  silenceSeconds = 0.7,
+  partialEverySeconds = 1.5,
+  maxUtteranceSeconds = 20,
+  minSpeechSeconds = 0.25
+} = {}) {
+  let chunks = [];
+  let length = 0;
+  let inSpeech = false;
+  let speech = 0;
+  let silence = 0;
+  let sincePartial = 0;
+  let start = 0;
+  let position = 0;
+  let preRoll = null;
+
+  const reset = () => {
+    chunks = [];
+    length = 0;
+    inSpeech = false;
+    speech = 0;
+    silence = 0;
+    sincePartial = 0;
+  };
+
+  const utterance = (type) => ({
+    type,
+    audio: concat(chunks, length),
+    start,
+    end: start + length / sampleRate
+  });
+
+  const finish = () => {
+    const event = speech >= minSpeechSeconds ? utterance('final') : null;
+    reset();
+    return event;
+  };
+
+  return {
+    push(frame) {
+      const duration = frame.length / sampleRate;
+      const loud = frameEnergy(frame) >= speechThreshold;
+      const events = [];
+
+      if (loud && !inSpeech) {
+        // Keep the quiet frame before speech so the first word isn't clipped
+        inSpeech = true;
+        start = position - (preRoll ? preRoll.length / sampleRate : 0);
+        if (preRoll) {
+          chunks.push(preRoll);
+          length += preRoll.length;
+        }
+      }
+      position += duration;
+
+      if (!inSpeech) {
+        preRoll = frame;
+        return events;
+      }
+
+      chunks.push(frame);
+      length += frame.length;
+      sincePartial += duration;
+      if (loud) {
+        speech += duration;
+        silence = 0;
+      } else {
+        silence += duration;
+      }
+
+      if (silence >= silenceSeconds || length / sampleRate >= maxUtteranceSeconds) {
+        preRoll = null;
+        const event = finish();
+        if (event) events.push(event);
+      } else if (sincePartial >= partialEverySeconds) {
+        sincePartial = 0;
+        events.push(utterance('partial'));
+      }
+      return events;
+    },
+
+    // End of the stream: whatever speech is buffered becomes final
+    flush() {
+      return inSpeech ? finish() : null;
+    }
+  };
+}
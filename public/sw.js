@@ -1,5 +1,7 @@
 // Service worker for PWA support with caching
 const CACHE_NAME = 'depot-voice-notes-v4';
+// Filled by transcribe-worker.js with the on-device speech files; dropping them breaks offline speech
+const KEEP_CACHES = [CACHE_NAME, 'depot-offline-stt-v1', 'transformers-cache'];
 const urlsToCache = [
   './',
   './index.html',
@@ -30,7 +32,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (!KEEP_CACHES.includes(cacheName)) {
             console.log('[SW] Removing old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -1,23 +1,190 @@
-/* Classic Web Worker — keeps out of your UI and Cloudflare logic.
-   It does not touch the mic (that’s main thread by spec). Replace internals later if needed. */
+/* Module Web Worker — on-device speech recognition for surveys with no signal.
+   It does not touch the mic (that's main thread by spec): the page posts microphone frames and
+   the worker splits them into utterances and runs a small Whisper model over each one
+   (transformers.js on ONNX Runtime WASM), posting partial and final text back.
+   Engine and model files are kept in Cache Storage the first time they are fetched, so later
+   sessions load them without a network.
 
-self.postMessage({ type:'ready' });
+   In:  { type: 'check' }                                  whether every file is cached, then 'checked' { cached }
+        { type: 'cache' }                                  fetch and keep the files, then 'cached'
+        { type: 'init', payload: { engineBase, modelBase, model } }   load the model, then 'loaded'
+        { type: 'start' }                                  begin a new stream
+        { type: 'audio', payload: { samples, sampleRate } } one mono Float32Array frame
+        { type: 'stop' }                                   finish the last utterance, then 'stopped'
+   Out: ready, progress { loaded, total }, cached, loaded, partial { text, start, end },
+        final { text, start, end }, stopped, error { code, message }, log
+   Error codes: not-deployed (the site doesn't serve the files), not-installed (they couldn't be
+   fetched, e.g. no signal), transcribe-failed */
 
-self.addEventListener('message', (e)=>{
+import { createSegmenter, resample, MODEL_SAMPLE_RATE } from './js/speech-segmenter.js';
+
+const ASSET_CACHE = 'depot-offline-stt-v1';
+// transformers.js looks model files up in this cache before fetching them
+const MODEL_CACHE = 'transformers-cache';
+
+const DEFAULT_ASSETS = {
+  engineBase: new URL('vendor/stt/', self.location).href,
+  modelBase: new URL('models/stt/', self.location).href,
+  model: 'whisper-tiny.en'
+};
+
+// Single-threaded WASM builds only: threads need a cross-origin isolated page
+const ENGINE_FILES = ['transformers.min.js', 'ort-wasm.wasm', 'ort-wasm-simd.wasm'];
+
+const MODEL_FILES = [
+  'config.json',
+  'generation_config.json',
+  'preprocessor_config.json',
+  'tokenizer.json',
+  'tokenizer_config.json',
+  'onnx/encoder_model_quantized.onnx',
+  'onnx/decoder_model_merged_quantized.onnx'
+];
+
+let assets = { ...DEFAULT_ASSETS };
+let recogniserPromise = null;
+let segmenter = null;
+let queue = Promise.resolve();
+let partialPending = false;
+
+function post(type, payload) {
+  self.postMessage(payload === undefined ? { type } : { type, payload });
+}
+
+function fail(code, err) {
+  post('error', { code, message: err && err.message ? err.message : String(err) });
+}
+
+// The cached copy of a file, fetching and keeping it first if it isn't cached yet
+async function cachedResponse(cacheName, url) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(url);
+  if (hit) return hit;
+  const response = await fetch(url);
+  if (!response.ok) {
+    const err = new Error(`Could not fetch ${url}: ${response.status}`);
+    if (response.status === 404) err.code = 'not-deployed';
+    throw err;
+  }
+  await cache.put(url, response.clone());
+  return response;
+}
+
+function assetUrls() {
+  return [
+    ...ENGINE_FILES.map((file) => [ASSET_CACHE, assets.engineBase + file]),
+    ...MODEL_FILES.map((file) => [MODEL_CACHE, `${assets.modelBase}${assets.model}/${file}`])
+  ];
+}
+
+async function assetsCached() {
+  for (const [cacheName, url] of assetUrls()) {
+    const cache = await caches.open(cacheName);
+    if (!(await cache.match(url))) return false;
+  }
+  return true;
+}
+
+async function cacheAssets() {
+  const urls = assetUrls();
+  const engine = {};
+  for (let i = 0; i < urls.length; i++) {
+    const [cacheName, url] = urls[i];
+    const response = await cachedResponse(cacheName, url);
+    if (cacheName === ASSET_CACHE) {
+      engine[url.slice(assets.engineBase.length)] = URL.createObjectURL(await response.blob());
+    }
+    post('progress', { loaded: i + 1, total: urls.length });
+  }
+  return engine;
+}
+
+async function loadRecogniser() {
+  const engine = await cacheAssets();
+  const { pipeline, env } = await import(engine['transformers.min.js']);
+  env.allowRemoteModels = false;
+  env.localModelPath = assets.modelBase;
+  env.useBrowserCache = true;
+  env.backends.onnx.wasm.numThreads = 1;
+  env.backends.onnx.wasm.wasmPaths = {
+    'ort-wasm.wasm': engine['ort-wasm.wasm'],
+    'ort-wasm-simd.wasm': engine['ort-wasm-simd.wasm']
+  };
+  return pipeline('automatic-speech-recognition', assets.model, { quantized: true });
+}
+
+// Whisper marks silence and noise as "[BLANK_AUDIO]", "(wind blowing)" and the like
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function transcribe(event) {
+  const recogniser = await recogniserPromise;
+  const output = await recogniser(event.audio);
+  const text = cleanText(output && output.text);
+  if (text) post(event.type, { text, start: event.start, end: event.end });
+}
+
+function handleUtterance(event) {
+  if (event.type === 'partial') {
+    // A partial is only worth showing if the model has caught up; skip it otherwise
+    if (partialPending) return;
+    partialPending = true;
+    queue = queue.then(() => transcribe(event)).finally(() => { partialPending = false; });
+  } else {
+    queue = queue.then(() => transcribe(event));
+  }
+  queue = queue.catch((err) => fail('transcribe-failed', err));
+}
+
+self.addEventListener('message', (e) => {
   const { type, payload } = e.data || {};
-  if(type === 'init'){
-    self.postMessage({ type:'log', payload:'Worker initialised' });
+
+  if (type === 'check' || type === 'cache' || type === 'init') {
+    assets = { ...DEFAULT_ASSETS, ...(payload || {}) };
+  }
+
+  if (type === 'check') {
+    assetsCached()
+      .then((cached) => post('checked', { cached }))
+      .catch(() => post('checked', { cached: false }));
+  }
+
+  if (type === 'cache') {
+    cacheAssets()
+      .then(() => post('cached'))
+      .catch((err) => fail(err.code || 'not-installed', err));
+  }
+
+  if (type === 'init') {
+    recogniserPromise = recogniserPromise || loadRecogniser();
+    recogniserPromise
+      .then(() => post('loaded'))
+      .catch((err) => {
+        recogniserPromise = null;
+        fail(err.code || 'not-installed', err);
+      });
+  }
+
+  if (type === 'start') {
+    segmenter = createSegmenter();
+    queue = Promise.resolve();
   }
-  if(type === 'start'){
-    // Hook your audio streaming / STT pipeline via main thread -> worker messages, if desired.
-    self.postMessage({
-      type:'error',
-      payload:'Worker is running. Provide audio frames or use main-thread SpeechRecognition fallback.'
-    });
+
+  if (type === 'audio' && segmenter && payload && payload.samples) {
+    const frame = resample(payload.samples, payload.sampleRate || MODEL_SAMPLE_RATE);
+    segmenter.push(frame).forEach(handleUtterance);
   }
-  if(type === 'append-text'){
-    // Optional: you can stream chunks here and have worker coalesce them.
-    self._buf = (self._buf || '') + (payload || '');
-    self.postMessage({ type:'transcript', payload:self._buf });
+
+  if (type === 'stop') {
+    const last = segmenter && segmenter.flush();
+    segmenter = null;
+    if (last) handleUtterance(last);
+    queue.then(() => post('stopped'));
   }
 });
+
+post('ready');
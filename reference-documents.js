@@ -0,0 +1,339 @@
+/**
+ * Reference document ingestion for Cloudflare Worker
+ * Stores uploaded manufacturer manuals in R2 and splits their text into
+ * page-tagged chunks in reference_materials so answers can cite document and page.
+ * The chunks feed every user's prompts, so only reference admins may upload.
+ */
+
+import { requireAuth } from './auth-handlers.js';
+import { ensureReferenceMaterialsSchema } from './reference-search.js';
+
+export const DEFAULT_CHUNK_CHARS = 1200;
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const TEXT_TYPES = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Initialize the reference document registry
+ */
+export async function initializeReferenceDocumentTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS reference_documents (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content_type TEXT,
+        r2_key TEXT NOT NULL,
+        page_count INTEGER,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    return ensureReferenceMaterialsSchema(db);
+  } catch (err) {
+    console.error('Failed to initialize reference document tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+function splitLongParagraph(paragraph, maxChars) {
+  const pieces = [];
+  let current = '';
+  paragraph.split(/(?<=[.!?])\s+/).forEach((sentence) => {
+    let rest = sentence;
+    while (rest.length > maxChars) {
+      if (current) {
+        pieces.push(current);
+        current = '';
+      }
+      pieces.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    if (current && current.length + rest.length + 1 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${rest}` : rest;
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split document text into chunks that never cross a page boundary.
+ * Pages are separated by form feeds (as pdftotext writes them) or given as an array;
+ * plain text without page breaks gets page null.
+ * @param {string|Array<string>} text - Document text or per-page text
+ * @param {Object} options - { maxChars }
+ * @returns {Array<Object>} - { page, chunkIndex, content }
+ */
+export function splitDocumentIntoChunks(text, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const pages = Array.isArray(text) ? text.map((page) => String(page ?? '')) : String(text || '').split('\f');
+  const paged = Array.isArray(text) || pages.length > 1;
+  const chunks = [];
+
+  pages.forEach((pageText, index) => {
+    const page = paged ? index + 1 : null;
+    let current = '';
+    const flush = () => {
+      if (current.trim()) chunks.push({ page, chunkIndex: chunks.length, content: current.trim() });
+      current = '';
+    };
+
+    pageText
+      .replace(/\r\n/g, '\n')
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap((paragraph) => (paragraph.length > maxChars ? splitLongParagraph(paragraph, maxChars) : [paragraph]))
+      .forEach((paragraph) => {
+        if (current && current.length + paragraph.length + 2 > maxChars) flush();
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+      });
+    flush();
+  });
+
+  return chunks;
+}
+
+function fileExtension(filename) {
+  const match = /\.([a-z0-9]+)$/i.exec(String(filename || ''));
+  return match ? match[1].toLowerCase() : '';
+}
+
+function safeFilename(filename) {
+  return String(filename || 'document').replace(/[^a-zA-Z0-9._-]+/g, '-').slice(0, 120) || 'document';
+}
+
+/**
+ * Read an upload from multipart form data (file, title, text/pages) or JSON
+ * ({ title, filename, contentType, text | pages })
+ * @returns {Promise<Object>} - { title, filename, contentType, body, text, pages } or { error }
+ */
+async function readDocumentUpload(request) {
+  const type = request.headers.get('Content-Type') || '';
+
+  if (type.includes('multipart/form-data')) {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') return { error: 'file is required' };
+    const filename = file.name || 'document';
+    const contentType = file.type || TEXT_TYPES[fileExtension(filename)] || '';
+    const body = await file.arrayBuffer();
+    const pagesField = form.get('pages');
+    const isPdf = contentType === 'application/pdf';
+    return {
+      title: String(form.get('title') || '').trim(),
+      filename,
+      contentType,
+      body,
+      text: form.get('text') ? String(form.get('text')) : (isPdf ? '' : new TextDecoder().decode(body)),
+      pages: pagesField ? JSON.parse(String(pagesField)) : null
+    };
+  }
+
+  const payload = await request.json();
+  const filename = String(payload?.filename || '').trim() || 'document.txt';
+  const text = typeof payload?.text === 'string' ? payload.text : '';
+  const pages = Array.isArray(payload?.pages) ? payload.pages : null;
+  return {
+    title: String(payload?.title || '').trim(),
+    filename,
+    contentType: payload?.contentType || TEXT_TYPES[fileExtension(filename)] || 'text/plain',
+    body: pages ? pages.join('\f') : text,
+    text,
+    pages
+  };
+}
+
+/**
+ * Whether a user may add to the shared reference index
+ * @param {Object} env - Worker env; REFERENCE_ADMINS is a comma separated list of usernames
+ * @param {string} username - Signed-in username
+ */
+export function isReferenceAdmin(env, username) {
+  return String(env.REFERENCE_ADMINS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .includes(username);
+}
+
+/**
+ * Handle reference document upload (reference admins)
+ * POST /reference/documents
+ */
+export async function handleUploadReferenceDocument(request, env) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return jsonResponse({ error: 'unauthorized', message: auth.error }, 401);
+  }
+
+  if (!isReferenceAdmin(env, auth.username)) {
+    return jsonResponse({
+      error: 'forbidden',
+      message: 'Only reference admins (REFERENCE_ADMINS) can upload reference documents'
+    }, 403);
+  }
+
+  if (!env.DB || !env.REFERENCE_BUCKET) {
+    return jsonResponse({
+      error: 'db_unavailable',
+      message: 'DB and REFERENCE_BUCKET bindings are required'
+    }, 503);
+  }
+
+  let upload;
+  try {
+    upload = await readDocumentUpload(request);
+  } catch {
+    return jsonResponse({ error: 'bad_request', message: 'Multipart form or JSON body required' }, 400);
+  }
+  if (upload.error) {
+    return jsonResponse({ error: 'validation_error', message: upload.error }, 400);
+  }
+
+  const extension = fileExtension(upload.filename);
+  if (!TEXT_TYPES[extension]) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: 'Upload a .txt, .md or .pdf document'
+    }, 400);
+  }
+
+  const size = typeof upload.body === 'string' ? upload.body.length : upload.body.byteLength;
+  if (size > MAX_DOCUMENT_BYTES) {
+    return jsonResponse({ error: 'validation_error', message: 'Documents must be under 10 MB' }, 400);
+  }
+
+  const chunks = splitDocumentIntoChunks(upload.pages || upload.text);
+  if (!chunks.length) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: extension === 'pdf'
+        ? 'PDF uploads need their text layer in "text" (pages separated by form feeds) or "pages"'
+        : 'Document has no text to index'
+    }, 400);
+  }
+
+  const init = await initializeReferenceDocumentTables(env.DB);
+  if (!init.success) {
+    return jsonResponse({ error: 'db_error', message: init.error }, 500);
+  }
+
+  const id = crypto.randomUUID();
+  const title = (upload.title || upload.filename.replace(/\.[^.]+$/, '')).slice(0, 200);
+  const r2Key = `documents/${id}/${safeFilename(upload.filename)}`;
+  const pageNumbers = chunks.map((chunk) => chunk.page).filter((page) => page !== null);
+  const pageCount = pageNumbers.length ? Math.max(...pageNumbers) : null;
+
+  let stored = false;
+  try {
+    await env.REFERENCE_BUCKET.put(r2Key, upload.body, {
+      httpMetadata: { contentType: upload.contentType },
+      customMetadata: { title, documentId: id }
+    });
+    stored = true;
+
+    // The document row and its chunks go in one batch, which D1 runs as one transaction
+    const insert = env.DB.prepare(`
+      INSERT INTO reference_materials (title, content, source, page, document_id, chunk_index)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO reference_documents (id, title, filename, content_type, r2_key, page_count, chunk_count, uploaded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(id, title, upload.filename, upload.contentType, r2Key, pageCount, chunks.length, auth.userId),
+      ...chunks.map((chunk) =>
+        insert.bind(title, chunk.content, upload.filename, chunk.page, id, chunk.chunkIndex)
+      )
+    ]);
+
+    return jsonResponse({
+      success: true,
+      document: {
+        id,
+        title,
+        filename: upload.filename,
+        r2Key,
+        pageCount,
+        chunkCount: chunks.length
+      }
+    }, 201);
+  } catch (err) {
+    console.error('Failed to ingest reference document:', err);
+    if (stored) {
+      await env.REFERENCE_BUCKET.delete(r2Key).catch((deleteErr) => {
+        console.error('Failed to delete orphaned reference document:', deleteErr);
+      });
+    }
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle reference document list
+ * GET /reference/documents
+ */
+export async function handleListReferenceDocuments(request, env) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return jsonResponse({ error: 'unauthorized', message: auth.error }, 401);
+  }
+
+  if (!env.DB) {
+    return jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503);
+  }
+
+  await initializeReferenceDocumentTables(env.DB);
+
+  try {
+    const result = await env.DB.prepare(`
+      SELECT id, title, filename, content_type, r2_key, page_count, chunk_count, created_at
+      FROM reference_documents
+      ORDER BY created_at DESC
+    `).all();
+
+    return jsonResponse({
+      success: true,
+      documents: (result.results || []).map((row) => ({
+        id: row.id,
+        title: row.title,
+        filename: row.filename,
+        contentType: row.content_type,
+        r2Key: row.r2_key,
+        pageCount: row.page_count,
+        chunkCount: row.chunk_count,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (err) {
+    console.error('Failed to list reference documents:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,286 @@
+/**
+ * Reference material search for Cloudflare Worker
+ * Keeps an FTS5 index over reference_materials and picks the manuals and
+ * price notes most relevant to a transcript, ranked by bm25.
+ */
+
+export const REFERENCE_FTS_TABLE = 'reference_materials_fts';
+export const DEFAULT_REFERENCE_LIMIT = 8;
+export const DEFAULT_REFERENCE_TOKEN_BUDGET = 1500;
+
+// Roughly four characters per token for English prose
+const CHARS_PER_TOKEN = 4;
+
+const BRANDS = [
+  'worcester', 'bosch', 'vaillant', 'ideal', 'baxi', 'viessmann', 'glow-worm', 'glowworm',
+  'potterton', 'intergas', 'navien', 'ferroli', 'mitsubishi', 'daikin',
+  'samsung', 'hive', 'nest', 'tado', 'drayton', 'honeywell', 'danfoss', 'salus',
+  'fernox', 'sentinel', 'adey', 'magnaclean', 'megaflo', 'gledhill', 'heatrae', 'joule'
+];
+
+const MODEL_PATTERNS = [
+  /\bgreenstar\s+(?:\d{2}\s?[a-z]{1,3}|[a-z]+)(?:\s+(?:compact|system|regular|erp))?\b/gi,
+  /\becotec\s+(?:plus|pro|exclusive)(?:\s+\d{2,3})?\b/gi,
+  /\becofit\s+(?:plus|pure)(?:\s+\d{2,3})?\b/gi,
+  /\blogic\s+(?:max|plus|\+)?\s*(?:combi|system|heat)?\s*c?\d{2}\b/gi,
+  /\b(?:vogue|exclusive|instinct|evomax)\s+(?:max\s+)?(?:combi\s+)?(?:c|s)?\d{2}\b/gi,
+  /\b(?:duo-?tec|platinum|800|600|400)\s+(?:combi\s+)?\d{2}\b/gi,
+  /\bvitodens\s+\d{3}(?:-w)?\b/gi,
+  /\b(?:arotherm|ecodan|altherma)(?:\s+plus)?(?:\s+\d{1,2}\s?kw)?\b/gi,
+  /\b\d{2}\s?(?:kw|i|si|ri|cdi)\b/gi
+];
+
+const TECHNICAL_PHRASES = [
+  'horizontal flue', 'vertical flue', 'plume kit', 'plume management', 'flue extension', 'flue bend',
+  'balanced flue', 'open flue', 'terminal guard', '60/100', '80/125', 'condensate pump', 'condensate',
+  'powerflush', 'power flush', 'magnetic filter', 'system filter', 'inhibitor', 'combi', 'system boiler',
+  'regular boiler', 'heat only', 'unvented cylinder', 'vented cylinder', 'cylinder', 'heat pump',
+  'smart thermostat', 'wireless stat', 'programmer', 'trv', 'prv', 'gas meter', 'lpg', 'microbore'
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normaliseTerm(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pick out searchable products and keywords from a transcript:
+ * brands, boiler/heat pump models and flue or system terms.
+ * @param {string} transcript - Survey transcript
+ * @param {number} maxTerms - Cap on terms returned
+ * @returns {Array<string>} - Lower-case terms, most specific first
+ */
+export function extractReferenceSearchTerms(transcript, maxTerms = 12) {
+  const text = String(transcript || '').toLowerCase();
+  if (!text.trim()) return [];
+
+  const models = [];
+  MODEL_PATTERNS.forEach((pattern) => {
+    for (const match of text.matchAll(pattern)) {
+      models.push(normaliseTerm(match[0]));
+    }
+  });
+
+  const brands = BRANDS.filter((brand) => new RegExp(`\\b${escapeRegExp(brand)}\\b`).test(text));
+  const phrases = TECHNICAL_PHRASES.filter((phrase) =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}([^a-z0-9]|$)`).test(text)
+  );
+
+  const seen = new Set();
+  return [...models, ...brands, ...phrases]
+    .filter((term) => {
+      if (!term || seen.has(term)) return false;
+      seen.add(term);
+      return true;
+    })
+    .slice(0, maxTerms);
+}
+
+/**
+ * Build an FTS5 MATCH expression that ORs quoted phrases together
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} - MATCH expression, empty when there is nothing to search
+ */
+export function buildReferenceMatchQuery(terms) {
+  return (Array.isArray(terms) ? terms : [])
+    .map((term) => normaliseTerm(term).replace(/[^a-z0-9/+ -]/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map((term) => `"${term.replace(/"/g, '""')}"`)
+    .join(' OR ');
+}
+
+// Columns added for chunked documents so answers can cite where a snippet came from
+const CITATION_COLUMNS = {
+  source: 'TEXT',
+  page: 'INTEGER',
+  document_id: 'TEXT',
+  chunk_index: 'INTEGER'
+};
+
+// Databases whose schema and search index this isolate has already set up
+const schemaReadyDatabases = new WeakSet();
+const searchReadyDatabases = new WeakSet();
+
+/**
+ * Make sure reference_materials exists and carries source/page citation columns.
+ * Older tables are extended in place; checked once per database per isolate.
+ */
+export async function ensureReferenceMaterialsSchema(db) {
+  if (schemaReadyDatabases.has(db)) return { success: true };
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS reference_materials (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT,
+        content TEXT,
+        source TEXT,
+        page INTEGER,
+        document_id TEXT,
+        chunk_index INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    const info = await db.prepare('PRAGMA table_info(reference_materials)').all();
+    const existing = new Set((info.results || []).map((row) => row.name));
+    for (const [column, type] of Object.entries(CITATION_COLUMNS)) {
+      if (!existing.has(column)) {
+        await db.prepare(`ALTER TABLE reference_materials ADD COLUMN ${column} ${type}`).run();
+      }
+    }
+
+    schemaReadyDatabases.add(db);
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to prepare reference_materials schema:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Create the FTS5 index over reference_materials (title, content) with
+ * triggers to keep it in step, rebuilding it the first time it is created.
+ */
+export async function initializeReferenceSearch(db) {
+  if (searchReadyDatabases.has(db)) return { success: true };
+  const schema = await ensureReferenceMaterialsSchema(db);
+  if (!schema.success) return schema;
+
+  try {
+    const existing = await db.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name = ?
+    `).bind(REFERENCE_FTS_TABLE).first();
+    if (existing) {
+      searchReadyDatabases.add(db);
+      return { success: true };
+    }
+
+    await db.prepare(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${REFERENCE_FTS_TABLE}
+      USING fts5(title, content, content='reference_materials', content_rowid='rowid', tokenize='porter unicode61')
+    `).run();
+
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS reference_materials_fts_insert
+      AFTER INSERT ON reference_materials BEGIN
+        INSERT INTO ${REFERENCE_FTS_TABLE}(rowid, title, content) VALUES (new.rowid, new.title, new.content);
+      END
+    `).run();
+
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS reference_materials_fts_delete
+      AFTER DELETE ON reference_materials BEGIN
+        INSERT INTO ${REFERENCE_FTS_TABLE}(${REFERENCE_FTS_TABLE}, rowid, title, content)
+        VALUES ('delete', old.rowid, old.title, old.content);
+      END
+    `).run();
+
+    await db.prepare(`
+      CREATE TRIGGER IF NOT EXISTS reference_materials_fts_update
+      AFTER UPDATE ON reference_materials BEGIN
+        INSERT INTO ${REFERENCE_FTS_TABLE}(${REFERENCE_FTS_TABLE}, rowid, title, content)
+        VALUES ('delete', old.rowid, old.title, old.content);
+        INSERT INTO ${REFERENCE_FTS_TABLE}(rowid, title, content) VALUES (new.rowid, new.title, new.content);
+      END
+    `).run();
+
+    await db.prepare(`
+      INSERT INTO ${REFERENCE_FTS_TABLE}(${REFERENCE_FTS_TABLE}) VALUES ('rebuild')
+    `).run();
+
+    searchReadyDatabases.add(db);
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize reference search index:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Rank reference materials against a transcript
+ * @param {Object} db - D1 binding
+ * @param {string} transcript - Survey transcript
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { success, terms, results: [{ title, source, page, snippet, score }] }
+ */
+export async function searchReferenceMaterials(db, transcript, { limit = DEFAULT_REFERENCE_LIMIT } = {}) {
+  const terms = extractReferenceSearchTerms(transcript);
+  const match = buildReferenceMatchQuery(terms);
+  if (!match) return { success: true, terms, results: [] };
+
+  const init = await initializeReferenceSearch(db);
+  if (!init.success) return { success: false, terms, results: [], error: init.error };
+
+  try {
+    // Title hits weigh more than body hits; snippet() trims each manual to the matching passage
+    const result = await db.prepare(`
+      SELECT r.title AS title, r.source AS source, r.page AS page,
+        snippet(${REFERENCE_FTS_TABLE}, 1, '', '', ' ... ', 64) AS snippet,
+        bm25(${REFERENCE_FTS_TABLE}, 5.0, 1.0) AS score
+      FROM ${REFERENCE_FTS_TABLE}
+      JOIN reference_materials r ON r.rowid = ${REFERENCE_FTS_TABLE}.rowid
+      WHERE ${REFERENCE_FTS_TABLE} MATCH ?
+      ORDER BY score
+      LIMIT ?
+    `).bind(match, limit).all();
+
+    return { success: true, terms, results: result.results || [] };
+  } catch (err) {
+    console.error('Reference search failed:', err);
+    return { success: false, terms, results: [], error: err.message };
+  }
+}
+
+/**
+ * Citation label for a reference row, e.g. "Greenstar 30i manual (greenstar-30i.pdf, p. 12)"
+ * @param {Object} row - { title, source, page }
+ * @returns {string}
+ */
+export function referenceCitation(row) {
+  const title = row?.title || row?.source || 'Untitled';
+  const details = [];
+  if (row?.source && row.source !== title) details.push(row.source);
+  if (row?.page !== null && row?.page !== undefined && row.page !== '') details.push(`p. ${row.page}`);
+  return details.length ? `${title} (${details.join(', ')})` : title;
+}
+
+/**
+ * Pick ranked snippets that fit the token budget.
+ * A snippet that would overflow is cut short rather than dropped when it is the first one.
+ * @param {Array<Object>} rows - { title, source, page, snippet | content }
+ * @param {number} tokenBudget - Max tokens to spend
+ * @returns {Array<Object>} - { row, block } in rank order
+ */
+export function fitReferenceSnippets(rows, tokenBudget = DEFAULT_REFERENCE_TOKEN_BUDGET) {
+  const fitted = [];
+  let remaining = Math.max(0, Number(tokenBudget) || 0) * CHARS_PER_TOKEN;
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const body = String(row?.snippet ?? row?.content ?? '').trim();
+    if (!body) continue;
+    let block = `${referenceCitation(row)}:\n${body}`;
+    if (block.length > remaining) {
+      if (fitted.length) break;
+      block = `${block.slice(0, Math.max(0, remaining - 3)).trimEnd()}...`;
+    }
+    fitted.push({ row, block });
+    remaining -= block.length + 2;
+    if (remaining <= 0) break;
+  }
+
+  return fitted;
+}
+
+/**
+ * Format ranked snippets for a prompt, stopping at the token budget
+ * @param {Array<Object>} rows - { title, source, page, snippet | content }
+ * @param {number} tokenBudget - Max tokens to spend
+ * @returns {string}
+ */
+export function formatReferenceSnippets(rows, tokenBudget = DEFAULT_REFERENCE_TOKEN_BUDGET) {
+  return fitReferenceSnippets(rows, tokenBudget).map((entry) => entry.block).join('\n\n');
+}
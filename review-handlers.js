@@ -0,0 +1,490 @@
+/**
+ * Office review handlers for Cloudflare Worker
+ * Surveyors submit finished depot notes to their organisation's office, which
+ * moves them through review, comments per section, sends them back or approves
+ * them (optionally with edits). The submitted and approved sections are kept
+ * side by side so either party can see what the office changed.
+ */
+
+import { initializeOrganisationTables, getMembership } from './auth.js';
+import { requireAuth } from './auth-handlers.js';
+
+export const SUBMISSION_STATUSES = ['submitted', 'in_review', 'changes_requested', 'approved'];
+
+// Which status changes the office may make from each status
+const OFFICE_TRANSITIONS = {
+  submitted: ['in_review', 'changes_requested', 'approved'],
+  in_review: ['changes_requested', 'approved'],
+  changes_requested: ['in_review'],
+  approved: ['in_review']
+};
+
+const REVIEWER_ROLES = ['office', 'admin'];
+const MAX_SECTIONS_BYTES = 512 * 1024;
+
+/**
+ * Initialize review tables
+ */
+export async function initializeReviewTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS survey_submissions (
+        id TEXT PRIMARY KEY,
+        org_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        session_id TEXT,
+        name TEXT,
+        status TEXT NOT NULL DEFAULT 'submitted',
+        submitted_sections TEXT NOT NULL,
+        approved_sections TEXT,
+        reviewer_id INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS submission_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT NOT NULL,
+        section TEXT NOT NULL,
+        author_id INTEGER NOT NULL,
+        author_name TEXT,
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_survey_submissions_org
+      ON survey_submissions(org_id, status)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize review tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Keep the fields of the sections model used by sendSections.js
+ * @param {Array<Object>} sections - Sections from the client
+ * @returns {Array<Object>} - { section, plainText, naturalLanguage }
+ */
+export function normaliseReviewSections(sections) {
+  if (!Array.isArray(sections)) return [];
+  return sections
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({
+      section: String(entry.section || entry.title || entry.name || 'Untitled Section'),
+      plainText: String(entry.plainText ?? entry.plain_text ?? ''),
+      naturalLanguage: String(entry.naturalLanguage ?? entry.natural_language ?? '')
+    }));
+}
+
+// plainText bullets are joined with '; ' (and subheadings are '# Name #'), so diff per bullet
+function splitPlainLines(text) {
+  return String(text || '')
+    .split(/;|\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function diffLines(fromText, toText) {
+  const a = splitPlainLines(fromText);
+  const b = splitPlainLines(toText);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Compare submitted and approved sections bullet by bullet on plainText
+ * @param {Array<Object>} submitted - Sections as the surveyor submitted them
+ * @param {Array<Object>} approved - Sections as the office approved them
+ * @returns {Array<Object>} - { section, change: 'unchanged'|'changed'|'added'|'removed', lines }
+ */
+export function diffReviewSections(submitted, approved) {
+  const before = new Map(normaliseReviewSections(submitted).map((s) => [s.section, s.plainText]));
+  const after = new Map(normaliseReviewSections(approved).map((s) => [s.section, s.plainText]));
+  const names = [...new Set([...before.keys(), ...after.keys()])];
+
+  return names.map((section) => {
+    if (!after.has(section)) {
+      return { section, change: 'removed', lines: diffLines(before.get(section), '') };
+    }
+    if (!before.has(section)) {
+      return { section, change: 'added', lines: diffLines('', after.get(section)) };
+    }
+    const lines = diffLines(before.get(section), after.get(section));
+    return {
+      section,
+      change: lines.every((line) => line.type === 'same') ? 'unchanged' : 'changed',
+      lines
+    };
+  });
+}
+
+function parseSections(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    name: row.name || '',
+    status: row.status,
+    userId: row.user_id,
+    surveyor: row.surveyor || null,
+    sessionId: row.session_id || null,
+    submittedAt: row.submitted_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getSubmissionRow(db, orgId, id) {
+  return db.prepare(`
+    SELECT s.*, u.username AS surveyor
+    FROM survey_submissions s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.org_id = ?
+  `).bind(id, orgId).first();
+}
+
+async function loadSubmission(db, row) {
+  const comments = await db.prepare(`
+    SELECT id, section, author_id, author_name, body, created_at
+    FROM submission_comments
+    WHERE submission_id = ?
+    ORDER BY id
+  `).bind(row.id).all();
+
+  const submittedSections = parseSections(row.submitted_sections) || [];
+  const approvedSections = parseSections(row.approved_sections);
+
+  return {
+    ...toSummary(row),
+    submittedSections,
+    approvedSections,
+    diff: approvedSections ? diffReviewSections(submittedSections, approvedSections) : null,
+    comments: (comments.results || []).map((comment) => ({
+      id: comment.id,
+      section: comment.section,
+      authorId: comment.author_id,
+      author: comment.author_name,
+      body: comment.body,
+      createdAt: comment.created_at
+    }))
+  };
+}
+
+/**
+ * Authenticate, require an organisation and load the caller's role
+ */
+async function guardReviewRequest(request, env) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return { response: jsonResponse({ error: 'unauthorized', message: auth.error }, 401) };
+  }
+
+  if (!env.DB) {
+    return { response: jsonResponse({ error: 'server_error', message: 'Database not configured' }, 500) };
+  }
+
+  await initializeOrganisationTables(env.DB);
+  await initializeReviewTables(env.DB);
+
+  const membership = await getMembership(env.DB, auth.userId);
+  if (!membership) {
+    return {
+      response: jsonResponse({ error: 'forbidden', message: 'Join an organisation to submit notes for review' }, 403)
+    };
+  }
+
+  return { auth, membership, isReviewer: REVIEWER_ROLES.includes(membership.role) };
+}
+
+/**
+ * Load a submission the caller may see: reviewers see the whole organisation, surveyors their own
+ */
+async function findVisibleSubmission(guard, env, id) {
+  const row = await getSubmissionRow(env.DB, guard.membership.orgId, id);
+  if (!row || (!guard.isReviewer && row.user_id !== guard.auth.userId)) {
+    return { response: jsonResponse({ error: 'not_found', message: 'Submission not found' }, 404) };
+  }
+  return { row };
+}
+
+async function readJson(request) {
+  try {
+    return { payload: await request.json() };
+  } catch {
+    return { response: jsonResponse({ error: 'bad_request', message: 'JSON body required' }, 400) };
+  }
+}
+
+function readSections(payload) {
+  const sections = normaliseReviewSections(payload?.sections);
+  if (!sections.length) {
+    return { response: jsonResponse({ error: 'validation_error', message: 'sections are required' }, 400) };
+  }
+  const json = JSON.stringify(sections);
+  if (json.length > MAX_SECTIONS_BYTES) {
+    return { response: jsonResponse({ error: 'validation_error', message: 'Sections are too large' }, 413) };
+  }
+  return { sections, json };
+}
+
+/**
+ * Handle submit to office
+ * POST /submissions
+ * Body: { name, sessionId?, sections }
+ */
+export async function handleCreateSubmission(request, env) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const sections = readSections(body.payload);
+  if (sections.response) return sections.response;
+
+  const id = crypto.randomUUID();
+  const name = typeof body.payload.name === 'string' ? body.payload.name.trim().slice(0, 200) : '';
+  const sessionId = typeof body.payload.sessionId === 'string' ? body.payload.sessionId : null;
+
+  try {
+    await env.DB.prepare(`
+      INSERT INTO survey_submissions (id, org_id, user_id, session_id, name, status, submitted_sections)
+      VALUES (?, ?, ?, ?, ?, 'submitted', ?)
+    `).bind(id, guard.membership.orgId, guard.auth.userId, sessionId, name, sections.json).run();
+
+    const row = await getSubmissionRow(env.DB, guard.membership.orgId, id);
+    return jsonResponse({ success: true, submission: toSummary(row) }, 201);
+  } catch (err) {
+    console.error('Failed to create submission:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle submission list
+ * GET /submissions?status=
+ * Reviewers see every submission in the organisation, surveyors only their own.
+ */
+export async function handleListSubmissions(request, env) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const status = new URL(request.url).searchParams.get('status');
+  if (status && !SUBMISSION_STATUSES.includes(status)) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: `status must be one of: ${SUBMISSION_STATUSES.join(', ')}`
+    }, 400);
+  }
+
+  const filters = ['s.org_id = ?'];
+  const values = [guard.membership.orgId];
+  if (!guard.isReviewer) {
+    filters.push('s.user_id = ?');
+    values.push(guard.auth.userId);
+  }
+  if (status) {
+    filters.push('s.status = ?');
+    values.push(status);
+  }
+
+  try {
+    const result = await env.DB.prepare(`
+      SELECT s.id, s.name, s.status, s.user_id, s.session_id, s.submitted_at, s.updated_at, u.username AS surveyor
+      FROM survey_submissions s
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE ${filters.join(' AND ')}
+      ORDER BY s.updated_at DESC
+      LIMIT 100
+    `).bind(...values).all();
+
+    return jsonResponse({ success: true, submissions: (result.results || []).map(toSummary) });
+  } catch (err) {
+    console.error('Failed to list submissions:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle submission load (sections, comments and submitted/approved diff)
+ * GET /submissions/:id
+ */
+export async function handleGetSubmission(request, env, id) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const found = await findVisibleSubmission(guard, env, id);
+  if (found.response) return found.response;
+
+  return jsonResponse({ success: true, submission: await loadSubmission(env.DB, found.row) });
+}
+
+/**
+ * Handle resubmission after changes were requested
+ * PUT /submissions/:id
+ * Body: { sections }
+ */
+export async function handleResubmit(request, env, id) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const found = await findVisibleSubmission(guard, env, id);
+  if (found.response) return found.response;
+
+  if (found.row.user_id !== guard.auth.userId) {
+    return jsonResponse({ error: 'forbidden', message: 'Only the surveyor can resubmit their notes' }, 403);
+  }
+  if (!['submitted', 'changes_requested'].includes(found.row.status)) {
+    return jsonResponse({
+      error: 'conflict',
+      message: `Notes that are ${found.row.status.replace('_', ' ')} cannot be resubmitted`
+    }, 409);
+  }
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const sections = readSections(body.payload);
+  if (sections.response) return sections.response;
+
+  await env.DB.prepare(`
+    UPDATE survey_submissions
+    SET submitted_sections = ?, status = 'submitted', approved_sections = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(sections.json, id).run();
+
+  const row = await getSubmissionRow(env.DB, guard.membership.orgId, id);
+  return jsonResponse({ success: true, submission: await loadSubmission(env.DB, row) });
+}
+
+/**
+ * Handle office status change
+ * POST /submissions/:id/status
+ * Body: { status, sections? } sections (approve only) are the office's edited version
+ */
+export async function handleSetSubmissionStatus(request, env, id) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  if (!guard.isReviewer) {
+    return jsonResponse({ error: 'forbidden', message: 'Office or admin role required' }, 403);
+  }
+
+  const found = await findVisibleSubmission(guard, env, id);
+  if (found.response) return found.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const { status } = body.payload || {};
+  const allowed = OFFICE_TRANSITIONS[found.row.status] || [];
+  if (!allowed.includes(status)) {
+    return jsonResponse({
+      error: 'validation_error',
+      message: `Cannot move from ${found.row.status} to ${status}; allowed: ${allowed.join(', ')}`
+    }, 400);
+  }
+
+  let approvedJson = null;
+  if (status === 'approved') {
+    if (body.payload.sections) {
+      const sections = readSections(body.payload);
+      if (sections.response) return sections.response;
+      approvedJson = sections.json;
+    } else {
+      approvedJson = found.row.submitted_sections;
+    }
+  }
+
+  await env.DB.prepare(`
+    UPDATE survey_submissions
+    SET status = ?, approved_sections = ?, reviewer_id = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(status, approvedJson, guard.auth.userId, id).run();
+
+  const row = await getSubmissionRow(env.DB, guard.membership.orgId, id);
+  return jsonResponse({ success: true, submission: await loadSubmission(env.DB, row) });
+}
+
+/**
+ * Handle section comment
+ * POST /submissions/:id/comments
+ * Body: { section, body }
+ */
+export async function handleAddSubmissionComment(request, env, id) {
+  const guard = await guardReviewRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const found = await findVisibleSubmission(guard, env, id);
+  if (found.response) return found.response;
+
+  const body = await readJson(request);
+  if (body.response) return body.response;
+
+  const section = typeof body.payload?.section === 'string' ? body.payload.section.trim() : '';
+  const text = typeof body.payload?.body === 'string' ? body.payload.body.trim() : '';
+  if (!section || !text) {
+    return jsonResponse({ error: 'validation_error', message: 'section and body are required' }, 400);
+  }
+  if (text.length > 2000) {
+    return jsonResponse({ error: 'validation_error', message: 'Comments must be under 2000 characters' }, 400);
+  }
+
+  await env.DB.prepare(`
+    INSERT INTO submission_comments (submission_id, section, author_id, author_name, body)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, section.slice(0, 200), guard.auth.userId, guard.auth.username || null, text).run();
+
+  return jsonResponse({ success: true, submission: await loadSubmission(env.DB, found.row) }, 201);
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
@@ -0,0 +1,391 @@
+/**
+ * Survey session sync handlers for Cloudflare Worker
+ * Stores each user's session JSON in D1 and its audio recording in R2 so a
+ * survey started on one device can be finished on another.
+ * Every save bumps a revision number; a save based on an older revision is
+ * rejected as a conflict unless the client asks to overwrite (last write wins).
+ */
+
+import { requireAuth } from './auth-handlers.js';
+import { normaliseFacts } from './js/factReview.js';
+import { normaliseCompletenessOverrides } from './js/surveyCompleteness.js';
+import { normaliseTemplates } from './js/checklistTemplates.js';
+import checklistConfig from './checklist.config.json' with { type: 'json' };
+
+// Session fields synced between devices
+export const SESSION_FIELDS = [
+  'fullTranscript',
+  'sections',
+  'materials',
+  'checkedItems',
+  'checklistSelections',
+  'missingInfo',
+  'facts',
+  'completenessOverrides',
+  'jobType'
+];
+
+// Job types a session can be saved with; anything else falls back to the default template
+const JOB_TYPE_IDS = new Set(normaliseTemplates(checklistConfig).map((template) => template.id));
+
+const MAX_SESSION_BYTES = 2 * 1024 * 1024;
+const MAX_AUDIO_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Initialize session tables
+ */
+export async function initializeSessionTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS survey_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        name TEXT,
+        data TEXT NOT NULL,
+        revision INTEGER NOT NULL DEFAULT 1,
+        audio_key TEXT,
+        audio_mime TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_survey_sessions_user
+      ON survey_sessions(user_id, updated_at)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize session tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Keep only the synced fields, with safe defaults
+ * @param {Object} raw - Session JSON from the client
+ * @returns {Object}
+ */
+export function normaliseSessionData(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const asArray = (value) => (Array.isArray(value) ? value : []);
+  return {
+    fullTranscript: typeof source.fullTranscript === 'string' ? source.fullTranscript : '',
+    sections: asArray(source.sections),
+    materials: asArray(source.materials),
+    checkedItems: asArray(source.checkedItems),
+    checklistSelections: source.checklistSelections && typeof source.checklistSelections === 'object' &&
+      !Array.isArray(source.checklistSelections)
+      ? source.checklistSelections
+      : {},
+    missingInfo: asArray(source.missingInfo),
+    facts: normaliseFacts(source.facts),
+    completenessOverrides: normaliseCompletenessOverrides(source.completenessOverrides),
+    jobType: typeof source.jobType === 'string' && JOB_TYPE_IDS.has(source.jobType.trim())
+      ? source.jobType.trim()
+      : null
+  };
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    name: row.name || '',
+    revision: row.revision,
+    hasAudio: Boolean(row.audio_key),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toSession(row) {
+  let session = {};
+  try {
+    session = JSON.parse(row.data);
+  } catch {
+    session = {};
+  }
+  return { ...toSummary(row), audioMime: row.audio_mime || null, session: normaliseSessionData(session) };
+}
+
+async function getSessionRow(db, userId, id) {
+  return db.prepare(`
+    SELECT id, name, data, revision, audio_key, audio_mime, created_at, updated_at
+    FROM survey_sessions
+    WHERE id = ? AND user_id = ?
+  `).bind(id, userId).first();
+}
+
+async function guardSessionRequest(request, env) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return { response: jsonResponse({ error: 'unauthorized', message: auth.error }, 401) };
+  }
+
+  if (!env.DB) {
+    return {
+      response: jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503)
+    };
+  }
+
+  await initializeSessionTables(env.DB);
+  return { auth };
+}
+
+async function readSessionPayload(request) {
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return { response: jsonResponse({ error: 'bad_request', message: 'JSON body required' }, 400) };
+  }
+
+  if (!payload?.session || typeof payload.session !== 'object') {
+    return { response: jsonResponse({ error: 'validation_error', message: 'session object is required' }, 400) };
+  }
+
+  const data = JSON.stringify(normaliseSessionData(payload.session));
+  if (data.length > MAX_SESSION_BYTES) {
+    return { response: jsonResponse({ error: 'validation_error', message: 'Session is too large to sync' }, 413) };
+  }
+
+  return {
+    name: typeof payload.name === 'string' ? payload.name.trim().slice(0, 200) : null,
+    data,
+    baseRevision: payload.baseRevision,
+    force: payload.force === true
+  };
+}
+
+/**
+ * Handle session list
+ * GET /sessions
+ */
+export async function handleListSessions(request, env) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  try {
+    const result = await env.DB.prepare(`
+      SELECT id, name, revision, audio_key, created_at, updated_at
+      FROM survey_sessions
+      WHERE user_id = ?
+      ORDER BY updated_at DESC
+      LIMIT 100
+    `).bind(guard.auth.userId).all();
+
+    return jsonResponse({ success: true, sessions: (result.results || []).map(toSummary) });
+  } catch (err) {
+    console.error('Failed to list sessions:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle session create
+ * POST /sessions
+ * Body: { name, session }
+ */
+export async function handleCreateSession(request, env) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const body = await readSessionPayload(request);
+  if (body.response) return body.response;
+
+  const id = crypto.randomUUID();
+  try {
+    await env.DB.prepare(`
+      INSERT INTO survey_sessions (id, user_id, name, data, revision)
+      VALUES (?, ?, ?, ?, 1)
+    `).bind(id, guard.auth.userId, body.name || '', body.data).run();
+
+    const row = await getSessionRow(env.DB, guard.auth.userId, id);
+    return jsonResponse({ success: true, session: toSummary(row) }, 201);
+  } catch (err) {
+    console.error('Failed to create session:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle session load
+ * GET /sessions/:id
+ */
+export async function handleGetSession(request, env, id) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const row = await getSessionRow(env.DB, guard.auth.userId, id);
+  if (!row) {
+    return jsonResponse({ error: 'not_found', message: 'Session not found' }, 404);
+  }
+
+  return jsonResponse({ success: true, ...toSession(row) });
+}
+
+/**
+ * Handle session save
+ * PUT /sessions/:id
+ * Body: { name?, session, baseRevision, force? }
+ * Returns 409 with the stored copy when baseRevision is behind, unless force is set.
+ */
+export async function handleUpdateSession(request, env, id) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const body = await readSessionPayload(request);
+  if (body.response) return body.response;
+
+  const row = await getSessionRow(env.DB, guard.auth.userId, id);
+  if (!row) {
+    return jsonResponse({ error: 'not_found', message: 'Session not found' }, 404);
+  }
+
+  if (!body.force && Number(body.baseRevision) !== row.revision) {
+    return jsonResponse({
+      error: 'conflict',
+      message: `Session was saved from another device (revision ${row.revision}, yours is based on ${body.baseRevision ?? 'none'})`,
+      current: toSession(row)
+    }, 409);
+  }
+
+  try {
+    // The revision check is repeated in the UPDATE so two saves racing on the same base cannot both win
+    const result = await env.DB.prepare(`
+      UPDATE survey_sessions
+      SET data = ?, name = COALESCE(?, name), revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revision = ?
+    `).bind(body.data, body.name, id, guard.auth.userId, row.revision).run();
+
+    const updated = await getSessionRow(env.DB, guard.auth.userId, id);
+    if (!result.meta?.changes) {
+      return jsonResponse({
+        error: 'conflict',
+        message: 'Session changed while saving',
+        current: toSession(updated)
+      }, 409);
+    }
+
+    return jsonResponse({ success: true, session: toSummary(updated) });
+  } catch (err) {
+    console.error('Failed to update session:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle session delete
+ * DELETE /sessions/:id
+ */
+export async function handleDeleteSession(request, env, id) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const row = await getSessionRow(env.DB, guard.auth.userId, id);
+  if (!row) {
+    return jsonResponse({ error: 'not_found', message: 'Session not found' }, 404);
+  }
+
+  try {
+    if (row.audio_key && env.SESSION_BUCKET) {
+      await env.SESSION_BUCKET.delete(row.audio_key);
+    }
+    await env.DB.prepare(`
+      DELETE FROM survey_sessions WHERE id = ? AND user_id = ?
+    `).bind(id, guard.auth.userId).run();
+
+    return jsonResponse({ success: true });
+  } catch (err) {
+    console.error('Failed to delete session:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle session audio upload
+ * PUT /sessions/:id/audio (raw audio body)
+ */
+export async function handleUploadSessionAudio(request, env, id) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  if (!env.SESSION_BUCKET) {
+    return jsonResponse({ error: 'db_unavailable', message: 'SESSION_BUCKET binding not configured' }, 503);
+  }
+
+  const row = await getSessionRow(env.DB, guard.auth.userId, id);
+  if (!row) {
+    return jsonResponse({ error: 'not_found', message: 'Session not found' }, 404);
+  }
+
+  const audio = await request.arrayBuffer();
+  if (!audio.byteLength) {
+    return jsonResponse({ error: 'validation_error', message: 'Audio body is empty' }, 400);
+  }
+  if (audio.byteLength > MAX_AUDIO_BYTES) {
+    return jsonResponse({ error: 'validation_error', message: 'Audio must be under 50 MB' }, 413);
+  }
+
+  const mime = request.headers.get('Content-Type') || 'audio/webm';
+  const key = `sessions/${guard.auth.userId}/${id}/audio`;
+
+  try {
+    await env.SESSION_BUCKET.put(key, audio, { httpMetadata: { contentType: mime } });
+    await env.DB.prepare(`
+      UPDATE survey_sessions
+      SET audio_key = ?, audio_mime = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `).bind(key, mime, id, guard.auth.userId).run();
+
+    return jsonResponse({ success: true, bytes: audio.byteLength });
+  } catch (err) {
+    console.error('Failed to store session audio:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Handle session audio download
+ * GET /sessions/:id/audio
+ */
+export async function handleGetSessionAudio(request, env, id) {
+  const guard = await guardSessionRequest(request, env);
+  if (guard.response) return guard.response;
+
+  const row = await getSessionRow(env.DB, guard.auth.userId, id);
+  const object = row?.audio_key && env.SESSION_BUCKET ? await env.SESSION_BUCKET.get(row.audio_key) : null;
+  if (!object) {
+    return jsonResponse({ error: 'not_found', message: 'No audio stored for this session' }, 404);
+  }
+
+  return new Response(object.body, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': row.audio_mime || 'audio/webm'
+    }
+  });
+}
+
+function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  };
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders()
+    }
+  });
+}
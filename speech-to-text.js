@@ -0,0 +1,158 @@
+/**
+ * Speech-to-text providers for Cloudflare Worker
+ * Each provider turns an audio Blob into { text, words, duration, language } with
+ * word-level timestamps in seconds. STT_PROVIDER picks the provider (default openai).
+ * Providers that diarise (Deepgram) also number each word's speaker.
+ */
+
+export const STT_MAX_BYTES = 25 * 1024 * 1024;
+
+export const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a'
+};
+
+/**
+ * Strip codec parameters, e.g. "audio/webm;codecs=opus" -> "audio/webm"
+ */
+export function normaliseAudioType(type) {
+  const base = String(type || '').split(';')[0].trim().toLowerCase();
+  return AUDIO_TYPES[base] ? base : null;
+}
+
+function normaliseWords(words, { textKey = 'word' } = {}) {
+  if (!Array.isArray(words)) return [];
+  return words
+    .map((word) => ({
+      word: String(word?.[textKey] ?? word?.word ?? '').trim(),
+      start: Number(word?.start),
+      end: Number(word?.end),
+      ...(Number.isInteger(word?.speaker) ? { speaker: word.speaker } : {})
+    }))
+    .filter((word) => word.word && Number.isFinite(word.start) && Number.isFinite(word.end));
+}
+
+async function readJsonResponse(res, operation, label) {
+  const rawText = await res.text();
+  if (!res.ok) {
+    throw new Error(`${operation} ${res.status}: ${rawText}`);
+  }
+  try {
+    return JSON.parse(rawText);
+  } catch (err) {
+    throw new Error(`${label} returned non-JSON response: ${String(err)} :: ${rawText}`);
+  }
+}
+
+/**
+ * OpenAI-style /audio/transcriptions (OpenAI Whisper, faster-whisper-server, whisper.cpp server)
+ */
+async function openAiCompatibleTranscribe(url, apiKey, model, audio, options, label) {
+  const form = new FormData();
+  form.append('file', audio, `recording.${AUDIO_TYPES[options.mimeType]}`);
+  form.append('model', model);
+  form.append('response_format', 'verbose_json');
+  form.append('timestamp_granularities[]', 'word');
+  if (options.language) form.append('language', options.language);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+    body: form
+  });
+  const parsed = await readJsonResponse(res, `${label} audio.transcriptions`, label);
+
+  return {
+    text: String(parsed.text || '').trim(),
+    words: normaliseWords(parsed.words),
+    duration: Number(parsed.duration) || null,
+    language: parsed.language || options.language || null
+  };
+}
+
+export const STT_PROVIDERS = {
+  openai: {
+    defaultModel: 'whisper-1',
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY),
+    transcribe: (env, audio, options) => openAiCompatibleTranscribe(
+      'https://api.openai.com/v1/audio/transcriptions',
+      env.OPENAI_API_KEY,
+      options.model,
+      audio,
+      options,
+      'OpenAI'
+    )
+  },
+
+  deepgram: {
+    defaultModel: 'nova-2',
+    isConfigured: (env) => Boolean(env.DEEPGRAM_API_KEY),
+    async transcribe(env, audio, options) {
+      const params = new URLSearchParams({ model: options.model, smart_format: 'true', diarize: 'true' });
+      if (options.language) params.set('language', options.language);
+
+      const res = await fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Token ${env.DEEPGRAM_API_KEY}`,
+          'Content-Type': options.mimeType
+        },
+        body: audio
+      });
+      const parsed = await readJsonResponse(res, 'deepgram.listen', 'Deepgram');
+      const alternative = parsed?.results?.channels?.[0]?.alternatives?.[0] || {};
+
+      return {
+        text: String(alternative.transcript || '').trim(),
+        words: normaliseWords(alternative.words, { textKey: 'punctuated_word' }),
+        duration: Number(parsed?.metadata?.duration) || null,
+        language: parsed?.results?.channels?.[0]?.detected_language || options.language || null
+      };
+    }
+  },
+
+  // Self-hosted Whisper behind an OpenAI-compatible API, e.g. LOCAL_STT_BASE_URL=http://host:8000/v1
+  local: {
+    defaultModel: 'whisper-1',
+    isConfigured: (env) => Boolean(env.LOCAL_STT_BASE_URL),
+    transcribe: (env, audio, options) => openAiCompatibleTranscribe(
+      `${String(env.LOCAL_STT_BASE_URL).replace(/\/$/, '')}/audio/transcriptions`,
+      env.LOCAL_STT_API_KEY,
+      options.model,
+      audio,
+      options,
+      'Local'
+    )
+  }
+};
+
+/**
+ * Transcribe audio with the provider named in STT_PROVIDER (model from STT_MODEL)
+ * @param {Blob} audio - Recording with a supported audio MIME type
+ * @param {Object} options - { mimeType, language }
+ * @returns {Promise<Object>} - { text, words, duration, language, provider, model }
+ */
+export async function transcribeAudio(env, audio, { mimeType, language } = {}) {
+  const name = String(env.STT_PROVIDER || 'openai').trim().toLowerCase();
+  const provider = STT_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown STT_PROVIDER "${name}"; use one of ${Object.keys(STT_PROVIDERS).join(', ')}`);
+  }
+  if (!provider.isConfigured(env)) {
+    throw new Error(`Speech-to-text provider "${name}" is not configured`);
+  }
+
+  const model = env.STT_MODEL || provider.defaultModel;
+  const result = await provider.transcribe(env, audio, {
+    model,
+    mimeType,
+    language: language || env.STT_LANGUAGE || 'en'
+  });
+  return { ...result, provider: name, model };
+}
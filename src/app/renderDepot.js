@@ -1,4 +1,6 @@
 import { buildDepotOutputFromChecklist } from "../notes/notesEngine.js";
+import { splitSectionBullets } from "../../js/transcriptAlignment.js";
+import { PROVENANCE_LABELS, findBulletProvenance, describeProvenance } from "../../js/noteProvenance.js";
 
 let sectionsContainer = null;
 let materialsContainer = null;
@@ -94,6 +96,27 @@ function formatPlainTextForSection(section, plain) {
   return bulletify(splitGeneralClauses(plain));
 }
 
+// One list item per bullet with a small source badge; hovering it shows the evidence
+function renderProvenanceList(plainText, provenance) {
+  const ul = document.createElement("ul");
+  ul.className = "provenance-bullets";
+  splitSectionBullets(plainText).forEach((bullet) => {
+    const li = document.createElement("li");
+    li.textContent = bullet;
+    const entry = findBulletProvenance(provenance, bullet);
+    if (entry) {
+      const badge = document.createElement("span");
+      badge.className = `provenance-badge provenance-${entry.source}`;
+      badge.textContent = PROVENANCE_LABELS[entry.source] || entry.source;
+      badge.title = describeProvenance(entry);
+      li.appendChild(badge);
+      if (entry.source === "inference") li.classList.add("needs-review");
+    }
+    ul.appendChild(li);
+  });
+  return ul;
+}
+
 export function renderDepotSections(sections = []) {
   if (!sectionsContainer) return;
   sectionsContainer.innerHTML = "";
@@ -111,7 +134,9 @@ export function renderDepotSections(sections = []) {
     heading.textContent = sec.section || "";
     div.appendChild(heading);
 
-    if (sec.plainText) {
+    if (sec.plainText && Array.isArray(sec.provenance) && sec.provenance.length) {
+      div.appendChild(renderProvenanceList(sec.plainText, sec.provenance));
+    } else if (sec.plainText) {
       const pre = document.createElement("pre");
       pre.textContent = formatPlainTextForSection(sec.section, sec.plainText);
       div.appendChild(pre);
@@ -5,6 +5,7 @@
 
 const AUTH_TOKEN_KEY = 'depot.authToken';
 const USER_INFO_KEY = 'depot.userInfo';
+const ORG_SETTINGS_KEY = 'depot.orgSettings';
 
 /**
  * Get the worker URL from configuration
@@ -45,6 +46,7 @@ export function clearAuthToken() {
   try {
     localStorage.removeItem(AUTH_TOKEN_KEY);
     localStorage.removeItem(USER_INFO_KEY);
+    localStorage.removeItem(ORG_SETTINGS_KEY);
     return true;
   } catch (err) {
     console.error('Failed to clear auth token:', err);
@@ -324,12 +326,16 @@ export async function syncAllSettingsToCloud() {
     'exportFormat'
   ];
 
+  const orgSettings = getCachedOrgSettings();
   const settings = {};
   for (const key of settingsKeys) {
     try {
       const value = localStorage.getItem(key);
       if (value) {
-        settings[key] = JSON.parse(value);
+        // Values identical to the organisation default are not personal overrides
+        settings[key] = key in orgSettings && JSON.stringify(orgSettings[key]) === value
+          ? null
+          : JSON.parse(value);
       }
     } catch (err) {
       console.warn(`Failed to read setting ${key}:`, err);
@@ -339,6 +345,33 @@ export async function syncAllSettingsToCloud() {
   return await saveSettingsToCloud(settings);
 }
 
+/**
+ * Layer personal settings over organisation defaults.
+ * Object settings (e.g. AI instructions) merge key by key; anything else is replaced.
+ */
+export function mergeSettingsLayers(orgSettings = {}, personalSettings = {}) {
+  const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  const merged = { ...orgSettings };
+  for (const [key, value] of Object.entries(personalSettings)) {
+    merged[key] = isPlainObject(value) && isPlainObject(orgSettings[key])
+      ? { ...orgSettings[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Organisation defaults from the last cloud sync
+ */
+function getCachedOrgSettings() {
+  try {
+    const cached = localStorage.getItem(ORG_SETTINGS_KEY);
+    return cached ? JSON.parse(cached) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
 /**
  * Sync all cloud settings to local
  */
@@ -349,8 +382,19 @@ export async function syncAllSettingsFromCloud() {
     return result;
   }
 
+  // Organisation defaults sit beneath personal overrides; sync still works without them
+  const org = await loadOrgSettingsFromCloud();
+  const orgSettings = org.success ? org.settings : {};
+  try {
+    localStorage.setItem(ORG_SETTINGS_KEY, JSON.stringify(orgSettings));
+  } catch (err) {
+    console.warn('Failed to cache organisation settings:', err);
+  }
+
+  const settings = mergeSettingsLayers(orgSettings, result.settings);
+
   let appliedCount = 0;
-  for (const [key, value] of Object.entries(result.settings)) {
+  for (const [key, value] of Object.entries(settings)) {
     try {
       localStorage.setItem(key, JSON.stringify(value));
       appliedCount++;
@@ -362,10 +406,152 @@ export async function syncAllSettingsFromCloud() {
   return {
     success: true,
     appliedCount,
-    totalCount: Object.keys(result.settings).length
+    totalCount: Object.keys(settings).length,
+    organisation: org.success ? org.organisation : null
   };
 }
 
+/**
+ * Authenticated JSON request to the worker (organisation and usage routes)
+ */
+async function authedRequest(method, path, body) {
+  const token = getAuthToken();
+  if (!token) {
+    return {
+      success: false,
+      error: 'Not authenticated'
+    };
+  }
+
+  try {
+    const response = await fetch(`${getWorkerUrl()}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        clearAuthToken();
+      }
+      return {
+        success: false,
+        status: response.status,
+        error: data.message || data.error || 'Request failed'
+      };
+    }
+
+    return { ...data, success: true };
+  } catch (err) {
+    console.error('Authenticated request error:', err);
+    return {
+      success: false,
+      error: 'Network error: Could not connect to server'
+    };
+  }
+}
+
+/**
+ * Load organisation defaults (empty for users without an organisation)
+ */
+export async function loadOrgSettingsFromCloud() {
+  return authedRequest('GET', '/orgs/settings');
+}
+
+/**
+ * Get the current user's organisation (with members for admins)
+ */
+export async function getOrganisation() {
+  return authedRequest('GET', '/orgs/current');
+}
+
+/**
+ * Create an organisation with the current user as admin
+ */
+export async function createOrganisation(name) {
+  return authedRequest('POST', '/orgs', { name });
+}
+
+/**
+ * Invite an existing user to the organisation (admin only)
+ * They join once they accept the invite.
+ */
+export async function addOrganisationMember(emailOrUsername, role = 'surveyor') {
+  const identifier = String(emailOrUsername || '').trim();
+  return authedRequest('POST', '/orgs/members', identifier.includes('@')
+    ? { email: identifier, role }
+    : { username: identifier, role });
+}
+
+/**
+ * Accept an invite to join an organisation
+ */
+export async function acceptOrganisationInvite(orgId) {
+  return authedRequest('POST', `/orgs/invites/${encodeURIComponent(orgId)}/accept`);
+}
+
+/**
+ * Decline an invite to join an organisation
+ */
+export async function declineOrganisationInvite(orgId) {
+  return authedRequest('DELETE', `/orgs/invites/${encodeURIComponent(orgId)}`);
+}
+
+/**
+ * Change a member's role (admin only)
+ */
+export async function updateOrganisationMember(userId, role) {
+  return authedRequest('PUT', `/orgs/members/${encodeURIComponent(userId)}`, { role });
+}
+
+/**
+ * Remove a member from the organisation, or withdraw their invite (admin only)
+ */
+export async function removeOrganisationMember(userId) {
+  return authedRequest('DELETE', `/orgs/members/${encodeURIComponent(userId)}`);
+}
+
+/**
+ * Publish local settings as organisation defaults (admin only)
+ * @param {Array<string>} keys - Setting keys to publish
+ * @param {Object} options - { push } push: also clear members' personal overrides of these keys
+ */
+export async function publishOrgSettings(keys, { push = false } = {}) {
+  const settings = {};
+  for (const key of keys) {
+    try {
+      const value = localStorage.getItem(key);
+      if (value) {
+        settings[key] = JSON.parse(value);
+      }
+    } catch (err) {
+      console.warn(`Failed to read setting ${key}:`, err);
+    }
+  }
+
+  if (!Object.keys(settings).length) {
+    return { success: false, error: 'Nothing to publish - these settings are empty on this device' };
+  }
+
+  return authedRequest('POST', '/orgs/settings', {
+    settings,
+    push: push ? Object.keys(settings) : []
+  });
+}
+
+/**
+ * Get the current user's AI usage by day, route and provider
+ * @param {number} days - How many days back to report (1-90)
+ */
+export async function getUsage(days = 7) {
+  return authedRequest('GET', `/usage?days=${encodeURIComponent(days)}`);
+}
+
 /**
  * Request password reset
  */
@@ -433,6 +619,15 @@ if (typeof window !== 'undefined') {
     loadSettingsFromCloud,
     syncAllSettingsToCloud,
     syncAllSettingsFromCloud,
+    getOrganisation,
+    createOrganisation,
+    addOrganisationMember,
+    acceptOrganisationInvite,
+    declineOrganisationInvite,
+    updateOrganisationMember,
+    removeOrganisationMember,
+    publishOrgSettings,
+    getUsage,
     requestPasswordReset,
     resetPassword
   };
@@ -0,0 +1,103 @@
+/**
+ * Server-sent event helpers for Cloudflare Worker
+ * Reads SSE streams from model providers, writes SSE to clients, and pulls finished
+ * objects out of a JSON reply that is still being generated.
+ */
+
+/**
+ * Read an SSE body and call onEvent({ event, data }) for each event
+ * @param {ReadableStream} body - Response body
+ */
+export async function readServerSentEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length) onEvent({ event, data: data.join('\n') });
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+    if (done) break;
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * Create an SSE stream to return to the client
+ * @returns {{ readable: ReadableStream, send: Function, close: Function }}
+ */
+export function createEventStream() {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const ignoreClosed = (err) => console.warn('SSE client went away:', String(err));
+
+  return {
+    readable,
+    send(event, data) {
+      writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)).catch(ignoreClosed);
+    },
+    close() {
+      return writer.close().catch(ignoreClosed);
+    }
+  };
+}
+
+/**
+ * Return the complete objects in the array at `key` of a partial JSON document,
+ * e.g. finished sections while the model is still writing the rest.
+ * @param {string} text - JSON generated so far
+ * @param {string} key - Property holding the array
+ * @returns {Array<Object>}
+ */
+export function extractCompleteArrayItems(text, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*\\[`).exec(String(text || ''));
+  if (!match) return [];
+
+  const items = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (depth === 0 && char === '{') start = i;
+      depth++;
+    } else if (char === '}' || char === ']') {
+      if (depth === 0) break; // end of the array
+      depth--;
+      if (depth === 0 && start >= 0) {
+        try {
+          items.push(JSON.parse(text.slice(start, i + 1)));
+        } catch {
+          // Not valid JSON on its own; the full reply is still parsed at the end
+        }
+        start = -1;
+      }
+    }
+  }
+
+  return items;
+}
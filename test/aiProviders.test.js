@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chatWithFallback, getProviderPlan } from '../ai-providers.js';
+import { createUsageMeter } from '../usage-meter.js';
+
+const originalFetch = globalThis.fetch;
+
+test('getProviderPlan reads the default order, model env vars and per-route overrides', () => {
+  assert.deepEqual(getProviderPlan({}, '/text').map((p) => p.name), ['gemini', 'openai', 'anthropic', 'local']);
+
+  const env = {
+    AI_PROVIDER_ORDER: 'openai, gemini',
+    OPENAI_MODEL: 'gpt-4.1-mini',
+    AI_ROUTE_PROVIDERS: JSON.stringify({
+      '/agent-chat': { order: ['anthropic', 'bogus', 'openai'], models: { anthropic: 'claude-haiku-4-5' } }
+    })
+  };
+  assert.deepEqual(getProviderPlan(env, '/text'), [
+    { name: 'openai', model: 'gpt-4.1-mini' },
+    { name: 'gemini', model: 'gemini-1.5-pro' }
+  ]);
+  assert.deepEqual(getProviderPlan(env, '/agent-chat'), [
+    { name: 'anthropic', model: 'claude-haiku-4-5' },
+    { name: 'openai', model: 'gpt-4.1-mini' }
+  ]);
+});
+
+test('chatWithFallback skips unconfigured providers and falls back to a local OpenAI-compatible server', async (t) => {
+  const calls = [];
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, body: JSON.parse(options.body), headers: options.headers });
+    if (url.startsWith('https://api.anthropic.com')) {
+      return new Response('overloaded', { status: 529 });
+    }
+    return new Response(JSON.stringify({
+      choices: [{ message: { content: ' Local answer ' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 4 }
+    }), { status: 200 });
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const meter = createUsageMeter();
+  const result = await chatWithFallback({
+    ANTHROPIC_API_KEY: 'anthropic-key',
+    LOCAL_AI_BASE_URL: 'http://localhost:11434/v1/',
+    LOCAL_AI_MODEL: 'qwen2.5',
+    AI_PROVIDER_ORDER: 'openai,anthropic,local'
+  }, '/tweak-section', [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Tidy this.' }
+  ], { temperature: 0.3, meter });
+
+  assert.deepEqual(calls.map((c) => c.url), [
+    'https://api.anthropic.com/v1/messages',
+    'http://localhost:11434/v1/chat/completions'
+  ]);
+  assert.equal(calls[0].body.system, 'Be brief.');
+  assert.deepEqual(calls[0].body.messages, [{ role: 'user', content: 'Tidy this.' }]);
+  assert.equal(calls[1].body.model, 'qwen2.5');
+  assert.equal('Authorization' in calls[1].headers, false);
+
+  assert.equal(result.text, 'Local answer');
+  assert.equal(result.provider, 'local');
+  assert.deepEqual(meter.calls, [{ provider: 'local', model: 'qwen2.5', inputTokens: 12, outputTokens: 4 }]);
+
+  await assert.rejects(
+    chatWithFallback({}, '/text', [{ role: 'user', content: 'hi' }]),
+    /must be configured/
+  );
+});
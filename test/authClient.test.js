@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeSettingsLayers } from '../src/auth/auth-client.js';
+
+test('mergeSettingsLayers puts personal settings over organisation defaults', () => {
+  const merged = mergeSettingsLayers(
+    {
+      'depot.sectionSchema': [{ name: 'Needs' }, { name: 'Flue' }],
+      'depot.aiInstructions': { depotNotes: 'Team notes', customerSummary: 'Team summary' },
+      'depot.checklistConfig': ['team']
+    },
+    {
+      'depot.sectionSchema': [{ name: 'Needs' }],
+      'depot.aiInstructions': { depotNotes: 'My notes' },
+      exportFormat: 'csv'
+    }
+  );
+
+  assert.deepEqual(merged['depot.sectionSchema'], [{ name: 'Needs' }]);
+  assert.deepEqual(merged['depot.aiInstructions'], { depotNotes: 'My notes', customerSummary: 'Team summary' });
+  assert.deepEqual(merged['depot.checklistConfig'], ['team']);
+  assert.equal(merged.exportFormat, 'csv');
+});
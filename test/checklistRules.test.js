@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import checklistConfig from "../checklist.config.json" with { type: "json" };
+import { evaluateRules, isBlockingQuestion, normaliseRules } from "../js/checklistRules.js";
+import { buildDeterministicScope, detectConfirmationQuestions, normaliseChecklistItems } from "../js/jobState.js";
+
+const checklistItems = normaliseChecklistItems(checklistConfig);
+const rules = checklistConfig.rules;
+
+test("drops rules that can't be evaluated and fills in ids and targets", () => {
+  assert.deepEqual(normaliseRules([
+    { type: "requires", when: { tag: "a" } },
+    { type: "sometimes", when: { tag: "a" }, question: "?" },
+    { type: "ask_if", when: { all: [{ item: "flue_scope", detailMissing: true }, { not: { tag: "b" } }] }, question: "Where does the flue go?", target: "nobody" },
+    { type: "implies_material", when: { item: "flue_scope", outcome: ["new_position"] }, material: { item: "Flue bend", qty: "2" } }
+  ]), [
+    {
+      id: "rule_3",
+      type: "ask_if",
+      when: { all: [{ item: "flue_scope", detailMissing: true }, { not: { tag: "b" } }] },
+      target: "expert",
+      question: "Where does the flue go?"
+    },
+    {
+      id: "rule_4",
+      type: "implies_material",
+      when: { item: "flue_scope", outcome: "new_position" },
+      material: { category: "Misc", item: "Flue bend", qty: 2, notes: "" }
+    }
+  ]);
+});
+
+test("rule materials keep their pricebook component and quantity formula", () => {
+  const [rule] = normaliseRules([{
+    type: "implies_material",
+    when: { item: "flue_scope", outcome: "new_position" },
+    material: {
+      category: "Flue",
+      item: "Flue extension 1000 mm",
+      componentId: "P914",
+      qty: { item: "flue_scope", detail: "m", minus: 0.57, round: "up", default: 0 }
+    }
+  }]);
+  assert.deepEqual(rule.material, {
+    category: "Flue",
+    item: "Flue extension 1000 mm",
+    qty: { item: "flue_scope", detail: "m", minus: 0.57, round: "up", default: 0 },
+    notes: "",
+    componentId: "P914"
+  });
+
+  const scope = buildDeterministicScope(checklistItems, {
+    flue_scope: { outcome: "new_position", detail: "2.2 m" }
+  }, { rules: [{ ...rule, material: { ...rule.material, item: "Rule extension" } }] });
+  const added = scope.materials.find((material) => material.ruleId === rule.id);
+  assert.deepEqual([added.item, added.componentId, added.qty], ["Rule extension", "P914", 2]);
+});
+
+test("unvented scope needs a G3 discharge route and a new route brings its materials", () => {
+  const unvented = buildDeterministicScope(checklistItems, { final_system_type: "unvented" }, { rules });
+  assert.deepEqual(detectConfirmationQuestions(unvented, { rules }).map((entry) => entry.ruleId), ["unvented_needs_g3"]);
+
+  const withRoute = buildDeterministicScope(checklistItems, {
+    final_system_type: "unvented",
+    g3_discharge_scope: { outcome: "new_route", detail: "Tundish in airing cupboard to external gully" }
+  }, { rules });
+  assert.deepEqual(detectConfirmationQuestions(withRoute, { rules }), []);
+  assert.deepEqual(withRoute.materials, [
+    { category: "Cylinder", item: "Tundish and 22 mm discharge pipe", qty: 1, notes: "G3 discharge", ruleId: "new_g3_route_materials" }
+  ]);
+});
+
+test("asks about detail values without blocking the notes", () => {
+  const scope = buildDeterministicScope(checklistItems, { boiler_replacement_scope: "new_position" });
+  const [question] = detectConfirmationQuestions(scope, { rules });
+  assert.equal(question.question, "Where is the new boiler position?");
+  assert.equal(isBlockingQuestion(question), false);
+
+  const located = buildDeterministicScope(checklistItems, {
+    boiler_replacement_scope: { outcome: "new_position", detail: "Loft" }
+  });
+  assert.deepEqual(evaluateRules(rules, located).questions, []);
+  assert.deepEqual(evaluateRules([
+    { type: "excludes", when: { item: "boiler_replacement_scope", detailIncludes: ["loft", "attic"] }, then: { tag: "access:no-loft-ladder" } }
+  ], { ...located, tags: ["access:no-loft-ladder"] }).questions, [{
+    target: "expert",
+    question: "boiler_replacement_scope detail mentions loft or attic conflicts with \"access:no-loft-ladder\". Which applies?",
+    ruleId: "rule_1",
+    ruleType: "excludes"
+  }]);
+});
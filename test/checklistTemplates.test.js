@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normaliseTemplates,
+  resolveTemplate,
+  applyChecklistTemplate,
+  templateInstructions
+} from '../js/checklistTemplates.js';
+
+const config = {
+  sectionsOrder: ['Needs', 'New boiler and controls', 'Flue'],
+  items: [
+    { id: 'boiler', label: 'Boiler', section: 'New boiler and controls' },
+    {
+      id: 'controls',
+      label: 'Controls',
+      section: 'New boiler and controls',
+      outcomes: [{ id: 'smart', label: 'Smart', section: 'New boiler and controls' }]
+    },
+    { id: 'flue', label: 'Flue', section: 'Flue' }
+  ],
+  defaultTemplate: 'swap',
+  templates: [
+    { id: 'controls_only', label: 'Controls only', items: ['controls'],
+      sections: [{ name: 'Needs', required: true }, 'Controls'],
+      sectionAliases: { 'New boiler and controls': 'Controls' },
+      aiInstructions: 'The boiler stays.' },
+    { id: 'swap', label: 'Boiler swap', items: ['flue', 'boiler', 'missing'] },
+    { id: '', label: 'No id', items: ['boiler'] },
+    { id: 'empty', label: 'No items', items: [] }
+  ]
+};
+
+test('normaliseTemplates drops templates without an id or items and tidies sections', () => {
+  const templates = normaliseTemplates(config);
+
+  assert.deepEqual(templates.map((template) => template.id), ['controls_only', 'swap']);
+  assert.deepEqual(templates[0].sections, [
+    { name: 'Needs', description: '', required: true },
+    { name: 'Controls' }
+  ]);
+  assert.equal(templates[1].sections, null);
+});
+
+test('resolveTemplate falls back to the default template, then the first', () => {
+  assert.equal(resolveTemplate(config, 'controls_only').id, 'controls_only');
+  assert.equal(resolveTemplate(config, 'unknown').id, 'swap');
+  assert.equal(resolveTemplate({ ...config, defaultTemplate: '' }, null).id, 'controls_only');
+  assert.equal(resolveTemplate({ items: config.items }, 'swap'), null);
+});
+
+test('applyChecklistTemplate keeps the template items in config order under its sections', () => {
+  const swap = applyChecklistTemplate(config, 'swap');
+  assert.deepEqual(swap.items.map((item) => item.id), ['boiler', 'flue']);
+  assert.deepEqual(swap.sectionsOrder, config.sectionsOrder);
+
+  const controls = applyChecklistTemplate(config, 'controls_only');
+  assert.deepEqual(controls.sectionsOrder, ['Needs', 'Controls']);
+  assert.equal(controls.items[0].section, 'Controls');
+  assert.equal(controls.items[0].outcomes[0].section, 'Controls');
+  assert.equal(config.items[1].section, 'New boiler and controls');
+  assert.equal(templateInstructions(controls.template), 'JOB TYPE: Controls only\nThe boiler stays.');
+  assert.equal(templateInstructions(swap.template), '');
+
+  const untemplated = applyChecklistTemplate(config.items, 'swap');
+  assert.equal(untemplated.template, null);
+  assert.equal(untemplated.items.length, 3);
+});
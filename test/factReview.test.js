@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildReviewQueue,
+  confirmFact,
+  mergeFacts,
+  normaliseFacts,
+  weighFactEvidence
+} from "../js/factReview.js";
+
+test("lowers confidence for facts the transcript doesn't back up", () => {
+  const transcript = "Gas run is 22mm from the meter. The flue goes out the side wall, I think.";
+  const corrections = [{ original: "flu", corrected: "flue", description: "flu/flew to flue" }];
+  const [pipes, flue, occupants] = normaliseFacts([
+    { id: "pipe_sizes", value: "22mm gas", confidence: 0.95, quote: "Gas run is 22mm from the meter" },
+    { id: "flue_route", value: "Side wall", confidence: 0.9, quote: "flue goes out the side wall" },
+    { id: "occupants", value: "4", confidence: 0.9, quote: "four of us" },
+    { id: "colour", value: "Blue", confidence: 1 }
+  ]).map((fact) => weighFactEvidence(fact, { transcript, corrections }));
+
+  assert.equal(pipes.confidence, 0.95);
+  assert.equal(flue.confidence, 0.5);
+  assert.equal(flue.correction, 'Heard "flu", corrected to "flue"');
+  assert.equal(occupants.confidence, 0.4);
+  assert.equal("quote" in occupants, false);
+
+  assert.deepEqual(buildReviewQueue([pipes, flue, occupants]).map((fact) => fact.id), ["flue_route", "occupants"]);
+});
+
+test("confirmed facts are pinned against later extractions", () => {
+  let facts = mergeFacts([], [{ id: "pressure", value: "1.5 bar", confidence: 0.3 }]);
+  facts = confirmFact(facts, "pressure", "2.5 bar mains");
+  assert.deepEqual(facts, [{ id: "pressure", label: "Pressure", value: "2.5 bar mains", confidence: 1, confirmed: true }]);
+
+  facts = mergeFacts(facts, [
+    { id: "pressure", value: "1 bar", confidence: 0.9 },
+    { id: "boiler_position", value: "Kitchen", confidence: 0.9 }
+  ]);
+  assert.equal(facts.find((fact) => fact.id === "pressure").value, "2.5 bar mains");
+  assert.equal(facts.find((fact) => fact.id === "boiler_position").value, "Kitchen");
+  assert.deepEqual(buildReviewQueue(facts), []);
+});
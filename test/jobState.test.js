@@ -5,11 +5,15 @@ import checklistConfig from "../checklist.config.json" with { type: "json" };
 import {
   buildDeterministicScope,
   buildRecap,
+  checklistCompleteness,
   detectConfirmationQuestions,
-  normaliseChecklistItems
+  materialQuantity,
+  normaliseChecklistItems,
+  visibleChecklistItems
 } from "../js/jobState.js";
 
 const checklistItems = normaliseChecklistItems(checklistConfig);
+const rules = checklistConfig.rules;
 
 function scopeFor(selections, items = checklistItems) {
   return buildDeterministicScope(items, selections);
@@ -32,24 +36,62 @@ test("builds simple like-for-like boiler replacement scope from selected outcome
   assert.match(sectionLines(scope, "Flue"), /Replace flue in existing position;/);
   assert.match(sectionLines(scope, "New boiler and controls"), /Powerflush heating system;/);
   assert.match(sectionLines(scope, "New boiler and controls"), /Fit magnetic filter;/);
-  assert.deepEqual(detectConfirmationQuestions(scope), []);
+  assert.deepEqual(detectConfirmationQuestions(scope, { rules }), []);
+});
+
+test("works out material quantities from the outcome detail", () => {
+  const extensions = { detail: ["m", "metres"], minus: 0.57, per: 1, round: "up", min: 0, max: 6, default: 0 };
+
+  assert.equal(materialQuantity(2), 2);
+  assert.equal(materialQuantity(undefined), 1);
+  assert.equal(materialQuantity(extensions, "2.5 m horizontal through the rear wall"), 2);
+  assert.equal(materialQuantity(extensions, "about 2.57 metres"), 2);
+  assert.equal(materialQuantity(extensions, "0.5 m"), 0);
+  assert.equal(materialQuantity(extensions, "20 m up the gable"), 6);
+  assert.equal(materialQuantity(extensions, "rear wall"), 0);
+  assert.equal(materialQuantity({ ...extensions, default: 1 }, ""), 1);
+});
+
+test("prices checklist materials that reference a pricebook component", () => {
+  const pricebook = {
+    byId: new Map([
+      ["P910", { componentId: "P910", description: "Flue kit", price: 255.42, leadTimeDays: 1 }],
+      ["P914", { componentId: "P914", description: "Flue extension", price: 71.56, leadTimeDays: 3 }]
+    ])
+  };
+  const scope = buildDeterministicScope(checklistItems, {
+    flue_scope: { outcome: "new_position", detail: "3 m through the side wall" }
+  }, { pricebook });
+
+  assert.deepEqual(scope.materials.map((m) => [m.componentId, m.qty, m.unitPrice, m.total, m.leadTimeDays]), [
+    ["P910", 1, 255.42, 255.42, 1],
+    ["P914", 3, 71.56, 214.68, 3]
+  ]);
+
+  const unpriced = scopeFor({ flue_scope: "new_position" });
+  assert.deepEqual(unpriced.materials.map((m) => [m.componentId, m.qty, m.total]), [["P910", 1, undefined]]);
 });
 
 test("keeps cylinder separate quote alternatives out of base scope wording", () => {
   const scope = scopeFor({
+    existing_system_type: "stored_hot_water",
     cylinder_scope: "separate_quote"
   });
 
-  assert.equal(sectionLines(scope, "System characteristics"), "Option A - Cylinder work to be priced separately;");
-  assert.equal(scope.selectedItems[0].quoteScope, "option A");
+  assert.equal(
+    sectionLines(scope, "System characteristics"),
+    "Existing system with stored hot water cylinder; Option A - Cylinder work to be priced separately;"
+  );
+  assert.equal(scope.selectedItems.find((item) => item.id === "cylinder_scope").quoteScope, "option A");
 });
 
 test("supports retaining existing cylinder as a distinct selected outcome", () => {
   const scope = scopeFor({
+    existing_system_type: "stored_hot_water",
     cylinder_scope: "retain"
   });
 
-  assert.equal(sectionLines(scope, "System characteristics"), "Retain existing cylinder;");
+  assert.equal(sectionLines(scope, "System characteristics"), "Existing system with stored hot water cylinder; Retain existing cylinder;");
   assert(scope.tags.includes("cylinder:retain"));
 });
 
@@ -70,11 +112,76 @@ test("detects vented versus unvented contradiction from selected logic", () => {
   ]);
   const scope = scopeFor({ vented_choice: "yes", unvented_choice: "yes" }, items);
 
-  assert.deepEqual(detectConfirmationQuestions(scope), [
-    { target: "expert", question: "Final scope includes both vented and unvented system types. Which applies?" }
+  assert.deepEqual(detectConfirmationQuestions(scope, { rules }), [
+    {
+      target: "expert",
+      question: "Final scope includes both vented and unvented system types. Which applies?",
+      ruleId: "vented_unvented",
+      ruleType: "excludes"
+    },
+    {
+      target: "expert",
+      question: "Final scope is unvented. What is the G3 discharge route?",
+      ruleId: "unvented_needs_g3",
+      ruleType: "requires"
+    }
   ]);
 });
 
+test("asks the surveyor to confirm low-confidence facts only when facts are given", () => {
+  const scope = scopeFor({ gas_supply_scope: "retain_22mm" });
+  const facts = [
+    { id: "pipe_sizes", value: "22mm gas", confidence: 0.9 },
+    { id: "occupants", value: "4", confidence: 0.4 },
+    { id: "pressure", value: "2 bar", confidence: 0.2, confirmed: true }
+  ];
+
+  assert.deepEqual(detectConfirmationQuestions(scope), []);
+  assert.deepEqual(detectConfirmationQuestions(scope, { facts }), [
+    { target: "expert", question: "Confirm occupants: 4", factId: "occupants" }
+  ]);
+});
+
+test("hides cylinder items on a combi job and leaves their answers out of the scope", () => {
+  const selections = {
+    existing_system_type: "combi",
+    cylinder_scope: "remove",
+    quote_option_a_cylinder: "smart_cylinder"
+  };
+  const visibleIds = visibleChecklistItems(checklistItems, selections).map((item) => item.id);
+
+  assert(!visibleIds.includes("cylinder_scope"));
+  assert(!visibleIds.includes("g3_discharge_scope"));
+  assert.deepEqual(scopeFor(selections).selectedItems.map((item) => item.id), ["existing_system_type"]);
+  assert.deepEqual(checklistCompleteness(checklistItems, selections), {
+    answered: 1,
+    total: checklistItems.length - 5,
+    hidden: 5
+  });
+
+  // Switching to stored hot water brings the earlier cylinder answer back
+  const stored = scopeFor({ ...selections, existing_system_type: "stored_hot_water" });
+  assert(stored.tags.includes("cylinder:remove"));
+});
+
+test("keeps answered cylinder items from sessions that never answered the existing system type", () => {
+  const scope = scopeFor({
+    cylinder_scope: "separate_quote"
+  });
+
+  assert.equal(sectionLines(scope, "System characteristics"), "Option A - Cylinder work to be priced separately;");
+  assert.equal(scope.selectedItems[0].quoteScope, "option A");
+
+  const retained = scopeFor({ cylinder_scope: "retain" });
+  assert.equal(sectionLines(retained, "System characteristics"), "Retain existing cylinder;");
+  assert(retained.tags.includes("cylinder:retain"));
+
+  // Unanswered cylinder items still wait for the existing system type
+  const visibleIds = visibleChecklistItems(checklistItems, { cylinder_scope: "retain" }).map((item) => item.id);
+  assert(visibleIds.includes("cylinder_scope"));
+  assert(!visibleIds.includes("quote_option_a_cylinder"));
+});
+
 test("places builder-required condensate soakaway in customer actions", () => {
   const scope = scopeFor({
     condensate_scope: "builder_soakaway"
@@ -110,8 +217,13 @@ test("detects conflicting retain and upgrade gas selections", () => {
   ]);
   const scope = scopeFor({ retain_gas: "yes", upgrade_gas: "yes" }, items);
 
-  assert.deepEqual(detectConfirmationQuestions(scope), [
-    { target: "expert", question: "Gas supply is marked as both retained and upgraded. Which scope is correct?" }
+  assert.deepEqual(detectConfirmationQuestions(scope, { rules }), [
+    {
+      target: "expert",
+      question: "Gas supply is marked as both retained and upgraded. Which scope is correct?",
+      ruleId: "gas_retain_upgrade",
+      ruleType: "excludes"
+    }
   ]);
 });
 
@@ -137,7 +249,7 @@ test("does not ask unnecessary questions when selected scope is complete enough"
     system_clean_scope: "mains_flush"
   });
 
-  assert.deepEqual(detectConfirmationQuestions(scope), []);
+  assert.deepEqual(detectConfirmationQuestions(scope, { rules }), []);
 });
 
 test("keeps partial radiator pipework extent with the selected outcome", () => {
@@ -164,6 +276,7 @@ test("keeps partial radiator pipework extent with the selected outcome", () => {
 
 test("keeps multiple cylinder quote alternatives separate", () => {
   const scope = scopeFor({
+    existing_system_type: "stored_hot_water",
     quote_option_a_cylinder: {
       outcome: "smart_cylinder",
       detail: "Mixergy smart cylinder in airing cupboard"
@@ -174,7 +287,7 @@ test("keeps multiple cylinder quote alternatives separate", () => {
 
   assert.equal(
     sectionLines(scope, "System characteristics"),
-    "Option A - Include smart cylinder - Mixergy smart cylinder in airing cupboard; Option B - Include standard unvented cylinder; Option C - Exclude cylinder works;"
+    "Existing system with stored hot water cylinder; Option A - Include smart cylinder - Mixergy smart cylinder in airing cupboard; Option B - Include standard unvented cylinder; Option C - Exclude cylinder works;"
   );
 });
 
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  addWorkingDays,
+  estimateInstallDate,
+  formatLeadTimeNote,
+  normaliseBankHolidays,
+  toIsoDate
+} from "../js/leadTime.js";
+
+test("adds working days across weekends and bank holidays", () => {
+  // Thu 24 Dec 2026 + 2 working days skips Christmas, Boxing Day substitute and the weekend
+  assert.equal(toIsoDate(addWorkingDays("2026-12-24", 2)), "2026-12-30");
+  assert.equal(toIsoDate(addWorkingDays("2026-12-24", 2, [])), "2026-12-28");
+  assert.equal(toIsoDate(addWorkingDays("2026-10-16", 1, [])), "2026-10-19");
+});
+
+test("estimates install date from the slowest component and reports drivers", () => {
+  const estimate = estimateInstallDate([
+    { componentId: "P2010", description: "System Water Treatment & Powerflush up to 10 rads", leadTimeDays: 1 },
+    { componentId: "P916", description: "Worcester 125mm Horizontal Flue 405mm-600mm", leadTimeDays: 3 },
+    { componentId: "P0039", description: "Ideal Logic PRV Kit", leadTimeDays: 3 }
+  ], { orderDate: "2026-04-01" });
+
+  assert.equal(estimate.leadTimeDays, 3);
+  // Good Friday and Easter Monday 2026 are skipped
+  assert.equal(estimate.deliveryDate, "2026-04-08");
+  assert.equal(estimate.installDate, "2026-04-09");
+  assert.deepEqual(estimate.drivers.map((driver) => driver.componentId), ["P916", "P0039"]);
+  assert.match(formatLeadTimeNote(estimate), /^Earliest install Thu 9 Apr 2026 - 3 working days lead time \(P916 Worcester/);
+});
+
+test("in-stock quotes install on the next working day", () => {
+  const estimate = estimateInstallDate([
+    { componentId: "PDC01", description: "Material Delivery Charge", leadTimeDays: 0 }
+  ], { orderDate: "2026-10-16", bankHolidays: [] });
+
+  assert.equal(estimate.installDate, "2026-10-19");
+  assert.deepEqual(estimate.drivers, []);
+  assert.equal(formatLeadTimeNote(estimate), "Earliest install Mon 19 Oct 2026 - all parts in stock");
+});
+
+test("normalises configured bank holiday text", () => {
+  assert.deepEqual(
+    normaliseBankHolidays("2026-12-28\n2026-12-25, not-a-date\n2026-12-25"),
+    ["2026-12-25", "2026-12-28"]
+  );
+});
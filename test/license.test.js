@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkLicense, hasFeature, verifyLicenseCode } from '../license.js';
+
+function b64u(bytes) {
+  return Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function createIssuer() {
+  const keys = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const { x } = await crypto.subtle.exportKey('jwk', keys.publicKey);
+  return {
+    env: { PUBLIC_KEY_JWK_X: x },
+    async issue(payload) {
+      const bytes = Buffer.from(JSON.stringify(payload));
+      const signature = new Uint8Array(await crypto.subtle.sign('Ed25519', keys.privateKey, bytes));
+      return `${b64u(bytes)}.${b64u(signature)}`;
+    }
+  };
+}
+
+test('verifyLicenseCode accepts signed Pro codes until they expire', async () => {
+  const issuer = await createIssuer();
+  const exp = new Date(Date.now() + 86400000).toISOString();
+  const code = await issuer.issue({ email: 'pro@example.com', exp, plan: 'pro-v1' });
+
+  assert.deepEqual(await verifyLicenseCode(code, issuer.env), {
+    valid: true,
+    id: code.split('.')[1].slice(0, 16),
+    email: 'pro@example.com',
+    plan: 'pro-v1',
+    exp,
+    seats: null,
+    features: null
+  });
+  assert.equal((await verifyLicenseCode(code, issuer.env, Date.now() + 2 * 86400000)).error, 'Licence has expired');
+});
+
+test('verifyLicenseCode rejects tampered, foreign and malformed codes', async () => {
+  const issuer = await createIssuer();
+  const other = await createIssuer();
+  const exp = new Date(Date.now() + 86400000).toISOString();
+  const code = await issuer.issue({ email: 'pro@example.com', exp, plan: 'pro-v1' });
+  const [, signature] = code.split('.');
+  const forged = `${b64u(Buffer.from(JSON.stringify({ email: 'pro@example.com', exp: '2099-01-01T00:00:00Z', plan: 'pro-v1' })))}.${signature}`;
+
+  assert.equal((await verifyLicenseCode(forged, issuer.env)).error, 'Licence signature is invalid');
+  assert.equal((await verifyLicenseCode(code, other.env)).error, 'Licence signature is invalid');
+  assert.equal((await verifyLicenseCode('not-a-code', issuer.env)).error, 'Malformed licence code');
+  assert.equal((await verifyLicenseCode(code, {})).error, 'Licence verification is not configured');
+});
+
+function createLicenseDb() {
+  const revocations = new Map();
+  const activations = [];
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO license_activations/.test(sql)) {
+        if (!activations.some((a) => a.license_id === args[0] && a.device_id === args[1])) {
+          activations.push({ license_id: args[0], device_id: args[1] });
+        }
+      }
+      if (/INSERT INTO license_revocations/.test(sql)) {
+        revocations.set(args[0], { reason: args[1] });
+      }
+      return { success: true, meta: {} };
+    },
+    async first() {
+      if (/FROM license_revocations/.test(sql)) return revocations.get(args[0]) || null;
+      if (/COUNT\(\*\) AS seats/.test(sql)) {
+        assert.equal(args[1], '-30 days');
+        return { seats: activations.filter((a) => a.license_id === args[0] && !a.idle).length };
+      }
+      if (/FROM license_activations/.test(sql)) {
+        return activations.find((a) => a.license_id === args[0] && a.device_id === args[1]) || null;
+      }
+      return null;
+    }
+  });
+  return { revocations, activations, prepare: (sql) => statement(sql) };
+}
+
+test('checkLicense enforces seat counts, feature flags and the revocation list', async () => {
+  const issuer = await createIssuer();
+  const env = { ...issuer.env, DB: createLicenseDb() };
+  const exp = new Date(Date.now() + 86400000).toISOString();
+  const code = await issuer.issue({ id: 'lic-1', email: 'team@example.com', exp, plan: 'pro-v1', seats: 2, features: ['transcribe'] });
+
+  const first = await checkLicense(code, env, { deviceId: 'laptop' });
+  assert.equal(first.valid, true);
+  assert.equal(hasFeature(first, 'transcribe'), true);
+  assert.equal(hasFeature(first, 'generate-presentation'), false);
+  assert.equal((await checkLicense(code, env, { deviceId: 'tablet' })).valid, true);
+  assert.equal((await checkLicense(code, env, { deviceId: 'laptop' })).valid, true);
+  assert.match((await checkLicense(code, env, { deviceId: 'phone' })).error, /All 2 seat/);
+  assert.match((await checkLicense(code, env)).error, /send a device id in the X-Device-Id header/);
+
+  // A device unused for 30 days gives up its seat
+  env.DB.activations.find((a) => a.device_id === 'tablet').idle = true;
+  assert.equal((await checkLicense(code, env, { deviceId: 'phone' })).valid, true);
+
+  env.DB.revocations.set('lic-1', { reason: 'refunded' });
+  assert.equal((await checkLicense(code, env, { deviceId: 'laptop' })).error, 'Licence revoked: refunded');
+});
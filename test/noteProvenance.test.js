@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  bestTranscriptQuote,
+  describeProvenance,
+  findBulletProvenance,
+  findTranscriptQuote,
+  tagBulletProvenance
+} from "../js/noteProvenance.js";
+
+test("only accepts quotes that really appear in the transcript", () => {
+  const transcript = "[00:05-00:09] Customer: We'd like the boiler moved to the loft, please.";
+  assert.equal(findTranscriptQuote(transcript, "boiler moved to the LOFT"), "boiler moved to the LOFT");
+  assert.equal(findTranscriptQuote(transcript, "boiler moved to the garage"), null);
+  assert.equal(findTranscriptQuote(transcript, ""), null);
+
+  assert.equal(
+    bestTranscriptQuote("Surveyor: The boiler is fine. The gas run needs upgrading to 22 mm from the meter.", "Upgrade gas run to 22mm from meter"),
+    "The gas run needs upgrading to 22 mm from the meter."
+  );
+  assert.equal(bestTranscriptQuote("Customer: We work from home.", "Fit magnetic filter"), null);
+});
+
+test("tags bullets from the transcript, the checklist, a correction or inference", () => {
+  const context = {
+    transcript: "Surveyor: The flue goes up through the loft.\nCustomer: We'd like a smart thermostat.",
+    corrections: [{ original: "flu", corrected: "flue", description: "flu/flew to flue" }],
+    checklistBullets: ["Powerflush system"]
+  };
+
+  assert.equal(tagBulletProvenance("Powerflush system", context).source, "checklist");
+  assert.deepEqual(tagBulletProvenance("Smart thermostat requested", context), {
+    bullet: "Smart thermostat requested",
+    source: "transcript",
+    quote: "We'd like a smart thermostat."
+  });
+  assert.equal(tagBulletProvenance("Vertical flue through loft", context).source, "sanity-check");
+
+  const inferred = tagBulletProvenance("Fit scale reducer", context);
+  assert.deepEqual(inferred, { bullet: "Fit scale reducer", source: "inference" });
+  assert.match(describeProvenance(inferred), /review/);
+
+  assert.equal(findBulletProvenance([inferred], "Fit scale reducer;"), inferred);
+  assert.equal(findBulletProvenance([inferred], "Something else"), null);
+});
@@ -0,0 +1,153 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import checklistConfig from "../checklist.config.json" with { type: "json" };
+import mappingConfig from "../pricebook.mapping.json" with { type: "json" };
+import {
+  PRICEBOOK_FILES,
+  buildPricebookIndex,
+  buildQuote,
+  normalisePricebookMapping,
+  parsePricebookCsv,
+  searchPricebook
+} from "../js/pricebook.js";
+
+function loadFixturePricebook() {
+  const rows = PRICEBOOK_FILES.flatMap((file) => {
+    const text = readFileSync(new URL(`../pricebook_csvs/${file}`, import.meta.url), "utf8");
+    return parsePricebookCsv(text, file);
+  });
+  return buildPricebookIndex(rows);
+}
+
+const pricebook = loadFixturePricebook();
+const mapping = normalisePricebookMapping(mappingConfig);
+
+test("parses quoted pricebook fields and numeric columns", () => {
+  const rows = parsePricebookCsv([
+    "section,subsection,component_id,description,selling_price_gbp,lead_time_days",
+    "Core Packs,Full System,P1081,\"FCH Core Pack 70/120,000 Blr no Pump\",3238.0,1"
+  ].join("\n"), "core_packs.csv");
+
+  assert.deepEqual(rows, [{
+    componentId: "P1081",
+    section: "Core Packs",
+    subsection: "Full System",
+    description: "FCH Core Pack 70/120,000 Blr no Pump",
+    price: 3238,
+    leadTimeDays: 1,
+    source: "core_packs.csv"
+  }]);
+});
+
+test("every mapped component exists in the pricebook", () => {
+  const ids = [
+    ...Object.values(mapping.outcomes).flat().map((ref) => ref.componentId),
+    ...mapping.materials.map((rule) => rule.componentId)
+  ];
+  ids.forEach((id) => assert(pricebook.byId.has(id), `expected ${id} in pricebook`));
+});
+
+test("every checklist material component exists in the pricebook", () => {
+  const ids = checklistConfig.items
+    .flatMap((item) => item.outcomes || [])
+    .flatMap((outcome) => outcome.materials || [])
+    .map((material) => material.componentId)
+    .filter(Boolean);
+  assert(ids.length > 0);
+  ids.forEach((id) => assert(pricebook.byId.has(id), `expected ${id} in pricebook`));
+});
+
+test("quotes flue extensions from the surveyed flue length", () => {
+  const quote = buildQuote({
+    pricebook,
+    mapping,
+    checklistItems: checklistConfig,
+    selections: {
+      flue_scope: { outcome: "new_position", detail: "3 m horizontal through the rear wall" }
+    },
+    materials: [{ category: "Flue", item: "Boiler flue kit", qty: 1 }]
+  });
+
+  assert.deepEqual(quote.lines.map((line) => [line.componentId, line.qty, line.source]), [
+    ["P910", 1, "checklist"],
+    ["P914", 3, "checklist"]
+  ]);
+});
+
+test("adds up checklist quantities of a component and prices rule materials", () => {
+  const items = [
+    { id: "flue_a", label: "Flue A", outcomes: [{ id: "long", label: "Long", materials: [{ item: "Extension", componentId: "P914", qty: 1 }] }] },
+    { id: "flue_b", label: "Flue B", outcomes: [{ id: "long", label: "Long", materials: [{ item: "Extension", componentId: "P914", qty: 2 }] }] }
+  ];
+  const quote = buildQuote({
+    pricebook,
+    mapping,
+    checklistItems: items,
+    selections: { flue_a: "long", flue_b: { outcome: "long", detail: "1.5 m" } },
+    rules: [{
+      type: "implies_material",
+      when: { item: "flue_b", outcome: "long" },
+      material: { item: "Plume kit", componentId: "P9213", qty: { item: "flue_b", detail: "m", default: 1 } }
+    }],
+    // The model repeating the checklist's extensions doesn't add more
+    materials: [{ item: "Flue extension (P914)", qty: 2 }]
+  });
+
+  assert.deepEqual(quote.lines.map((line) => [line.componentId, line.qty, line.source]), [
+    ["P914", 3, "checklist"],
+    ["P9213", 2, "checklist"]
+  ]);
+});
+
+test("builds priced lines from checklist outcomes without double counting materials", () => {
+  const quote = buildQuote({
+    pricebook,
+    mapping,
+    checklistItems: checklistConfig,
+    selections: {
+      system_clean_scope: "powerflush",
+      filter_scope: "fit_filter"
+    },
+    materials: [
+      { category: "System clean", item: "System power flush", qty: 1 },
+      { category: "Filter", item: "Magnetic system filter", qty: 1 }
+    ]
+  });
+
+  assert.deepEqual(quote.lines.map((line) => [line.componentId, line.qty, line.source]), [
+    ["P2010", 1, "checklist"],
+    ["P2746", 1, "checklist"]
+  ]);
+  assert.equal(quote.subtotal, 609.18);
+  assert.equal(quote.vat, 121.84);
+  assert.equal(quote.total, 731.02);
+  assert.deepEqual(quote.unmapped, []);
+});
+
+test("maps materials by explicit code and flags unknown materials with suggestions", () => {
+  const quote = buildQuote({
+    pricebook,
+    mapping,
+    materials: [
+      { item: "Worcester Greenstar 30Si Compact ErP", qty: 1 },
+      { item: "Flue extension (P9214)", qty: 2 },
+      { item: "Bespoke radiator cover", qty: 1 }
+    ]
+  });
+
+  assert.deepEqual(quote.lines.map((line) => [line.componentId, line.qty, line.total]), [
+    ["CBLR1368", 1, 1409.84],
+    ["P9214", 2, 76.08]
+  ]);
+  assert.equal(quote.unmapped.length, 1);
+  assert.equal(quote.unmapped[0].item, "Bespoke radiator cover");
+  assert(Array.isArray(quote.unmapped[0].suggestions));
+});
+
+test("searches by component code and description words", () => {
+  assert.equal(searchPricebook(pricebook, "P104")[0].componentId, "P104");
+  const results = searchPricebook(pricebook, "worcester plume management kit 500mm", 3);
+  assert(results.some((component) => component.componentId === "P9213"));
+});
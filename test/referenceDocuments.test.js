@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { splitDocumentIntoChunks } from "../reference-documents.js";
+
+test("chunks never cross page breaks and carry page numbers", () => {
+  const chunks = splitDocumentIntoChunks("Intro\fFlue options\n\nMax 15m.\f\fCondensate");
+
+  assert.deepEqual(chunks, [
+    { page: 1, chunkIndex: 0, content: "Intro" },
+    { page: 2, chunkIndex: 1, content: "Flue options\n\nMax 15m." },
+    { page: 4, chunkIndex: 2, content: "Condensate" }
+  ]);
+});
+
+test("packs paragraphs up to the size limit and splits long ones on sentences", () => {
+  const paragraph = "Sentence one is here. Sentence two is here. Sentence three is here.";
+  const chunks = splitDocumentIntoChunks(`${paragraph}\n\nShort note.`, { maxChars: 45 });
+
+  assert(chunks.every((chunk) => chunk.content.length <= 45));
+  assert.equal(chunks[0].content, "Sentence one is here. Sentence two is here.");
+  assert.equal(chunks.at(-1).content, "Sentence three is here.\n\nShort note.");
+  assert(chunks.every((chunk) => chunk.page === null));
+});
+
+test("accepts per-page text arrays", () => {
+  const chunks = splitDocumentIntoChunks(["", "Page two text"]);
+  assert.deepEqual(chunks, [{ page: 2, chunkIndex: 0, content: "Page two text" }]);
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildReferenceMatchQuery,
+  extractReferenceSearchTerms,
+  formatReferenceSnippets,
+  initializeReferenceSearch
+} from "../reference-search.js";
+
+test("extracts brands, boiler models and flue terms from a transcript", () => {
+  const terms = extractReferenceSearchTerms(
+    "Existing Baxi combi in the kitchen, swapping to a Worcester Greenstar 30i with a horizontal flue and plume kit. Main bedroom has a TRV."
+  );
+
+  assert.deepEqual(terms.slice(0, 2), ["greenstar 30i", "30i"]);
+  ["worcester", "baxi", "horizontal flue", "plume kit", "combi", "trv"].forEach((term) => {
+    assert(terms.includes(term), `expected ${term}`);
+  });
+  assert.equal(terms.includes("main"), false);
+  assert.deepEqual(extractReferenceSearchTerms("Customer wants it done before Christmas."), []);
+});
+
+test("builds an OR of quoted FTS5 phrases", () => {
+  assert.equal(
+    buildReferenceMatchQuery(["greenstar 30i", "60/100", 'bad "quote"']),
+    '"greenstar 30i" OR "60/100" OR "bad quote"'
+  );
+  assert.equal(buildReferenceMatchQuery([]), "");
+});
+
+test("keeps snippets within the token budget in rank order", () => {
+  const rows = [
+    { title: "Greenstar 30i manual", snippet: "a".repeat(200) },
+    { title: "Plume kit guide", snippet: "b".repeat(200) },
+    { title: "Ignored", snippet: "c".repeat(200) }
+  ];
+
+  const text = formatReferenceSnippets(rows, 120);
+  assert.match(text, /^Greenstar 30i manual:/);
+  assert.match(text, /Plume kit guide:/);
+  assert.equal(text.includes("Ignored"), false);
+  assert(text.length <= 480);
+
+  const clipped = formatReferenceSnippets(rows, 20);
+  assert.equal(clipped.length, 80);
+  assert.match(clipped, /\.\.\.$/);
+});
+
+test("sets up the schema and search index once for each database", async () => {
+  const createDb = () => {
+    const statements = [];
+    let ftsCreated = false;
+    const statement = (sql) => ({
+      bind: () => statement(sql),
+      async run() {
+        statements.push(sql);
+        if (/CREATE VIRTUAL TABLE/.test(sql)) ftsCreated = true;
+        return { success: true, meta: {} };
+      },
+      async first() {
+        return /sqlite_master/.test(sql) && ftsCreated ? { name: "reference_materials_fts" } : null;
+      },
+      async all() {
+        return { results: [] };
+      }
+    });
+    return { statements, prepare: (sql) => statement(sql) };
+  };
+  const created = (db, pattern) => db.statements.filter((sql) => pattern.test(sql)).length;
+
+  const first = createDb();
+  const second = createDb();
+  assert.deepEqual(await initializeReferenceSearch(first), { success: true });
+  assert.deepEqual(await initializeReferenceSearch(first), { success: true });
+  assert.deepEqual(await initializeReferenceSearch(second), { success: true });
+
+  for (const db of [first, second]) {
+    assert.equal(created(db, /CREATE TABLE IF NOT EXISTS reference_materials/), 1);
+    assert.equal(created(db, /ALTER TABLE reference_materials ADD COLUMN source/), 1);
+    assert.equal(created(db, /CREATE VIRTUAL TABLE/), 1);
+  }
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffReviewSections, normaliseReviewSections } from '../review-handlers.js';
+
+test('normaliseReviewSections keeps the sendSections model fields', () => {
+  assert.deepEqual(
+    normaliseReviewSections([{ title: 'Flue', plain_text: 'Horizontal', extra: 1 }, null]),
+    [{ section: 'Flue', plainText: 'Horizontal', naturalLanguage: '' }]
+  );
+});
+
+test('diffReviewSections compares the bullets of semicolon-joined plainText', () => {
+  const [entry] = diffReviewSections(
+    [{ section: 'Pipework', plainText: '# Involved #; Run 22mm gas from meter; Fit filter on return;' }],
+    [{ section: 'Pipework', plainText: '# Involved #; Run 22mm gas from meter; Fit Fernox TF1 filter on return;' }]
+  );
+
+  assert.equal(entry.change, 'changed');
+  assert.deepEqual(entry.lines, [
+    { type: 'same', text: '# Involved #' },
+    { type: 'same', text: 'Run 22mm gas from meter' },
+    { type: 'removed', text: 'Fit filter on return' },
+    { type: 'added', text: 'Fit Fernox TF1 filter on return' }
+  ]);
+});
+
+test('diffReviewSections reports line changes between submitted and approved notes', () => {
+  const diff = diffReviewSections(
+    [
+      { section: 'Needs', plainText: 'Combi swap' },
+      { section: 'Flue', plainText: 'Horizontal flue\nPlume kit\nTerminal guard' },
+      { section: 'Extras', plainText: 'Powerflush' }
+    ],
+    [
+      { section: 'Needs', plainText: 'Combi swap' },
+      { section: 'Flue', plainText: 'Horizontal flue\nTerminal guard\n1m extension' },
+      { section: 'Controls', plainText: 'Smart stat' }
+    ]
+  );
+
+  assert.deepEqual(diff.map((entry) => [entry.section, entry.change]), [
+    ['Needs', 'unchanged'],
+    ['Flue', 'changed'],
+    ['Extras', 'removed'],
+    ['Controls', 'added']
+  ]);
+  assert.deepEqual(diff[1].lines, [
+    { type: 'same', text: 'Horizontal flue' },
+    { type: 'removed', text: 'Plume kit' },
+    { type: 'same', text: 'Terminal guard' },
+    { type: 'added', text: '1m extension' }
+  ]);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+globalThis.document = { getElementById: () => null };
+
+const { CLOUD_SESSION_STORAGE_KEY, initSessionSync, syncNow } = await import('../js/sessionSync.js');
+
+test('overlapping syncNow calls save one after another without a false conflict', async (t) => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  // Server side of PUT /sessions/:id, compare-and-swap on the revision
+  const server = { id: 's1', name: 'Job', revision: 1, session: {} };
+  const saved = [];
+  globalThis.fetch = async (url, options) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const body = JSON.parse(options.body);
+    if (body.baseRevision !== server.revision && !body.force) {
+      return new Response(JSON.stringify({ error: 'conflict', message: 'Session changed', current: server }), { status: 409 });
+    }
+    server.revision += 1;
+    server.session = body.session;
+    saved.push(body.session.edit);
+    return new Response(JSON.stringify({ session: { id: server.id, name: server.name, revision: server.revision } }), { status: 200 });
+  };
+
+  store.set('depot.authToken', 'token');
+  store.set(CLOUD_SESSION_STORAGE_KEY, JSON.stringify({ id: 's1', revision: 1, name: 'Job' }));
+  let edit = 0;
+  initSessionSync({
+    getSession: () => ({ edit: ++edit }),
+    getSessionName: () => 'Job',
+    getAudioBlob: () => null,
+    applySession: async () => {}
+  });
+
+  const results = await Promise.all([syncNow(), syncNow(), syncNow()]);
+
+  assert.deepEqual(results.map((summary) => summary.revision), [2, 3, 4]);
+  assert.deepEqual(saved, [1, 2, 3]);
+  assert.equal(JSON.parse(store.get(CLOUD_SESSION_STORAGE_KEY)).revision, 4);
+
+  // The chain is cleared once it settles, so a later save starts straight away
+  assert.equal((await syncNow()).revision, 5);
+});
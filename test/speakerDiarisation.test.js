@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  diariseTranscript,
+  labelAudioTurns,
+  parseSpeakerLine,
+  speakerRole
+} from "../js/speakerDiarisation.js";
+import { extractHeatingRequirements } from "../js/recommendationEngine.js";
+
+test("keeps labelled speakers, maps legacy labels and leaves other colons in the text", () => {
+  assert.equal(speakerRole("Expert"), "surveyor");
+  assert.equal(speakerRole("homeowner"), "customer");
+  assert.equal(speakerRole("Speaker 2"), "other");
+  assert.equal(speakerRole("Boiler pressure"), null);
+
+  assert.deepEqual(parseSpeakerLine("[14:03:22] Customer: We'd like a combi"), {
+    timestamp: "14:03:22",
+    speaker: "Customer",
+    text: "We'd like a combi"
+  });
+  assert.deepEqual(parseSpeakerLine("[00:12] Boiler pressure: 1.2 bar"), {
+    timestamp: "00:12",
+    speaker: null,
+    text: "Boiler pressure: 1.2 bar"
+  });
+});
+
+test("attributes unlabelled turns from what was said and who asked the question", () => {
+  const turns = diariseTranscript([
+    "[10:00:01] How many people live here and do you use the shower a lot?",
+    "[10:00:09] There's four of us, and the kids have long showers.",
+    "[10:00:15] We'd like it to be cheaper to run.",
+    "[10:00:20] I'll fit a 35kW combi with a vertical flue through the roof.",
+    "[10:00:31] Other: Sorry, I'm just the neighbour."
+  ].join("\n"));
+
+  assert.deepEqual(turns.map((turn) => turn.role), ["surveyor", "customer", "customer", "surveyor", "other"]);
+  assert.deepEqual(turns.map((turn) => turn.auto), [true, true, true, true, false]);
+  assert.equal(turns[1].speaker, "Customer");
+});
+
+test("labels diarised speech-to-text speakers by role", () => {
+  const words = [
+    { word: "Hello,", start: 0, end: 0.4, speaker: 0 },
+    { word: "we'd", start: 0.5, end: 0.7, speaker: 0 },
+    { word: "like", start: 0.7, end: 0.9, speaker: 0 },
+    { word: "a", start: 0.9, end: 1, speaker: 0 },
+    { word: "quote.", start: 1, end: 1.4, speaker: 0 },
+    { word: "I'll", start: 2, end: 2.2, speaker: 1 },
+    { word: "check", start: 2.2, end: 2.5, speaker: 1 },
+    { word: "your", start: 2.5, end: 2.7, speaker: 1 },
+    { word: "boiler", start: 2.7, end: 3, speaker: 1 },
+    { word: "flue.", start: 3, end: 3.3, speaker: 1 }
+  ];
+
+  const turns = labelAudioTurns(words);
+  assert.deepEqual(turns.map(({ role, start, end, text }) => ({ role, start, end, text })), [
+    { role: "customer", start: 0, end: 1.4, text: "Hello, we'd like a quote." },
+    { role: "surveyor", start: 2, end: 3.3, text: "I'll check your boiler flue." }
+  ]);
+  assert.deepEqual(labelAudioTurns([{ word: "Hi", start: 0, end: 0.2 }]), []);
+});
+
+test("recommendations and preferences follow who actually said them", () => {
+  const transcript = [
+    "Customer: My brother said we should replace with combi, he loves smart controls.",
+    "Surveyor: Your cylinder stays; best advice is a system boiler with Mixergy.",
+    "Customer: We're on a tight budget."
+  ].join("\n");
+
+  const requirements = extractHeatingRequirements([], [transcript]);
+  assert.ok(requirements.expertRecommendations.includes("system-mixergy"));
+  assert.equal(requirements.budget, "low");
+  assert.equal(requirements.wantsSmartTech, true);
+
+  const surveyorSuggestion = extractHeatingRequirements([], [
+    "Surveyor: Smart controls are an option.\nCustomer: There are 4 people living here."
+  ]);
+  assert.equal(surveyorSuggestion.wantsSmartTech, false);
+  assert.equal(surveyorSuggestion.occupants, 4);
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createSegmenter, resample } from "../public/js/speech-segmenter.js";
+
+const RATE = 16000;
+
+function frame(level, seconds = 0.1) {
+  return new Float32Array(Math.round(RATE * seconds)).fill(level);
+}
+
+test("resamples microphone audio to the model rate", () => {
+  const samples = Float32Array.from({ length: 480 }, (_, i) => i);
+  const out = resample(samples, 48000, RATE);
+  assert.equal(out.length, 160);
+  assert.equal(out[1], 3);
+  assert.equal(resample(samples, RATE, RATE).length, 480);
+});
+
+test("emits partials while someone talks and a final once they stop", () => {
+  const segmenter = createSegmenter({ sampleRate: RATE, partialEverySeconds: 0.6, silenceSeconds: 0.3 });
+  const events = [];
+  for (let i = 0; i < 3; i++) events.push(...segmenter.push(frame(0)));
+  for (let i = 0; i < 8; i++) events.push(...segmenter.push(frame(0.2)));
+  for (let i = 0; i < 3; i++) events.push(...segmenter.push(frame(0)));
+
+  assert.deepEqual(events.map((event) => event.type), ["partial", "final"]);
+  const final = events[1];
+  // The quiet frame before speech is kept so the first word isn't clipped
+  assert.ok(Math.abs(final.start - 0.2) < 1e-9);
+  assert.ok(Math.abs(final.end - 1.4) < 1e-9);
+  assert.equal(final.audio.length, Math.round(RATE * 1.2));
+  assert.equal(segmenter.flush(), null);
+
+  // A click too short to be speech is dropped; speech cut off by the end of the stream is final
+  assert.deepEqual(segmenter.push(frame(0.2)), []);
+  for (let i = 0; i < 3; i++) segmenter.push(frame(0));
+  for (let i = 0; i < 4; i++) segmenter.push(frame(0.2));
+  assert.equal(segmenter.flush().type, "final");
+});
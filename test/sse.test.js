@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractCompleteArrayItems, readServerSentEvents } from '../sse.js';
+
+test('extractCompleteArrayItems returns only the finished objects of a partial JSON reply', () => {
+  const partial = '{"sections": [{"section": "Needs", "plainText": "Combi; \\"quoted\\" }"}, {"section": "Flue", "plain';
+  assert.deepEqual(extractCompleteArrayItems(partial, 'sections'), [
+    { section: 'Needs', plainText: 'Combi; "quoted" }' }
+  ]);
+
+  const finished = '{"sections":[{"section":"A","tags":[{"x":1}]},{"section":"B"}],"materials":[{"item":"Filter"}]}';
+  assert.deepEqual(extractCompleteArrayItems(finished, 'sections').map((s) => s.section), ['A', 'B']);
+  assert.deepEqual(extractCompleteArrayItems('{"materials": [', 'sections'), []);
+});
+
+test('readServerSentEvents joins chunks split across reads', async () => {
+  const encoder = new TextEncoder();
+  const chunks = ['event: section\ndata: {"a"', ':1}\n\ndata: [DONE]\r\n\r\n', 'data: tail'];
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+
+  const events = [];
+  await readServerSentEvents(body, (event) => events.push(event));
+  assert.deepEqual(events, [
+    { event: 'section', data: '{"a":1}' },
+    { event: 'message', data: '[DONE]' },
+    { event: 'message', data: 'tail' }
+  ]);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assessCompleteness } from '../js/surveyCompleteness.js';
+import { normaliseChecklistItems } from '../js/jobState.js';
+
+const checklistItems = normaliseChecklistItems([
+  {
+    id: 'boiler',
+    group: 'Boiler',
+    label: 'Boiler replacement',
+    required: true,
+    outcomes: [
+      { id: 'combi', label: 'Combi swap' },
+      { id: 'unsure', label: 'Not decided', state: 'unresolved' }
+    ]
+  },
+  { id: 'flue', group: 'Boiler', label: 'Flue', outcomes: [{ id: 'same', label: 'Same position' }] },
+  {
+    id: 'cylinder',
+    group: 'Hot water',
+    label: 'Cylinder',
+    required: true,
+    showWhen: { item: 'boiler', outcome: 'unsure' },
+    outcomes: [{ id: 'keep', label: 'Keep cylinder' }]
+  }
+]);
+
+test('assessCompleteness is ready when required items and sections are done', () => {
+  const result = assessCompleteness({
+    checklistItems,
+    selections: { boiler: 'combi', flue: 'same' },
+    requiredSections: ['Needs'],
+    sections: [{ section: 'Needs', plainText: '# Customer #; Wants a combi;' }]
+  });
+
+  assert.equal(result.score, 100);
+  assert.equal(result.ready, true);
+  assert.deepEqual(result.missing, []);
+  assert.deepEqual(result.groups, [
+    { group: 'Boiler', answered: 2, total: 2, required: 0, unresolved: 0 }
+  ]);
+});
+
+test('assessCompleteness lists unanswered, unresolved, empty sections and questions', () => {
+  const result = assessCompleteness({
+    checklistItems,
+    selections: { boiler: 'unsure' },
+    requiredSections: ['Needs', 'Flue'],
+    sections: [{ section: 'Needs', plainText: '# Customer #;' }],
+    missingInfo: [
+      { target: 'expert', question: 'Gas meter location?' },
+      { target: 'customer', question: 'gas meter location?' }
+    ]
+  });
+
+  assert.equal(result.ready, false);
+  assert.deepEqual(result.missing, [
+    { kind: 'unresolved', label: 'Boiler replacement: Not decided' },
+    { kind: 'item', label: 'Cylinder not answered' },
+    { kind: 'section', label: 'Needs section is empty' },
+    { kind: 'section', label: 'Flue section is empty' },
+    { kind: 'question', label: 'Gas meter location?' }
+  ]);
+  // boiler 3 + flue 1 + cylinder 3 + two sections 2 each + one question 1, nothing earned
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.groups, [
+    { group: 'Boiler', answered: 1, total: 2, required: 0, unresolved: 1 },
+    { group: 'Hot water', answered: 0, total: 1, required: 1, unresolved: 0 }
+  ]);
+});
+
+test('assessCompleteness weights required items above optional ones', () => {
+  const result = assessCompleteness({ checklistItems, selections: { boiler: 'combi' } });
+
+  assert.equal(result.ready, true);
+  assert.equal(result.score, 75);
+});
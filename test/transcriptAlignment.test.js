@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  formatOffset,
+  formatSegmentRange,
+  latestSegmentEnd,
+  linkBulletsToSegments,
+  parseSegmentRange,
+  splitSectionBullets
+} from "../js/transcriptAlignment.js";
+import { diariseTranscript } from "../js/speakerDiarisation.js";
+
+test("formats and parses recording ranges but not wall-clock times", () => {
+  assert.equal(formatOffset(62.4), "01:02");
+  assert.equal(formatOffset(3723), "1:02:03");
+  assert.equal(formatSegmentRange(62.7, 66.2), "01:02-01:07");
+
+  assert.deepEqual(parseSegmentRange("01:02-01:07"), { start: 62, end: 67 });
+  assert.deepEqual(parseSegmentRange("1:02:03-1:02:09"), { start: 3723, end: 3729 });
+  assert.equal(parseSegmentRange("14:03:22"), null);
+  assert.equal(parseSegmentRange("01:07-01:02"), null);
+
+  const transcript = "[14:03:22] Surveyor: Not recorded\n[00:05-00:09] Recorded\n[01:10-01:15] Customer: Later";
+  assert.equal(latestSegmentEnd(transcript), 75);
+  assert.equal(diariseTranscript(transcript)[1].timestamp, "00:05-00:09");
+});
+
+test("links each bullet to the transcript segments it was derived from", () => {
+  const segments = [
+    { text: "Right, so we'll fit a Fernox TF1 filter on the return under the boiler" },
+    { text: "There are four of us and the kids shower in the morning" },
+    { text: "The gas run is 22 mm from the meter, plenty big enough" }
+  ];
+  const bullets = splitSectionBullets("# Going in #; Fit Fernox TF1 filter; Retain 22mm gas supply from meter; # Agreed #; Customer to clear loft;");
+
+  assert.deepEqual(bullets, ["Fit Fernox TF1 filter", "Retain 22mm gas supply from meter", "Customer to clear loft"]);
+  assert.deepEqual(linkBulletsToSegments(bullets, segments), [
+    { bullet: "Fit Fernox TF1 filter", segments: [0] },
+    { bullet: "Retain 22mm gas supply from meter", segments: [2] },
+    { bullet: "Customer to clear loft", segments: [] }
+  ]);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_DAILY_TOKEN_QUOTA,
+  DEFAULT_REQUESTS_PER_MINUTE,
+  createUsageMeter,
+  extractUsage,
+  getUsageLimits
+} from '../usage-meter.js';
+
+test('extractUsage reads token counts from each provider response shape', () => {
+  assert.deepEqual(
+    extractUsage('openai', { usage: { prompt_tokens: 120, completion_tokens: 30 } }),
+    { inputTokens: 120, outputTokens: 30 }
+  );
+  assert.deepEqual(
+    extractUsage('anthropic', { usage: { input_tokens: 80, output_tokens: 20 } }),
+    { inputTokens: 80, outputTokens: 20 }
+  );
+  assert.deepEqual(
+    extractUsage('gemini', { usageMetadata: { promptTokenCount: 50, candidatesTokenCount: 10 } }),
+    { inputTokens: 50, outputTokens: 10 }
+  );
+  assert.deepEqual(extractUsage('gemini', { candidates: [] }), { inputTokens: 0, outputTokens: 0 });
+
+  const meter = createUsageMeter();
+  meter.record('openai', 'gpt-4.1', { inputTokens: 5, outputTokens: 2 });
+  assert.deepEqual(meter.calls, [{ provider: 'openai', model: 'gpt-4.1', inputTokens: 5, outputTokens: 2 }]);
+});
+
+test('getUsageLimits applies env defaults and per-route overrides', () => {
+  assert.deepEqual(getUsageLimits({}, '/text'), {
+    perMinute: DEFAULT_REQUESTS_PER_MINUTE,
+    dailyTokens: DEFAULT_DAILY_TOKEN_QUOTA
+  });
+
+  const env = {
+    AI_REQUESTS_PER_MINUTE: '20',
+    AI_DAILY_TOKEN_QUOTA: '0',
+    AI_ROUTE_LIMITS: '{"/agent-chat": {"perMinute": 4}}'
+  };
+  assert.deepEqual(getUsageLimits(env, '/text'), { perMinute: 20, dailyTokens: 0 });
+  assert.deepEqual(getUsageLimits(env, '/agent-chat'), { perMinute: 4, dailyTokens: 0 });
+  assert.deepEqual(
+    getUsageLimits({ AI_ROUTE_LIMITS: 'not json', AI_REQUESTS_PER_MINUTE: '-1' }, '/text'),
+    { perMinute: DEFAULT_REQUESTS_PER_MINUTE, dailyTokens: DEFAULT_DAILY_TOKEN_QUOTA }
+  );
+});
@@ -2,6 +2,8 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import worker from '../src/worker.js';
+import { generateToken } from '../auth.js';
+import { saveLiveNotes } from '../live-notes.js';
 import depotSchema from '../depot.output.schema.json' with { type: 'json' };
 import checklistConfig from '../checklist.config.json' with { type: 'json' };
 
@@ -95,13 +97,15 @@ test('POST /text forwards structured payload and normalises model output', async
       return {
         section: name,
         plainText: '# Involved #; Replace with Worcester 15Ri;',
-        naturalLanguage: '# Involved #\n- Replace with Worcester 15Ri'
+        naturalLanguage: '# Involved #\n- Replace with Worcester 15Ri',
+        provenance: [{ bullet: 'Replace with Worcester 15Ri', source: 'inference' }]
       };
     }
     return {
       section: name,
       plainText: '',
-      naturalLanguage: ''
+      naturalLanguage: '',
+      provenance: []
     };
   });
 
@@ -140,9 +144,11 @@ test('POST /text forwards structured payload and normalises model output', async
     combinedText,
     /Do not ask for make, model, serial number, dimensions, or product preference unless it is necessary to resolve a contradiction/
   );
+  // With no job type sent, the default template picks the items
+  const defaultTemplate = checklistConfig.templates.find((template) => template.id === checklistConfig.defaultTemplate);
   const expectedChecklistIds = (checklistConfig.items || [])
     .map((item) => item && item.id)
-    .filter(Boolean);
+    .filter((id) => id && defaultTemplate.items.includes(id));
   assert.deepEqual(
     parsedUser.checklistItems.map((item) => item.id),
     expectedChecklistIds,
@@ -219,3 +225,1501 @@ test('POST /text removes absence notes and keeps headed bullets', async (t) => {
   assert.equal('customerSummary' in body, false);
 });
 
+test('POST /text tags each bullet with its source and the transcript phrase behind it', async (t) => {
+  let userPayload = null;
+  globalThis.fetch = async (_url, init) => {
+    const request = JSON.parse(init.body);
+    const userText = request.contents[0].parts[0].text;
+    userPayload = JSON.parse(userText.slice(userText.lastIndexOf('\n\n') + 2));
+    const content = JSON.stringify({
+      sections: [
+        {
+          section: 'New boiler and controls',
+          plainText: '# Involved #; Replace combi with new combi; Boiler stays in kitchen cupboard; Fit weather compensation;',
+          naturalLanguage: '',
+          evidence: [
+            { bullet: 'Boiler stays in kitchen cupboard', quote: 'keep the boiler in the kitchen cupboard' },
+            { bullet: 'Fit weather compensation', quote: 'customer loves weather compensation' }
+          ]
+        },
+        {
+          section: 'Flue',
+          plainText: '# Involved #; Flue out through back wall;',
+          naturalLanguage: '',
+          evidence: [{ bullet: 'Flue out through back wall', quote: 'the flue goes out through the back wall' }]
+        }
+      ],
+      materials: [],
+      checkedItems: [],
+      missingInfo: []
+    });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: content }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const request = new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transcript: 'We will keep the boiler in the kitchen cupboard. And the flu goes out through the back wall.',
+      deterministicScope: {
+        sections: [{ section: 'New boiler and controls', plainText: 'Replace combi with new combi;' }]
+      }
+    })
+  });
+
+  const response = await worker.fetch(request, { GEMINI_API_KEY: 'test-key' }, {});
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+
+  const boiler = body.sections.find((section) => section.section === 'New boiler and controls');
+  assert.deepEqual(boiler.provenance, [
+    { bullet: 'Replace combi with new combi', source: 'checklist', evidence: 'Checklist: Replace combi with new combi' },
+    { bullet: 'Boiler stays in kitchen cupboard', source: 'transcript', quote: 'keep the boiler in the kitchen cupboard' },
+    // The quoted phrase isn't in the transcript, so the bullet is the model's own
+    { bullet: 'Fit weather compensation', source: 'inference' }
+  ]);
+
+  const flue = body.sections.find((section) => section.section === 'Flue');
+  assert.equal(flue.provenance[0].source, 'sanity-check');
+  assert.equal(flue.provenance[0].quote, 'the flue goes out through the back wall');
+  assert.match(flue.provenance[0].evidence, /Heard "flu", corrected to "flue"/);
+
+  const future = body.sections.find((section) => section.section === 'Future plans');
+  assert.deepEqual(future.provenance, []);
+  assert.equal('corrections' in userPayload, false);
+});
+
+test('POST /text scores key facts against the transcript and keeps confirmed facts pinned', async (t) => {
+  let userPayload = null;
+  globalThis.fetch = async (_url, init) => {
+    const userText = JSON.parse(init.body).contents[0].parts[0].text;
+    userPayload = JSON.parse(userText.slice(userText.lastIndexOf('\n\n') + 2));
+    const content = JSON.stringify({
+      sections: [],
+      facts: [
+        { id: 'boiler_position', value: 'Kitchen cupboard', confidence: 0.9, quote: 'boiler stays in the kitchen cupboard' },
+        { id: 'occupants', value: '5', confidence: 0.95, quote: 'five people' },
+        { id: 'pressure', value: '1 bar', confidence: 0.9, quote: 'pressure is about 1 bar', confirmed: true }
+      ]
+    });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: content }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const request = new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transcript: 'The boiler stays in the kitchen cupboard. Pressure is about 1 bar.',
+      confirmedFacts: [
+        { id: 'pressure', value: '3 bar mains', confirmed: true },
+        { id: 'flue_route', value: 'Out the back', confirmed: false }
+      ]
+    })
+  });
+
+  const response = await worker.fetch(request, { GEMINI_API_KEY: 'test-key' }, {});
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+
+  assert.deepEqual(userPayload.confirmedFacts, [
+    { id: 'pressure', label: 'Pressure', value: '3 bar mains', confidence: 1, confirmed: true }
+  ]);
+  assert.deepEqual(body.facts, [
+    { id: 'boiler_position', label: 'Boiler position', value: 'Kitchen cupboard', confidence: 0.9, confirmed: false, quote: 'boiler stays in the kitchen cupboard' },
+    // "five people" was never said, so the surveyor has to confirm it
+    { id: 'occupants', label: 'Occupants', value: '5', confidence: 0.4, confirmed: false },
+    { id: 'pressure', label: 'Pressure', value: '3 bar mains', confidence: 1, confirmed: true }
+  ]);
+});
+
+test('POST /text applies the checklist rules before prompting and asks their questions', async (t) => {
+  let userPayload = null;
+  globalThis.fetch = async (_url, init) => {
+    const userText = JSON.parse(init.body).contents[0].parts[0].text;
+    userPayload = JSON.parse(userText.slice(userText.lastIndexOf('\n\n') + 2));
+    const content = JSON.stringify({
+      sections: [],
+      missingInfo: [
+        { target: 'expert', question: 'Final scope is unvented. What is the G3 discharge route?' },
+        { target: 'customer', question: 'Is the loft boarded?' }
+      ]
+    });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: content }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const request = new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transcript: 'Going unvented in the airing cupboard.',
+      deterministicScope: {
+        selectedItems: [{ id: 'final_system_type', outcomeId: 'unvented', detail: '' }],
+        sections: [],
+        materials: [],
+        tags: ['system:unvented']
+      },
+      checklistItems: {
+        items: [{ id: 'final_system_type', label: 'Final system type' }],
+        rules: [
+          { id: 'unvented_needs_g3', type: 'requires', when: { tag: 'system:unvented' }, then: { tag: 'g3:discharge' }, question: 'Final scope is unvented. What is the G3 discharge route?' },
+          { id: 'unvented_kit', type: 'implies_material', when: { item: 'final_system_type', outcome: 'unvented' }, material: { category: 'Cylinder', item: 'Unvented cylinder kit' } }
+        ]
+      }
+    })
+  });
+
+  const response = await worker.fetch(request, { GEMINI_API_KEY: 'test-key' }, {});
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+
+  assert.deepEqual(userPayload.ruleQuestions, [
+    { target: 'expert', question: 'Final scope is unvented. What is the G3 discharge route?' }
+  ]);
+  assert.deepEqual(userPayload.deterministicScope.materials, [
+    { category: 'Cylinder', item: 'Unvented cylinder kit', qty: 1, notes: '', ruleId: 'unvented_kit' }
+  ]);
+  // The model repeated the rule's question; it is asked once
+  assert.deepEqual(body.missingInfo, [
+    { target: 'expert', question: 'Final scope is unvented. What is the G3 discharge route?' },
+    { target: 'customer', question: 'Is the loft boarded?' }
+  ]);
+});
+
+
+test('POST /text applies the job type template to the checklist, sections and instructions', async (t) => {
+  let combinedText = '';
+  globalThis.fetch = async (_url, init) => {
+    combinedText = JSON.parse(init.body).contents[0].parts[0].text;
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: JSON.stringify({ sections: [] }) }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const request = new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transcript: 'Outdoor unit on a pad by the back wall.',
+      checklistTemplate: 'heat_pump'
+    })
+  });
+
+  const response = await worker.fetch(request, { GEMINI_API_KEY: 'test-key' }, {});
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+
+  const template = checklistConfig.templates.find((entry) => entry.id === 'heat_pump');
+  const userPayload = JSON.parse(combinedText.slice(combinedText.lastIndexOf('\n\n') + 2));
+  assert.deepEqual(
+    userPayload.checklistItems.map((item) => item.id),
+    checklistConfig.items.map((item) => item.id).filter((id) => template.items.includes(id))
+  );
+  // Shared items move to the template's sections
+  assert.equal(
+    userPayload.checklistItems.find((item) => item.id === 'controls_scope').section,
+    'Heat pump and controls'
+  );
+  assert.deepEqual(userPayload.expectedSections, template.sections.map((section) => section.name));
+  assert.deepEqual(body.sections.map((section) => section.section), template.sections.map((section) => section.name));
+  assert.match(combinedText, /JOB TYPE: Air source heat pump\nThis is an air source heat pump install/);
+});
+
+
+// Users 1 and 2 are the admin and a surveyor of organisation 1, user 3 admins organisation 2
+function createPricebookDb() {
+  const memberships = {
+    1: { org_id: 1, role: 'admin', name: 'Acme Heating' },
+    2: { org_id: 1, role: 'surveyor', name: 'Acme Heating' },
+    3: { org_id: 2, role: 'admin', name: 'Rival Gas' }
+  };
+  let versions = [];
+  let items = [];
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO pricebook_versions/.test(sql)) {
+        const [label, effectiveDate, itemCount, files, orgId, createdBy] = args;
+        versions.push({ id: versions.length + 1, label, effective_date: effectiveDate, item_count: itemCount, files, org_id: orgId, created_by: createdBy, created_at: 'now' });
+        return { success: true, meta: { last_row_id: versions.length } };
+      }
+      if (/INSERT INTO pricebook_items/.test(sql)) {
+        const [componentId, section, subsection, description, price, leadTime, source] = args;
+        if (componentId === 'BROKEN') throw new Error('D1_ERROR: insert failed');
+        items.push({ version_id: versions.length, component_id: componentId, section, subsection, description, selling_price_gbp: price, lead_time_days: leadTime, source_file: source });
+      }
+      return { success: true, meta: {} };
+    },
+    async first() {
+      if (/FROM memberships m/.test(sql)) return memberships[args[0]] || null;
+      if (/WHERE id = \? AND org_id = \?/.test(sql)) {
+        return versions.find((v) => v.id === args[0] && v.org_id === args[1]) || null;
+      }
+      if (/effective_date <= \?/.test(sql)) {
+        return versions
+          .filter((v) => v.org_id === args[0] && v.effective_date <= args[1])
+          .sort((a, b) => b.effective_date.localeCompare(a.effective_date) || b.id - a.id)[0] || null;
+      }
+      return null;
+    },
+    async all() {
+      if (/PRAGMA table_info/.test(sql)) return { results: [{ name: 'org_id' }] };
+      if (/FROM pricebook_items/.test(sql)) return { results: items.filter((item) => item.version_id === args[0]) };
+      return { results: versions.filter((v) => v.org_id === args[0]).reverse() };
+    }
+  });
+  return {
+    prepare: (sql) => statement(sql),
+    // A batch is a transaction: a failing statement rolls back the ones before it
+    async batch(statements) {
+      const before = { versions: versions.slice(), items: items.slice() };
+      try {
+        const results = [];
+        for (const stmt of statements) results.push(await stmt.run());
+        return results;
+      } catch (err) {
+        ({ versions, items } = before);
+        throw err;
+      }
+    },
+    get versions() { return versions; },
+    get items() { return items; }
+  };
+}
+
+test('pricebook routes require authentication', async () => {
+  const response = await worker.fetch(
+    new Request('https://example.com/pricebook/versions'),
+    { DB: createPricebookDb() },
+    {}
+  );
+  assert.equal(response.status, 401);
+  assert.equal((await parseJson(response)).error, 'unauthorized');
+});
+
+test('pricebook versions are stored, diffed and selected by survey date', async () => {
+  const env = { DB: createPricebookDb(), JWT_SECRET: 'test-secret' };
+  const token = await generateToken(1, 'boss', env.JWT_SECRET);
+  const headers = { 'content-type': 'application/json', Authorization: `Bearer ${token}` };
+  const header = 'section,subsection,component_id,description,selling_price_gbp,lead_time_days';
+
+  const upload = async (effectiveDate, rows) => {
+    const response = await worker.fetch(new Request('https://example.com/pricebook/versions', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ effectiveDate, files: { 'extras.csv': [header, ...rows].join('\n') } })
+    }), env, {});
+    assert.equal(response.status, 201);
+    return (await parseJson(response)).version;
+  };
+
+  const may = await upload('2025-05-28', [
+    'Flues,Worcester,P910,Worcester Flue Kit,120.0,1',
+    'Extras,Waste,P339,Waste Collection,45.0,0'
+  ]);
+  const nov = await upload('2025-11-01', [
+    'Flues,Worcester,P910,Worcester Flue Kit,130.0,1',
+    'Extras,Filling,P132,Filling Loop,25.0,0'
+  ]);
+  assert.equal(nov.itemCount, 2);
+
+  const diffResponse = await worker.fetch(
+    new Request(`https://example.com/pricebook/diff?from=${may.id}&to=${nov.id}`, { headers }),
+    env,
+    {}
+  );
+  const diff = await parseJson(diffResponse);
+  assert.deepEqual(diff.added, ['P132']);
+  assert.deepEqual(diff.removed, ['P339']);
+  assert.deepEqual(diff.repriced.map((entry) => [entry.componentId, entry.fromPrice, entry.toPrice]), [['P910', 120, 130]]);
+
+  const effective = async (date) => worker.fetch(
+    new Request(`https://example.com/pricebook/effective?date=${date}`, { headers }),
+    env,
+    {}
+  );
+  const october = await parseJson(await effective('2025-10-31'));
+  assert.equal(october.version.id, may.id);
+  assert.equal(october.items.find((item) => item.componentId === 'P910').price, 120);
+  assert.equal((await parseJson(await effective('2025-11-01'))).version.id, nov.id);
+  assert.equal((await effective('2025-01-01')).status, 404);
+});
+
+test('only organisation admins publish pricebooks, and only to their own organisation', async () => {
+  const env = { DB: createPricebookDb(), JWT_SECRET: 'test-secret' };
+  const as = async (userId) => ({
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(userId, `user${userId}`, env.JWT_SECRET)}`
+  });
+  const csv = 'component_id,description,selling_price_gbp\nP910,Worcester Flue Kit,1.0';
+  const upload = async (userId, files = { 'flues.csv': csv }) => worker.fetch(new Request('https://example.com/pricebook/versions', {
+    method: 'POST',
+    headers: await as(userId),
+    body: JSON.stringify({ effectiveDate: '2025-05-28', files })
+  }), env, {});
+  const effective = async (userId) => worker.fetch(
+    new Request('https://example.com/pricebook/effective?date=2025-06-01', { headers: await as(userId) }),
+    env,
+    {}
+  );
+
+  // A surveyor, or a user with no organisation, cannot publish
+  assert.equal((await upload(2)).status, 403);
+  assert.equal((await upload(4)).status, 403);
+
+  // Another organisation's admin publishes only to their own members
+  assert.equal((await upload(3)).status, 201);
+  assert.equal((await effective(2)).status, 404);
+  assert.equal((await effective(4)).status, 404);
+  assert.equal((await parseJson(await effective(3))).items[0].price, 1);
+
+  // A failed item insert leaves no version behind
+  const broken = await upload(1, { 'flues.csv': `${csv}\nBROKEN,Bad row,2.0` });
+  assert.equal(broken.status, 500);
+  assert.equal(env.DB.versions.length, 1);
+  assert.equal(env.DB.items.length, 1);
+  assert.equal((await effective(1)).status, 404);
+});
+
+test('POST /query runs registered named queries with validated params and capped rows', async () => {
+  let prepared;
+  const env = {
+    DB: {
+      prepare: (sql) => ({
+        bind: (...values) => ({
+          async all() {
+            prepared = { sql, values };
+            return { success: true, results: [{ title: 'A' }, { title: 'B' }, { title: 'C' }] };
+          }
+        })
+      })
+    }
+  };
+  const query = (body, headers = {}) => worker.fetch(new Request('https://example.com/query', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  const specs = await query({ name: 'productSpecs', params: { product: 'Greenstar 30i' }, limit: 50 });
+  assert.equal(specs.status, 200);
+  assert.match(prepared.sql, /FROM reference_materials/);
+  assert.deepEqual(prepared.values, ['%Greenstar 30i%', '%Greenstar 30i%', 5]);
+
+  await query({ name: 'productSpecs', params: { product: '100%_\\' } });
+  assert.match(prepared.sql, /LIKE \? ESCAPE '\\' OR content LIKE \? ESCAPE '\\'/);
+  assert.deepEqual(prepared.values, ['%100\\%\\_\\\\%', '%100\\%\\_\\\\%', 5]);
+
+  const terms = await parseJson(await query({ name: 'currentTerms' }));
+  assert.equal(terms.results.length, 1);
+
+  const raw = await query({ query: 'SELECT * FROM users' });
+  assert.equal(raw.status, 403);
+
+  const unknown = await query({ name: 'allUsers' });
+  assert.equal(unknown.status, 404);
+
+  const badParams = await query({ name: 'productSpecs', params: { product: 'x', table: 'users' } });
+  assert.equal(badParams.status, 400);
+  assert.equal((await parseJson(badParams)).error, 'validation_error');
+
+  const unauthenticated = await query({ name: 'searchReference', params: { keyword: 'flue' } });
+  assert.equal(unauthenticated.status, 401);
+
+  const token = await generateToken(1, 'surveyor', 'default-secret-change-in-production');
+  const authenticated = await query(
+    { name: 'searchReference', params: { keyword: 'flue' } },
+    { Authorization: `Bearer ${token}` }
+  );
+  assert.equal(authenticated.status, 200);
+});
+
+test('POST /text injects ranked reference snippets and returns page citations', async (t) => {
+  let matchQuery;
+  let prompt;
+  const env = {
+    GEMINI_API_KEY: 'test-key',
+    DB: {
+      prepare: (sql) => {
+        const statement = (values = []) => ({
+          bind: (...next) => statement(next),
+          async run() {
+            return { success: true, meta: {} };
+          },
+          async first() {
+            return /sqlite_master/.test(sql) ? { name: 'reference_materials_fts' } : null;
+          },
+          async all() {
+            if (/PRAGMA table_info/.test(sql)) {
+              return { results: ['title', 'content', 'source', 'page', 'document_id', 'chunk_index'].map((name) => ({ name })) };
+            }
+            if (/MATCH \?/.test(sql)) {
+              matchQuery = values[0];
+              return {
+                success: true,
+                results: [{
+                  title: 'Greenstar 30i installation manual',
+                  source: 'greenstar-30i.pdf',
+                  page: 12,
+                  snippet: 'Horizontal flue max length 15m',
+                  score: -4.2
+                }]
+              };
+            }
+            return { success: true, results: [] };
+          }
+        });
+        return statement();
+      }
+    }
+  };
+
+  globalThis.fetch = async (url, options) => {
+    prompt = options.body;
+    const content = JSON.stringify({
+      sections: [],
+      materials: [],
+      checkedItems: [],
+      missingInfo: [],
+      citations: [
+        { section: 'Flue', statement: 'Max flue length 15m', document: 'Greenstar 30i installation manual', page: 12 },
+        { section: 'Flue', statement: 'Invented', document: 'Some other manual', page: 3 }
+      ]
+    });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: content }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const response = await worker.fetch(new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transcript: 'Fitting a Worcester Greenstar 30i with a horizontal flue.' })
+  }), env, {});
+
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+  assert.match(matchQuery, /"greenstar 30i"/);
+  assert.match(matchQuery, /"horizontal flue"/);
+  assert.match(prompt, /Greenstar 30i installation manual \(greenstar-30i\.pdf, p\. 12\):\\nHorizontal flue max length 15m/);
+  assert.deepEqual(body.citations, [{
+    section: 'Flue',
+    statement: 'Max flue length 15m',
+    document: 'Greenstar 30i installation manual',
+    source: 'greenstar-30i.pdf',
+    page: 12,
+    citation: 'Greenstar 30i installation manual (greenstar-30i.pdf, p. 12)'
+  }]);
+  assert.equal(body.references.length, 1);
+});
+
+function createReferenceDocumentEnv({ failChunk = null } = {}) {
+  const stored = {};
+  let statements = [];
+  const env = {
+    JWT_SECRET: 'test-secret',
+    REFERENCE_ADMINS: 'librarian, boss',
+    REFERENCE_BUCKET: {
+      async put(key, body, options) {
+        stored[key] = { body, options };
+      },
+      async delete(key) {
+        delete stored[key];
+      }
+    },
+    DB: {
+      prepare: (sql) => {
+        const statement = (values = []) => ({
+          bind: (...next) => statement(next),
+          async run() {
+            if (failChunk !== null && /INSERT INTO reference_materials/.test(sql) && values[5] === failChunk) {
+              throw new Error('D1_ERROR: insert failed');
+            }
+            statements.push({ sql, values });
+            return { success: true, meta: {} };
+          },
+          async all() {
+            return { results: [] };
+          }
+        });
+        return statement();
+      },
+      // A batch is a transaction: a failing statement rolls back the ones before it
+      async batch(list) {
+        const before = statements.slice();
+        try {
+          const results = [];
+          for (const stmt of list) results.push(await stmt.run());
+          return results;
+        } catch (err) {
+          statements = before;
+          throw err;
+        }
+      }
+    }
+  };
+  return { env, stored, statements: () => statements };
+}
+
+const uploadManual = async (env, username) => worker.fetch(new Request('https://example.com/reference/documents', {
+  method: 'POST',
+  headers: {
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(1, username, env.JWT_SECRET)}`
+  },
+  body: JSON.stringify({
+    title: 'Greenstar 30i installation manual',
+    filename: 'greenstar-30i.pdf',
+    text: 'Contents\fFlue options\n\nHorizontal flue max length 15m.\fCondensate\n\nUse 22mm external pipe.'
+  })
+}), env, {});
+
+test('POST /reference/documents stores the original in R2 and indexes page chunks', async () => {
+  const { env, stored, statements: recorded } = createReferenceDocumentEnv();
+
+  const response = await uploadManual(env, 'librarian');
+
+  assert.equal(response.status, 201);
+  const { document } = await parseJson(response);
+  assert.equal(document.pageCount, 3);
+  assert.equal(document.chunkCount, 3);
+  assert.equal(stored[document.r2Key].options.httpMetadata.contentType, 'application/pdf');
+
+  const chunks = recorded()
+    .filter((entry) => /INSERT INTO reference_materials/.test(entry.sql))
+    .map((entry) => [entry.values[2], entry.values[3], entry.values[1]]);
+  assert.deepEqual(chunks[1], ['greenstar-30i.pdf', 2, 'Flue options\n\nHorizontal flue max length 15m.']);
+});
+
+test('POST /reference/documents is limited to reference admins and leaves nothing behind when indexing fails', async () => {
+  const denied = createReferenceDocumentEnv();
+  const forbidden = await uploadManual(denied.env, 'surveyor');
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(Object.keys(denied.stored), []);
+  assert.equal(denied.statements().some((entry) => /INSERT/.test(entry.sql)), false);
+
+  const failing = createReferenceDocumentEnv({ failChunk: 2 });
+  const failed = await uploadManual(failing.env, 'boss');
+  assert.equal(failed.status, 500);
+  assert.deepEqual(Object.keys(failing.stored), []);
+  assert.equal(failing.statements().some((entry) => /INSERT INTO reference_(documents|materials)/.test(entry.sql)), false);
+});
+
+function createSessionDb() {
+  const rows = [];
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO survey_sessions/.test(sql)) {
+        const [id, userId, name, data] = args;
+        rows.push({ id, user_id: userId, name, data, revision: 1, audio_key: null, audio_mime: null, created_at: 'now', updated_at: 'now' });
+        return { success: true, meta: { changes: 1 } };
+      }
+      if (/UPDATE survey_sessions\s+SET data/.test(sql)) {
+        const [data, name, id, userId, revision] = args;
+        const row = rows.find((r) => r.id === id && r.user_id === userId && r.revision === revision);
+        if (!row) return { success: true, meta: { changes: 0 } };
+        Object.assign(row, { data, name: name ?? row.name, revision: row.revision + 1 });
+        return { success: true, meta: { changes: 1 } };
+      }
+      return { success: true, meta: {} };
+    },
+    async first() {
+      return rows.find((r) => r.id === args[0] && r.user_id === args[1]) || null;
+    },
+    async all() {
+      return { results: rows.filter((r) => r.user_id === args[0]) };
+    }
+  });
+  return { prepare: (sql) => statement(sql) };
+}
+
+test('session routes require authentication', async () => {
+  const response = await worker.fetch(
+    new Request('https://example.com/sessions'),
+    { DB: createSessionDb() },
+    {}
+  );
+  assert.equal(response.status, 401);
+});
+
+test('sessions sync between devices and reject saves based on a stale revision', async () => {
+  const env = { DB: createSessionDb(), JWT_SECRET: 'test-secret' };
+  const headers = {
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(7, 'surveyor', env.JWT_SECRET)}`
+  };
+  const session = (fullTranscript) => ({
+    fullTranscript,
+    sections: [{ section: 'Needs', plainText: 'Combi swap' }],
+    checklistSelections: { boiler_combi: true },
+    unknownField: 'dropped'
+  });
+
+  const created = await worker.fetch(new Request('https://example.com/sessions', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ name: 'Smith-42', session: session('first visit') })
+  }), env, {});
+  assert.equal(created.status, 201);
+  const { session: summary } = await parseJson(created);
+  assert.equal(summary.revision, 1);
+
+  const put = (body) => worker.fetch(new Request(`https://example.com/sessions/${summary.id}`, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify(body)
+  }), env, {});
+
+  // Device A saves on top of revision 1
+  const saved = await put({ session: session('device A notes'), baseRevision: 1 });
+  assert.equal(saved.status, 200);
+  assert.equal((await parseJson(saved)).session.revision, 2);
+
+  // Device B still thinks it is on revision 1
+  const stale = await put({ session: session('device B notes'), baseRevision: 1 });
+  assert.equal(stale.status, 409);
+  const conflict = await parseJson(stale);
+  assert.equal(conflict.error, 'conflict');
+  assert.equal(conflict.current.revision, 2);
+  assert.equal(conflict.current.session.fullTranscript, 'device A notes');
+
+  // Device B chooses to overwrite
+  const forced = await put({ session: session('device B notes'), baseRevision: 1, force: true });
+  assert.equal(forced.status, 200);
+
+  const loaded = await parseJson(await worker.fetch(
+    new Request(`https://example.com/sessions/${summary.id}`, { headers }),
+    env,
+    {}
+  ));
+  assert.equal(loaded.revision, 3);
+  assert.equal(loaded.name, 'Smith-42');
+  assert.equal(loaded.session.fullTranscript, 'device B notes');
+  assert.deepEqual(loaded.session.checklistSelections, { boiler_combi: true });
+  assert.equal(loaded.session.unknownField, undefined);
+
+  const otherUser = await worker.fetch(new Request(`https://example.com/sessions/${summary.id}`, {
+    headers: { Authorization: `Bearer ${await generateToken(8, 'other', env.JWT_SECRET)}` }
+  }), env, {});
+  assert.equal(otherUser.status, 404);
+});
+
+test('pinned and confirmed facts survive a session round trip', async () => {
+  const env = { DB: createSessionDb(), JWT_SECRET: 'test-secret' };
+  const headers = {
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(7, 'surveyor', env.JWT_SECRET)}`
+  };
+
+  const created = await worker.fetch(new Request('https://example.com/sessions', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      name: 'Jones-7',
+      session: {
+        fullTranscript: 'flue out the back',
+        facts: [
+          { id: 'flue_route', value: 'Rear wall', confidence: 0.3, confirmed: true, quote: 'flue out the back' },
+          { id: 'occupants', value: '3', confidence: 0.6 },
+          { id: 'favourite_colour', value: 'blue', confidence: 1 }
+        ]
+      }
+    })
+  }), env, {});
+  const { session: summary } = await parseJson(created);
+
+  const loaded = await parseJson(await worker.fetch(
+    new Request(`https://example.com/sessions/${summary.id}`, { headers }),
+    env,
+    {}
+  ));
+  assert.deepEqual(loaded.session.facts, [
+    { id: 'flue_route', label: 'Flue route', value: 'Rear wall', confidence: 1, confirmed: true, quote: 'flue out the back' },
+    { id: 'occupants', label: 'Occupants', value: '3', confidence: 0.6, confirmed: false }
+  ]);
+});
+
+test('reasons for going ahead with an incomplete survey survive a session round trip', async () => {
+  const env = { DB: createSessionDb(), JWT_SECRET: 'test-secret' };
+  const headers = {
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(7, 'surveyor', env.JWT_SECRET)}`
+  };
+
+  const created = await worker.fetch(new Request('https://example.com/sessions', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      session: {
+        completenessOverrides: [
+          { action: 'export', reason: '  Customer will confirm flue route by email ', score: 82, missing: ['Flue not answered'], at: '2026-10-18T09:00:00.000Z' },
+          { action: 'submit', reason: '   ' }
+        ]
+      }
+    })
+  }), env, {});
+  const { session: summary } = await parseJson(created);
+
+  const loaded = await parseJson(await worker.fetch(
+    new Request(`https://example.com/sessions/${summary.id}`, { headers }),
+    env,
+    {}
+  ));
+  assert.deepEqual(loaded.session.completenessOverrides, [{
+    action: 'export',
+    reason: 'Customer will confirm flue route by email',
+    score: 82,
+    missing: ['Flue not answered'],
+    at: '2026-10-18T09:00:00.000Z'
+  }]);
+});
+
+test('sessions keep a known job type and drop an unknown one', async () => {
+  const env = { DB: createSessionDb(), JWT_SECRET: 'test-secret' };
+  const headers = {
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(7, 'surveyor', env.JWT_SECRET)}`
+  };
+  const roundTrip = async (jobType) => {
+    const created = await worker.fetch(new Request('https://example.com/sessions', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ session: { jobType } })
+    }), env, {});
+    const { session: summary } = await parseJson(created);
+    const loaded = await parseJson(await worker.fetch(
+      new Request(`https://example.com/sessions/${summary.id}`, { headers }),
+      env,
+      {}
+    ));
+    return loaded.session.jobType;
+  };
+
+  assert.equal(await roundTrip('heat_pump'), 'heat_pump');
+  assert.equal(await roundTrip('controls_only'), 'controls_only');
+  assert.equal(await roundTrip('loft_conversion'), null);
+});
+
+function createOrganisationDb() {
+  const users = [
+    { id: 1, username: 'boss', email: 'boss@example.com' },
+    { id: 2, username: 'sam', email: 'sam@example.com' }
+  ];
+  const organisations = [];
+  const memberships = [];
+  let invites = [];
+  const orgSettings = new Map();
+  const userSettings = [{ user_id: 2, setting_key: 'depot.checklistConfig', setting_value: '["old"]' }];
+
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO organisations/.test(sql)) {
+        organisations.push({ id: organisations.length + 1, name: args[0] });
+        return { meta: { last_row_id: organisations.length, changes: 1 } };
+      }
+      if (/INSERT INTO memberships/.test(sql)) {
+        const [orgId, userId, role = 'admin'] = args;
+        if (memberships.some((m) => m.user_id === userId)) throw new Error('UNIQUE constraint failed');
+        memberships.push({ org_id: orgId, user_id: userId, role });
+        return { meta: { changes: 1 } };
+      }
+      if (/INSERT INTO org_invites/.test(sql)) {
+        const [orgId, userId, role] = args;
+        invites = invites.filter((i) => !(i.org_id === orgId && i.user_id === userId));
+        invites.push({ org_id: orgId, user_id: userId, role });
+        return { meta: { changes: 1 } };
+      }
+      if (/DELETE FROM org_invites/.test(sql)) {
+        const before = invites.length;
+        invites = args.length === 1
+          ? invites.filter((i) => i.user_id !== args[0])
+          : invites.filter((i) => !(i.org_id === args[0] && i.user_id === args[1]));
+        return { meta: { changes: before - invites.length } };
+      }
+      if (/INSERT INTO org_settings/.test(sql)) {
+        orgSettings.set(`${args[0]}:${args[1]}`, args[2]);
+        return { meta: { changes: 1 } };
+      }
+      if (/DELETE FROM user_settings/.test(sql)) {
+        const [key, orgId] = args;
+        const members = memberships.filter((m) => m.org_id === orgId).map((m) => m.user_id);
+        const before = userSettings.length;
+        for (let i = userSettings.length - 1; i >= 0; i--) {
+          if (userSettings[i].setting_key === key && members.includes(userSettings[i].user_id)) userSettings.splice(i, 1);
+        }
+        return { meta: { changes: before - userSettings.length } };
+      }
+      return { meta: { changes: 0 } };
+    },
+    async first() {
+      if (/FROM memberships m/.test(sql)) {
+        const m = memberships.find((row) => row.user_id === args[0]);
+        return m ? { org_id: m.org_id, role: m.role, name: organisations[m.org_id - 1].name } : null;
+      }
+      if (/FROM users\s+WHERE email/.test(sql)) return users.find((u) => u.email === args[0]) || null;
+      if (/FROM org_invites/.test(sql)) {
+        return invites.find((i) => i.org_id === args[0] && i.user_id === args[1]) || null;
+      }
+      return null;
+    },
+    async all() {
+      if (/FROM org_settings/.test(sql)) {
+        return {
+          results: [...orgSettings.entries()]
+            .filter(([key]) => key.startsWith(`${args[0]}:`))
+            .map(([key, value]) => ({ setting_key: key.slice(key.indexOf(':') + 1), setting_value: value }))
+        };
+      }
+      if (/FROM memberships m/.test(sql)) {
+        return {
+          results: memberships
+            .filter((m) => m.org_id === args[0])
+            .map((m) => ({ ...users.find((u) => u.id === m.user_id), user_id: m.user_id, role: m.role }))
+        };
+      }
+      if (/FROM org_invites i[\s\S]*JOIN organisations/.test(sql)) {
+        return {
+          results: invites
+            .filter((i) => i.user_id === args[0])
+            .map((i) => ({ ...i, name: organisations[i.org_id - 1].name }))
+        };
+      }
+      if (/FROM org_invites i/.test(sql)) {
+        return {
+          results: invites
+            .filter((i) => i.org_id === args[0])
+            .map((i) => ({ ...i, username: users.find((u) => u.id === i.user_id).username }))
+        };
+      }
+      if (/FROM user_settings/.test(sql)) {
+        return { results: userSettings.filter((row) => row.user_id === args[0]) };
+      }
+      return { results: [] };
+    }
+  });
+  return { prepare: (sql) => statement(sql) };
+}
+
+test('organisation admins publish defaults and push a checklist to every member', async () => {
+  const env = { DB: createOrganisationDb(), JWT_SECRET: 'test-secret' };
+  const as = async (userId, username) => ({
+    'content-type': 'application/json',
+    Authorization: `Bearer ${await generateToken(userId, username, env.JWT_SECRET)}`
+  });
+  const admin = await as(1, 'boss');
+  const surveyor = await as(2, 'sam');
+  const call = (path, headers, method = 'GET', body) => worker.fetch(new Request(`https://example.com${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  }), env, {});
+
+  assert.equal((await call('/orgs', admin, 'POST', { name: 'Acme Heating' })).status, 201);
+  const invited = await call('/orgs/members', admin, 'POST', { email: 'sam@example.com', role: 'surveyor' });
+  assert.equal(invited.status, 201);
+  assert.deepEqual((await parseJson(invited)).invite, { userId: 2, username: 'sam', role: 'surveyor' });
+
+  // Until sam accepts, sam is not a member and a push leaves sam's own checklist alone
+  const pending = await parseJson(await call('/orgs/current', admin));
+  assert.deepEqual(pending.organisation.members.map((m) => m.username), ['boss']);
+  assert.deepEqual(pending.organisation.invites.map((i) => [i.username, i.role]), [['sam', 'surveyor']]);
+  const early = await parseJson(await call('/orgs/settings', admin, 'POST', {
+    settings: { 'depot.checklistConfig': ['early'] },
+    push: ['depot.checklistConfig']
+  }));
+  assert.equal(early.pushed['depot.checklistConfig'], 0);
+  assert.equal((await parseJson(await call('/orgs/settings', surveyor))).organisation, null);
+
+  const waiting = await parseJson(await call('/orgs/current', surveyor));
+  assert.deepEqual(waiting.invites.map((i) => [i.orgId, i.orgName, i.role]), [[1, 'Acme Heating', 'surveyor']]);
+  assert.equal((await call('/orgs/invites/7/accept', surveyor, 'POST')).status, 404);
+  const accepted = await call('/orgs/invites/1/accept', surveyor, 'POST');
+  assert.equal(accepted.status, 200);
+  assert.equal((await parseJson(accepted)).organisation.role, 'surveyor');
+
+  const current = await parseJson(await call('/orgs/current', admin));
+  assert.equal(current.organisation.role, 'admin');
+  assert.deepEqual(current.organisation.members.map((m) => [m.username, m.role]), [['boss', 'admin'], ['sam', 'surveyor']]);
+
+  // Surveyors can read defaults but not change them
+  const denied = await call('/orgs/settings', surveyor, 'POST', { settings: { 'depot.checklistConfig': ['new'] } });
+  assert.equal(denied.status, 403);
+
+  const rejected = await call('/orgs/settings', admin, 'POST', { settings: { 'depot.workerUrl': 'x' } });
+  assert.equal(rejected.status, 400);
+
+  const pushed = await parseJson(await call('/orgs/settings', admin, 'POST', {
+    settings: { 'depot.checklistConfig': ['new'], 'depot.aiInstructions': { depotNotes: 'Team rules' } },
+    push: ['depot.checklistConfig']
+  }));
+  assert.equal(pushed.saved, 2);
+  assert.equal(pushed.pushed['depot.checklistConfig'], 1);
+
+  const defaults = await parseJson(await call('/orgs/settings', surveyor));
+  assert.equal(defaults.organisation.name, 'Acme Heating');
+  assert.deepEqual(defaults.settings['depot.checklistConfig'], ['new']);
+
+  // The surveyor's personal checklist override is gone, so the team checklist applies
+  const personal = await parseJson(await call('/settings/sync', surveyor));
+  assert.deepEqual(personal.settings, {});
+});
+
+function createReviewDb() {
+  const memberships = { 1: { org_id: 1, role: 'surveyor', name: 'Acme Heating' }, 2: { org_id: 1, role: 'office', name: 'Acme Heating' } };
+  const submissions = [];
+  const comments = [];
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO survey_submissions/.test(sql)) {
+        const [id, orgId, userId, sessionId, name, sections] = args;
+        submissions.push({ id, org_id: orgId, user_id: userId, session_id: sessionId, name, status: 'submitted', submitted_sections: sections, approved_sections: null });
+      } else if (/UPDATE survey_submissions\s+SET submitted_sections/.test(sql)) {
+        Object.assign(submissions.find((s) => s.id === args[1]), { submitted_sections: args[0], status: 'submitted', approved_sections: null });
+      } else if (/UPDATE survey_submissions\s+SET status/.test(sql)) {
+        Object.assign(submissions.find((s) => s.id === args[3]), { status: args[0], approved_sections: args[1], reviewer_id: args[2] });
+      } else if (/INSERT INTO submission_comments/.test(sql)) {
+        const [submissionId, section, authorId, authorName, body] = args;
+        comments.push({ id: comments.length + 1, submission_id: submissionId, section, author_id: authorId, author_name: authorName, body });
+      }
+      return { meta: { changes: 1 } };
+    },
+    async first() {
+      if (/FROM memberships m/.test(sql)) return memberships[args[0]] || null;
+      if (/FROM survey_submissions s/.test(sql)) {
+        const row = submissions.find((s) => s.id === args[0] && s.org_id === args[1]);
+        return row ? { ...row, surveyor: 'sam' } : null;
+      }
+      return null;
+    },
+    async all() {
+      if (/FROM submission_comments/.test(sql)) return { results: comments.filter((c) => c.submission_id === args[0]) };
+      if (/FROM survey_submissions s/.test(sql)) {
+        return { results: submissions.filter((s) => s.org_id === args[0] && (args.length < 2 || s.user_id === args[1])) };
+      }
+      return { results: [] };
+    }
+  });
+  return { prepare: (sql) => statement(sql) };
+}
+
+test('office review moves submitted notes through changes requested to approved', async () => {
+  const env = { DB: createReviewDb(), JWT_SECRET: 'test-secret' };
+  const surveyor = { 'content-type': 'application/json', Authorization: `Bearer ${await generateToken(1, 'sam', env.JWT_SECRET)}` };
+  const office = { 'content-type': 'application/json', Authorization: `Bearer ${await generateToken(2, 'olive', env.JWT_SECRET)}` };
+  const call = async (path, headers, method = 'GET', body) => {
+    const response = await worker.fetch(new Request(`https://example.com${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    }), env, {});
+    return { status: response.status, body: await parseJson(response) };
+  };
+
+  const created = await call('/submissions', surveyor, 'POST', {
+    name: 'Smith-42',
+    sections: [{ section: 'Flue', plainText: 'Horizontal flue\nPlume kit' }]
+  });
+  assert.equal(created.status, 201);
+  const id = created.body.submission.id;
+
+  // Surveyors cannot review their own notes
+  assert.equal((await call(`/submissions/${id}/status`, surveyor, 'POST', { status: 'approved' })).status, 403);
+
+  await call(`/submissions/${id}/comments`, office, 'POST', { section: 'Flue', body: 'Confirm flue length' });
+  const sentBack = await call(`/submissions/${id}/status`, office, 'POST', { status: 'changes_requested' });
+  assert.equal(sentBack.body.submission.status, 'changes_requested');
+  assert.equal(sentBack.body.submission.comments[0].author, 'olive');
+
+  // Approving straight from changes_requested is not allowed
+  assert.equal((await call(`/submissions/${id}/status`, office, 'POST', { status: 'approved' })).status, 400);
+
+  const resubmitted = await call(`/submissions/${id}`, surveyor, 'PUT', {
+    sections: [{ section: 'Flue', plainText: 'Horizontal flue\nPlume kit\n2m flue' }]
+  });
+  assert.equal(resubmitted.body.submission.status, 'submitted');
+
+  const approved = await call(`/submissions/${id}/status`, office, 'POST', {
+    status: 'approved',
+    sections: [{ section: 'Flue', plainText: 'Horizontal flue\n2m flue' }]
+  });
+  assert.equal(approved.body.submission.status, 'approved');
+  assert.deepEqual(approved.body.submission.diff[0].lines.map((line) => line.type), ['same', 'removed', 'same']);
+
+  const listed = await call('/submissions', surveyor);
+  assert.deepEqual(listed.body.submissions.map((s) => s.status), ['approved']);
+});
+
+function createUsageDb() {
+  const rows = [];
+  let nextId = 0;
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO ai_usage/.test(sql)) {
+        const [subject, userId, route, provider, model, inputTokens, outputTokens, day, createdAt] = args;
+        nextId += 1;
+        rows.push({
+          id: nextId,
+          subject,
+          user_id: userId,
+          route,
+          provider,
+          model,
+          input_tokens: inputTokens,
+          output_tokens: outputTokens,
+          day,
+          created_at: createdAt
+        });
+        return { success: true, meta: { changes: 1, last_row_id: nextId } };
+      }
+      if (/UPDATE ai_usage/.test(sql)) {
+        const [provider, model, inputTokens, outputTokens, id] = args;
+        Object.assign(rows.find((r) => r.id === id), { provider, model, input_tokens: inputTokens, output_tokens: outputTokens });
+      }
+      if (/DELETE FROM ai_usage/.test(sql)) {
+        rows.splice(rows.findIndex((r) => r.id === args[0]), 1);
+      }
+      return { success: true, meta: {} };
+    },
+    async first() {
+      if (/COUNT\(\*\) AS requests/.test(sql)) {
+        const recent = rows.filter((r) => r.subject === args[0] && r.route === args[1] && r.created_at > args[2] && r.id <= args[3]);
+        return { requests: recent.length, oldest: recent.length ? Math.min(...recent.map((r) => r.created_at)) : null };
+      }
+      if (/SUM\(input_tokens \+ output_tokens\)/.test(sql)) {
+        const today = rows.filter((r) => r.subject === args[0] && r.day === args[1]);
+        return { tokens: today.reduce((sum, r) => sum + r.input_tokens + r.output_tokens, 0) };
+      }
+      return null;
+    },
+    async all() {
+      if (/FROM ai_usage/.test(sql)) {
+        const mine = rows.filter((r) => r.subject === args[0] && r.day >= args[1] && r.provider !== args[2]);
+        const groups = new Map();
+        for (const row of mine) {
+          const key = `${row.day}|${row.route}|${row.provider}`;
+          const group = groups.get(key) || { day: row.day, route: row.route, provider: row.provider, requests: 0, input_tokens: 0, output_tokens: 0 };
+          group.requests += 1;
+          group.input_tokens += row.input_tokens;
+          group.output_tokens += row.output_tokens;
+          groups.set(key, group);
+        }
+        return { results: [...groups.values()] };
+      }
+      return { results: [] };
+    }
+  });
+  return {
+    rows,
+    prepare: (sql) => statement(sql),
+    batch: async (statements) => Promise.all(statements.map((s) => s.run()))
+  };
+}
+
+test('AI routes record token usage per user and return 429 once the per-minute limit is reached', async (t) => {
+  globalThis.fetch = async () => new Response(
+    JSON.stringify({
+      candidates: [{ content: { parts: [{ text: JSON.stringify({ sections: [] }) }] } }],
+      usageMetadata: { promptTokenCount: 900, candidatesTokenCount: 100 }
+    }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const db = createUsageDb();
+  const env = { GEMINI_API_KEY: 'test-key', JWT_SECRET: 'test-secret', DB: db, AI_REQUESTS_PER_MINUTE: '1' };
+  const authorization = `Bearer ${await generateToken(3, 'surveyor', env.JWT_SECRET)}`;
+  const send = () => worker.fetch(new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', Authorization: authorization },
+    body: JSON.stringify({ transcript: 'Combi swap in the kitchen.' })
+  }), env, {});
+
+  const first = await send();
+  assert.equal(first.status, 200);
+  assert.equal(db.rows.length, 1);
+  assert.equal(db.rows[0].subject, 'user:3');
+  assert.equal(db.rows[0].provider, 'gemini');
+  assert.equal(db.rows[0].input_tokens, 900);
+
+  const limited = await send();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+  assert.equal((await parseJson(limited)).error, 'rate_limited');
+
+  const usage = await worker.fetch(new Request('https://example.com/usage?days=1', {
+    headers: { Authorization: authorization }
+  }), env, {});
+  assert.equal(usage.status, 200);
+  const report = await parseJson(usage);
+  assert.equal(report.today.tokens, 1000);
+  assert.equal(report.today.remaining, report.today.quota - 1000);
+  assert.deepEqual(report.usage.map((row) => [row.route, row.provider, row.requests]), [['/text', 'gemini', 1]]);
+
+  const anonymous = await worker.fetch(new Request('https://example.com/usage'), env, {});
+  assert.equal(anonymous.status, 401);
+});
+
+test('parallel AI requests reserve their slot before the model is called', async (t) => {
+  let modelCalls = 0;
+  globalThis.fetch = async () => {
+    modelCalls += 1;
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: JSON.stringify({ sections: [] }) }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const db = createUsageDb();
+  const env = { GEMINI_API_KEY: 'test-key', JWT_SECRET: 'test-secret', DB: db, AI_REQUESTS_PER_MINUTE: '2' };
+  const authorization = `Bearer ${await generateToken(4, 'surveyor', env.JWT_SECRET)}`;
+  const send = () => worker.fetch(new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', Authorization: authorization },
+    body: JSON.stringify({ transcript: 'Combi swap in the kitchen.' })
+  }), env, {});
+
+  const statuses = (await Promise.all([send(), send(), send()])).map((response) => response.status).sort();
+  assert.deepEqual(statuses, [200, 200, 429]);
+  assert.equal(modelCalls, 2);
+  assert.equal(db.rows.length, 2);
+});
+
+test('POST /transcribe requires Pro access and returns sanitised text with word timestamps', async (t) => {
+  const keys = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const { x } = await crypto.subtle.exportKey('jwk', keys.publicKey);
+  const b64u = (bytes) => Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  const payload = Buffer.from(JSON.stringify({ email: 'pro@example.com', exp: new Date(Date.now() + 86400000).toISOString(), plan: 'pro-v1' }));
+  const licence = `${b64u(payload)}.${b64u(new Uint8Array(await crypto.subtle.sign('Ed25519', keys.privateKey, payload)))}`;
+
+  let sentForm;
+  globalThis.fetch = async (url, options) => {
+    assert.equal(url, 'https://api.openai.com/v1/audio/transcriptions');
+    sentForm = options.body;
+    return new Response(JSON.stringify({
+      text: 'The flu goes out the back wall.',
+      language: 'english',
+      duration: 2.4,
+      words: [
+        { word: 'The', start: 0, end: 0.2 },
+        { word: 'flu', start: 0.2, end: 0.5 }
+      ]
+    }), { status: 200 });
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const env = { OPENAI_API_KEY: 'test-key', PUBLIC_KEY_JWK_X: x, JWT_SECRET: 'test-secret' };
+  const audio = Buffer.from('fake-webm-bytes').toString('base64');
+  const send = (headers, body) => worker.fetch(new Request('https://example.com/transcribe', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  assert.equal((await send({}, { audio, mimeType: 'audio/webm' })).status, 401);
+  assert.equal((await send({ 'X-License-Code': `${licence}x` }, { audio, mimeType: 'audio/webm' })).status, 403);
+  assert.equal((await send({ 'X-License-Code': licence }, { audio, mimeType: 'audio/flac' })).status, 415);
+
+  const response = await send({ 'X-License-Code': licence }, {
+    audio: `data:audio/webm;codecs=opus;base64,${audio}`
+  });
+  assert.equal(response.status, 200);
+  const body = await parseJson(response);
+  assert.equal(body.transcript, 'The flue goes out the back wall.');
+  assert.equal(body.rawTranscript, 'The flu goes out the back wall.');
+  assert.deepEqual(body.words[1], { word: 'flu', start: 0.2, end: 0.5 });
+  assert.equal(body.duration, 2.4);
+  assert.equal(sentForm.get('response_format'), 'verbose_json');
+  assert.equal(sentForm.get('file').name, 'recording.webm');
+
+  const form = () => {
+    const data = new FormData();
+    data.append('audio', new Blob([Buffer.from('wav-bytes')], { type: 'audio/wav' }), 'clip.wav');
+    return data;
+  };
+  // Signing in is not a Pro licence
+  const signedIn = await worker.fetch(new Request('https://example.com/transcribe', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await generateToken(5, 'surveyor', env.JWT_SECRET)}` },
+    body: form()
+  }), env, {});
+  assert.equal(signedIn.status, 401);
+
+  const multipart = await worker.fetch(new Request('https://example.com/transcribe', {
+    method: 'POST',
+    headers: { 'X-License-Code': licence },
+    body: form()
+  }), env, {});
+  assert.equal(multipart.status, 200);
+  assert.equal(sentForm.get('file').name, 'recording.wav');
+});
+
+test('licence revocations must be signed by the licence key and stop the code verifying', async () => {
+  const keys = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const stranger = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const { x } = await crypto.subtle.exportKey('jwk', keys.publicKey);
+  const b64u = (bytes) => Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  const sign = async (privateKey, value) => {
+    const bytes = Buffer.from(JSON.stringify(value));
+    return `${b64u(bytes)}.${b64u(new Uint8Array(await crypto.subtle.sign('Ed25519', privateKey, bytes)))}`;
+  };
+
+  const revoked = new Map();
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      if (/INSERT INTO license_revocations/.test(sql)) revoked.set(args[0], args[1]);
+      return { success: true, meta: {} };
+    },
+    async first() {
+      return /FROM license_revocations/.test(sql) && revoked.has(args[0]) ? { reason: revoked.get(args[0]) } : null;
+    },
+    async all() {
+      return { results: [...revoked].map(([id, reason]) => ({ license_id: id, reason, revoked_at: 'now' })) };
+    }
+  });
+  const env = {
+    PUBLIC_KEY_JWK_X: x,
+    DB: { prepare: (sql) => statement(sql), batch: async (list) => Promise.all(list.map((s) => s.run())) }
+  };
+  const post = (path, body) => worker.fetch(new Request(`https://example.com${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  const code = await sign(keys.privateKey, {
+    id: 'lic-9', email: 'pro@example.com', exp: new Date(Date.now() + 86400000).toISOString(), plan: 'pro-v1'
+  });
+  assert.equal((await parseJson(await post('/licenses/verify', { code }))).valid, true);
+
+  const forged = await post('/licenses/revoke', { command: await sign(stranger.privateKey, { action: 'revoke', id: 'lic-9' }) });
+  assert.equal(forged.status, 403);
+
+  const revoke = await post('/licenses/revoke', {
+    command: await sign(keys.privateKey, { action: 'revoke', id: 'lic-9', reason: 'chargeback', iat: new Date().toISOString() })
+  });
+  assert.equal(revoke.status, 200);
+
+  const after = await parseJson(await post('/licenses/verify', { code }));
+  assert.deepEqual(after, { valid: false, message: 'Licence revoked: chargeback' });
+
+  const listWith = (headers) => worker.fetch(new Request('https://example.com/licenses/revocations', { headers }), env, {});
+  assert.equal((await listWith({})).status, 403);
+  assert.equal((await listWith({ 'X-License-Admin': await sign(stranger.privateKey, { action: 'list', iat: new Date().toISOString() }) })).status, 403);
+  assert.equal((await listWith({ 'X-License-Admin': await sign(keys.privateKey, { action: 'list', iat: '2020-01-01T00:00:00Z' }) })).status, 403);
+
+  const list = await parseJson(await listWith({
+    'X-License-Admin': await sign(keys.privateKey, { action: 'list', iat: new Date().toISOString() })
+  }));
+  assert.deepEqual(list.revocations.map((r) => [r.id, r.reason]), [['lic-9', 'chargeback']]);
+});
+
+test('POST /text streams finished sections as server-sent events before the full result', async (t) => {
+  const reply = JSON.stringify({
+    sections: [
+      { section: 'Needs', plainText: 'Combi swap;' },
+      { section: 'Flue', plainText: 'Horizontal flue;' }
+    ],
+    materials: [],
+    checkedItems: [],
+    missingInfo: []
+  });
+  const pieces = [reply.slice(0, 40), reply.slice(40, 90), reply.slice(90)];
+
+  globalThis.fetch = async (url) => {
+    assert.match(url, /:streamGenerateContent\?alt=sse&key=/);
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+      start(controller) {
+        pieces.forEach((text, index) => controller.enqueue(encoder.encode(`data: ${JSON.stringify({
+          candidates: [{ content: { parts: [{ text }] } }],
+          usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 10 * (index + 1) }
+        })}\r\n\r\n`)));
+        controller.close();
+      }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const response = await worker.fetch(new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ transcript: 'Combi swap, flue out the back.' })
+  }), { GEMINI_API_KEY: 'test-key' }, {});
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+  const events = (await response.text()).trim().split('\n\n').map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+
+  assert.deepEqual(events.map((e) => e.event), ['section', 'section', 'done']);
+  assert.equal(events[0].data.section, 'Needs');
+  assert.equal(events[1].data.section, 'Flue');
+  assert.equal(events[2].data.processedBy, 'Gemini');
+  assert.ok(events[2].data.sections.some((s) => s.section === 'Flue' && s.plainText));
+});
+
+function createLiveNotesDb() {
+  const rows = new Map();
+  const pruned = [];
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async run() {
+      const [revision, offset, recentTranscript, sections, materials, id, baseRevision] = args;
+      const row = { id, revision, transcript_offset: offset, recent_transcript: recentTranscript, sections, materials };
+      if (/INSERT INTO live_note_sessions/.test(sql)) {
+        if (rows.has(id)) return { success: true, meta: { changes: 0 } };
+        rows.set(id, row);
+        return { success: true, meta: { changes: 1 } };
+      }
+      if (/UPDATE live_note_sessions/.test(sql)) {
+        if (rows.get(id)?.revision !== baseRevision) return { success: true, meta: { changes: 0 } };
+        rows.set(id, row);
+        return { success: true, meta: { changes: 1 } };
+      }
+      if (/DELETE FROM live_note_sessions/.test(sql)) {
+        pruned.push(args[0]);
+      }
+      return { success: true, meta: {} };
+    },
+    async first() {
+      if (/FROM live_note_sessions/.test(sql)) return rows.get(args[0]) || null;
+      return null;
+    },
+    async all() {
+      return { results: [] };
+    }
+  });
+  return { rows, pruned, prepare: (sql) => statement(sql) };
+}
+
+test('live note saves are compare-and-swap on the revision', async () => {
+  const db = createLiveNotesDb();
+  const state = (revision, offset) => ({ id: 'live-session-2', revision, offset, recentTranscript: '', sections: [], materials: [] });
+
+  assert.deepEqual(await saveLiveNotes(db, state(1, 10)), { success: true });
+  // A second request that also thought the session was new loses
+  assert.equal((await saveLiveNotes(db, state(1, 12))).conflict, true);
+
+  // Two chunks built on revision 1: only the first is stored
+  assert.deepEqual(await saveLiveNotes(db, state(2, 20), 1), { success: true });
+  assert.equal((await saveLiveNotes(db, state(2, 25), 1)).conflict, true);
+  assert.equal(db.rows.get('live-session-2').transcript_offset, 20);
+});
+
+test('POST /text merges live transcript deltas into the stored notes and refuses stale revisions', async (t) => {
+  const replies = [
+    { sections: [{ section: 'Needs', plainText: '# Involved #; Combi swap;' }], materials: [{ item: 'Filter', qty: 1 }] },
+    {
+      sections: [
+        { section: 'Needs', plainText: '# Involved #; Combi swap; Keep boiler in kitchen;' },
+        { section: 'Flue', plainText: 'Horizontal flue to rear;' }
+      ],
+      materials: [{ item: 'filter', qty: 1 }, { item: 'Flue kit', qty: 1 }]
+    }
+  ];
+  const userPayloads = [];
+  globalThis.fetch = async (url, options) => {
+    const text = JSON.parse(options.body).contents[0].parts[0].text;
+    userPayloads.push(JSON.parse(text.slice(text.lastIndexOf('\n\n') + 2)));
+    const content = JSON.stringify({ checkedItems: [], missingInfo: [], ...replies[userPayloads.length - 1] });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: content }] } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const env = { GEMINI_API_KEY: 'test-key', DB: createLiveNotesDb() };
+  const send = (body) => worker.fetch(new Request('https://example.com/text', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ liveSessionId: 'live-session-1', ...body })
+  }), env, {});
+
+  const first = 'Combi swap in the kitchen.';
+  const full = await parseJson(await send({ mode: 'full', transcript: first }));
+  assert.deepEqual(full.live, { sessionId: 'live-session-1', revision: 1, offset: first.length, mode: 'full' });
+
+  const delta = ' Flue goes out the back.';
+  const merged = await parseJson(await send({
+    mode: 'delta',
+    transcript: delta,
+    transcriptOffset: first.length,
+    baseRevision: 1,
+    alreadyCaptured: [{ section: 'Needs', plainText: 'Stale client copy;' }]
+  }));
+
+  // The model only sees the new speech, with the stored notes and recent speech as context
+  assert.equal(userPayloads[1].transcript, delta.trim());
+  assert.equal(userPayloads[1].recentTranscript, first);
+  assert.deepEqual(userPayloads[1].alreadyCaptured.map((s) => s.section), ['Needs']);
+
+  const needs = merged.sections.find((s) => s.section === 'Needs');
+  const flue = merged.sections.find((s) => s.section === 'Flue');
+  assert.equal(needs.plainText, '# Involved #; Combi swap; Keep boiler in kitchen;');
+  assert.equal(flue.plainText, '# Involved #; Horizontal flue to rear;');
+  assert.deepEqual(merged.materials.map((m) => m.item), ['Filter', 'Flue kit']);
+  assert.deepEqual(merged.live, {
+    sessionId: 'live-session-1',
+    revision: 2,
+    offset: first.length + delta.length,
+    mode: 'delta'
+  });
+
+  const stale = await send({ mode: 'delta', transcript: ' More.', transcriptOffset: first.length, baseRevision: 1 });
+  assert.equal(stale.status, 409);
+  const conflict = await parseJson(stale);
+  assert.equal(conflict.error, 'conflict');
+  assert.equal(conflict.reconcile, true);
+  assert.equal(conflict.live.revision, 2);
+  assert.equal(userPayloads.length, 2);
+  assert.deepEqual(env.DB.pruned, ['-48 hours']);
+});
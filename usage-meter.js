@@ -0,0 +1,335 @@
+/**
+ * AI usage metering and rate limiting for Cloudflare Worker
+ * Records tokens in/out per caller, route and provider from each model response
+ * and enforces per-minute request limits and daily token quotas.
+ * Callers are identified by user id when signed in, otherwise by client IP.
+ * Each request reserves its usage row before the model is called, so parallel requests count
+ * against the per-minute limit straight away; the row gets its tokens once the response is in.
+ */
+
+import { requireAuth } from './auth-handlers.js';
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 10;
+export const DEFAULT_DAILY_TOKEN_QUOTA = 250000;
+
+// Provider recorded on a reserved row until a model call fills it in
+const RESERVED_PROVIDER = 'none';
+
+// Databases whose tables this isolate has already created
+const readyDatabases = new WeakSet();
+
+/**
+ * Initialize the usage table
+ */
+export async function initializeUsageTables(db) {
+  try {
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subject TEXT NOT NULL,
+        user_id INTEGER,
+        route TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        day TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `).run();
+
+    await db.prepare(`
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_subject
+      ON ai_usage(subject, created_at)
+    `).run();
+
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to initialize usage tables:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+async function ensureUsageTables(db) {
+  if (readyDatabases.has(db)) return { success: true };
+  const init = await initializeUsageTables(db);
+  if (init.success) readyDatabases.add(db);
+  return init;
+}
+
+/**
+ * Read token counts from a provider response body
+ * @param {string} provider - 'openai' | 'anthropic' | 'gemini'
+ * @param {Object} body - Parsed response JSON
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export function extractUsage(provider, body) {
+  const count = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+  switch (provider) {
+    case 'openai':
+      return { inputTokens: count(body?.usage?.prompt_tokens), outputTokens: count(body?.usage?.completion_tokens) };
+    case 'anthropic':
+      return { inputTokens: count(body?.usage?.input_tokens), outputTokens: count(body?.usage?.output_tokens) };
+    case 'gemini':
+      return {
+        inputTokens: count(body?.usageMetadata?.promptTokenCount),
+        outputTokens: count(body?.usageMetadata?.candidatesTokenCount)
+      };
+    default:
+      return { inputTokens: 0, outputTokens: 0 };
+  }
+}
+
+/**
+ * Collects the model calls made while serving one request
+ * @returns {{ calls: Array<Object>, record: Function }}
+ */
+export function createUsageMeter() {
+  const calls = [];
+  return {
+    calls,
+    record(provider, model, usage) {
+      calls.push({
+        provider,
+        model: model || null,
+        inputTokens: usage?.inputTokens || 0,
+        outputTokens: usage?.outputTokens || 0
+      });
+    }
+  };
+}
+
+/**
+ * Limits for a route: AI_REQUESTS_PER_MINUTE and AI_DAILY_TOKEN_QUOTA, overridable per route
+ * with AI_ROUTE_LIMITS, e.g. {"/text": {"perMinute": 6, "dailyTokens": 400000}}. 0 disables a limit.
+ */
+export function getUsageLimits(env, route) {
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+
+  let overrides = {};
+  try {
+    const parsed = typeof env.AI_ROUTE_LIMITS === 'string' ? JSON.parse(env.AI_ROUTE_LIMITS) : env.AI_ROUTE_LIMITS;
+    overrides = parsed?.[route] || {};
+  } catch (err) {
+    console.warn('AI_ROUTE_LIMITS is not valid JSON:', err);
+  }
+
+  const perMinute = number(env.AI_REQUESTS_PER_MINUTE, DEFAULT_REQUESTS_PER_MINUTE);
+  const dailyTokens = number(env.AI_DAILY_TOKEN_QUOTA, DEFAULT_DAILY_TOKEN_QUOTA);
+  return {
+    perMinute: number(overrides.perMinute, perMinute),
+    dailyTokens: number(overrides.dailyTokens, dailyTokens)
+  };
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+}
+
+/**
+ * Work out who is calling: signed-in user, or client IP for anonymous callers
+ */
+export async function identifyCaller(request, env) {
+  if (request.headers.get('Authorization')) {
+    const auth = await requireAuth(request, env);
+    if (auth.authenticated) {
+      return { subject: `user:${auth.userId}`, userId: auth.userId };
+    }
+  }
+  const ip = request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
+  return { subject: `ip:${ip.split(',')[0].trim()}`, userId: null };
+}
+
+function insertUsageRow(db, caller, route, call, now) {
+  return db.prepare(`
+    INSERT INTO ai_usage (subject, user_id, route, provider, model, input_tokens, output_tokens, day, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    caller.subject,
+    caller.userId,
+    route,
+    call.provider,
+    call.model,
+    call.inputTokens,
+    call.outputTokens,
+    utcDay(now),
+    now
+  );
+}
+
+/**
+ * Check a caller against the route's limits before calling a model, reserving a usage row for
+ * the request when there is a per-minute limit
+ * @returns {Promise<Object>} - { allowed: true, caller, reservation } or { allowed: false, retryAfter, message };
+ *   reservation is the reserved row id (null when none was needed) to pass to recordUsage()
+ */
+export async function checkUsageLimits(request, env, route, now = Date.now()) {
+  const caller = await identifyCaller(request, env);
+  if (!env.DB) return { allowed: true, caller, reservation: null };
+
+  const init = await ensureUsageTables(env.DB);
+  if (!init.success) return { allowed: true, caller, reservation: null };
+
+  const limits = getUsageLimits(env, route);
+
+  if (limits.dailyTokens > 0) {
+    const today = await env.DB.prepare(`
+      SELECT COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens
+      FROM ai_usage
+      WHERE subject = ? AND day = ?
+    `).bind(caller.subject, utcDay(now)).first();
+
+    if ((today?.tokens || 0) >= limits.dailyTokens) {
+      return {
+        allowed: false,
+        caller,
+        retryAfter: secondsUntilUtcMidnight(now),
+        message: `Daily AI quota of ${limits.dailyTokens} tokens used up`
+      };
+    }
+  }
+
+  if (limits.perMinute <= 0) return { allowed: true, caller, reservation: null };
+
+  // Reserve first, then count the rows reserved up to and including ours: of several requests
+  // racing for the last slot, the earliest reservation wins
+  const reserved = await insertUsageRow(env.DB, caller, route, {
+    provider: RESERVED_PROVIDER,
+    model: null,
+    inputTokens: 0,
+    outputTokens: 0
+  }, now).run();
+  const reservation = reserved.meta?.last_row_id ?? null;
+
+  const recent = await env.DB.prepare(`
+    SELECT COUNT(*) AS requests, MIN(created_at) AS oldest
+    FROM ai_usage
+    WHERE subject = ? AND route = ? AND created_at > ? AND id <= ?
+  `).bind(caller.subject, route, now - 60000, reservation).first();
+
+  if ((recent?.requests || 0) > limits.perMinute) {
+    await env.DB.prepare('DELETE FROM ai_usage WHERE id = ?').bind(reservation).run();
+    const retryAfter = Math.max(1, Math.ceil(((recent.oldest || now) + 60000 - now) / 1000));
+    return {
+      allowed: false,
+      caller,
+      retryAfter,
+      message: `Rate limit of ${limits.perMinute} requests per minute reached for ${route}`
+    };
+  }
+
+  return { allowed: true, caller, reservation };
+}
+
+/**
+ * Store the model calls made for a request. The first fills in the row reserved by
+ * checkUsageLimits(); a reservation with no calls stays as a request that used no tokens.
+ * @param {Object} options - { reservation } row id from checkUsageLimits()
+ */
+export async function recordUsage(env, caller, route, meter, { reservation = null, now = Date.now() } = {}) {
+  if (!env.DB || !meter?.calls.length) return;
+  try {
+    const calls = meter.calls.slice();
+    const statements = [];
+    if (reservation !== null) {
+      const call = calls.shift();
+      statements.push(env.DB.prepare(`
+        UPDATE ai_usage SET provider = ?, model = ?, input_tokens = ?, output_tokens = ? WHERE id = ?
+      `).bind(call.provider, call.model, call.inputTokens, call.outputTokens, reservation));
+    }
+    calls.forEach((call) => statements.push(insertUsageRow(env.DB, caller, route, call, now)));
+    await env.DB.batch(statements);
+  } catch (err) {
+    console.error('Failed to record AI usage:', err);
+  }
+}
+
+/**
+ * Handle usage report for the signed-in user
+ * GET /usage?days=7
+ */
+export async function handleUsage(request, env) {
+  const auth = await requireAuth(request, env);
+  if (!auth.authenticated) {
+    return jsonResponse({ error: 'unauthorized', message: auth.error }, 401);
+  }
+
+  if (!env.DB) {
+    return jsonResponse({ error: 'db_unavailable', message: 'Database binding not configured' }, 503);
+  }
+
+  await ensureUsageTables(env.DB);
+
+  const days = Math.min(Math.max(parseInt(new URL(request.url).searchParams.get('days'), 10) || 7, 1), 90);
+  const now = Date.now();
+  const since = utcDay(now - (days - 1) * 86400000);
+  const subject = `user:${auth.userId}`;
+
+  try {
+    const result = await env.DB.prepare(`
+      SELECT day, route, provider,
+        COUNT(*) AS requests,
+        SUM(input_tokens) AS input_tokens,
+        SUM(output_tokens) AS output_tokens
+      FROM ai_usage
+      WHERE subject = ? AND day >= ? AND provider != ?
+      GROUP BY day, route, provider
+      ORDER BY day DESC, route, provider
+    `).bind(subject, since, RESERVED_PROVIDER).all();
+
+    const rows = (result.results || []).map((row) => ({
+      day: row.day,
+      route: row.route,
+      provider: row.provider,
+      requests: row.requests,
+      inputTokens: row.input_tokens || 0,
+      outputTokens: row.output_tokens || 0
+    }));
+
+    const todayKey = utcDay(now);
+    const todayTokens = rows
+      .filter((row) => row.day === todayKey)
+      .reduce((sum, row) => sum + row.inputTokens + row.outputTokens, 0);
+    const limits = getUsageLimits(env, null);
+
+    return jsonResponse({
+      success: true,
+      days,
+      today: {
+        day: todayKey,
+        tokens: todayTokens,
+        quota: limits.dailyTokens,
+        remaining: limits.dailyTokens > 0 ? Math.max(0, limits.dailyTokens - todayTokens) : null
+      },
+      limits,
+      usage: rows
+    });
+  } catch (err) {
+    console.error('Failed to load usage:', err);
+    return jsonResponse({ error: 'db_error', message: String(err) }, 500);
+  }
+}
+
+/**
+ * Helper function for JSON responses with CORS headers
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}